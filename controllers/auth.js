@@ -1,18 +1,25 @@
 import express from 'express';
 import supabase from '../config/supabase.js';
 import { getMessage, getMessageWithData } from '../messages/auth.js';
+import { resolveLanguage } from '../messages/language.js';
 import bcrypt from 'bcrypt';
-import crypto from 'crypto';
+import { syncAgeGroups } from '../services/ageGroups.js';
+import { requestPasswordReset, resetPassword as resetUserPassword } from '../services/passwordReset.js';
+import { loginAttemptKeys, countLoginAttempt, clearLoginFailures, passwordResetKeys, countPasswordResetRequest } from '../services/loginAttempts.js';
+import { getMaxDevices, createSession, listSessions as listUserSessions, revokeSession as revokeUserSession, revokeSessions } from '../services/sessions.js';
+import { getTimestamp } from '../utils/time.js';
 
 /*
     Sessions:
     - user (PK, FK, UQ) - int8
     - device (PK, UQ)   - text
     - token             - text
+    - token_hash        - text (SHA-256 of the token, to find its session, see services/sessions.js)
     - created           - timestampt
     - last_use          - timestamp
     - expiration        - timestamp
     > Only one active session per [user, device] pair. If a new session is being created for the same pair, the old one is deleted first.
+    > At most SESSION_MAX_DEVICES sessions per user: the ones used least recently are closed (see services/sessions.js).
 
     Users:
     - id (PK, UQ)   - int8
@@ -34,6 +41,13 @@ import crypto from 'crypto';
     - name (UQ)         - varchar
     - description       - text
     - expiration        - int8 (days) (null = never expires)
+
+    Password_resets:
+    - token (PK, UQ)    - text (SHA-256 of the token sent by email)
+    - user (FK)         - int8
+    - created           - timestamp
+    - expiration        - timestamp
+    > Only the last requested token of a user is valid, and only once (see services/passwordReset.js).
 */
 
 
@@ -81,7 +95,7 @@ import crypto from 'crypto';
     2. Check if email or govId already exists
         - if exists, return error REGISTER_USER_EXISTS
     3. Hash password
-    4. Insert new user in DB
+    4. Insert new user in DB, in the age group of its age
     5. Create new session
     6. Return success response with user data and token (REGISTER_SUCCESS)
 */
@@ -175,73 +189,13 @@ const register = async (req, res) => {
 
         if (insertError) throw insertError;
 
-        // Add the age groups if applicable
-        // 16: under 16 years old
-        // 30: 16 to under 30 years old
-        // 65: 65 and over years old
-        // Expiration date is the day before the birthday when the user turns over the age limit of each group
-        
-        const age = yearsOldToday(new Date(birthdate));
-        const ageGroupIds = [];
-        let expirationDate = null;
-        if (age < 16) {
-            ageGroupIds.push(16);
-            const dayBefore = dayBeforeSpecificBirthday(new Date(birthdate), 16);
-            expirationDate = "" + dayBefore.getFullYear() + "-" + String(dayBefore.getMonth() + 1).padStart(2, '0') + "-" + String(dayBefore.getDate()).padStart(2, '0');
-        }
-        if (age >= 16 && age < 30) {
-            ageGroupIds.push(30);
-            const dayBefore = dayBeforeSpecificBirthday(new Date(birthdate), 30);
-            expirationDate = "" + dayBefore.getFullYear() + "-" + String(dayBefore.getMonth() + 1).padStart(2, '0') + "-" + String(dayBefore.getDate()).padStart(2, '0');
-        }
-        if (age >= 65) {
-            ageGroupIds.push(65);
-            // No expiration for 65+ group
-        }
-
-        for (const groupId of ageGroupIds) {
-            const { error: groupInsertError } = await supabase
-                .from('user_groups')
-                .insert({
-                    user: newUser.id,
-                    group: groupId,
-                    expiration: groupId === 65 ? null : expirationDate
-                });
-            if (groupInsertError) throw groupInsertError;
-        }
+        // Add the age group of the user (see services/ageGroups.js)
+        await syncAgeGroups(newUser);
 
 
         //// 5. Create new session
 
-        // If a session for this [user, device] already exists, delete it first
-        const { error: deleteError } = await supabase
-            .from('sessions')
-            .delete()
-            .eq('user', newUser.id)
-            .eq('device', deviceId);
-
-        if (deleteError) throw deleteError;
-
-        // Create new session
-        const token = crypto.randomBytes(24).toString('hex');
-        const tokenHash = await bcrypt.hash(token, 12);
-        const createdAt = getTimestampFromDate(new Date());
-        const expiration = getTimestampFromDate(new Date(new Date(createdAt) + 7 * 24 * 60 * 60 * 1000)); // 7 days
-
-        const { data: newSession, error: sessionError } = await supabase
-            .from('sessions')
-            .insert({
-                user: newUser.id,
-                device: deviceId,
-                token: tokenHash,
-                created: createdAt,
-                last_use: createdAt,
-                expiration: expiration
-            })
-            .select('*')
-            .single();
-
-        if (sessionError) throw sessionError;
+        const { token, session: newSession } = await createSession(newUser.id, deviceId);
 
         //// 6. Return success response with user data and token
 
@@ -289,6 +243,7 @@ const register = async (req, res) => {
         "userId": 1,
         "token": "abc123def456ghi789jkl012",
         "expiration": "2024-07-01T12:00:00.000Z"
+        "evictedDevices": ["ID_DISPOSITIU_Y"],     -> sessions closed to respect SESSION_MAX_DEVICES
         "user": { userData.!password }
     }
     - Error:
@@ -296,17 +251,23 @@ const register = async (req, res) => {
         "success": false,
         "code": 400,
         "status": "USER_LOGIN_FAILED",
-        "msg": { result_messages }
+        "msg": { result_messages },
+        "retryAfter": 900                   -> only LOGIN_TOO_MANY_ATTEMPTS (seconds, also in Retry-After)
     }
 
     Sequence:
     1. Validate input
         - if missing/invalid, return error LOGIN_MISSING_PARAMETERS
-    2. Retrieve user by email
-        - if not found, return error LOGIN_INVALID_CREDENTIALS
-    3. Compare password hashes
-        - if not match, return error LOGIN_INVALID_CREDENTIALS
+    2. Count the attempt as a failure of the email, device and IP before checking it (see services/loginAttempts.js)
+        - if any of them is locked, return error LOGIN_TOO_MANY_ATTEMPTS
+        - else wait longer the more failures they have
+    3. Retrieve user by email and compare password hashes
+        - if not found or not match, return error LOGIN_INVALID_CREDENTIALS
+          (LOGIN_TOO_MANY_ATTEMPTS if the attempt locked them)
+        - if match, forget the failures of the email and device
     4. Create new session
+        - the session of the same device is replaced
+        - if the user is over SESSION_MAX_DEVICES, the sessions used least recently are closed
     5. Return success response with user data and token
 */
 const login = async (req, res) => {
@@ -321,7 +282,15 @@ const login = async (req, res) => {
             return res.status(message.code).json(message);
         }
 
-        //// 2. Retrieve user by email
+        //// 2. Count the attempt
+
+        const attemptKeys = loginAttemptKeys('user', { account: email, device: deviceId, ip: req.ip });
+        const attempt = await countLoginAttempt(attemptKeys);
+
+        if (attempt.status === 'LOCKED') return sendTooManyAttempts(res, attempt.retry_after);
+        if (attempt.delay > 0) await wait(attempt.delay);
+
+        //// 3. Retrieve user by email and compare password hashes
 
         const { data: user, error: userError } = await supabase
             .from('users')
@@ -329,55 +298,22 @@ const login = async (req, res) => {
             .eq('email', email)
             .single();
 
-        if (userError) {
-            if (userError.code === 'PGRST116') {
-                // User not found
-                const message = getMessage('LOGIN_INVALID_CREDENTIALS');
-                return res.status(message.code).json(message);
-            } else {
-                throw userError;
-            }
-        }
+        if (userError && userError.code !== 'PGRST116') throw userError;
 
-        //// 3. Compare password hashes
+        // User not found or wrong password
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+            // The attempt was already counted as a failure: LOGIN_TOO_MANY_ATTEMPTS if it locked a key
+            if (attempt.retry_after) return sendTooManyAttempts(res, attempt.retry_after);
 
-        const passwordMatch = await bcrypt.compare(password, user.password);
-        if (!passwordMatch) {
             const message = getMessage('LOGIN_INVALID_CREDENTIALS');
             return res.status(message.code).json(message);
         }
 
-        //// 4. Create new session
-
-        // If a session for this [user, device] already exists, delete it first
-        const { error: deleteError } = await supabase
-            .from('sessions')
-            .delete()
-            .eq('user', user.id)
-            .eq('device', deviceId);
-
-        if (deleteError) throw deleteError;
-
-        // Create new session
-        const token = crypto.randomBytes(24).toString('hex');
-        const tokenHash = await bcrypt.hash(token, 12);
-        const createdAt = getTimestampFromDate(new Date());
-        const expiration = getTimestampFromDate(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)); // 7 days
+        await clearLoginFailures(attemptKeys);
 
-        const { data: newSession, error: sessionError } = await supabase
-            .from('sessions')
-            .insert({
-                user: user.id,
-                device: deviceId,
-                token: tokenHash,
-                created: createdAt,
-                last_use: createdAt,
-                expiration: expiration
-            })
-            .select('*')
-            .single();
+        //// 4. Create new session (replaces the one of the device, and closes the oldest ones over the limit)
 
-        if (sessionError) throw sessionError;
+        const { token, session: newSession, evicted } = await createSession(user.id, deviceId);
 
         //// 5. Return success response with user data and token
 
@@ -385,6 +321,7 @@ const login = async (req, res) => {
             userId: user.id,
             token: token,
             expiration: newSession.expiration,
+            evictedDevices: evicted,
             user: {
                 id: user.id,
                 name: user.name,
@@ -509,8 +446,8 @@ const checkSession = async (req, res) => {
         const { error: updateError } = await supabase
             .from('sessions')
             .update({ 
-                last_use: getTimestampFromDate(now), 
-                expiration: getTimestampFromDate(new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)) })
+                last_use: getTimestamp(now), 
+                expiration: getTimestamp(new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)) })
             .eq('user', userId)
             .eq('device', deviceId);
 
@@ -553,41 +490,295 @@ const checkSession = async (req, res) => {
 };
 
 
-//// UTILITY FUNCTIONS
+/* List the devices with a session of the user > GET: /auth/sessions (passenger)
+
+    Output:
+    body: {
+        "success": true,
+        "code": 200,
+        "status": "SESSIONS_FOUND",
+        "msg": { result_messages },
+        "maxDevices": 5,                    -> SESSION_MAX_DEVICES (0 = no limit)
+        "sessions": [
+            {
+                "device": "ID_DISPOSITIU_X",
+                "created": "2024-06-24T12:00:00",
+                "last_use": "2024-06-30T09:15:00",
+                "expiration": "2024-07-07T09:15:00",
+                "current": true             -> the device of the request
+            }
+        ]
+    }
+*/
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.auth.userId);
+
+        const message = getMessageWithData('SESSIONS_FOUND', {
+            maxDevices: getMaxDevices(),
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.device === req.auth.device
+            }))
+        });
+        return res.status(message.code).json(message);
+    } catch (error) {
+        console.error('List sessions error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error listing the sessions: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Close the session of one device of the user > DELETE: /auth/sessions/:device (passenger)
 
+    Output:
+    - Success: SESSION_REVOKED { device }
+    - Error: SESSION_NOT_FOUND (the user has no session on the device)
+*/
+const revokeSession = async (req, res) => {
+    try {
+        const { device } = req.params;
+        const result = await revokeUserSession(req.auth.userId, device);
 
-function getTimestampFromDate(date) {
-    return date.getFullYear() + '-' +
-                String(date.getMonth() + 1).padStart(2, '0') + '-' +
-                String(date.getDate()).padStart(2, '0') + 'T' +
-                String(date.getHours()).padStart(2, '0') + ':' +
-                String(date.getMinutes()).padStart(2, '0') + ':' +
-                String(date.getSeconds()).padStart(2, '0');
+        switch (result.status) {
+            case 'REVOKED': {
+                const message = getMessageWithData('SESSION_REVOKED', { device: device });
+                return res.status(message.code).json(message);
+            }
+            case 'NOT_FOUND': {
+                const message = getMessage('SESSION_NOT_FOUND');
+                return res.status(message.code).json(message);
+            }
+            default:
+                throw new Error(`Unexpected session revocation status: ${result.status}`);
+        }
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error closing the session: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
 };
 
-// Calculate the age on this exact day given a birthdate
-function yearsOldToday(birthdate) {
-    const now = new Date();
-    let age = now.getFullYear() - birthdate.getFullYear();
-    const monthDiff = now.getMonth() - birthdate.getMonth();
-    if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birthdate.getDate())) {
-        age--;
+/* Log out everywhere: close the sessions of every device of the user > DELETE: /auth/sessions (passenger)
+
+    Output:
+    - Success: SESSIONS_REVOKED { devices: ["ID_DISPOSITIU_X", ...] } (including the current one)
+*/
+const revokeAllSessions = async (req, res) => {
+    try {
+        const devices = await revokeSessions(req.auth.userId);
+
+        const message = getMessageWithData('SESSIONS_REVOKED', { devices: devices });
+        return res.status(message.code).json(message);
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error closing the sessions: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Close the session of the request > POST: /auth/logout (passenger)
+
+    Output:
+    - Success: LOGOUT_SUCCESS
+*/
+const logout = async (req, res) => {
+    try {
+        await revokeUserSession(req.auth.userId, req.auth.device);
+
+        const message = getMessage('LOGOUT_SUCCESS');
+        return res.status(message.code).json(message);
+    } catch (error) {
+        console.error('Logout error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during logout: ${error.message}`
+        });
+        return res.status(message.code).json(message);
     }
-    return age;
 };
 
-// Calculate the date before the birthday on which a certain years old will be reached
-function dayBeforeSpecificBirthday(birthdate, yearsOld) {
-    return new Date(
-        birthdate.getFullYear() + yearsOld,
-        birthdate.getMonth(),
-        birthdate.getDate() - 1
-    );
+
+/* Request a password reset > POST: /auth/forgot-password
+
+    Input:
+    body: {
+        "email": "usuari@example.com",
+        "language": "ca"                    // Optional: ca, en, es (default: Accept-Language, else ca)
+    }
+
+    Output:
+    - Success (also when there is no user with the email, so accounts can't be discovered):
+    body: {
+        "success": true,
+        "code": 200,
+        "status": "PASSWORD_RESET_REQUESTED",
+        "msg": { result_messages }
+    }
+    - Error:
+    body: {
+        "success": false,
+        "code": 400,
+        "status": "PASSWORD_RESET_MISSING_PARAMETERS",
+        "msg": { result_messages }
+    }
+    - PASSWORD_RESET_TOO_MANY_REQUESTS (429) { retryAfter } (seconds, also in Retry-After)
+
+    Sequence:
+    1. Validate input
+        - if missing, return error PASSWORD_RESET_MISSING_PARAMETERS
+    2. Count the request by email and IP (see services/loginAttempts.js)
+        - if any of them is locked, return error PASSWORD_RESET_TOO_MANY_REQUESTS
+    3. If a user has the email, replace its pending token with a new one and email it (see
+       services/mailer.js), before responding: the request is only done once the email is sent
+    4. Return PASSWORD_RESET_REQUESTED, whether the user exists or not
+*/
+const forgotPassword = async (req, res) => {
+    try {
+        const { email, language } = req.body;
+
+        //// 1. Validate input
+
+        if (!email) {
+            const message = getMessage('PASSWORD_RESET_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        //// 2. Count the request
+
+        const request = await countPasswordResetRequest(passwordResetKeys({ email: email, ip: req.ip }));
+
+        if (request.status === 'LOCKED') {
+            const message = getMessageWithData('PASSWORD_RESET_TOO_MANY_REQUESTS', { retryAfter: request.retry_after });
+            res.set('Retry-After', String(request.retry_after));
+            return res.status(message.code).json(message);
+        }
+
+        //// 3. Email a new token
+
+        const lang = resolveLanguage(language, req.get('Accept-Language'));
+        await requestPasswordReset(String(email), lang);
+
+        //// 4. Return the same response whether the user exists or not
+
+        const message = getMessage('PASSWORD_RESET_REQUESTED');
+        return res.status(message.code).json(message);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during password reset request: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Reset the password with the emailed token > POST: /auth/reset-password
+
+    Input:
+    body: {
+        "token": "abc123def456...",
+        "password": "novaContrassenyaSuperSecreta"
+    }
+
+    Output:
+    - Success:
+    body: {
+        "success": true,
+        "code": 200,
+        "status": "PASSWORD_RESET_SUCCESS",
+        "msg": { result_messages },
+        "sessions_closed": 2
+    }
+    - Error:
+    body: {
+        "success": false,
+        "code": 400,
+        "status": "PASSWORD_RESET_INVALID_TOKEN",
+        "msg": { result_messages }
+    }
+
+    Sequence:
+    1. Validate input
+        - if missing, return error PASSWORD_RESET_MISSING_PARAMETERS
+    2. Use the token (it can't be used again)
+        - if unknown or already used, return error PASSWORD_RESET_INVALID_TOKEN
+        - if expired, return error PASSWORD_RESET_EXPIRED_TOKEN
+    3. Hash and save the new password, and close the sessions of every device
+    4. Return success response (PASSWORD_RESET_SUCCESS)
+*/
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        //// 1. Validate input
+
+        if (!token || !password || typeof password !== 'string') {
+            const message = getMessage('PASSWORD_RESET_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        //// 2-3. Use the token and save the new password
+
+        const result = await resetUserPassword(String(token), password);
+
+        //// 4. Return response
+
+        switch (result.status) {
+            case 'RESET': {
+                const message = getMessageWithData('PASSWORD_RESET_SUCCESS', {
+                    sessions_closed: result.sessions_closed
+                });
+                return res.status(message.code).json(message);
+            }
+            case 'INVALID_TOKEN': {
+                const message = getMessage('PASSWORD_RESET_INVALID_TOKEN');
+                return res.status(message.code).json(message);
+            }
+            case 'EXPIRED_TOKEN': {
+                const message = getMessage('PASSWORD_RESET_EXPIRED_TOKEN');
+                return res.status(message.code).json(message);
+            }
+            default:
+                throw new Error(`Unexpected password reset status: ${result.status}`);
+        }
+    } catch (error) {
+        console.error('Reset password error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during password reset: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+
+//// UTILITY FUNCTIONS
+
+
+// Respond LOGIN_TOO_MANY_ATTEMPTS, with the seconds until the lock ends
+function sendTooManyAttempts(res, retryAfter) {
+    const message = getMessageWithData('LOGIN_TOO_MANY_ATTEMPTS', { retryAfter: retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(message.code).json(message);
+};
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 };
 
 
 export {
     register,
     login,
-    checkSession
+    checkSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    logout,
+    forgotPassword,
+    resetPassword
 };
\ No newline at end of file
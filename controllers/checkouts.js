@@ -0,0 +1,230 @@
+const supabase = require('../config/supabase');
+const {
+    createCheckout: startCheckout,
+    getCheckout,
+    confirmCheckout: confirmPayment,
+    cancelCheckout: cancelPayment
+} = require('../services/checkout');
+
+/*
+    Purchase of titles by the users (see services/checkout.js for the flow and the checkouts table).
+
+    1. POST /users/:id/checkouts { title }                      -> PENDING, priced, with the data to pay
+    2. POST /users/:id/checkouts/:checkoutId/confirm { ... }    -> COMPLETED: user_title + receipt
+                                                                   FAILED: declined, nothing created
+    -  POST /users/:id/checkouts/:checkoutId/cancel             -> CANCELLED
+    Checkouts not confirmed in CHECKOUT_TTL minutes expire (EXPIRED).
+*/
+
+
+// List checkouts of user > GET: /users/:id/checkouts
+// Most recent first
+const listCheckoutsForUser = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('checkouts')
+            .select('*')
+            .eq('user', id)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            user_id: id,
+            checkouts: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Get checkout of user > GET: /users/:id/checkouts/:checkoutId
+const getCheckoutForUser = async (req, res) => {
+    const { id, checkoutId } = req.params;
+    try {
+        const checkout = await getCheckout(id, checkoutId);
+
+        if (!checkout) {
+            return res.status(404).json({
+                success: false,
+                error: 'Checkout not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            checkout: checkout
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Create checkout of a title > POST: /users/:id/checkouts
+// { "title": 10 }
+const createCheckout = async (req, res) => {
+    const { id } = req.params;
+    const { title } = req.body;
+    try {
+        if (!title) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: title'
+            });
+        }
+
+        const result = await startCheckout(id, title);
+
+        switch (result.status) {
+            case 'CREATED':
+                return res.status(201).json({
+                    success: true,
+                    checkout: result.checkout,
+                    client_data: result.client_data
+                });
+            case 'USER_NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            case 'TITLE_NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Title not found'
+                });
+            case 'TITLE_NOT_AVAILABLE':
+                return res.status(409).json({
+                    success: false,
+                    error: 'Title not available for purchase'
+                });
+            case 'TITLE_NOT_ALLOWED':
+                return res.status(403).json({
+                    success: false,
+                    error: 'The groups of the user do not give access to the title'
+                });
+            case 'NOT_CONFIGURED':
+                return res.status(503).json({
+                    success: false,
+                    error: 'Payments are not configured'
+                });
+            default:
+                throw new Error(`Unexpected checkout status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Confirm the payment of a checkout > POST: /users/:id/checkouts/:checkoutId/confirm
+// Body: details of the payment for the provider (mock: { "payment_method": "mock_success" })
+const confirmCheckout = async (req, res) => {
+    const { id, checkoutId } = req.params;
+    try {
+        const result = await confirmPayment(id, checkoutId, req.body || {});
+
+        switch (result.status) {
+            case 'COMPLETED':
+                return res.status(201).json({
+                    success: true,
+                    checkout: result.checkout,
+                    user_title: result.user_title,
+                    receipt: result.receipt
+                });
+            case 'PENDING':
+            case 'PAID_NOT_ISSUED':
+                return res.status(202).json({
+                    success: true,
+                    checkout: result.checkout
+                });
+            case 'FAILED':
+                return res.status(402).json({
+                    success: false,
+                    error: result.reason,
+                    checkout: result.checkout
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Checkout not found'
+                });
+            case 'EXPIRED':
+                return res.status(410).json({
+                    success: false,
+                    error: 'Checkout expired',
+                    checkout: result.checkout
+                });
+            case 'NOT_PENDING':
+                return res.status(409).json({
+                    success: false,
+                    error: `Checkout is ${result.checkout.status}`,
+                    checkout: result.checkout
+                });
+            case 'NOT_CONFIGURED':
+                return res.status(503).json({
+                    success: false,
+                    error: 'Payments are not configured'
+                });
+            default:
+                throw new Error(`Unexpected checkout status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Cancel a checkout > POST: /users/:id/checkouts/:checkoutId/cancel
+const cancelCheckout = async (req, res) => {
+    const { id, checkoutId } = req.params;
+    try {
+        const result = await cancelPayment(id, checkoutId);
+
+        switch (result.status) {
+            case 'CANCELLED':
+                return res.status(200).json({
+                    success: true,
+                    checkout: result.checkout
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Checkout not found'
+                });
+            case 'NOT_PENDING':
+                return res.status(409).json({
+                    success: false,
+                    error: `Checkout is ${result.checkout.status}`,
+                    checkout: result.checkout
+                });
+            default:
+                throw new Error(`Unexpected checkout status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+module.exports = {
+    listCheckoutsForUser,       // GET      : /users/:id/checkouts
+    getCheckoutForUser,         // GET      : /users/:id/checkouts/:checkoutId
+    createCheckout,             // POST     : /users/:id/checkouts
+    confirmCheckout,            // POST     : /users/:id/checkouts/:checkoutId/confirm
+    cancelCheckout              // POST     : /users/:id/checkouts/:checkoutId/cancel
+};
@@ -0,0 +1,182 @@
+const e = require('express');
+const supabase = require('../config/supabase');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+/*
+    Gates:
+    - id (PK, UQ)               - text (device id of the gate)
+    - station (FK -> stations)  - int8
+    - token                     - text (hashed)
+    - created                   - timestamp
+    - last_use                  - timestamp
+
+    Gates authenticate with their id as device id and their token as bearer token
+    (see middleware/auth.js). The token is only returned when it is generated.
+
+    Format to use:
+    {
+        id: "GATE_ID",
+        station: 10,
+        created: "2024-07-01T12:00:00",
+        last_use: "2024-07-01T12:00:00"
+    }
+*/
+
+// Get all gates > GET: /gates
+const getAllGates = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('gates')
+            .select('id, station, created, last_use');
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            gates: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Register new gate > POST: /gates
+// { "id": "GATE_ID", "station": 10 } -> returns the gate token (only time it is shown)
+const createGate = async (req, res) => {
+    const { id, station } = req.body;
+    try {
+        if (!id || station === undefined || station === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: id, station'
+            });
+        }
+
+        // Check if gate with same id already exists
+        const { data: existingGate, error: fetchError } = await supabase
+            .from('gates')
+            .select('id')
+            .eq('id', id)
+            .single();
+
+        if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+
+        if (existingGate) {
+            return res.status(400).json({
+                success: false,
+                error: 'Gate with this ID already exists'
+            });
+        }
+
+        // Check if station exists
+        const { data: stationData, error: stationError } = await supabase
+            .from('stations')
+            .select('id')
+            .eq('id', station)
+            .single();
+
+        if (stationError || !stationData) {
+            return res.status(404).json({
+                success: false,
+                error: 'Station not found'
+            });
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const tokenHash = await bcrypt.hash(token, 12);
+
+        const { data, error } = await supabase
+            .from('gates')
+            .insert([{ id, station, token: tokenHash, created: new Date().toISOString() }])
+            .select('id, station, created, last_use')
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json({
+            success: true,
+            gate: data,
+            token: token
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Replace the token of a gate > POST: /gates/:id/token
+// The old token stops working immediately
+const regenerateGateToken = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+        const tokenHash = await bcrypt.hash(token, 12);
+
+        const { data, error } = await supabase
+            .from('gates')
+            .update({ token: tokenHash })
+            .eq('id', id)
+            .select('id, station, created, last_use')
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Gate not found'
+                });
+            }
+            throw error;
+        }
+
+        res.status(200).json({
+            success: true,
+            gate: data,
+            token: token
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Delete gate > DELETE: /gates/:id
+const deleteGate = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('gates')
+            .delete()
+            .eq('id', id)
+            .select('id, station, created, last_use')
+            .single();
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            gate: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+module.exports = {
+    getAllGates,            // GET      : /gates
+    createGate,             // POST     : /gates
+    regenerateGateToken,    // POST     : /gates/:id/token
+    deleteGate              // DELETE   : /gates/:id
+};
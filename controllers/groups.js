@@ -7,6 +7,8 @@ const supabase = require('../config/supabase');
     - name          - varchar
     - description   - varchar
     - expiration    - int8 (number of days) [null = never expires or other special case]
+    - required_evidence - text[] (types of the documents a request for the group needs, e.g. 'family_card')
+                          [empty = no documents needed]
 
 */
 
@@ -62,9 +64,16 @@ const getGroupById = async (req, res) => {
 
 // Create new group > POST: /groups
 const createGroup = async (req, res) => {
-    const { id, name, description, expiration } = req.body;
+    const { id, name, description, expiration, required_evidence } = req.body;
     let newId;
     try {
+        if (required_evidence !== undefined && !isEvidenceList(required_evidence)) {
+            return res.status(400).json({
+                success: false,
+                error: 'required_evidence must be an array of evidence types (non-empty strings)'
+            });
+        }
+
         // If id is provided, check if it already exists
         if (id) {
             const { data: existingGroup, error: fetchError } = await supabase
@@ -117,7 +126,13 @@ const createGroup = async (req, res) => {
 
         const { data, error } = await supabase
             .from('groups')
-            .insert([{ id: finalId, name, description, expiration: finalExpiration }])
+            .insert([{
+                id: finalId,
+                name,
+                description,
+                expiration: finalExpiration,
+                required_evidence: required_evidence || []
+            }])
             .select('*')
             .single();
 
@@ -140,8 +155,15 @@ const createGroup = async (req, res) => {
 // Update group by ID > PUT: /groups/:id
 const updateGroup = async (req, res) => {
     const { id } = req.params;
-    const { name, description, expiration } = req.body;
+    const { name, description, expiration, required_evidence } = req.body;
     try {
+        if (required_evidence !== undefined && !isEvidenceList(required_evidence)) {
+            return res.status(400).json({
+                success: false,
+                error: 'required_evidence must be an array of evidence types (non-empty strings)'
+            });
+        }
+
         let finalExpiration = expiration;
         if (expiration === undefined || expiration === null || expiration === "null"
             || expiration === 0 || expiration === '0'
@@ -151,7 +173,12 @@ const updateGroup = async (req, res) => {
 
         const { data, error } = await supabase
             .from('groups')
-            .update({ name, description, expiration: finalExpiration })
+            .update({
+                name,
+                description,
+                expiration: finalExpiration,
+                required_evidence: required_evidence === null ? [] : required_evidence
+            })
             .eq('id', id)
             .select('*')
             .single();
@@ -199,6 +226,16 @@ const deleteGroup = async (req, res) => {
     }
 };
 
+
+//// LOCAL FUNCTIONS
+
+
+function isEvidenceList(value) {
+    return value === null || (Array.isArray(value)
+        && value.every(type => typeof type === 'string' && type.trim() !== ''));
+};
+
+
 module.exports = {
     getAllGroups,       // GET      : /groups
     getGroupById,       // GET      : /groups/:id
@@ -0,0 +1,285 @@
+const supabase = require('../config/supabase');
+const bcrypt = require('bcrypt');
+const { changePassword: changeUserPassword, deleteUserAccount } = require('../services/accounts');
+const { issueQrToken } = require('../services/qrTokens');
+
+/*
+    Account of the passenger of the session (req.auth.userId, see middleware/auth.js).
+
+    - GET /me                   -> profile (users row without the password)
+    - PUT /me                   -> name, surname, email, phone
+                                   (gov_id and birthdate can only be changed by an admin, PUT /users/:id)
+    - PUT /me/password          -> needs the current password, closes the sessions of the other devices
+    - DELETE /me                -> needs the password, GDPR deletion (see services/accounts.js)
+    - POST /me/qr-token         -> short-lived token of the virtual suport, shown as a QR code at the
+                                   gates (see services/qrTokens.js)
+*/
+
+// Fields a passenger can change in its profile
+const PROFILE_FIELDS = ['name', 'surname', 'email', 'phone'];
+
+// Fields only admins can change
+const ADMIN_FIELDS = ['gov_id', 'birthdate', 'password', 'id'];
+
+
+// Get the profile of the session user > GET: /me
+const getProfile = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', req.auth.userId)
+            .single();
+
+        if (error) throw error;
+
+        const { password, ...user } = data;
+
+        res.status(200).json({
+            success: true,
+            user: user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/* Update the profile of the session user > PUT: /me
+
+    {
+        "name": "John",                 // Optional
+        "surname": "Doe",               // Optional
+        "email": "john@example.com",    // Optional
+        "phone": "+123456789"           // Optional
+    }
+*/
+const updateProfile = async (req, res) => {
+    const body = req.body || {};
+    try {
+        const forbidden = ADMIN_FIELDS.filter(field => body[field] !== undefined);
+        if (forbidden.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `These fields can't be changed here: ${forbidden.join(', ')}. The password is changed with PUT /me/password.`
+            });
+        }
+
+        const updateFields = {};
+        for (const field of PROFILE_FIELDS) {
+            if (body[field] === undefined) continue;
+
+            if (typeof body[field] !== 'string' || body[field].trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a non-empty string.`
+                });
+            }
+            updateFields[field] = body[field].trim();
+        }
+
+        if (Object.keys(updateFields).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Nothing to update. Allowed fields: ${PROFILE_FIELDS.join(', ')}.`
+            });
+        }
+
+        if (updateFields.email !== undefined) {
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(updateFields.email)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid email.'
+                });
+            }
+
+            // Check if the email is used by another user
+            const { data: existingUser, error: existingError } = await supabase
+                .from('users')
+                .select('id')
+                .eq('email', updateFields.email)
+                .neq('id', req.auth.userId)
+                .single();
+
+            if (existingError && existingError.code !== 'PGRST116') throw existingError;
+
+            if (existingUser) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The email is already used by another user'
+                });
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('users')
+            .update(updateFields)
+            .eq('id', req.auth.userId)
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        const { password, ...user } = data;
+
+        res.status(200).json({
+            success: true,
+            user: user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Change the password of the session user > PUT: /me/password
+// { "old_password": "...", "new_password": "..." } -> the other devices have to log in again
+const changePassword = async (req, res) => {
+    const { old_password, new_password } = req.body || {};
+    try {
+        if (!old_password || !new_password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: old_password, new_password'
+            });
+        }
+
+        if (typeof new_password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'new_password must be a string.'
+            });
+        }
+
+        const result = await changeUserPassword(req.auth.userId, req.auth.device, String(old_password), new_password);
+
+        switch (result.status) {
+            case 'CHANGED':
+                return res.status(200).json({
+                    success: true,
+                    sessions_closed: result.sessions_closed
+                });
+            case 'WRONG_PASSWORD':
+                return res.status(403).json({
+                    success: false,
+                    error: 'The current password is not correct'
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            default:
+                throw new Error(`Unexpected password change status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Delete the account of the session user > DELETE: /me
+// { "password": "..." } -> trips, invoices and title history are kept anonymised
+const deleteAccount = async (req, res) => {
+    const { password } = req.body || {};
+    try {
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: password'
+            });
+        }
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('password')
+            .eq('id', req.auth.userId)
+            .single();
+
+        if (userError) throw userError;
+
+        if (!(await bcrypt.compare(String(password), user.password))) {
+            return res.status(403).json({
+                success: false,
+                error: 'The password is not correct'
+            });
+        }
+
+        const result = await deleteUserAccount(req.auth.userId);
+
+        switch (result.status) {
+            case 'DELETED':
+                return res.status(200).json({
+                    success: true,
+                    anonymised: {
+                        validations: result.validations,
+                        receipts: result.receipts,
+                        user_titles: result.user_titles
+                    }
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            default:
+                throw new Error(`Unexpected account deletion status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Issue a QR token for the device of the session > POST: /me/qr-token
+// The app asks for a new one before the expiration of the current one
+const createQrToken = async (req, res) => {
+    try {
+        const result = await issueQrToken(req.auth.userId, req.auth.device);
+
+        switch (result.status) {
+            case 'ISSUED':
+                return res.status(200).json({
+                    success: true,
+                    token: result.token,
+                    suport: result.suport,
+                    expiration: result.expiration
+                });
+            case 'NO_SESSION':
+                return res.status(401).json({
+                    success: false,
+                    error: 'The session of this device is closed'
+                });
+            case 'NOT_CONFIGURED':
+                return res.status(503).json({
+                    success: false,
+                    error: 'QR tokens are not configured'
+                });
+            default:
+                throw new Error(`Unexpected QR token status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+module.exports = {
+    getProfile,         // GET      : /me
+    updateProfile,      // PUT      : /me
+    changePassword,     // PUT      : /me/password
+    deleteAccount,      // DELETE   : /me
+    createQrToken       // POST     : /me/qr-token
+};
@@ -0,0 +1,242 @@
+const supabase = require('../config/supabase');
+const { checkPricingRule } = require('../services/pricing');
+
+/*
+    Pricing rules: discounts of the groups on the titles (see services/pricing.js for the table,
+    how the rules apply and how they stack).
+*/
+
+// Fields of a rule that can be written
+const RULE_FIELDS = ['name', 'group', 'title', 'type', 'value', 'valid_from', 'valid_until', 'stackable', 'priority'];
+
+
+// Get all pricing rules > GET: /pricing_rules
+// Optional filters: ?group=<group_id>&title=<title_id>
+const getAllPricingRules = async (req, res) => {
+    const { group, title } = req.query;
+    try {
+        let query = supabase
+            .from('pricing_rules')
+            .select('*')
+            .order('id', { ascending: true });
+
+        if (group) query = query.eq('group', group);
+        if (title) query = query.eq('title', title);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            pricing_rules: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Get pricing rule by id > GET: /pricing_rules/:id
+const getPricingRuleById = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('pricing_rules')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Pricing rule not found'
+                });
+            }
+            throw error;
+        }
+
+        res.status(200).json({
+            success: true,
+            pricing_rule: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Create pricing rule > POST: /pricing_rules
+/*
+    {
+        "name": "Jove",
+        "group": 30,
+        "title": 10,                            -> null or missing: every title
+        "type": "percentage",                   -> "percentage" or "fixed"
+        "value": 50,
+        "valid_from": "2026-01-01T00:00:00",    -> optional
+        "valid_until": "2026-12-31T23:59:59",   -> optional
+        "stackable": false,                     -> optional (default false)
+        "priority": 1                           -> optional
+    }
+*/
+const createPricingRule = async (req, res) => {
+    const rule = pickRuleFields(req.body);
+    try {
+        if (!rule.name || !rule.group) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: name, group, type, value'
+            });
+        }
+
+        const ruleError = checkPricingRule(rule);
+        if (ruleError) {
+            return res.status(400).json({
+                success: false,
+                error: ruleError
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('pricing_rules')
+            .insert({
+                title: null,
+                valid_from: null,
+                valid_until: null,
+                stackable: false,
+                priority: null,
+                ...rule
+            })
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json({
+            success: true,
+            pricing_rule: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Update pricing rule > PUT: /pricing_rules/:id
+// Any of the fields of POST /pricing_rules
+const updatePricingRule = async (req, res) => {
+    const { id } = req.params;
+    const updates = pickRuleFields(req.body);
+    try {
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No fields to update'
+            });
+        }
+
+        const { data: existing, error: existingError } = await supabase
+            .from('pricing_rules')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (existingError) {
+            if (existingError.code === 'PGRST116') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Pricing rule not found'
+                });
+            }
+            throw existingError;
+        }
+
+        // Check the rule as it will be stored
+        const ruleError = checkPricingRule({ ...existing, ...updates });
+        if (ruleError) {
+            return res.status(400).json({
+                success: false,
+                error: ruleError
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('pricing_rules')
+            .update(updates)
+            .eq('id', id)
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            pricing_rule: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Delete pricing rule > DELETE: /pricing_rules/:id
+const deletePricingRule = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('pricing_rules')
+            .delete()
+            .eq('id', id)
+            .select('*');
+
+        if (error) throw error;
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pricing rule not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            pricing_rule: data[0]
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+function pickRuleFields(body) {
+    const rule = {};
+    for (const field of RULE_FIELDS) {
+        if (body[field] !== undefined) rule[field] = body[field];
+    }
+    return rule;
+};
+
+
+module.exports = {
+    getAllPricingRules,     // GET      : /pricing_rules
+    getPricingRuleById,     // GET      : /pricing_rules/:id
+    createPricingRule,      // POST     : /pricing_rules
+    updatePricingRule,      // PUT      : /pricing_rules/:id
+    deletePricingRule       // DELETE   : /pricing_rules/:id
+};
@@ -1,5 +1,10 @@
 const e = require('express');
 const supabase = require('../config/supabase');
+const crypto = require('crypto');
+const { calculateGroupExpiration } = require('../services/groupMembership');
+const { isAgeGroup } = require('../services/ageGroups');
+const { getDefaultStorage, getStorageBackend } = require('../services/documentStorage');
+const { getTimestamp } = require('../utils/time');
 
 /*
     Requests:
@@ -9,11 +14,38 @@ const supabase = require('../config/supabase');
     - group         - int8 (FK -> groups.id)
     - evaluated     - boolean
     - evaluated_at  - timestamp [null = not evaluated yet]
-    - evaluated_by  - string (UUID) (FK -> users.id) [null = not evaluated yet]
+    - evaluated_by  - string (UUID) (FK -> users_admin.id) [null = not evaluated yet]
     - approved      - boolean [null = not evaluated yet]
+    - rejection_reason - text [null = not rejected] (shown to the user)
+    > Only one pending request per [user, group] pair, and not for groups the user is already in
 
+    Request_documents:
+    - id (PK, UQ)                       - int8 (auto)
+    - request (FK -> requests.id)       - string (UUID)
+    - type                              - varchar (one of groups.required_evidence)
+    - filename                          - varchar
+    - content_type                      - varchar
+    - size                              - int8 (bytes)
+    - storage                           - varchar (backend, see services/documentStorage.js)
+    - storage_key                       - varchar
+    - uploaded_at                       - timestamp
+    - annotation                        - text [null = no annotation] (reviewers only)
+    - annotated_by (FK -> users_admin.id) - string (UUID)
+    - annotated_at                      - timestamp
+    > Evidence of the request: every type in groups.required_evidence needs at least one document
+
+    Evaluating a request is final: an approved request enrols the user in the group (user_groups)
+    and both outcomes notify the user (notifications, see controllers/users.js)
 */
 
+
+// Columns of request_documents that can be returned (the storage location is internal)
+const DOCUMENT_COLUMNS = 'id, request, type, filename, content_type, size, uploaded_at, annotation, annotated_by, annotated_at';
+
+// Accepted documents
+const DOCUMENT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const DOCUMENT_MAX_BYTES = (parseInt(process.env.DOCUMENTS_MAX_SIZE) || 5 * 1024 * 1024);
+
 // Get all requests > GET: /requests
 const getAllRequests = async (req, res) => {
     try {
@@ -51,9 +83,44 @@ const getRequestById = async (req, res) => {
             throw error;
         }
 
+        const { data: documents, error: documentsError } = await supabase
+            .from('request_documents')
+            .select(DOCUMENT_COLUMNS)
+            .eq('request', id)
+            .order('id', { ascending: true });
+
+        if (documentsError) throw documentsError;
+
+        res.status(200).json({
+            success: true,
+            request: data,
+            documents: documents
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Get requests of a user > GET: /users/:id/requests
+// Most recent first, with the rejection reasons (without the annotations of the reviewers)
+const getRequestsForUser = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('requests')
+            .select('*')
+            .eq('user', id)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
         res.status(200).json({
             success: true,
-            request: data
+            user_id: id,
+            requests: data
         });
     } catch (error) {
         res.status(500).json({
@@ -64,40 +131,156 @@ const getRequestById = async (req, res) => {
 };
 
 // Create new request > POST: /requests
+// Rejected if the user already has a pending request for the group, or is already in it
 const createRequest = async (req, res) => {
     /*
         Expected body:
         {
             "user": int8,
-            "group": int8
+            "group": int8,
+            "documents": [                      -> one per evidence type required by the group (at least)
+                {
+                    "type": "family_card",      -> one of groups.required_evidence
+                    "filename": "carnet.pdf",
+                    "content_type": "application/pdf",
+                    "data": "<base64>"
+                }
+            ]
         }
     */
-    const { user, group } = req.body;
+    const { user, group, documents = [] } = req.body;
+    let request = null;
+    const storedKeys = [];
     try {
-        const ct = new Date();
-        const currentTime = ct.getFullYear() + '-' +
-            String(ct.getMonth() + 1).padStart(2, '0') + '-' +
-            String(ct.getDate()).padStart(2, '0') + ' ' +
-            String(ct.getHours()).padStart(2, '0') + ':' +
-            String(ct.getMinutes()).padStart(2, '0') + ':' +
-            String(ct.getSeconds()).padStart(2, '0');
+        if (!user || !group) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: user, group'
+            });
+        }
+
+        const { data: groupData, error: groupError } = await supabase
+            .from('groups')
+            .select('id, required_evidence')
+            .eq('id', group)
+            .single();
+
+        if (groupError) {
+            if (groupError.code === 'PGRST116') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Group ${group} not found`
+                });
+            }
+            throw groupError;
+        }
+
+        // Age groups follow the age of the user (see services/ageGroups.js)
+        if (isAgeGroup(group)) {
+            return res.status(400).json({
+                success: false,
+                error: `Group ${group} is an age group, it can't be requested`
+            });
+        }
+
+        const parsed = parseDocuments(documents, groupData.required_evidence || []);
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const { data: pending, error: pendingError } = await supabase
+            .from('requests')
+            .select('id')
+            .eq('user', user)
+            .eq('group', group)
+            .is('evaluated_at', null);
+
+        if (pendingError) throw pendingError;
+
+        if (pending.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `User ${user} already has a pending request for group ${group}`
+            });
+        }
+
+        const { data: membership, error: membershipError } = await supabase
+            .from('user_groups')
+            .select('group')
+            .eq('user', user)
+            .eq('group', group);
+
+        if (membershipError) throw membershipError;
+
+        if (membership.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `User ${user} is already in group ${group}`
+            });
+        }
+
+        const now = getTimestamp(new Date());
 
         const { data, error } = await supabase
             .from('requests')
             .insert([
-                { user, group, created_at: currentTime }
+                { user, group, created_at: now, evaluated: false }
             ])
+            .select('*')
             .single();
 
         if (error) {
             throw error;
         }
 
+        request = data;
+
+        // Store the documents, then record them
+        const storage = getDefaultStorage();
+        const backend = getStorageBackend(storage);
+        const rows = [];
+
+        for (const document of parsed.documents) {
+            const key = `requests/${request.id}/${crypto.randomBytes(16).toString('hex')}`;
+            await backend.put(key, document.buffer, document.content_type);
+            storedKeys.push(key);
+
+            rows.push({
+                request: request.id,
+                type: document.type,
+                filename: document.filename,
+                content_type: document.content_type,
+                size: document.buffer.length,
+                storage: storage,
+                storage_key: key,
+                uploaded_at: now
+            });
+        }
+
+        let storedDocuments = [];
+        if (rows.length > 0) {
+            const { data: documentsData, error: documentsError } = await supabase
+                .from('request_documents')
+                .insert(rows)
+                .select(DOCUMENT_COLUMNS);
+
+            if (documentsError) throw documentsError;
+
+            storedDocuments = documentsData;
+        }
+
         res.status(201).json({
             success: true,
-            request: data
+            request: request,
+            documents: storedDocuments
         });
     } catch (error) {
+        // Undo the request and its stored documents
+        if (request) await discardRequest(request.id, storedKeys);
+
         res.status(500).json({
             success: false,
             error: error.message
@@ -106,38 +289,86 @@ const createRequest = async (req, res) => {
 };
 
 // Approve request by ID > PUT: /requests/:id/approve
+// Enrols the user in the group (same expiration as POST /users/:id/groups) and notifies them
 const approveRequest = async (req, res) => {
+    return evaluateRequest(req, res, true);
+};
+
+// Reject request by ID > PUT: /requests/:id/reject
+// { "reason": "..." } -> stored in rejection_reason and shown to the user. Notifies the user
+const rejectRequest = async (req, res) => {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required field: reason'
+        });
+    }
+
+    return evaluateRequest(req, res, false, reason.trim());
+};
+
+// List the documents of a request > GET: /requests/:id/documents
+const listRequestDocuments = async (req, res) => {
     const { id } = req.params;
-    const { evaluated_by } = req.body; // ID of the user who evaluates
     try {
-        const ct = new Date();
-        const evaluatedAt = ct.getFullYear() + '-' +
-            String(ct.getMonth() + 1).padStart(2, '0') + '-' +
-            String(ct.getDate()).padStart(2, '0') + ' ' +
-            String(ct.getHours()).padStart(2, '0') + ':' +
-            String(ct.getMinutes()).padStart(2, '0') + ':' +
-            String(ct.getSeconds()).padStart(2, '0');
-
         const { data, error } = await supabase
-            .from('requests')
-            .update({
-                evaluated: true,
-                evaluated_at: evaluatedAt,
-                evaluated_by: evaluated_by,
-                approved: true
-            })
-            .eq('id', id)
+            .from('request_documents')
+            .select(DOCUMENT_COLUMNS)
+            .eq('request', id)
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            request_id: id,
+            documents: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Download a document of a request > GET: /requests/:id/documents/:documentId
+// Responds with the file itself (Content-Type of the document, as an attachment)
+const downloadRequestDocument = async (req, res) => {
+    const { id, documentId } = req.params;
+    try {
+        const { data: document, error } = await supabase
+            .from('request_documents')
             .select('*')
+            .eq('id', documentId)
+            .eq('request', id)
             .single();
 
         if (error) {
+            if (error.code === 'PGRST116' || error.code === '22P02') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
             throw error;
         }
 
-        res.status(200).json({
-            success: true,
-            request: data
+        const content = await getStorageBackend(document.storage).get(document.storage_key);
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document content not found in storage'
+            });
+        }
+
+        res.set({
+            'Content-Type': document.content_type,
+            'Content-Length': content.length,
+            'Content-Disposition': `attachment; filename="${document.filename.replace(/["\\\r\n]/g, '_')}"`
         });
+        res.status(200).send(content);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -146,39 +377,124 @@ const approveRequest = async (req, res) => {
     }
 };
 
-// Reject request by ID > PUT: /requests/:id/reject
-const rejectRequest = async (req, res) => {
-    const { id } = req.params;
-    const { evaluated_by } = req.body; // ID of the user who evaluates
+// Annotate a document of a request > PUT: /requests/:id/documents/:documentId/annotation
+// { "annotation": "..." } (null removes it). Only visible to reviewers
+const annotateRequestDocument = async (req, res) => {
+    const { id, documentId } = req.params;
+    const { annotation } = req.body;
     try {
-        const ct = new Date();
-        const evaluatedAt = ct.getFullYear() + '-' +
-            String(ct.getMonth() + 1).padStart(2, '0') + '-' +
-            String(ct.getDate()).padStart(2, '0') + ' ' +
-            String(ct.getHours()).padStart(2, '0') + ':' +
-            String(ct.getMinutes()).padStart(2, '0') + ':' +
-            String(ct.getSeconds()).padStart(2, '0');
+        if (annotation === undefined || (annotation !== null && typeof annotation !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: annotation (string or null)'
+            });
+        }
 
         const { data, error } = await supabase
-            .from('requests')
+            .from('request_documents')
             .update({
-                evaluated: true,
-                evaluated_at: evaluatedAt,
-                evaluated_by: evaluated_by,
-                approved: false
+                annotation: annotation,
+                annotated_by: annotation === null ? null : req.auth.adminId,
+                annotated_at: annotation === null ? null : getTimestamp(new Date())
             })
-            .eq('id', id)
+            .eq('id', documentId)
+            .eq('request', id)
+            .select(DOCUMENT_COLUMNS);
+
+        if (error) throw error;
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            document: data[0]
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+/*
+    Evaluate a request (approve or reject) atomically, see database/functions/evaluate_request.sql
+    - 404: the request doesn't exist
+    - 409: the request was already evaluated, or (approving) the user is already in the group
+*/
+async function evaluateRequest(req, res, approved, reason = null) {
+    const { id } = req.params;
+    const evaluated_by = req.auth.adminId; // Admin who evaluates (session of the request)
+    try {
+        const { data: request, error: requestError } = await supabase
+            .from('requests')
             .select('*')
+            .eq('id', id)
             .single();
 
+        if (requestError) {
+            if (requestError.code === 'PGRST116' || requestError.code === '22P02') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Request not found'
+                });
+            }
+            throw requestError;
+        }
+
+        if (request.evaluated) {
+            return alreadyEvaluated(res, request);
+        }
+
+        const now = new Date();
+        const expiration = approved ? await calculateGroupExpiration(request.user, request.group, now) : null;
+
+        const { data, error } = await supabase.rpc('evaluate_request', {
+            p_request: id,
+            p_admin: evaluated_by,
+            p_evaluated_at: getTimestamp(now),
+            p_approved: approved,
+            p_expiration: expiration,
+            p_reason: reason
+        });
+
         if (error) {
             throw error;
         }
 
-        res.status(200).json({
-            success: true,
-            request: data
-        });
+        switch (data.status) {
+            case 'EVALUATED':
+                return res.status(200).json({
+                    success: true,
+                    request: data.request,
+                    user_group: data.user_group,
+                    notification: data.notification
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Request not found'
+                });
+            case 'ALREADY_EVALUATED':
+                return alreadyEvaluated(res, data.request);
+            case 'ALREADY_MEMBER':
+                return res.status(409).json({
+                    success: false,
+                    error: `User ${data.request.user} is already in group ${data.request.group}`,
+                    request: data.request
+                });
+            default:
+                throw new Error(`Unexpected evaluation status: ${data.status}`);
+        }
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -187,11 +503,91 @@ const rejectRequest = async (req, res) => {
     }
 };
 
+/*
+    Decode and check the documents of a new request against the evidence required by the group
+    Returns { documents: [{ type, filename, content_type, buffer }, ...] } or { error: <message> }
+*/
+function parseDocuments(documents, requiredEvidence) {
+    if (!Array.isArray(documents)) {
+        return { error: 'documents must be an array' };
+    }
+
+    const parsed = [];
+    for (const [index, document] of documents.entries()) {
+        const { type, filename, content_type, data } = document || {};
+
+        if (!type || !filename || !content_type || typeof data !== 'string') {
+            return { error: `Document ${index}: missing required fields: type, filename, content_type, data` };
+        }
+        if (!requiredEvidence.includes(type)) {
+            return { error: `Document ${index}: evidence type ${type} is not required by the group (${requiredEvidence.join(', ') || 'none'})` };
+        }
+        if (!DOCUMENT_CONTENT_TYPES.includes(content_type)) {
+            return { error: `Document ${index}: content type must be one of ${DOCUMENT_CONTENT_TYPES.join(', ')}` };
+        }
+
+        const buffer = Buffer.from(data, 'base64');
+        if (buffer.length === 0) {
+            return { error: `Document ${index}: data is empty or not base64` };
+        }
+        if (buffer.length > DOCUMENT_MAX_BYTES) {
+            return { error: `Document ${index}: larger than ${DOCUMENT_MAX_BYTES} bytes` };
+        }
+
+        parsed.push({ type, filename: String(filename), content_type, buffer });
+    }
+
+    const missing = requiredEvidence.filter(type => !parsed.some(document => document.type === type));
+    if (missing.length > 0) {
+        return { error: `Missing evidence documents: ${missing.join(', ')}` };
+    }
+
+    return { documents: parsed };
+};
+
+// Delete a request that could not be completed, with its documents (errors are only logged)
+async function discardRequest(requestId, storedKeys) {
+    try {
+        const backend = getStorageBackend();
+        for (const key of storedKeys) {
+            await backend.remove(key);
+        }
+
+        const { error: documentsError } = await supabase
+            .from('request_documents')
+            .delete()
+            .eq('request', requestId);
+
+        if (documentsError) throw documentsError;
+
+        const { error: requestError } = await supabase
+            .from('requests')
+            .delete()
+            .eq('id', requestId);
+
+        if (requestError) throw requestError;
+    } catch (error) {
+        console.error('Request cleanup error:', error);
+    }
+};
+
+function alreadyEvaluated(res, request) {
+    return res.status(409).json({
+        success: false,
+        error: `Request already ${request.approved ? 'approved' : 'rejected'} at ${request.evaluated_at}`,
+        request: request
+    });
+};
 
 module.exports = {
-    getAllRequests,     // GET      : /requests
-    getRequestById,     // GET      : /requests/:id
-    createRequest,      // POST     : /requests
-    approveRequest,     // PUT      : /requests/:id/approve
-    rejectRequest       // PUT      : /requests/:id/reject
+    getAllRequests,             // GET      : /requests
+    getRequestById,             // GET      : /requests/:id
+    getRequestsForUser,         // GET      : /users/:id/requests
+    createRequest,              // POST     : /requests
+    approveRequest,             // PUT      : /requests/:id/approve
+    rejectRequest,              // PUT      : /requests/:id/reject
+
+    listRequestDocuments,       // GET      : /requests/:id/documents
+    downloadRequestDocument,    // GET      : /requests/:id/documents/:documentId
+    annotateRequestDocument     // PUT      : /requests/:id/documents/:documentId/annotation
 };
\ No newline at end of file
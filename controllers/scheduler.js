@@ -0,0 +1,103 @@
+const { isJob, runJob, listJobs, listJobRuns } = require('../services/scheduler');
+
+/*
+    Maintenance jobs of the scheduler (see services/scheduler.js for the jobs and the job_runs table).
+
+    - GET /scheduler/jobs                   -> jobs, their interval and their last run
+    - GET /scheduler/runs?job=&limit=       -> log of the runs, most recent first
+    - POST /scheduler/jobs/:job/run         -> run a job now (e.g. from an external cron)
+*/
+
+
+// List scheduler jobs > GET: /scheduler/jobs
+const getSchedulerJobs = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            jobs: await listJobs()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// List runs of the scheduler jobs > GET: /scheduler/runs
+// ?job=purge_sessions (optional) &limit=50 (optional, max 500)
+const getSchedulerRuns = async (req, res) => {
+    const { job, limit } = req.query;
+    try {
+        if (job !== undefined && !isJob(job)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const parsedLimit = limit !== undefined ? parseInt(limit) : 50;
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 500) {
+            return res.status(400).json({
+                success: false,
+                error: 'limit must be an integer between 1 and 500.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            runs: await listJobRuns({ job: job || null, limit: parsedLimit })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Run a scheduler job now > POST: /scheduler/jobs/:job/run
+const runSchedulerJob = async (req, res) => {
+    const { job } = req.params;
+    try {
+        const result = await runJob(job, 'manual');
+
+        switch (result.status) {
+            case 'SUCCEEDED':
+                return res.status(200).json({
+                    success: true,
+                    run: result.run
+                });
+            case 'FAILED':
+                return res.status(500).json({
+                    success: false,
+                    error: result.run.error,
+                    run: result.run
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Job not found'
+                });
+            case 'ALREADY_RUNNING':
+                return res.status(409).json({
+                    success: false,
+                    error: 'The job is already running'
+                });
+            default:
+                throw new Error(`Unexpected job run status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+module.exports = {
+    getSchedulerJobs,   // GET      : /scheduler/jobs
+    getSchedulerRuns,   // GET      : /scheduler/runs
+    runSchedulerJob     // POST     : /scheduler/jobs/:job/run
+};
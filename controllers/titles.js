@@ -1,5 +1,18 @@
 const e = require('express');
 const supabase = require('../config/supabase');
+const { DEFAULT_COVERAGE, getCoverageStrategies, isCoverageStrategy } = require('../services/zoneCoverage');
+const {
+    isTitleAvailable,
+    canAccessTitle,
+    loadTitleGroups,
+    buildUserTitle,
+    generateUserTitleId
+} = require('../services/userTitles');
+const { loadPricingRules, priceTitle } = require('../services/pricing');
+const { DEFAULT_REFUND_POLICY, getRefundPolicies, isRefundPolicy, quoteRefund, refundUserTitle } = require('../services/refunds');
+const { transferUserTitle, listTransfersForUser } = require('../services/transfers');
+const { loadActiveGroupIds } = require('../services/groupMembership');
+const { ROLES } = require('../middleware/auth');
 
 /*
     Titles:
@@ -14,6 +27,20 @@ const supabase = require('../config/supabase');
     - num_zones     - int8
     - link          - int8 (minutes) [null -> always pays] [since validation, all validations within this time are free]
     - re_entry      - int8 (minutes) [null -> instant re-entry] [min time to validate again]
+    - fare_mode     - varchar ['entry' (default) -> charged at the entry, 'distance' -> charged at the exit by zones crossed]
+    - fare_per_zone - float4 [null -> distance trips are charged in uses, one per zone crossed]
+    - balance       - float4 [null -> no balance] [money loaded on the user title to pay distance trips]
+    - coverage      - varchar [null -> 'linear'] [zone coverage strategy, see services/zoneCoverage.js]
+    - refund_policy - varchar [null -> 'none'] [how much is given back on a refund, see services/refunds.js]
+    - refund_fee    - float4 [null -> 0] [kept from every refund]
+    - transferable  - boolean [null -> false] [false -> only unused user titles can be transferred]
+    - passengers    - int8 [null -> 1] [people that can validate together with one suport, see services/validationRules.js]
+    - group_fare    - varchar [null -> 'per_passenger'] ['per_passenger' -> one use per person, 'shared' -> one use per group]
+
+    Title_zones:
+    - title (PK) [FK->Titles]   - int8
+    - zone (PK) [FK->Zones]     - int8
+    > Only for titles with the 'list' coverage
 
     Title_groups:
     - title (PK) [FK->Titles]   - int8
@@ -33,8 +60,17 @@ const supabase = require('../config/supabase');
     - re_entry          - int8 (minutes) [null -> instant re-entry] [min time to validate again]
     - zone_origin (FK)  - int8 [null -> still to be defined, pending first use]
     - active            - boolean
+    - priority          - int8 [null -> not active] [order in which the active user_titles are tried at the gate, 1 first]
     - link              - int8 (minutes) [null -> always pays] [since validation, all validations within this time are free]
     - num_zones         - int8
+    - fare_mode         - varchar
+    - fare_per_zone     - float4
+    - balance           - float4 [null -> no balance]
+    - coverage          - varchar [null -> 'linear']
+    - passengers        - int8 [null -> 1]
+    - group_fare        - varchar [null -> 'per_passenger']
+    - retired_at        - timestamp [null -> not retired] [retired user_titles can't be used, they are kept as history]
+    - retired_reason    - varchar [null -> not retired] ['REFUNDED', 'ACCOUNT_DELETED']
 
     User_title_zones:
     - user_title (PK, FK)   - int8
@@ -77,6 +113,16 @@ const supabase = require('../config/supabase');
         num_zones: 3,
         link: 60,
         re_entry: 15,
+        fare_mode: "entry",   |-> "entry" or "distance"
+        fare_per_zone: null,
+        balance: null,
+        coverage: "linear",   |-> "linear", "hops", "list" or "network"
+        refund_policy: "none",|-> "none", "unused", "prorated_uses" or "prorated_time"
+        refund_fee: 0,
+        transferable: false,  |-> true: can be transferred after the first use
+        passengers: 1,        |-> > 1: shared title (only "entry" fare_mode)
+        group_fare: "shared", |-> "per_passenger" (one use each) or "shared" (one use per group)
+        zones: [],            |-> Only for the "list" coverage
         groups: [1, 2, 3],    |-> Only these can access it      |-> One or the other
         excluded_groups: []   |-> All but these can access it   |
     }
@@ -92,14 +138,30 @@ const supabase = require('../config/supabase');
         re_entry: 15,                       -> null means instant re-entry
         zone_origin: 1,                     -> null means still to be defined, pending first use
         active: true,
+        priority: 1,                        -> null means not active, 1 is tried first at the gate
         link: 60,                           -> null means always pays
         num_zones: 3,
+        fare_mode: "entry",                 -> "distance" means charged at the exit by zones crossed
+        fare_per_zone: null,                -> null means distance trips are charged in uses
+        balance: null,                      -> null means no balance
+        coverage: "linear",
+        passengers: 1,                      -> people that can validate together
+        group_fare: "per_passenger",        -> "shared" means one use for the whole group
+        retired_at: null,                   -> null means not retired
+        retired_reason: null,               -> "REFUNDED", "ACCOUNT_DELETED"
         zones: [0, 1, 2, 3]                 -> null means still to be defined, pending first use
     }
 */
 
 
 
+// Allowed values for titles.fare_mode
+const FARE_MODES = ['entry', 'distance'];
+
+// Allowed values for titles.group_fare
+const GROUP_FARES = ['per_passenger', 'shared'];
+
+
 //// TITLES ////
 
 
@@ -113,7 +175,7 @@ const getAllTitles = async (req, res) => {
 
         if (error) throw error;
 
-        // Attatch groups and excluded_groups to each title
+        // Attatch groups, excluded_groups and zones to each title
         for (let title of data) {
             const { data: groupsData, error: groupsError } = await supabase
                 .from('title_groups')
@@ -129,8 +191,16 @@ const getAllTitles = async (req, res) => {
 
             if (excludedGroupsError) throw excludedGroupsError;
 
+            const { data: zonesData, error: zonesError } = await supabase
+                .from('title_zones')
+                .select('zone')
+                .eq('title', title.id);
+
+            if (zonesError) throw zonesError;
+
             title.groups = groupsData.map(g => g.group);
             title.excluded_groups = excludedGroupsData.map(g => g.group);
+            title.zones = zonesData.map(z => z.zone);
         }
 
         res.status(200).json({
@@ -158,7 +228,7 @@ const getTitleById = async (req, res) => {
 
         if (error) throw error;
 
-        // Attatch groups and excluded_groups to the title
+        // Attatch groups, excluded_groups and zones to the title
         const { data: groupsData, error: groupsError } = await supabase
             .from('title_groups')
             .select('group')
@@ -173,8 +243,16 @@ const getTitleById = async (req, res) => {
 
         if (excludedGroupsError) throw excludedGroupsError;
 
+        const { data: zonesData, error: zonesError } = await supabase
+            .from('title_zones')
+            .select('zone')
+            .eq('title', data.id);
+
+        if (zonesError) throw zonesError;
+
         data.groups = groupsData.map(g => g.group);
         data.excluded_groups = excludedGroupsData.map(g => g.group);
+        data.zones = zonesData.map(z => z.zone);
 
         res.status(200).json({
             success: true,
@@ -189,9 +267,11 @@ const getTitleById = async (req, res) => {
 };
 
 // Create new title > POST: /titles
-// All fields required except uses, expiration, link, re_entry, groups and excluded_groups
+// All fields required except uses, expiration, link, re_entry, coverage, refund_policy, refund_fee, transferable,
+// passengers, group_fare, groups and excluded_groups
+// zones is required for the 'list' coverage
 const createTitle = async (req, res) => {
-    const { id, name, description, uses, expiration, available, unavailable, price, num_zones, link, re_entry, groups, excluded_groups } = req.body;
+    const { id, name, description, uses, expiration, available, unavailable, price, num_zones, link, re_entry, fare_mode, fare_per_zone, balance, coverage, refund_policy, refund_fee, transferable, passengers, group_fare, zones, groups, excluded_groups } = req.body;
 
     try {
         // Check if all required fields are present
@@ -229,6 +309,90 @@ const createTitle = async (req, res) => {
             });
         }
 
+        // Check fare mode
+        if (fare_mode !== undefined && !FARE_MODES.includes(fare_mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid fare_mode. Allowed values: ${FARE_MODES.join(', ')}.`
+            });
+        }
+
+        // Check refund policy and fee
+        if (refund_policy !== undefined && refund_policy !== null && !isRefundPolicy(refund_policy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid refund_policy. Allowed values: ${getRefundPolicies().join(', ')}.`
+            });
+        }
+
+        if (refund_fee !== undefined && refund_fee !== null && (typeof refund_fee !== 'number' || refund_fee < 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'refund_fee must be a non-negative number.'
+            });
+        }
+
+        if (transferable !== undefined && transferable !== null && typeof transferable !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'transferable must be a boolean.'
+            });
+        }
+
+        // Check passengers and group fare of shared titles
+        if (passengers !== undefined && passengers !== null && (!Number.isInteger(passengers) || passengers < 1)) {
+            return res.status(400).json({
+                success: false,
+                error: 'passengers must be a positive integer.'
+            });
+        }
+
+        if (group_fare !== undefined && group_fare !== null && !GROUP_FARES.includes(group_fare)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid group_fare. Allowed values: ${GROUP_FARES.join(', ')}.`
+            });
+        }
+
+        if (passengers > 1 && fare_mode === 'distance') {
+            return res.status(400).json({
+                success: false,
+                error: 'Shared titles (passengers > 1) must use the entry fare_mode.'
+            });
+        }
+
+        // Check coverage and its zones
+        if (coverage !== undefined && coverage !== null && !isCoverageStrategy(coverage)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid coverage. Allowed values: ${getCoverageStrategies().join(', ')}.`
+            });
+        }
+
+        if (coverage === 'list' && (!Array.isArray(zones) || zones.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Titles with list coverage require a non-empty zones array.'
+            });
+        }
+
+        // Check if zones exist
+        if (coverage === 'list') {
+            for (let zoneId of zones) {
+                const { data: zoneData, error: zoneError } = await supabase
+                    .from('zones')
+                    .select('*')
+                    .eq('id', zoneId)
+                    .single();
+                if (zoneError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Zone with id ${zoneId} does not exist.`
+                    });
+                }
+            }
+        }
+
         // Check if groups exist
         if (groups && Array.isArray(groups)) {
             for (let groupId of groups) {
@@ -278,7 +442,16 @@ const createTitle = async (req, res) => {
                 price,
                 num_zones,
                 link,
-                re_entry
+                re_entry,
+                fare_mode: fare_mode || 'entry',
+                fare_per_zone: fare_per_zone !== undefined ? fare_per_zone : null,
+                balance: balance !== undefined ? balance : null,
+                coverage: coverage || DEFAULT_COVERAGE,
+                refund_policy: refund_policy || DEFAULT_REFUND_POLICY,
+                refund_fee: refund_fee !== undefined ? refund_fee : null,
+                transferable: !!transferable,
+                passengers: passengers || 1,
+                group_fare: group_fare || 'per_passenger'
             }])
             .select();
 
@@ -310,6 +483,14 @@ const createTitle = async (req, res) => {
             }
         }
 
+        // Insert title zones for the list coverage
+        if (coverage === 'list') {
+            const { error: zonesInsertError } = await supabase
+                .from('title_zones')
+                .insert(zones.map(zoneId => ({ title: id, zone: zoneId })));
+            if (zonesInsertError) throw zonesInsertError;
+        }
+
         // Fetch complete title with groups
         const { data: groupsData, error: groupsError } = await supabase
             .from('title_groups')
@@ -328,7 +509,8 @@ const createTitle = async (req, res) => {
         const newTitle = {
             ...data[0],
             groups: groupsData.map(g => g.group),
-            excluded_groups: excludedGroupsData.map(g => g.group)
+            excluded_groups: excludedGroupsData.map(g => g.group),
+            zones: coverage === 'list' ? zones : []
         };
 
         res.status(201).json({
@@ -345,9 +527,10 @@ const createTitle = async (req, res) => {
 
 // Update title by id > PUT: /titles/:id
 // Only provided fields will be updated
+// zones replaces the zones of a 'list' coverage title (required when switching to 'list')
 const updateTitle = async (req, res) => {
     const { id } = req.params;
-    const { name, description, uses, expiration, available, unavailable, price, num_zones, link, re_entry, groups, excluded_groups } = req.body;
+    const { name, description, uses, expiration, available, unavailable, price, num_zones, link, re_entry, fare_mode, fare_per_zone, balance, coverage, refund_policy, refund_fee, transferable, passengers, group_fare, zones, groups, excluded_groups } = req.body;
 
     try {
         // Check if title exists
@@ -372,6 +555,101 @@ const updateTitle = async (req, res) => {
             });
         }
 
+        // Check fare mode
+        if (fare_mode !== undefined && !FARE_MODES.includes(fare_mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid fare_mode. Allowed values: ${FARE_MODES.join(', ')}.`
+            });
+        }
+
+        // Check refund policy and fee
+        if (refund_policy !== undefined && refund_policy !== null && !isRefundPolicy(refund_policy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid refund_policy. Allowed values: ${getRefundPolicies().join(', ')}.`
+            });
+        }
+
+        if (refund_fee !== undefined && refund_fee !== null && (typeof refund_fee !== 'number' || refund_fee < 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'refund_fee must be a non-negative number.'
+            });
+        }
+
+        if (transferable !== undefined && transferable !== null && typeof transferable !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'transferable must be a boolean.'
+            });
+        }
+
+        // Check passengers and group fare of shared titles
+        if (passengers !== undefined && passengers !== null && (!Number.isInteger(passengers) || passengers < 1)) {
+            return res.status(400).json({
+                success: false,
+                error: 'passengers must be a positive integer.'
+            });
+        }
+
+        if (group_fare !== undefined && group_fare !== null && !GROUP_FARES.includes(group_fare)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid group_fare. Allowed values: ${GROUP_FARES.join(', ')}.`
+            });
+        }
+
+        // Check coverage and its zones
+        if (coverage !== undefined && coverage !== null && !isCoverageStrategy(coverage)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid coverage. Allowed values: ${getCoverageStrategies().join(', ')}.`
+            });
+        }
+
+        const newPassengers = passengers !== undefined ? (passengers || 1) : (existingTitle.passengers || 1);
+        const newFareMode = fare_mode !== undefined ? fare_mode : existingTitle.fare_mode;
+        if (newPassengers > 1 && newFareMode === 'distance') {
+            return res.status(400).json({
+                success: false,
+                error: 'Shared titles (passengers > 1) must use the entry fare_mode.'
+            });
+        }
+
+        const newCoverage = coverage !== undefined ? (coverage || DEFAULT_COVERAGE) : (existingTitle.coverage || DEFAULT_COVERAGE);
+
+        if (zones !== undefined && newCoverage !== 'list') {
+            return res.status(400).json({
+                success: false,
+                error: 'Zones can only be provided for titles with list coverage.'
+            });
+        }
+
+        if (newCoverage === 'list' && (zones !== undefined || existingTitle.coverage !== 'list') && (!Array.isArray(zones) || zones.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Titles with list coverage require a non-empty zones array.'
+            });
+        }
+
+        // Check if zones exist
+        if (zones !== undefined) {
+            for (let zoneId of zones) {
+                const { data: zoneData, error: zoneError } = await supabase
+                    .from('zones')
+                    .select('*')
+                    .eq('id', zoneId)
+                    .single();
+                if (zoneError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Zone with id ${zoneId} does not exist.`
+                    });
+                }
+            }
+        }
+
         // Check if groups exist
         if (groups && Array.isArray(groups)) {
             for (let groupId of groups) {
@@ -418,6 +696,15 @@ const updateTitle = async (req, res) => {
         if (num_zones !== undefined) updateFields.num_zones = num_zones;
         if (link !== undefined) updateFields.link = link;
         if (re_entry !== undefined) updateFields.re_entry = re_entry;
+        if (fare_mode !== undefined) updateFields.fare_mode = fare_mode;
+        if (fare_per_zone !== undefined) updateFields.fare_per_zone = fare_per_zone;
+        if (balance !== undefined) updateFields.balance = balance;
+        if (coverage !== undefined) updateFields.coverage = newCoverage;
+        if (refund_policy !== undefined) updateFields.refund_policy = refund_policy || DEFAULT_REFUND_POLICY;
+        if (refund_fee !== undefined) updateFields.refund_fee = refund_fee;
+        if (transferable !== undefined) updateFields.transferable = !!transferable;
+        if (passengers !== undefined) updateFields.passengers = passengers || 1;
+        if (group_fare !== undefined) updateFields.group_fare = group_fare || 'per_passenger';
 
         // Update title
         let updatedTitle;
@@ -476,7 +763,23 @@ const updateTitle = async (req, res) => {
             }
         }
 
-        // Fetch complete updated title with groups
+        // Replace the title zones if provided, or drop them if the title no longer has list coverage
+        if (zones !== undefined || newCoverage !== 'list') {
+            const { error: deleteZonesError } = await supabase
+                .from('title_zones')
+                .delete()
+                .eq('title', id);
+            if (deleteZonesError) throw deleteZonesError;
+
+            if (zones !== undefined) {
+                const { error: zonesInsertError } = await supabase
+                    .from('title_zones')
+                    .insert(zones.map(zoneId => ({ title: id, zone: zoneId })));
+                if (zonesInsertError) throw zonesInsertError;
+            }
+        }
+
+        // Fetch complete updated title with groups and zones
         const { data: groupsData, error: groupsError } = await supabase
             .from('title_groups')
             .select('group')
@@ -491,10 +794,18 @@ const updateTitle = async (req, res) => {
 
         if (excludedGroupsError) throw excludedGroupsError;
 
+        const { data: zonesData, error: zonesError } = await supabase
+            .from('title_zones')
+            .select('zone')
+            .eq('title', id);
+
+        if (zonesError) throw zonesError;
+
         const completeUpdatedTitle = {
             ...updatedTitle,
             groups: groupsData.map(g => g.group),
-            excluded_groups: excludedGroupsData.map(g => g.group)
+            excluded_groups: excludedGroupsData.map(g => g.group),
+            zones: zonesData.map(z => z.zone)
         };
 
         res.status(200).json({
@@ -523,7 +834,7 @@ const deleteTitle = async (req, res) => {
 
         if (error) throw error;
 
-        // Delete associated groups and excluded_groups
+        // Delete associated groups, excluded_groups and zones
         const { error: deleteGroupsError } = await supabase
             .from('title_groups')
             .delete()
@@ -536,6 +847,12 @@ const deleteTitle = async (req, res) => {
             .eq('title', id);
         if (deleteExcludedGroupsError) throw deleteExcludedGroupsError;
 
+        const { error: deleteZonesError } = await supabase
+            .from('title_zones')
+            .delete()
+            .eq('title', id);
+        if (deleteZonesError) throw deleteZonesError;
+
         res.status(200).json({
             success: true,
             title: data
@@ -590,44 +907,48 @@ const getAllUserTitles = async (req, res) => {
     }
 };
 
-// Get the active user title > GET: /titles/user/:userId/active
+// Get the active user titles > GET: /titles/user/:userId/active
+// Sorted in the order they are tried at the gate (priority), title is the first one
 const getActiveUserTitle = async (req, res) => {
     const { userId } = req.params;
     
     try {
-        // Fetch active user title for the user
+        // Fetch active user titles for the user
         const { data, error } = await supabase
             .from('user_titles')
             .select('*')
             .eq('user', userId)
             .eq('active', true)
-            .single();
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({
-                    success: false,
-                    error: 'No active title found for this user.'
-                });
-            } else {
-                throw error;
-            }
+            .order('priority', { ascending: true, nullsFirst: false })
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active title found for this user.'
+            });
         }
 
-        // Fetch the title's name and description
-        const { data: titleData, error: titleError } = await supabase
-            .from('titles')
-            .select('name, description')
-            .eq('id', data.title)
-            .single();
+        // Fetch the titles' name and description
+        for (let userTitle of data) {
+            const { data: titleData, error: titleError } = await supabase
+                .from('titles')
+                .select('name, description')
+                .eq('id', userTitle.title)
+                .single();
 
-        if (titleError) throw titleError;
+            if (titleError) throw titleError;
 
-        data.title_name = titleData.name;
-        data.title_description = titleData.description;
+            userTitle.title_name = titleData.name;
+            userTitle.title_description = titleData.description;
+        }
 
         res.status(200).json({
             success: true,
-            title: data
+            title: data[0],
+            titles: data
         });
     } catch (error) {
         res.status(500).json({
@@ -637,6 +958,55 @@ const getActiveUserTitle = async (req, res) => {
     }
 }
 
+// Set the order of the active user titles > PUT: /titles/user/:userId/active
+// { "order": [<userTitleId>, ...] } -> every active user title, in the order they are tried at the gate
+// Checked and written in one transaction (database/functions/reorder_user_titles.sql)
+const reorderActiveUserTitles = async (req, res) => {
+    const { userId } = req.params;
+    const { order } = req.body;
+
+    try {
+        if (!Array.isArray(order) || order.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: order (array of user title ids).'
+            });
+        }
+
+        if (!order.every(id => /^\d+$/.test(String(id)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'The order must contain user title ids.'
+            });
+        }
+
+        const { data, error } = await supabase.rpc('reorder_user_titles', {
+            p_user: userId,
+            p_order: order.map(Number)
+        });
+
+        if (error) throw error;
+
+        // The order must contain each active user title exactly once
+        if (data.status === 'ORDER_MISMATCH') {
+            return res.status(400).json({
+                success: false,
+                error: `The order must contain every active user title exactly once: ${data.active.join(', ')}.`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            titles: data.user_titles
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 // Get user title by id > GET: /titles/user/:userId/:userTitleId
 const getUserTitleById = async (req, res) => {
     const { userId, userTitleId } = req.params;
@@ -664,6 +1034,7 @@ const getUserTitleById = async (req, res) => {
 };
 
 // List titles available for user to purchase > GET: /titles/user/:userId/available
+// Each title with the final price for the user and the discounts that make it up (see services/pricing.js)
 const listTitlesForUser = async (req, res) => {
     const { userId } = req.params;
     try {
@@ -680,15 +1051,8 @@ const listTitlesForUser = async (req, res) => {
             });
         }
         
-        // Fetch all groups the user belongs to
-        const { data: userGroupsData, error: userGroupsError } = await supabase
-            .from('user_groups')
-            .select('group')
-            .eq('user', userId);
-        if (userGroupsError) throw userGroupsError;
-
-        // Extract user's group IDs into an array
-        const userGroupIds = userGroupsData.map(ug => ug.group);
+        // Fetch the groups the user belongs to (expired memberships don't count)
+        const userGroupIds = await loadActiveGroupIds(userId);
 
         // Fetch all titles
         const { data: allTitles, error: titlesError } = await supabase
@@ -696,55 +1060,29 @@ const listTitlesForUser = async (req, res) => {
             .select('*');
         if (titlesError) throw titlesError;
         
+        // Discounts of the user's groups (see services/pricing.js)
+        const pricingRules = await loadPricingRules(userGroupIds);
+
         // Filter titles based on user's groups and title availability
         const availableTitles = [];
         const currentTime = new Date();
         
         for (let title of allTitles) {
             // Check availability dates
-            const availableDate = new Date(title.available);
-            const unavailableDate = new Date(title.unavailable);
-            if (currentTime < availableDate || currentTime > unavailableDate) {
+            if (!isTitleAvailable(title, currentTime)) {
                 continue; // Title not currently available
             }
             
             // Check group restrictions
-            const { data: titleGroups, error: titleGroupsError } = await supabase
-                .from('title_groups')
-                .select('group')
-                .eq('title', title.id);
-            if (titleGroupsError) throw titleGroupsError;
-            
-            const { data: excludedGroups, error: excludedGroupsError } = await supabase
-                .from('title_groups_excluded')
-                .select('group')
-                .eq('title', title.id);
-            if (excludedGroupsError) throw excludedGroupsError;
-            
-            const allowedGroupIds = titleGroups.map(g => g.group);
-            const excludedGroupIds = excludedGroups.map(g => g.group);
+            const { allowedGroupIds, excludedGroupIds } = await loadTitleGroups(title.id);
             
-            // Determine if user can access the title
-            let canAccess = true;
-            
-            // If there are specific allowed groups, check if user belongs to at least one
-            if (allowedGroupIds.length > 0) {
-                const hasAllowedGroup = userGroupIds.some(userGroupId => allowedGroupIds.includes(userGroupId));
-                if (!hasAllowedGroup) {
-                    canAccess = false; // User doesn't belong to any of the allowed groups
-                }
-            }
-            
-            // If there are excluded groups, check if user belongs to any of them
-            if (excludedGroupIds.length > 0) {
-                const hasExcludedGroup = userGroupIds.some(userGroupId => excludedGroupIds.includes(userGroupId));
-                if (hasExcludedGroup) {
-                    canAccess = false; // User belongs to at least one excluded group
-                }
-            }
-            
-            if (canAccess) {
-                availableTitles.push(title);
+            if (canAccessTitle(userGroupIds, allowedGroupIds, excludedGroupIds)) {
+                const pricing = priceTitle(title, userGroupIds, pricingRules, currentTime);
+                availableTitles.push({
+                    ...title,
+                    final_price: pricing.final_price,
+                    discounts: pricing.discounts
+                });
             }
         }
         
@@ -763,6 +1101,8 @@ const listTitlesForUser = async (req, res) => {
 
 // Assign title to user > POST: /titles/user/:userId
 /*
+    Issued by an admin without payment (purchases: POST /users/:id/checkouts, see services/checkout.js)
+
     Request body:
     { title: 10 }
 
@@ -774,7 +1114,11 @@ const listTitlesForUser = async (req, res) => {
         re_entry: 15,                       -> null means instant re-entry
         active: true,
         link: 60,                           -> null means always pays
-        num_zones: 3
+        num_zones: 3,
+        fare_mode: "entry",
+        fare_per_zone: null,
+        balance: null,                      -> null means no balance
+        coverage: "linear"
         -- All data except for user and title are set by the data from the title
 */
 const assignTitleToUser = async (req, res) => {
@@ -811,49 +1155,16 @@ const assignTitleToUser = async (req, res) => {
             });
         }
 
-        // 3. Get title data to fill in the rest of the fields
-        const uses_left = titleData.uses;
-        const re_entry = titleData.re_entry;
-        const link = titleData.link;
-        const num_zones = titleData.num_zones;
-        // Expiration date is calculated based on current date + title expiration days
-        let expiration = null;
-        if (titleData.expiration !== null && titleData.expiration !== undefined) {
-            const currentDate = new Date();
-            currentDate.setDate(currentDate.getDate() + titleData.expiration);
-            expiration = "" + currentDate.getFullYear() + "-" +
-                String(currentDate.getMonth() + 1).padStart(2, '0') + "-" +
-                String(currentDate.getDate()).padStart(2, '0');
-        }
+        // 3. Get title data to fill in the rest of the fields (see services/userTitles.js)
+        const userTitle = buildUserTitle(titleData, userId);
 
         // 4. Generate random id for user title
-        let utid;
-        do {
-            // Generate random 12-digit id
-            utid = Math.floor(100000000000 + Math.random() * 900000000000).toString();
-            const { data: existingUserTitle, error: fetchError } = await supabase
-                .from('user_titles')
-                .select('*')
-                .eq('id', utid)
-                .single();
-
-            if (fetchError && fetchError.code === 'PGRST116') break; // Unique id found
-        } while (true);
+        const utid = await generateUserTitleId();
 
         // 5. Insert user title
         const { error: insertError } = await supabase
             .from('user_titles')
-            .insert({
-                id: utid,
-                user: userId,
-                title: title,
-                uses_left: uses_left,
-                expiration: expiration,
-                re_entry: re_entry,
-                active: false,
-                link: link,
-                num_zones: num_zones
-            });
+            .insert({ id: utid, ...userTitle });
 
         if (insertError) {
             return res.status(500).json({
@@ -866,14 +1177,7 @@ const assignTitleToUser = async (req, res) => {
             success: true,
             message: {
                 id: utid,
-                user: userId,
-                title: title,
-                uses_left: uses_left,
-                expiration: expiration,
-                re_entry: re_entry,
-                active: true,
-                link: link,
-                num_zones: num_zones
+                ...userTitle
             }
         });
     } catch (error) {
@@ -885,9 +1189,25 @@ const assignTitleToUser = async (req, res) => {
 };
 
 // Remove title from user > DELETE: /titles/user/:userId/:userTitleId
+// Only user titles without receipts: purchased ones are refunded instead (POST .../refund)
 const removeTitleFromUser = async (req, res) => {
     const { userId, userTitleId } = req.params;
     try {
+        const { data: receipts, error: receiptsError } = await supabase
+            .from('receipts')
+            .select('id')
+            .eq('user_title', userTitleId)
+            .limit(1);
+
+        if (receiptsError) throw receiptsError;
+
+        if (receipts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'User title has receipts, refund it instead of removing it'
+            });
+        }
+
         // Delete user title
         const { data, error } = await supabase
             .from('user_titles')
@@ -912,23 +1232,79 @@ const removeTitleFromUser = async (req, res) => {
 };
 
 // Activate title from user > POST: /titles/user/:userId/:userTitleId/activate
-// Every user can only have one active title at a time
+// A user can have several active titles: the activated one is tried last at the gate
+// (the order can be changed with PUT /titles/user/:userId/active)
 const activateTitleForUser = async (req, res) => {
     const { userId, userTitleId } = req.params;
     try {
-        // Deactivate any currently active title for the user
-        const { error: deactivateError } = await supabase
+        // Fetch the user title
+        const { data: userTitle, error: fetchError } = await supabase
             .from('user_titles')
-            .update({ active: false })
+            .select('*')
+            .eq('id', userTitleId)
             .eq('user', userId)
-            .eq('active', true);
+            .single();
 
-        if (deactivateError) throw deactivateError;
+        if (fetchError) throw fetchError;
+
+        if (userTitle.retired_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'User title is retired'
+            });
+        }
+
+        // Already active, keep its priority
+        if (userTitle.active) {
+            return res.status(200).json({
+                success: true,
+                title: userTitle
+            });
+        }
+
+        // Lowest priority of the active titles of the user
+        const { data: lastActive, error: lastActiveError } = await supabase
+            .from('user_titles')
+            .select('priority')
+            .eq('user', userId)
+            .eq('active', true)
+            .order('priority', { ascending: false, nullsFirst: false })
+            .limit(1);
+
+        if (lastActiveError) throw lastActiveError;
+
+        const priority = lastActive.length > 0 && lastActive[0].priority !== null ? lastActive[0].priority + 1 : 1;
 
         // Activate the specified title
         const { data, error } = await supabase
             .from('user_titles')
-            .update({ active: true })
+            .update({ active: true, priority: priority })
+            .eq('id', userTitleId)
+            .eq('user', userId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            title: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Deactivate title from user > POST: /titles/user/:userId/:userTitleId/deactivate
+const deactivateTitleForUser = async (req, res) => {
+    const { userId, userTitleId } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('user_titles')
+            .update({ active: false, priority: null })
             .eq('id', userTitleId)
             .eq('user', userId)
             .select()
@@ -948,6 +1324,176 @@ const activateTitleForUser = async (req, res) => {
     }
 };
 
+// Get the refund a user title would get > GET: /titles/user/:userId/:userTitleId/refund
+const getRefundQuote = async (req, res) => {
+    const { userId, userTitleId } = req.params;
+    try {
+        const result = await quoteRefund(userId, userTitleId);
+
+        if (result.status !== 'QUOTED') return sendRefundError(res, result.status);
+
+        res.status(200).json({
+            success: true,
+            refund: formatQuote(result.quote)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Refund a user title > POST: /titles/user/:userId/:userTitleId/refund
+// Writes a negative receipt linked to the purchase and retires the user title (see services/refunds.js)
+const refundTitleForUser = async (req, res) => {
+    const { userId, userTitleId } = req.params;
+    try {
+        const result = await refundUserTitle(userId, userTitleId);
+
+        if (result.status !== 'REFUNDED' && result.status !== 'REFUND_PENDING') return sendRefundError(res, result.status);
+
+        // REFUND_PENDING: recorded, the payment provider will give the money back later
+        res.status(result.status === 'REFUNDED' ? 201 : 202).json({
+            success: true,
+            title: result.user_title,
+            receipt: result.refund_receipt,
+            refund: formatQuote(result.quote)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Transfer a user title to another user > POST: /titles/user/:userId/:userTitleId/transfer
+/*
+    {
+        "to": 51                            -> id of the receiving user
+    }
+    or
+    {
+        "to_email": "member@example.com"    -> email of the receiving user
+    }
+    See services/transfers.js for the rules
+    Passengers get the same refusal whether the receiving user doesn't exist or can't have the title,
+    so they can't find out the accounts nor their groups
+*/
+const transferTitleForUser = async (req, res) => {
+    const { userId, userTitleId } = req.params;
+    const { to, to_email } = req.body;
+    const isPassenger = req.auth && req.auth.role === ROLES.PASSENGER;
+    try {
+        if (!to && !to_email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: to or to_email'
+            });
+        }
+
+        const result = await transferUserTitle(userId, userTitleId, to ? { id: to } : { email: to_email });
+
+        if (isPassenger && (result.status === 'RECIPIENT_NOT_FOUND' || result.status === 'TITLE_NOT_ALLOWED')) {
+            return sendRecipientRefused(res);
+        }
+
+        switch (result.status) {
+            case 'TRANSFERRED':
+                return res.status(200).json({
+                    success: true,
+                    title: result.user_title,
+                    transfer: result.transfer
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({ success: false, error: 'User title not found' });
+            case 'RECIPIENT_NOT_FOUND':
+                return res.status(404).json({ success: false, error: 'Receiving user not found' });
+            case 'SAME_USER':
+                return res.status(400).json({ success: false, error: 'Cannot transfer a title to its own user' });
+            case 'RETIRED':
+                return res.status(409).json({ success: false, error: 'User title is retired' });
+            case 'EXPIRED':
+                return res.status(409).json({ success: false, error: 'User title has expired' });
+            case 'USED_UP':
+                return res.status(409).json({ success: false, error: 'User title has no uses left' });
+            case 'ALREADY_USED':
+                return res.status(409).json({ success: false, error: 'User title has already been used and the title is not transferable' });
+            case 'TITLE_NOT_AVAILABLE':
+                return res.status(409).json({ success: false, error: 'Title is not available' });
+            case 'TITLE_NOT_ALLOWED':
+                return res.status(403).json({ success: false, error: 'Receiving user is not allowed to have this title' });
+            case 'CONFLICT':
+                return res.status(409).json({ success: false, error: 'User title changed while transferring, try again' });
+            default:
+                throw new Error(`Unexpected transfer result: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Get the transfers sent and received by a user > GET: /titles/user/:userId/transfers
+const getUserTitleTransfers = async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const transfers = await listTransfersForUser(userId);
+
+        res.status(200).json({
+            success: true,
+            transfers: transfers
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+function formatQuote(quote) {
+    return {
+        user_title: quote.user_title.id,
+        receipt: quote.receipt.id,
+        policy: quote.policy,
+        paid: quote.paid,
+        fee: quote.fee,
+        amount: quote.amount
+    };
+};
+
+function sendRecipientRefused(res) {
+    return res.status(403).json({ success: false, error: 'The title can\'t be transferred to this user' });
+};
+
+function sendRefundError(res, status) {
+    switch (status) {
+        case 'NOT_FOUND':
+            return res.status(404).json({ success: false, error: 'User title not found' });
+        case 'RETIRED':
+            return res.status(409).json({ success: false, error: 'User title is already retired' });
+        case 'NOT_PURCHASED':
+            return res.status(409).json({ success: false, error: 'User title has no purchase receipt to refund' });
+        case 'ALREADY_REFUNDED':
+            return res.status(409).json({ success: false, error: 'User title was already refunded' });
+        case 'NOT_REFUNDABLE':
+            return res.status(409).json({ success: false, error: 'Nothing to refund for this user title' });
+        case 'CONFLICT':
+            return res.status(409).json({ success: false, error: 'User title changed while refunding, try again' });
+        default:
+            throw new Error(`Unexpected refund result: ${status}`);
+    }
+};
+
+
 module.exports = {
     getAllTitles,            // GET      : /titles
     getTitleById,            // GET      : /titles/:id
@@ -957,9 +1503,15 @@ module.exports = {
 
     getAllUserTitles,        // GET      : /titles/user/:userId
     getActiveUserTitle,      // GET      : /titles/user/:userId/active
+    reorderActiveUserTitles, // PUT      : /titles/user/:userId/active
     getUserTitleById,        // GET      : /titles/user/:userId/:userTitleId
     listTitlesForUser,       // GET      : /titles/user/:userId/available
     assignTitleToUser,       // POST     : /titles/user/:userId
     removeTitleFromUser,     // DELETE   : /titles/user/:userId/:userTitleId
-    activateTitleForUser     // POST     : /titles/user/:userId/:userTitleId/activate
+    activateTitleForUser,    // POST     : /titles/user/:userId/:userTitleId/activate
+    deactivateTitleForUser,  // POST     : /titles/user/:userId/:userTitleId/deactivate
+    getRefundQuote,          // GET      : /titles/user/:userId/:userTitleId/refund
+    refundTitleForUser,      // POST     : /titles/user/:userId/:userTitleId/refund
+    transferTitleForUser,    // POST     : /titles/user/:userId/:userTitleId/transfer
+    getUserTitleTransfers    // GET      : /titles/user/:userId/transfers
 };
\ No newline at end of file
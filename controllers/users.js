@@ -1,7 +1,15 @@
 const e = require('express');
 const supabase = require('../config/supabase');
 const bcrypt = require('bcrypt');
-const crypto = require('crypto');
+const { calculateGroupExpiration } = require('../services/groupMembership');
+const { isAgeGroup, matchesAgeGroup, syncAgeGroups } = require('../services/ageGroups');
+const { deleteUserAccount } = require('../services/accounts');
+const { generateReceiptId, buildManualLines } = require('../services/receipts');
+const { renderReceiptPdf } = require('../services/invoicePdf');
+const { resolveLanguage } = require('../messages/language');
+const { getSuportState, setSuportStatus, replaceSuport } = require('../services/suports');
+const { VIRTUAL_SUPORT_PREFIX } = require('../services/qrTokens');
+const { getTimestamp } = require('../utils/time');
 
 /*
     Users:
@@ -29,12 +37,37 @@ const crypto = require('crypto');
     - uid (PK, UQ)          - varchar
     - user (FK -> users.id) - int8
     - activation            - timestamp
+    - virtual               - boolean [true -> QR codes of the app, see services/qrTokens.js]
+    - status                - varchar [null -> 'active'] ['blocked', 'lost', 'replaced', 'retired']
+    - status_reason         - text
+    - status_changed        - timestamp
+    - replaced_by (FK)      - varchar [uid of the card that replaced it]
+    > States of the suports, see services/suports.js
 
     Receipts:
     - id (PK)               - varchar
     - timestamp             - timestamp
     - user (FK -> users.id) - int8
     - amount                - float4
+    - user_title (FK -> user_titles.id) - int8 [null -> not a purchase]
+    - checkout (FK -> checkouts.id)     - string (UUID) [null -> not a purchase]
+    - refund_of (FK -> receipts.id)     - varchar [null -> not a refund] [refunds have a negative amount]
+    - refund_status                     - varchar ('PENDING' | 'COMPLETED') [null -> not refunded at a payment provider]
+    - lines                             - jsonb (line items of the invoice, see services/receipts.js)
+    - fiscal_year                       - int4 (year of the invoice number)
+    - invoice_sequence                  - int8 (number of the invoice in its fiscal year)
+    - invoice_number (UQ)               - varchar (e.g. "2026-000042")
+    > Invoice numbers are given by the database (database/functions/assign_invoice_number.sql)
+    > Purchases create their receipt together with the user_title (see services/checkout.js)
+    > Refunds create their receipt together with the retirement of the user_title (see services/refunds.js)
+
+    Notifications:
+    - id (PK, UQ)           - int8 (auto)
+    - user (FK -> users.id) - int8
+    - type                  - varchar (REQUEST_APPROVED, REQUEST_REJECTED, TITLE_TRANSFERRED, ...)
+    - data                  - jsonb (depends on the type, e.g. { request, group, expiration })
+    - created_at            - timestamp
+    - read                  - boolean
 */
 
 
@@ -103,13 +136,14 @@ const getUser = async (req, res) => {
         "birthdate": "1990-01-01",
         "password": "newpassword123"  // Optional
     }
+    A new birthdate moves the user to the age group of its age (see services/ageGroups.js)
 */
 const updateUser = async (req, res) => {
     const { id } = req.params;
     const { name, surname, gov_id, email, phone, birthdate, password } = req.body;
     try {
-        // If password is provided, hash it
-        const passwordHash = await bcrypt.hash(password, 12);
+        // If password is provided, hash it (otherwise the password is left as it is)
+        const passwordHash = password ? await bcrypt.hash(password, 12) : undefined;
 
         const { data: userData, error: userError } = await supabase
             .from('users')
@@ -120,6 +154,8 @@ const updateUser = async (req, res) => {
 
         if (userError) throw userError;
 
+        if (birthdate !== undefined) await syncAgeGroups(userData);
+
         res.status(200).json({
             success: true,
             user_id: userData.id
@@ -144,6 +180,8 @@ const updateUser = async (req, res) => {
         "groups": [1, 2, 3]  // Optional array of group IDs to assign the user to,
         "password": "userpassword123"  // Optional
     }
+    The user is put in the age group of its age, age groups in "groups" are ignored
+    (see services/ageGroups.js)
 */
 const createUser = async (req, res) => {
     const { name, surname, gov_id, email, phone, birthdate, groups, password } = req.body;
@@ -177,9 +215,11 @@ const createUser = async (req, res) => {
 
         if (userError) throw userError;
 
+        await syncAgeGroups(userData);
+
         // If groups are provided, insert into user_groups
         if (groups && Array.isArray(groups) && groups.length > 0) {
-            groups.forEach(async (groupId) => {
+            groups.filter(groupId => !isAgeGroup(groupId)).forEach(async (groupId) => {
 
                 // Get group expiration days
                 const { data: groupData, error: groupError } = await supabase
@@ -228,23 +268,18 @@ const createUser = async (req, res) => {
 };
 
 // Delete user by ID > DELETE: /users/:id
+// Validations, receipts and user titles are kept anonymised (see services/accounts.js)
 const deleteUser = async (req, res) => {
     const { id } = req.params;
     try {
-        const { data, error } = await supabase
-            .from('users')
-            .delete()
-            .eq('id', id)
-            .select('*')
-            .single();
+        const result = await deleteUserAccount(id);
 
-        if (error) throw error;
-
-        // Delete user from user_groups
-        await supabase
-            .from('user_groups')
-            .delete()
-            .eq('user', id);
+        if (result.status === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -268,60 +303,28 @@ const addGroupToUser = async (req, res) => {
     const { id } = req.params;
     const { groupId, manualExpiration } = req.body;
 
-    /*
-        If group is 16, 30 or 65:
-        - get user's birthdate
-        - calculate expiration date (>16, >30, <65) with user's birthdate
-        - insert into user_groups with expiration date
-        Else if group has expiration days:
-        - get group expiration days
-        - calculate expiration date (now + days)
-        - insert into user_groups with expiration date
-        Else:
-        - insert into user_groups with null expiration date
-    */
-
+    // Expiration rules: see services/groupMembership.js
     try {
-        // Get user birthdate
-        const { data: userData, error: userError } = await supabase
-            .from('users')
-            .select('birthdate')
-            .eq('id', id)
-            .single();
-
-        if (userError) throw userError;
-
-        const birthdate = new Date(userData.birthdate);
-        const now = new Date();
+        // Age groups follow the age of the user (see services/ageGroups.js)
+        if (isAgeGroup(groupId)) {
+            const { data: userData, error: userError } = await supabase
+                .from('users')
+                .select('birthdate')
+                .eq('id', id)
+                .single();
 
-        // Get group expiration days
-        const { data: groupData, error: groupError } = await supabase
-            .from('groups')
-            .select('expiration')
-            .eq('id', groupId)
-            .single();
+            if (userError) throw userError;
 
-        if (groupError) throw groupError;
-
-        let expirationDate = null;
-
-        // The expiration day has to be the day before the birthday + the years
-
-        if (groupId === '16' && yearsOldToday(birthdate) < 16) {
-            const dayBefore = dayBeforeSpecificBirthday(birthdate, 16);
-            expirationDate = "" + dayBefore.getFullYear() + "-" + String(dayBefore.getMonth() + 1).padStart(2, '0') + "-" + String(dayBefore.getDate()).padStart(2, '0');
-        } else if (groupId === '30' && yearsOldToday(birthdate) < 30) {
-            const dayBefore = dayBeforeSpecificBirthday(birthdate, 30);
-            expirationDate = "" + dayBefore.getFullYear() + "-" + String(dayBefore.getMonth() + 1).padStart(2, '0') + "-" + String(dayBefore.getDate()).padStart(2, '0');
-        } else if (groupId === '65' && yearsOldToday(birthdate) >= 65) {
-            expirationDate = null; // No expiration for seniors
-        } else if (groupData.expiration && groupData.expiration > 0 && groupData.expiration !== null) {
-            // Calculate expiration date based on group expiration days
-            const expiration = new Date();
-            expiration.setDate(now.getDate() + groupData.expiration);
-            expirationDate = "" + expiration.getFullYear() + "-" + String(expiration.getMonth() + 1).padStart(2, '0') + "-" + String(expiration.getDate()).padStart(2, '0');
+            if (!userData.birthdate || !matchesAgeGroup(groupId, userData.birthdate)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The age group does not match the age of the user'
+                });
+            }
         }
 
+        let expirationDate = await calculateGroupExpiration(id, groupId);
+
         // If manualExpiration is provided, override calculated expirationDate
         if (manualExpiration) {
             expirationDate = manualExpiration;
@@ -431,7 +434,7 @@ const listAvailableGroups = async (req, res) => {
 
         if (availableGroupsError) throw availableGroupsError;
 
-        // If user has age-based groups, filter them accordingly
+        // Only the age group of the user's age (see services/ageGroups.js)
         // Also filter out internal or debug groups (id >= 999)
         const { data: userData, error: userError } = await supabase
             .from('users')
@@ -441,13 +444,8 @@ const listAvailableGroups = async (req, res) => {
 
         if (userError) throw userError;
 
-        const birthdate = new Date(userData.birthdate);
-        const userAge = yearsOldToday(birthdate);
-
         const filteredAvailableGroups = availableGroupsData.filter(group => {
-            if (group.id === 16 && userAge >= 16) return false;
-            if (group.id === 30 && userAge >= 30) return false;
-            if (group.id === 65 && userAge < 65) return false;
+            if (isAgeGroup(group.id) && !(userData.birthdate && matchesAgeGroup(group.id, userData.birthdate))) return false;
             if (group.id >= 999) return false; // Internal/debug groups
             return true;
         });
@@ -531,12 +529,21 @@ const addSuportToUser = async (req, res) => {
     /*
         - Check if suport with uid already exists
         - If does not exist, create new suport with current timestamp
+        - If exists and is not active (blocked, lost, replaced or retired), return error
         - If exists, check if belongs to user
             - If belongs to user, return error
             - If does not belong to user, assign to user with current timestamp
     */
 
     try {
+        // The uids of the virtual suports are reserved
+        if (String(uid).startsWith(VIRTUAL_SUPORT_PREFIX)) {
+            return res.status(400).json({
+                success: false,
+                error: `The uid of a card can't start with '${VIRTUAL_SUPORT_PREFIX}'`
+            });
+        }
+
         // Check if suport with uid already exists
         const { data: existingSuport, error: existingError } = await supabase
             .from('suports')
@@ -549,7 +556,7 @@ const addSuportToUser = async (req, res) => {
         }
 
         const now = new Date();
-        const nowStr = "" + now.getFullYear() + "-" + String(now.getMonth() + 1).padStart(2, '0') + "-" + String(now.getDate()).padStart(2, '0') + " " + String(now.getHours()).padStart(2, '0') + ":" + String(now.getMinutes()).padStart(2, '0') + ":" + String(now.getSeconds()).padStart(2, '0');
+        const nowStr = getTimestamp(now);
 
         // If suport does not exist
         if (!existingSuport) {
@@ -569,6 +576,14 @@ const addSuportToUser = async (req, res) => {
         } else {
             // Suport exists
 
+            // A blocked, lost, replaced or retired card can't be handed out again
+            if (getSuportState(existingSuport) !== 'active') {
+                return res.status(409).json({
+                    success: false,
+                    error: `Suport is ${getSuportState(existingSuport)}`
+                });
+            }
+
             if (existingSuport.user == id) { // Assigned to this user
                 return res.status(400).json({
                     success: false,
@@ -605,6 +620,8 @@ const addSuportToUser = async (req, res) => {
 };
 
 // Remove suport from user > DELETE: /users/:id/suports/:uid
+// Only active cards: a lost or blocked card stays with its user, who is the only way to make it
+// active again (PUT /users/:id/suports/:uid/status)
 const removeSuportFromUser = async (req, res) => {
     const { id, uid } = req.params;
     try {
@@ -613,10 +630,33 @@ const removeSuportFromUser = async (req, res) => {
             .update({ user: null, activation: null })
             .eq('user', id)
             .eq('uid', uid)
-            .select('*')
-            .single();
+            .or('status.is.null,status.eq.active')
+            .select('*');
 
-        if (error) throw error;
+        if (error && error.code !== '22P02') throw error;
+
+        if (!data || data.length === 0) {
+            const { data: suport, error: suportError } = await supabase
+                .from('suports')
+                .select('*')
+                .eq('user', id)
+                .eq('uid', uid)
+                .single();
+
+            if (suportError && suportError.code !== 'PGRST116' && suportError.code !== '22P02') throw suportError;
+
+            if (!suport) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Suport not found for this user'
+                });
+            }
+
+            return res.status(409).json({
+                success: false,
+                error: `Suport is ${getSuportState(suport)}: only active suports can be removed`
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -630,20 +670,147 @@ const removeSuportFromUser = async (req, res) => {
     }
 };
 
+/* Change the state of a suport of a user > PUT: /users/:id/suports/:uid/status
+
+    {
+        "status": "lost",               // active, blocked, lost or retired
+        "reason": "Reported stolen"     // Optional
+    }
+
+    Blocked, lost and retired suports are refused at every gate (ERROR_SUPORT_BLOCKED).
+    Retired and replaced suports can't change state again.
+*/
+const updateSuportStatus = async (req, res) => {
+    const { id, uid } = req.params;
+    const { status, reason } = req.body || {};
+    try {
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'reason must be a string'
+            });
+        }
+
+        const result = await setSuportStatus(id, uid, status, reason || null);
+
+        switch (result.status) {
+            case 'UPDATED':
+                return res.status(200).json({
+                    success: true,
+                    suport: result.suport
+                });
+            case 'INVALID_STATE':
+                return res.status(400).json({
+                    success: false,
+                    error: 'status must be one of: active, blocked, lost, retired'
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Suport not found'
+                });
+            case 'FINAL':
+                return res.status(409).json({
+                    success: false,
+                    error: 'The suport is replaced or retired, its state can\'t change'
+                });
+            default:
+                throw new Error(`Unexpected suport status change: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/* Issue a new card replacing a suport of a user > POST: /users/:id/suports/:uid/replace
+
+    {
+        "new_uid": "04A1B2C3D4",        // uid of the new card (new, or unassigned and active)
+        "reason": "Reported stolen"     // Optional
+    }
+
+    The old suport is blocked for good (status 'replaced'). The user_titles belong to the user,
+    so the new card validates with them right away (see database/functions/replace_suport.sql).
+*/
+const replaceUserSuport = async (req, res) => {
+    const { id, uid } = req.params;
+    const { new_uid: newUid, reason } = req.body || {};
+    try {
+        if (!newUid || (reason !== undefined && reason !== null && typeof reason !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: new_uid (reason must be a string)'
+            });
+        }
+
+        const result = await replaceSuport(id, uid, String(newUid), reason || null);
+
+        switch (result.status) {
+            case 'REPLACED':
+                return res.status(201).json({
+                    success: true,
+                    suport: result.suport,
+                    replaced: result.replaced
+                });
+            case 'SAME_SUPORT':
+                return res.status(400).json({
+                    success: false,
+                    error: 'The new card must be a different suport'
+                });
+            case 'VIRTUAL':
+                return res.status(400).json({
+                    success: false,
+                    error: 'Virtual suports (QR codes) can\'t be replaced nor used as a card'
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'Suport not found'
+                });
+            case 'FINAL':
+                return res.status(409).json({
+                    success: false,
+                    error: 'The suport is already replaced or retired'
+                });
+            case 'NEW_SUPORT_TAKEN':
+                return res.status(409).json({
+                    success: false,
+                    error: 'The new card is assigned to a user or is not active'
+                });
+            default:
+                throw new Error(`Unexpected suport replacement status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 
 //// RECEIPT FUNCTIONS
 
 // List receipts for user > GET: /users/:id/receipts
+// Optional filter: ?year=<fiscal_year>
 const listReceiptsForUser = async (req, res) => {
     const { id } = req.params;
+    const { year } = req.query;
     try {
         // List receipts from receipts, ordered by timestamp with most recent first
-        const { data, error } = await supabase
+        let query = supabase
             .from('receipts')
             .select('*')
             .eq('user', id)
             .order('timestamp', { ascending: false });
 
+        if (year) query = query.eq('fiscal_year', year);
+
+        const { data, error } = await query;
+
         if (error) throw error;
 
         res.status(200).json({
@@ -662,33 +829,36 @@ const listReceiptsForUser = async (req, res) => {
 // Add receipt to user > POST: /users/:id/receipts
 /* 
     { 
-        "amount": 12.34
+        "amount": 12.34,
+        "description": "Duplicat de targeta"  -> optional, line item of the invoice
     }
+    Manual receipts (admins), not linked to any purchase. Purchases: POST /users/:id/checkouts
 */
 const addReceiptToUser = async (req, res) => {
     const { id } = req.params;
-    const { amount } = req.body;
+    const { amount, description } = req.body;
 
     try {
-        // Generate receipt ID and check uniqueness
-        let receiptId = '';
-        do {
-            receiptId = crypto.randomBytes(8).toString('hex'); // 16 character hex string
-            const { data: existingReceipt, error: existingError } = await supabase
-                .from('receipts')
-                .select('id')
-                .eq('id', receiptId)
-                .single();
-            if (existingError && existingError.code !== 'PGRST116') {
-                throw existingError;
-            }
-            if (!existingReceipt) break; // Unique ID found
-        } while (true);
+        if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+            return res.status(400).json({
+                success: false,
+                error: 'amount must be a number'
+            });
+        }
+
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'description must be a string'
+            });
+        }
+
+        const receiptId = await generateReceiptId();
 
         // Let PostgreSQL handle the timestamp with now() to use the database timezone
         const { data: newReceipt, error: newError } = await supabase
             .from('receipts')
-            .insert([{ id: receiptId, user: id, amount }])
+            .insert([{ id: receiptId, user: id, amount, lines: buildManualLines(amount, description || null) }])
             .select('*')
             .single();
 
@@ -706,45 +876,152 @@ const addReceiptToUser = async (req, res) => {
     }
 };
 
+// Get the invoice of a receipt as a PDF > GET: /users/:id/receipts/:receiptId.pdf
+// Language: ?lang=ca|en|es, else Accept-Language (default ca)
+const getReceiptPdf = async (req, res) => {
+    const { id, receiptId } = req.params;
+    try {
+        const { data: receipt, error: receiptError } = await supabase
+            .from('receipts')
+            .select('*')
+            .eq('id', receiptId)
+            .eq('user', id)
+            .single();
+
+        if (receiptError && receiptError.code !== 'PGRST116') throw receiptError;
+
+        if (!receipt) {
+            return res.status(404).json({
+                success: false,
+                error: 'Receipt not found'
+            });
+        }
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('name, surname, gov_id, email')
+            .eq('id', id)
+            .single();
+
+        if (userError) throw userError;
+
+        // Refunds correct the invoice of the purchase
+        let original = null;
+        if (receipt.refund_of) {
+            const { data: originalData, error: originalError } = await supabase
+                .from('receipts')
+                .select('*')
+                .eq('id', receipt.refund_of)
+                .single();
+
+            if (originalError && originalError.code !== 'PGRST116') throw originalError;
+            original = originalData;
+        }
+
+        const pdf = renderReceiptPdf({
+            receipt,
+            user,
+            original,
+            lang: resolveLanguage(req.query.lang, req.get('Accept-Language'))
+        });
+
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${receipt.invoice_number || receipt.id}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 
-//// LOCAL FUNCTIONS
+//// NOTIFICATION FUNCTIONS
 
+// List notifications for user > GET: /users/:id/notifications
+// Optional filter: ?unread=true, most recent first
+const listNotificationsForUser = async (req, res) => {
+    const { id } = req.params;
+    const { unread } = req.query;
+    try {
+        let query = supabase
+            .from('notifications')
+            .select('*')
+            .eq('user', id)
+            .order('created_at', { ascending: false });
 
-// Calculate the age on this exact day given a birthdate
-function yearsOldToday(birthdate) {
-    const now = new Date();
-    let age = now.getFullYear() - birthdate.getFullYear();
-    const monthDiff = now.getMonth() - birthdate.getMonth();
-    if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birthdate.getDate())) {
-        age--;
+        if (unread === 'true') query = query.eq('read', false);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            user_id: id,
+            notifications: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
-    return age;
 };
 
-// Calculate the date before the birthday on which a certain years old will be reached
-function dayBeforeSpecificBirthday(birthdate, yearsOld) {
-    return new Date(
-        birthdate.getFullYear() + yearsOld,
-        birthdate.getMonth(),
-        birthdate.getDate() - 1
-    );
+// Mark notification as read > PUT: /users/:id/notifications/:notificationId/read
+const markNotificationRead = async (req, res) => {
+    const { id, notificationId } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ read: true })
+            .eq('id', notificationId)
+            .eq('user', id)
+            .select('*');
+
+        if (error) throw error;
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Notification not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            notification: data[0]
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 };
 
 
 module.exports = {
-    getAllUsers,            // GET      : /users
-    getUser,                // GET      : /users/:id
-    updateUser,             // PUT      : /users/:id
-    createUser,             // POST     : /users/create
-    deleteUser,             // DELETE   : /users/:id
-    addGroupToUser,         // POST     : /users/:id/groups
-    removeGroupFromUser,    // DELETE   : /users/:id/groups/:groupId
-    listUserGroups,         // GET      : /users/:id/groups
-    listAvailableGroups,    // GET      : /users/:id/groups/available
-    listUserSuports,        // GET      : /users/:id/suports
-    getUserSuport,          // GET      : /users/:id/suports/:uid
-    addSuportToUser,        // POST     : /users/:id/suports
-    removeSuportFromUser,   // DELETE   : /users/:id/suports/:uid
-    listReceiptsForUser,    // GET      : /users/:id/receipts
-    addReceiptToUser        // POST     : /users/:id/receipts
+    getAllUsers,                // GET      : /users
+    getUser,                    // GET      : /users/:id
+    updateUser,                 // PUT      : /users/:id
+    createUser,                 // POST     : /users/create
+    deleteUser,                 // DELETE   : /users/:id
+    addGroupToUser,             // POST     : /users/:id/groups
+    removeGroupFromUser,        // DELETE   : /users/:id/groups/:groupId
+    listUserGroups,             // GET      : /users/:id/groups
+    listAvailableGroups,        // GET      : /users/:id/groups/available
+    listUserSuports,            // GET      : /users/:id/suports
+    getUserSuport,              // GET      : /users/:id/suports/:uid
+    addSuportToUser,            // POST     : /users/:id/suports
+    removeSuportFromUser,       // DELETE   : /users/:id/suports/:uid
+    updateSuportStatus,         // PUT      : /users/:id/suports/:uid/status
+    replaceUserSuport,          // POST     : /users/:id/suports/:uid/replace
+    listReceiptsForUser,        // GET      : /users/:id/receipts
+    addReceiptToUser,           // POST     : /users/:id/receipts
+    getReceiptPdf,              // GET      : /users/:id/receipts/:receiptId.pdf
+    listNotificationsForUser,   // GET      : /users/:id/notifications
+    markNotificationRead        // PUT      : /users/:id/notifications/:notificationId/read
 };
\ No newline at end of file
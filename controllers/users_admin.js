@@ -1,22 +1,66 @@
 const e = require('express');
 const supabase = require('../config/supabase');
-import bcrypt from 'bcrypt';
-import crypto from 'crypto';
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { getMessage, getMessageWithData } = require('../messages/auth');
+const { loginAttemptKeys, countLoginAttempt, releaseLoginAttempt, clearLoginFailures } = require('../services/loginAttempts');
+const {
+    TICKET_PURPOSES,
+    isTotpRequired,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTotp,
+    countRecoveryCodes,
+    createLoginTicket,
+    getLoginTicket,
+    consumeLoginTicket
+} = require('../services/adminTotp');
+const { hashSessionToken } = require('../services/sessions');
+const { getTimestamp } = require('../utils/time');
 
 /*
     Users_Admin:
     - id (PK, UQ)   - string (UUID)
     - name          - string
-    - password      - string
+    - password      - string (hashed)
+    - role          - varchar (default 'admin', ADMIN_TOTP_REQUIRED_ROLES have to use 2FA)
+    - totp_...      - 2FA (see services/adminTotp.js)
 
+    Admin_sessions:
+    - admin (PK, FK -> users_admin.id)  - string (UUID)
+    - device (PK)                       - text
+    - token                             - text (hashed)
+    - token_hash                        - text (SHA-256 of the token, to find its session)
+    - created                           - timestamp
+    - last_use                          - timestamp
+    - expiration                        - timestamp
+    > Only one active session per [admin, device] pair, as the passenger sessions (controllers/auth.js)
+
+    Admin_actions:
+    - id (PK, UQ)                       - int8 (auto)
+    - admin (FK -> users_admin.id)      - string (UUID)
+    - method                            - varchar
+    - path                              - varchar
+    - status                            - int8 (HTTP status of the response)
+    - timestamp                         - timestamp
+    > Every request that modifies data made with an admin session (see middleware/auth.js)
+
+    Passwords and tokens are never returned.
 */
 
+
+// Columns of users_admin that can be returned
+const ADMIN_COLUMNS = 'id, name, role, totp_enabled';
+
+
 // Get all users_admin > GET: /users_admin
 const getAllUsersAdmin = async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('users_admin')
-            .select('*');
+            .select(ADMIN_COLUMNS);
 
         if (error) {
             throw error;
@@ -40,11 +84,17 @@ const getUserAdminById = async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('users_admin')
-            .select('*')
+            .select(ADMIN_COLUMNS)
             .eq('id', id)
             .single();
 
         if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User admin not found'
+                });
+            }
             throw error;
         }
 
@@ -61,18 +111,37 @@ const getUserAdminById = async (req, res) => {
 };
 
 // Register new user_admin > POST: /users_admin
+// { "name": "Admin", "password": "...", "role": "admin" } -> id is generated (UUID), role is optional
+// The first admin can be registered without credentials (see noAdminsRegistered)
 const registerUserAdmin = async (req, res) => {
-    const { id, name, password } = req.body;
+    const { name, password, role } = req.body;
     try {
+        if (!name || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: name, password'
+            });
+        }
+
+        if (role !== undefined && (typeof role !== 'string' || role.trim() === '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'role must be a non-empty string.'
+            });
+        }
+
         const passwordHash = await bcrypt.hash(password, 12);
 
         const { data, error } = await supabase
             .from('users_admin')
-            .insert([{ 
-                id, 
-                name, 
-                password: passwordHash
-            }]);
+            .insert([{
+                id: crypto.randomUUID(),
+                name,
+                password: passwordHash,
+                role: role !== undefined ? role.trim() : 'admin'
+            }])
+            .select(ADMIN_COLUMNS)
+            .single();
 
         if (error) {
             throw error;
@@ -80,7 +149,7 @@ const registerUserAdmin = async (req, res) => {
 
         res.status(201).json({
             success: true,
-            user_admin: data[0]
+            user_admin: data
         });
     } catch (error) {
         res.status(500).json({
@@ -91,28 +160,85 @@ const registerUserAdmin = async (req, res) => {
 };
 
 // Update user_admin > PUT: /users_admin/:id
-// Allows updating name and/or password
+// Allows updating name, password and/or role. Admins can't change their own role, and a new role
+// that no longer requires 2FA needs a code of the authenticator of the admin of the session ({ "code" })
 const updateUserAdmin = async (req, res) => {
     const { id } = req.params;
-    const { name, password } = req.body;
+    const { name, password, role, code } = req.body;
     try {
-        const updates = { name };
+        const updates = {};
+        if (name !== undefined) updates.name = name;
+        if (role !== undefined) {
+            if (typeof role !== 'string' || role.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'role must be a non-empty string.'
+                });
+            }
+
+            if (String(id) === String(req.auth.adminId)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admins can\'t change their own role'
+                });
+            }
+
+            const { data: target, error: targetError } = await supabase
+                .from('users_admin')
+                .select(ADMIN_COLUMNS)
+                .eq('id', id)
+                .single();
+
+            if (targetError && targetError.code !== 'PGRST116' && targetError.code !== '22P02') throw targetError;
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User admin not found'
+                });
+            }
+
+            if (isTotpRequired(target) && !isTotpRequired({ role: role.trim() })) {
+                const check = await verifyOwnCode(req, code);
+                if (check !== 'VERIFIED') return sendOwnCodeError(res, check);
+            }
+
+            updates.role = role.trim();
+        }
         if (password) {
             updates.password = await bcrypt.hash(password, 12);
         }
 
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No fields to update'
+            });
+        }
+
         const { data, error } = await supabase
             .from('users_admin')
             .update(updates)
-            .eq('id', id);
+            .eq('id', id)
+            .select(ADMIN_COLUMNS)
+            .single();
 
         if (error) {
             throw error;
         }
 
+        // A new password closes the sessions of the admin
+        if (password) {
+            const { error: deleteError } = await supabase
+                .from('admin_sessions')
+                .delete()
+                .eq('admin', id);
+
+            if (deleteError) throw deleteError;
+        }
+
         res.status(200).json({
             success: true,
-            user_admin: data[0]
+            user_admin: data
         });
     } catch (error) {
         res.status(500).json({
@@ -126,7 +252,17 @@ const updateUserAdmin = async (req, res) => {
 const deleteUserAdmin = async (req, res) => {
     const { id } = req.params;
     try {
-        const { data, error } = await supabase
+        // Close the sessions of the admin, and delete its pending logins and recovery codes
+        for (const table of ['admin_sessions', 'admin_login_tickets', 'admin_recovery_codes']) {
+            const { error: deleteError } = await supabase
+                .from(table)
+                .delete()
+                .eq('admin', id);
+
+            if (deleteError) throw deleteError;
+        }
+
+        const { error } = await supabase
             .from('users_admin')
             .delete()
             .eq('id', id);
@@ -147,32 +283,500 @@ const deleteUserAdmin = async (req, res) => {
     }
 };
 
-// Login user_admin > POST: /users_admin/login
+/* Login user_admin > POST: /users_admin/login
+
+    Input:
+    body: {
+        "id": "<admin_uuid>",
+        "password": "contrassenyaSuperSecreta",
+        "deviceId": "ID_DISPOSITIU_X"
+    }
+
+    Output:
+    - Success (admin without 2FA):
+    body: {
+        "success": true,
+        "code": 200,
+        "status": "LOGIN_SUCCESS",
+        "msg": { result_messages },
+        "adminId": "<admin_uuid>",
+        "token": "abc123def456ghi789jkl012",
+        "expiration": "2024-07-01T12:00:00",
+        "user_admin": { id, name, role, totp_enabled }
+    }
+    - Second step needed (see services/adminTotp.js):
+    body: {
+        "success": true,
+        "code": 200,
+        "status": "LOGIN_TOTP_REQUIRED",            -> POST /users_admin/login/totp
+                | "LOGIN_TOTP_ENROLMENT_REQUIRED",  -> POST /users_admin/login/totp/setup and /confirm
+        "msg": { result_messages },
+        "loginTicket": "abc123...",
+        "expiration": "2024-07-01T12:05:00"
+    }
+    - Error: LOGIN_MISSING_PARAMETERS / LOGIN_INVALID_CREDENTIALS / LOGIN_TOO_MANY_ATTEMPTS { retryAfter }
+
+    Sequence (as the passenger login, controllers/auth.js):
+    1. Validate input
+    2. Count the attempt as a failure of the admin id, device and IP before checking it (see services/loginAttempts.js)
+    3. Retrieve admin by id and compare password hashes (the attempt is taken back if they match)
+    4. If the admin has 2FA, or its role requires it, return a ticket for the second step
+    5. Create new admin session (replacing the one of the same [admin, device] pair)
+    6. Return success response with admin data and token
+*/
 const loginUserAdmin = async (req, res) => {
-    const { id, password } = req.body;
     try {
-        const { data, error } = await supabase
+        const { id, password, deviceId } = req.body;
+
+        //// 1. Validate input
+
+        if (!id || !password || !deviceId) {
+            const message = getMessage('LOGIN_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        //// 2. Count the attempt
+
+        const attemptKeys = loginAttemptKeys('admin', { account: id, device: deviceId, ip: req.ip });
+        const attempt = await countLoginAttempt(attemptKeys);
+
+        if (attempt.status === 'LOCKED') return sendTooManyAttempts(res, attempt.retry_after);
+        if (attempt.delay > 0) await wait(attempt.delay);
+
+        //// 3. Retrieve admin by id and compare password hashes
+
+        const { data: admin, error: adminError } = await supabase
             .from('users_admin')
             .select('*')
             .eq('id', id)
             .single();
 
-        if (error) {
-            throw error;
+        // Admin not found (or not a valid UUID)
+        if (adminError && adminError.code !== 'PGRST116' && adminError.code !== '22P02') throw adminError;
+
+        if (!admin || !(await bcrypt.compare(password, admin.password))) {
+            if (attempt.retry_after) return sendTooManyAttempts(res, attempt.retry_after);
+
+            const message = getMessage('LOGIN_INVALID_CREDENTIALS');
+            return res.status(message.code).json(message);
+        }
+
+        //// 4. Second step: a code, or the enrolment if the role requires it
+
+        if (admin.totp_enabled || isTotpRequired(admin)) {
+            // The failures are only forgotten once the second step succeeds
+            await releaseLoginAttempt(attemptKeys);
+
+            const purpose = admin.totp_enabled ? TICKET_PURPOSES.TOTP : TICKET_PURPOSES.ENROL;
+            const { ticket, expiration } = await createLoginTicket(admin.id, deviceId, purpose);
+
+            const message = getMessageWithData(
+                admin.totp_enabled ? 'LOGIN_TOTP_REQUIRED' : 'LOGIN_TOTP_ENROLMENT_REQUIRED',
+                { loginTicket: ticket, expiration: expiration }
+            );
+            return res.status(message.code).json(message);
+        }
+
+        await clearLoginFailures(attemptKeys);
+
+        //// 5-6. Create new admin session and return it
+
+        return await sendAdminSession(res, admin, deviceId);
+    } catch (error) {
+        console.error('Admin login error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during admin login: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Second step of the login of an admin with 2FA > POST: /users_admin/login/totp
+
+    Input:
+    body: {
+        "loginTicket": "abc123...",         // From POST /users_admin/login (LOGIN_TOTP_REQUIRED)
+        "code": "123456"                    // Code of the authenticator app
+        | "recoveryCode": "abcde-fghij"     // or one of the recovery codes (used once)
+    }
+
+    Output:
+    - Success: LOGIN_SUCCESS, as POST /users_admin/login, with "recoveryCodesLeft"
+    - Error: LOGIN_MISSING_PARAMETERS / LOGIN_TICKET_INVALID / LOGIN_TOTP_INVALID_CODE /
+             LOGIN_TOO_MANY_ATTEMPTS { retryAfter }
+
+    Wrong codes count as failed logins of the admin (services/loginAttempts.js).
+*/
+const verifyAdminTotp = async (req, res) => {
+    try {
+        const { loginTicket, code, recoveryCode } = req.body;
+
+        if (!loginTicket || (!code && !recoveryCode)) {
+            const message = getMessage('LOGIN_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        const ticket = await getLoginTicket(String(loginTicket), TICKET_PURPOSES.TOTP);
+        if (!ticket) {
+            const message = getMessage('LOGIN_TICKET_INVALID');
+            return res.status(message.code).json(message);
+        }
+
+        const attemptKeys = loginAttemptKeys('admin', { account: ticket.admin, device: ticket.device, ip: req.ip });
+        const attempt = await countLoginAttempt(attemptKeys);
+
+        if (attempt.status === 'LOCKED') return sendTooManyAttempts(res, attempt.retry_after);
+        if (attempt.delay > 0) await wait(attempt.delay);
+
+        const { data: admin, error: adminError } = await supabase
+            .from('users_admin')
+            .select('*')
+            .eq('id', ticket.admin)
+            .single();
+
+        if (adminError) throw adminError;
+
+        const result = await verifySecondFactor(admin, {
+            code: code,
+            recoveryCode: recoveryCode ? String(recoveryCode) : null
+        });
+
+        if (result.status !== 'VERIFIED') {
+            if (attempt.retry_after) return sendTooManyAttempts(res, attempt.retry_after);
+
+            const message = getMessage('LOGIN_TOTP_INVALID_CODE');
+            return res.status(message.code).json(message);
+        }
+
+        if (!(await consumeLoginTicket(String(loginTicket)))) {
+            const message = getMessage('LOGIN_TICKET_INVALID');
+            return res.status(message.code).json(message);
+        }
+
+        await clearLoginFailures(attemptKeys);
+
+        return await sendAdminSession(res, admin, ticket.device, {
+            recoveryCodesLeft: await countRecoveryCodes(admin.id)
+        });
+    } catch (error) {
+        console.error('Admin TOTP login error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during admin login: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Start the enrolment required to log in > POST: /users_admin/login/totp/setup
+
+    Input:
+    body: { "loginTicket": "abc123..." }    // From POST /users_admin/login (LOGIN_TOTP_ENROLMENT_REQUIRED)
+
+    Output:
+    - Success: LOGIN_TOTP_SETUP { secret, otpauthUri }     -> to add to the authenticator app (QR code)
+    - Error: LOGIN_MISSING_PARAMETERS / LOGIN_TICKET_INVALID
+*/
+const setupAdminTotpLogin = async (req, res) => {
+    try {
+        const { loginTicket } = req.body;
+
+        if (!loginTicket) {
+            const message = getMessage('LOGIN_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        const ticket = await getLoginTicket(String(loginTicket), TICKET_PURPOSES.ENROL);
+        const result = ticket ? await startEnrolment(ticket.admin) : null;
+
+        if (!result || result.status !== 'STARTED') {
+            const message = getMessage('LOGIN_TICKET_INVALID');
+            return res.status(message.code).json(message);
+        }
+
+        const message = getMessageWithData('LOGIN_TOTP_SETUP', {
+            secret: result.secret,
+            otpauthUri: result.otpauth_uri
+        });
+        return res.status(message.code).json(message);
+    } catch (error) {
+        console.error('Admin TOTP setup error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during admin login: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Confirm the enrolment required to log in, and log in > POST: /users_admin/login/totp/confirm
+
+    Input:
+    body: {
+        "loginTicket": "abc123...",
+        "code": "123456"                    // Code of the authenticator app with the new secret
+    }
+
+    Output:
+    - Success: LOGIN_SUCCESS, as POST /users_admin/login, with "recoveryCodes" (only shown now)
+    - Error: LOGIN_MISSING_PARAMETERS / LOGIN_TICKET_INVALID / LOGIN_TOTP_INVALID_CODE /
+             LOGIN_TOTP_SETUP_REQUIRED / LOGIN_TOO_MANY_ATTEMPTS { retryAfter }
+*/
+const confirmAdminTotpLogin = async (req, res) => {
+    try {
+        const { loginTicket, code } = req.body;
+
+        if (!loginTicket || !code) {
+            const message = getMessage('LOGIN_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        const ticket = await getLoginTicket(String(loginTicket), TICKET_PURPOSES.ENROL);
+        if (!ticket) {
+            const message = getMessage('LOGIN_TICKET_INVALID');
+            return res.status(message.code).json(message);
+        }
+
+        const attemptKeys = loginAttemptKeys('admin', { account: ticket.admin, device: ticket.device, ip: req.ip });
+        const attempt = await countLoginAttempt(attemptKeys);
+
+        if (attempt.status === 'LOCKED') return sendTooManyAttempts(res, attempt.retry_after);
+        if (attempt.delay > 0) await wait(attempt.delay);
+
+        const result = await confirmEnrolment(ticket.admin, code);
+
+        switch (result.status) {
+            case 'ENABLED':
+                break;
+            case 'INVALID_CODE': {
+                if (attempt.retry_after) return sendTooManyAttempts(res, attempt.retry_after);
+
+                const message = getMessage('LOGIN_TOTP_INVALID_CODE');
+                return res.status(message.code).json(message);
+            }
+            case 'NOT_STARTED': {
+                const message = getMessage('LOGIN_TOTP_SETUP_REQUIRED');
+                return res.status(message.code).json(message);
+            }
+            case 'NOT_FOUND':
+            case 'ALREADY_ENABLED': {
+                const message = getMessage('LOGIN_TICKET_INVALID');
+                return res.status(message.code).json(message);
+            }
+            default:
+                throw new Error(`Unexpected TOTP enrolment status: ${result.status}`);
+        }
+
+        await consumeLoginTicket(String(loginTicket));
+        await clearLoginFailures(attemptKeys);
+
+        const { data: admin, error: adminError } = await supabase
+            .from('users_admin')
+            .select('*')
+            .eq('id', ticket.admin)
+            .single();
+
+        if (adminError) throw adminError;
+
+        return await sendAdminSession(res, admin, ticket.device, {
+            recoveryCodes: result.recovery_codes
+        });
+    } catch (error) {
+        console.error('Admin TOTP confirm error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during admin login: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+// Start the enrolment of the admin of the session > POST: /users_admin/totp/setup
+// -> { secret, otpauth_uri } to add to the authenticator app, confirmed with POST /users_admin/totp/confirm
+const setupAdminTotp = async (req, res) => {
+    try {
+        const result = await startEnrolment(req.auth.adminId);
+
+        switch (result.status) {
+            case 'STARTED':
+                return res.status(200).json({
+                    success: true,
+                    secret: result.secret,
+                    otpauth_uri: result.otpauth_uri
+                });
+            case 'ALREADY_ENABLED':
+                return res.status(409).json({
+                    success: false,
+                    error: '2FA is already enabled. Disable it first to enrol a new authenticator'
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'User admin not found'
+                });
+            default:
+                throw new Error(`Unexpected TOTP enrolment status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Confirm the enrolment of the admin of the session > POST: /users_admin/totp/confirm
+// { "code": "123456" } -> { recovery_codes } (only shown now)
+const confirmAdminTotp = async (req, res) => {
+    const { code } = req.body;
+    try {
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: code'
+            });
+        }
+
+        const result = await confirmEnrolment(req.auth.adminId, code);
+
+        switch (result.status) {
+            case 'ENABLED':
+                return res.status(200).json({
+                    success: true,
+                    recovery_codes: result.recovery_codes
+                });
+            case 'INVALID_CODE':
+                return res.status(400).json({
+                    success: false,
+                    error: 'The code is not valid'
+                });
+            case 'NOT_STARTED':
+                return res.status(409).json({
+                    success: false,
+                    error: 'The enrolment has not been started (POST /users_admin/totp/setup)'
+                });
+            case 'ALREADY_ENABLED':
+                return res.status(409).json({
+                    success: false,
+                    error: '2FA is already enabled'
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'User admin not found'
+                });
+            default:
+                throw new Error(`Unexpected TOTP enrolment status: ${result.status}`);
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Replace the recovery codes of the admin of the session > POST: /users_admin/totp/recovery-codes
+// { "code": "123456" } -> { recovery_codes } (the old ones stop working)
+const regenerateAdminRecoveryCodes = async (req, res) => {
+    const { code } = req.body;
+    try {
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: code'
+            });
+        }
+
+        const result = await regenerateRecoveryCodes(req.auth.adminId, code);
+
+        switch (result.status) {
+            case 'REGENERATED':
+                return res.status(200).json({
+                    success: true,
+                    recovery_codes: result.recovery_codes
+                });
+            case 'INVALID_CODE':
+                return res.status(400).json({
+                    success: false,
+                    error: 'The code is not valid'
+                });
+            case 'NOT_ENABLED':
+                return res.status(409).json({
+                    success: false,
+                    error: '2FA is not enabled'
+                });
+            case 'NOT_FOUND':
+                return res.status(404).json({
+                    success: false,
+                    error: 'User admin not found'
+                });
+            default:
+                throw new Error(`Unexpected recovery codes status: ${result.status}`);
         }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Disable the 2FA of an admin > DELETE: /users_admin/:id/totp
+// Also to reset the one of an admin that lost its authenticator and recovery codes. Admins can't
+// disable their own if their role requires it.
+// { "code": "123456" } -> code of the authenticator of the admin of the session, required
+const disableAdminTotp = async (req, res) => {
+    const { id } = req.params;
+    const { code } = req.body || {};
+    try {
+        if (String(id) === String(req.auth.adminId) && isTotpRequired(req.user)) {
+            return res.status(409).json({
+                success: false,
+                error: `2FA is required for the role ${req.user.role || 'admin'}`
+            });
+        }
+
+        const check = await verifyOwnCode(req, code);
+        if (check !== 'VERIFIED') return sendOwnCodeError(res, check);
+
+        const result = await disableTotp(id);
 
-        const validPassword = await bcrypt.compare(password, data.password);
-        if (!validPassword) {
-            return res.status(401).json({
+        if (result.status === 'NOT_FOUND') {
+            return res.status(404).json({
                 success: false,
-                error: 'Invalid credentials'
+                error: 'User admin not found'
             });
         }
 
         res.status(200).json({
             success: true,
-            message: 'Login successful',
-            user_admin: data
+            message: `2FA disabled for the user admin with ID ${id}`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Get the actions performed by admins > GET: /users_admin/actions
+// Optional filter: ?admin=<admin_uuid>, most recent first
+const getAdminActions = async (req, res) => {
+    const { admin } = req.query;
+    try {
+        let query = supabase
+            .from('admin_actions')
+            .select('*')
+            .order('timestamp', { ascending: false });
+
+        if (admin) query = query.eq('admin', admin);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            actions: data
         });
     } catch (error) {
         res.status(500).json({
@@ -182,12 +786,117 @@ const loginUserAdmin = async (req, res) => {
     }
 };
 
+// True while there is no admin registered, so the first one can be created without credentials
+const noAdminsRegistered = async () => {
+    const { count, error } = await supabase
+        .from('users_admin')
+        .select('id', { count: 'exact', head: true });
+
+    if (error) throw error;
+
+    return count === 0;
+};
+
+
+//// UTILITY FUNCTIONS
+
+
+// Create the session of an admin on a device (replacing the one of the device) and respond LOGIN_SUCCESS
+async function sendAdminSession(res, admin, deviceId, extra = {}) {
+    // If a session for this [admin, device] already exists, delete it first
+    const { error: deleteError } = await supabase
+        .from('admin_sessions')
+        .delete()
+        .eq('admin', admin.id)
+        .eq('device', deviceId);
+
+    if (deleteError) throw deleteError;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const tokenHash = await bcrypt.hash(token, 12);
+    const createdAt = getTimestamp(new Date());
+    const expiration = getTimestamp(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)); // 7 days
+
+    const { data: newSession, error: sessionError } = await supabase
+        .from('admin_sessions')
+        .insert({
+            admin: admin.id,
+            device: deviceId,
+            token: tokenHash,
+            token_hash: hashSessionToken(token),
+            created: createdAt,
+            last_use: createdAt,
+            expiration: expiration
+        })
+        .select('*')
+        .single();
+
+    if (sessionError) throw sessionError;
+
+    const message = getMessageWithData('LOGIN_SUCCESS', {
+        adminId: admin.id,
+        token: token,
+        expiration: newSession.expiration,
+        user_admin: {
+            id: admin.id,
+            name: admin.name,
+            role: admin.role,
+            totp_enabled: !!admin.totp_enabled
+        },
+        ...extra
+    });
+
+    return res.status(message.code).json(message);
+};
+
+// Check a fresh code of the authenticator of the admin of the session > status of verifySecondFactor or 'MISSING'
+async function verifyOwnCode(req, code) {
+    if (!code) return 'MISSING';
+
+    const result = await verifySecondFactor(req.user, { code: String(code) });
+    return result.status;
+};
+
+function sendOwnCodeError(res, status) {
+    switch (status) {
+        case 'MISSING':
+            return res.status(400).json({ success: false, error: 'Missing required field: code (2FA code of your account)' });
+        case 'NOT_ENABLED':
+            return res.status(403).json({ success: false, error: 'Enable 2FA on your account to do this' });
+        case 'INVALID_CODE':
+            return res.status(403).json({ success: false, error: 'The code is not valid' });
+        default:
+            throw new Error(`Unexpected 2FA check status: ${status}`);
+    }
+};
+
+// Respond LOGIN_TOO_MANY_ATTEMPTS, with the seconds until the lock ends
+function sendTooManyAttempts(res, retryAfter) {
+    const message = getMessageWithData('LOGIN_TOO_MANY_ATTEMPTS', { retryAfter: retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(message.code).json(message);
+};
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+};
+
 
 module.exports = {
     getAllUsersAdmin,       // GET      : /users_admin
+    getAdminActions,        // GET      : /users_admin/actions
     getUserAdminById,       // GET      : /users_admin/:id
     registerUserAdmin,      // POST     : /users_admin
     updateUserAdmin,        // PUT      : /users_admin/:id
     deleteUserAdmin,        // DELETE   : /users_admin/:id
-    loginUserAdmin          // POST     : /users_admin/login
-};
\ No newline at end of file
+    loginUserAdmin,         // POST     : /users_admin/login
+    verifyAdminTotp,        // POST     : /users_admin/login/totp
+    setupAdminTotpLogin,    // POST     : /users_admin/login/totp/setup
+    confirmAdminTotpLogin,  // POST     : /users_admin/login/totp/confirm
+    setupAdminTotp,         // POST     : /users_admin/totp/setup
+    confirmAdminTotp,       // POST     : /users_admin/totp/confirm
+    regenerateAdminRecoveryCodes,   // POST     : /users_admin/totp/recovery-codes
+    disableAdminTotp,       // DELETE   : /users_admin/:id/totp
+
+    noAdminsRegistered
+};
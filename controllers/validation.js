@@ -1,21 +1,48 @@
 const e = require('express');
+const crypto = require('crypto');
 const supabase = require('../config/supabase');
 const { getMessage, getMessageWithData } = require('../messages/validation');
+const {
+    loadStationContext,
+    loadSuportContext,
+    loadValidationContext,
+    evaluateValidation,
+    selectUserTitle,
+    getZoneAdjacency,
+    getTitleZones,
+    commitValidation,
+    validate,
+    validateExit,
+    getExitTimeout,
+    getGroupWindow,
+    flagUnclosedEntries
+} = require('../services/validationRules');
+const { VIRTUAL_SUPORT_PREFIX, redeemQrToken } = require('../services/qrTokens');
 
 
 /*
     Validation:
-    - user (PK, FK)         - int8
-    - suport (PK, FK)       - varchar
-    - timestamp (PK)        - timestamp
-    - station (PK, FK)      - int8
-    - enter (PK)            - boolean   [currently not used, always true]
-    - user_title (PK, FK)   - int8
+    - id (PK, UQ)           - int8 (auto)
+    - user (UQ, FK)         - int8      [null -> the account was deleted]
+    - suport (UQ, FK)       - varchar
+    - timestamp (UQ)        - timestamp
+    - station (UQ, FK)      - int8
+    - enter (UQ)            - boolean   [true -> entry, false -> exit]
+    - user_title (UQ, FK)   - int8
+    > (user, suport, timestamp, station, enter, user_title) is unique (database/migrations/validation_id_primary_key.sql)
+    - flagged               - boolean   [entry of a distance-based title with no exit after the timeout]
+    - passengers            - int8      [null -> 1] [people validated in the group of a shared title]
+    - gate                  - varchar   [device id of the gate (gates.device), null -> recorded before database/migrations/validation_gate.sql]
 
     Suports:
     - uid (PK, UQ)          - varchar
     - user (FK -> users.id) - int8
     - activation            - timestamp
+    - virtual               - boolean   [true -> QR codes of the app, uid 'qr:<user_id>', see services/qrTokens.js]
+    - status                - varchar   [null -> 'active'] ['blocked', 'lost', 'replaced', 'retired', see services/suports.js]
+    - status_reason         - text
+    - status_changed        - timestamp
+    - replaced_by (FK)      - varchar
     
     User_titles:
     - id (PK, UQ)       - int8
@@ -27,8 +54,15 @@ const { getMessage, getMessageWithData } = require('../messages/validation');
     - re_entry          - int8 (minutes) [null -> instant re-entry] [min time to validate again]
     - zone_origin (FK)  - int8 [null -> still to be defined, pending first use]
     - active            - boolean
+    - priority          - int8 [order in which the active user_titles are tried at the gate, 1 first]
     - link              - int8 (minutes) [null -> always pays] [since validation, all validations within this time are free]
     - num_zones         - int8
+    - coverage          - varchar [null -> 'linear'] [zone coverage strategy, see services/zoneCoverage.js]
+    - fare_mode         - varchar ['entry' (default) -> charged at the entry, 'distance' -> charged at the exit]
+    - fare_per_zone     - float4 [null -> distance trips are charged in uses, one per zone crossed]
+    - balance           - float4 [null -> no balance] [money left to pay distance trips]
+    - passengers        - int8 [null -> 1] [people that can validate in a burst, shared titles]
+    - group_fare        - varchar ['per_passenger' (default) -> one use per person, 'shared' -> one use per group]
 
     User_title_zones:
     - user_title (PK, FK)   - int8
@@ -38,30 +72,59 @@ const { getMessage, getMessageWithData } = require('../messages/validation');
     - id (PK, UQ)   - int8
     - name          - varchar
     - description   - varchar
+
+    Zone_adjacency:
+    - zone_a (PK, FK)   - int8
+    - zone_b (PK, FK)   - int8
 */
 
+// Statuses of services/qrTokens.js that refuse a QR code
+const QR_TOKEN_ERRORS = {
+    INVALID: 'ERROR_QR_TOKEN_INVALID',
+    EXPIRED: 'ERROR_QR_TOKEN_EXPIRED',
+    NO_SESSION: 'ERROR_QR_TOKEN_SESSION_CLOSED',
+    REPLAYED: 'ERROR_QR_TOKEN_USED',
+    NOT_CONFIGURED: 'ERROR_QR_NOT_CONFIGURED'
+};
+
 /*
-    The validation process gets called with the suport UID and station ID:
+    The validation process gets called with the suport UID (or the token of a QR code) and station ID:
         body: {
             suport: <suport_uid>,
-            station: <station_id>
+            token: <qr_token>,      -> instead of suport, QR code shown by the app (POST /me/qr-token)
+            station: <station_id>,
+            enter: <boolean>        -> optional, false for an exit validation (default true)
         }
 
+    A QR token is used up before the checks, and replaced with the virtual suport of its user (the
+    uid of a virtual suport, 'qr:<user_id>', is refused as a suport with ERROR_SUPORT_NOT_FOUND):
+        -> invalid signature, error ERROR_QR_TOKEN_INVALID
+        -> expired, error ERROR_QR_TOKEN_EXPIRED
+        -> its device session is closed, error ERROR_QR_TOKEN_SESSION_CLOSED
+        -> already used, error ERROR_QR_TOKEN_USED
+
     The process performs the following checks in order:
     
     1. Checks if the suport exists
         -> if not, error ERROR_SUPORT_NOT_FOUND
-    2. Checks if the suport is active (activation is not null and is in the past)
-        -> if not, error ERROR_SUPORT_INACTIVE
+    2. Checks if the suport is active
+        -> if it is blocked, lost, replaced or retired (status), error ERROR_SUPORT_BLOCKED
+        -> if activation is null or in the future, error ERROR_SUPORT_INACTIVE
     3. Checks if the station exists and is available
         -> if not, error ERROR_STATION_NOT_AVAILABLE
     4. Checks if the user has an active user_title
         -> if not, error ERROR_NO_USER_TITLE_ACTIVE
+        -> a user can have several active user_titles, in the order they set (user_titles.priority):
+           steps 5-10 are run for each of them in that order, and the first one that passes is used
+           (and returned as user_title_id / title_id). If none passes, the error of the first one is returned.
+           Errors of the suport or the station, and ERROR_REENTRY_TIME_NOT_PASSED, stop the search
+           (switching titles must not bypass the re-entry time)
     5. Checks if the user_title is not expired
         -> if so, error ERROR_USER_TITLE_EXPIRED
     6. Checks if the user_title is initialized (first_use is not null)
         -> if not, checks if the title could be initialized in this station
-            -> checks if station has zones that match the num_zones of the user_title
+            -> resolves the zones of the user_title from a zone of the station, with the coverage
+               strategy of the title (linear, hops, list or network, see services/zoneCoverage.js)
             -> if not, error ERROR_CANNOT_INITIALIZE_USER_TITLE
             -> if so, sets first_use, zone_origin and user_title_zones
     7. Checks if the re-entry time has passed (if re_entry is not null)
@@ -69,6 +132,9 @@ const { getMessage, getMessageWithData } = require('../messages/validation');
         -> if validation exists and is for the SAME station and (current_time - validation_time) < re_entry
             -> error ERROR_REENTRY_TIME_NOT_PASSED
         -> purpose: prevent users from sharing uni-personal titles by blocking re-entry to the same station
+        -> shared titles (passengers > 1): up to <passengers> validations at the same station within
+           VALIDATION_GROUP_WINDOW minutes join the group of the entry instead, recorded as a single
+           validation (validation.passengers), see services/validationRules.js
     8. Checks if the user_title is valid for the station's zones
         -> gets the zones of the station
         -> gets the zones of the user_title (from user_title_zones)
@@ -83,9 +149,29 @@ const { getMessage, getMessageWithData } = require('../messages/validation');
         -> note: link time only applies to DIFFERENT stations to prevent multiple people sharing the same title at the same station
     10. Checks if the user_title has uses left (if uses_left is not null)
         -> if uses_left <= 0, error ERROR_NO_USES_LEFT
+        -> joining the group of a shared title with group_fare 'shared' consumes nothing
     
     - If all checks passed, creates validation record, decrements uses_left if applicable (and not null), and returns VALIDATION_SUCCESS.
 
+    Exit validation (enter = false):
+    1. Checks if the suport exists and is active, and if the station is available
+    2. Pairs the exit with the open entry (last validation of the user, if it is an entry
+       made less than VALIDATION_EXIT_TIMEOUT minutes ago)
+        -> if there is none, error ERROR_NO_OPEN_ENTRY
+    3. Computes the zones crossed between the entry and the exit stations
+    4. Distance-based titles (fare_mode = 'distance') are charged for the trip, in uses or money
+       (their entry validation consumes nothing, but requires uses_left > 0 or enough balance for one zone)
+    - Creates the exit validation record and returns VALIDATION_EXIT_SUCCESS.
+
+    The checks are implemented in services/validationRules.js, so the offline reconciliation
+    (POST /validation/offline/reconcile) replays gate logs through exactly the same rules, and
+    the dry run (POST /validation/simulate) explains them without writing anything.
+
+    Steps 6-10 are committed atomically by a Postgres function (database/functions/), which locks
+    the user_title row and refuses the commit if another validation changed it after the checks ran.
+    The checks are then run again over fresh data (up to 3 times, then ERROR_VALIDATION_CONFLICT),
+    so two gates validating the same card at once can never consume a single use.
+
     Message use examples:
     
     // Return error message
@@ -102,325 +188,207 @@ const { getMessage, getMessageWithData } = require('../messages/validation');
 */
 const validation = async (req, res) => {
     try {
-        const { suport, station } = req.body;
+        const { token, station, enter } = req.body;
+        let { suport } = req.body;
 
         // Check required parameters
-        if (!suport || !station) {
+        if ((!suport && !token) || !station) {
             const message = getMessage('ERROR_MISSING_PARAMETERS');
             return res.status(message.code).json(message);
         }
 
-        // 1. Check if the suport exists
-        const { data: suportData, error: suportError } = await supabase
-            .from('suports')
-            .select('*')
-            .eq('uid', suport)
-            .single();
-
-        if (suportError || !suportData) {
+        // Virtual suports can only validate through a QR token
+        if (suport && String(suport).startsWith(VIRTUAL_SUPORT_PREFIX)) {
             const message = getMessage('ERROR_SUPORT_NOT_FOUND');
             return res.status(message.code).json(message);
         }
 
-        // 2. Check if the suport is active
-        if (!suportData.activation || new Date(suportData.activation) > new Date()) {
-            const message = getMessage('ERROR_SUPORT_INACTIVE');
-            return res.status(message.code).json(message);
+        // QR code of the app: validated with the virtual suport of its user
+        const options = { virtual: false, gate: req.auth.device };
+        if (!suport) {
+            const redeemed = await redeemQrToken(token);
+            if (redeemed.status !== 'VALID') {
+                const message = getMessage(QR_TOKEN_ERRORS[redeemed.status]);
+                return res.status(message.code).json(message);
+            }
+            suport = redeemed.suport;
+            options.virtual = true;
         }
 
-        // 3. Check if the station exists and is available
-        const { data: stationData, error: stationError } = await supabase
-            .from('stations')
-            .select('*')
-            .eq('id', station)
-            .single();
-
-        if (stationError || !stationData || !stationData.available) {
-            const message = getMessage('ERROR_STATION_NOT_AVAILABLE');
-            return res.status(message.code).json(message);
+        // Exit validation
+        if (enter === false || enter === 'false') {
+            return await exitValidation(req, res, suport, options);
         }
 
-        // 4. Check if the user has an active user_title
-        const { data: userTitleData, error: userTitleError } = await supabase
-            .from('user_titles')
-            .select('*')
-            .eq('user', suportData.user)
-            .eq('active', true)
-            .single();
+        // Steps 1-10, and if all checks passed, create validation record (and initialize /
+        // decrement the user_title) atomically (see services/validationRules.js)
+        const { context, decision, committed } = await validate(suport, station, new Date(), options);
 
-        if (userTitleError || !userTitleData) {
-            const message = getMessage('ERROR_NO_USER_TITLE_ACTIVE');
+        if (decision.status !== 'VALIDATION_SUCCESS') {
+            const message = getMessage(decision.status);
             return res.status(message.code).json(message);
         }
 
-        // 5. Check if the user_title is not expired
-        if (userTitleData.expiration && new Date(userTitleData.expiration) < new Date()) {
-            const message = getMessage('ERROR_USER_TITLE_EXPIRED');
-            return res.status(message.code).json(message);
-        }
+        const { validation: validationRecord, uses_left: updatedUsesLeft } = committed;
 
-        // 6. Check if the user_title is initialized
-        if (!userTitleData.first_use) {
-            // Need to initialize the user_title
-            // Get station zones (pick the first one as zone_origin)
-            const { data: stationZones, error: stationZonesError } = await supabase
-                .from('station_zones')
-                .select('zone')
-                .eq('station', station)
-                .order('zone', { ascending: true });
-
-            if (stationZonesError || !stationZones || stationZones.length === 0) {
-                const message = getMessage('ERROR_CANNOT_INITIALIZE_USER_TITLE');
-                return res.status(message.code).json(message);
-            }
-
-            // Set zone_origin as the first zone of the station
-            const zoneOrigin = stationZones[0].zone;
-            const numZones = userTitleData.num_zones;
-
-            // Get all existing zones to validate zone IDs
-            const { data: allZones, error: allZonesError } = await supabase
-                .from('zones')
-                .select('id')
-                .order('id', { ascending: true });
-
-            if (allZonesError || !allZones) {
-                const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                    internal: allZonesError ? allZonesError.message : 'No zones data returned from database'
-                });
-                return res.status(message.code).json(message);
-            }
-
-            // Create a set of existing zone IDs for quick lookup
-            const existingZoneIds = new Set(allZones.map(z => z.id));
-
-            // Calculate circular zones around zone_origin
-            // Examples:
-            // - num_zones 3, zone_origin 4 -> [2,3,4,5,6] (radius = 2)
-            // - num_zones 2, zone_origin 2 -> [1,2,3] (radius = 1)
-            // - num_zones 3, zone_origin 1 -> [0,1,2,3] (radius = 2, but zone -1 doesn't exist)
-            const radius = numZones - 1;
-            const userTitleZoneIds = [];
-
-            // Generate zone IDs in a circular pattern around zone_origin
-            for (let offset = -radius; offset <= radius; offset++) {
-                const zoneId = zoneOrigin + offset;
-                // Only add if the zone exists
-                if (existingZoneIds.has(zoneId)) {
-                    userTitleZoneIds.push(zoneId);
-                }
-            }
-
-            // If we don't have enough zones (due to boundaries), we need to handle this
-            // The user_title cannot be initialized if there aren't valid zones
-            if (userTitleZoneIds.length === 0) {
-                const message = getMessage('ERROR_CANNOT_INITIALIZE_USER_TITLE');
-                return res.status(message.code).json(message);
-            }
-
-            const ct = new Date();
-            const currentTime = ct.getFullYear() + '-' +
-                String(ct.getMonth() + 1).padStart(2, '0') + '-' +
-                String(ct.getDate()).padStart(2, '0') + ' ' +
-                String(ct.getHours()).padStart(2, '0') + ':' +
-                String(ct.getMinutes()).padStart(2, '0') + ':' +
-                String(ct.getSeconds()).padStart(2, '0');
-
-            // Update user_title with first_use and zone_origin
-            const { error: updateError } = await supabase
-                .from('user_titles')
-                .update({
-                    first_use: currentTime,
-                    zone_origin: zoneOrigin
-                })
-                .eq('id', userTitleData.id);
-
-            if (updateError) {
-                const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                    internal: `Failed to update user_title first_use and zone_origin: ${updateError.message}`
-                });
-                return res.status(message.code).json(message);
-            }
+        // Return success with additional data
+        const successMessage = getMessageWithData('VALIDATION_SUCCESS', {
+            validation_id: validationRecord.id,
+            timestamp: validationRecord.timestamp,
+            station_id: station,
+            user_title_id: context.userTitle.id,
+            title_id: context.userTitle.title,
+            uses_left: updatedUsesLeft,
+            expiration: context.userTitle.expiration,
+            link: decision.free,
+            passengers: validationRecord.passengers || 1,
+            group_join: decision.join
+        });
 
-            // Insert user_title_zones (one row per zone)
-            const userTitleZones = userTitleZoneIds.map(zoneId => ({
-                user_title: userTitleData.id,
-                zone: zoneId
-            }));
+        return res.status(successMessage.code).json(successMessage);
 
-            const { error: zonesInsertError } = await supabase
-                .from('user_title_zones')
-                .insert(userTitleZones);
+    } catch (error) {
+        console.error('Validation error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during validation: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
 
-            if (zonesInsertError) {
-                const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                    internal: `Failed to insert user_title_zones: ${zonesInsertError.message}`
-                });
-                return res.status(message.code).json(message);
-            }
+// Exit validation > POST: /validation (enter = false)
+const exitValidation = async (req, res, suport, options) => {
+    const { station } = req.body;
 
-            // Update local userTitleData
-            userTitleData.first_use = currentTime;
-            userTitleData.zone_origin = zoneOrigin;
-        }
+    // Pair with the open entry, create the exit validation record and charge the trip
+    const { context, decision, committed } = await validateExit(suport, station, new Date(), options);
 
-        // 7. Check if the re-entry time has passed
-        if (userTitleData.re_entry !== null) {
-            const { data: lastValidation, error: lastValidationError } = await supabase
-                .from('validation')
-                .select('*')
-                .eq('user_title', userTitleData.id)
-                .order('timestamp', { ascending: false })
-                .limit(1)
-                .single();
+    if (decision.status !== 'VALIDATION_EXIT_SUCCESS') {
+        const message = getMessage(decision.status);
+        return res.status(message.code).json(message);
+    }
 
-            if (lastValidation && !lastValidationError) {
-                // Add 'Z' to force UTC interpretation if not present, ensuring consistent timezone handling
-                const timestampStr = lastValidation.timestamp.endsWith('Z') ? lastValidation.timestamp : lastValidation.timestamp + 'Z';
-                const lastValidationTime = new Date(timestampStr);
-                const timeSinceLastValidation = (new Date() - lastValidationTime) / (1000 * 60); // minutes
-                
-                // Check if it's the same station and re-entry time hasn't passed
-                // Convert both to numbers to ensure proper comparison
-                const lastStationId = Number(lastValidation.station);
-                const currentStationId = Number(station);
-                
-                if (lastStationId === currentStationId && timeSinceLastValidation < userTitleData.re_entry) {
-                    const message = getMessage('ERROR_REENTRY_TIME_NOT_PASSED');
-                    return res.status(message.code).json(message);
-                }
-            }
-        }
+    const successMessage = getMessageWithData('VALIDATION_EXIT_SUCCESS', {
+        validation_id: committed.validation.id,
+        timestamp: committed.validation.timestamp,
+        station_id: station,
+        entry_station_id: context.openEntry.station,
+        entry_timestamp: context.openEntry.timestamp,
+        user_title_id: context.userTitle.id,
+        zones_crossed: decision.zones,
+        charged_uses: decision.uses,
+        charged_amount: decision.amount,
+        shortfall: decision.shortfall,
+        uses_left: committed.uses_left,
+        balance: committed.balance
+    });
 
-        // 8. Check if the user_title is valid for the station's zones
-        const { data: stationZones, error: stationZonesError } = await supabase
-            .from('station_zones')
-            .select('zone')
-            .eq('station', station);
+    return res.status(successMessage.code).json(successMessage);
+};
 
-        if (stationZonesError) {
-            const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                internal: `Failed to fetch station zones: ${stationZonesError.message}`
-            });
-            return res.status(message.code).json(message);
+// Dry-run validation > POST: /validation/simulate
+/*
+    Runs the 10 checks of an entry validation with the same rules as POST /validation
+    (services/validationRules.js), but writes nothing and doesn't stop at the first failing check.
+        body: {
+            suport: <suport_uid>,
+            station: <station_id>,
+            timestamp: <ISO date>       -> optional, time to simulate the validation at (default now)
         }
 
-        const { data: userTitleZones, error: userTitleZonesError } = await supabase
-            .from('user_title_zones')
-            .select('zone')
-            .eq('user_title', userTitleData.id);
+    Returns:
+    - user_title_id: the active user_title the gate would choose (see step 4)
+    - result: the response POST /validation would give (status and message), whether the validation
+      would be a free link validation and whether it would consume a use of the user_title
+    - trace: every check over the chosen user_title, with its inputs and outcome (PASS, FAIL or SKIP),
+      see traceValidation in services/validationRules.js
+    - attempts: the trace of every active user_title tried, in priority order
+*/
+const simulate = async (req, res) => {
+    try {
+        const { suport, station, timestamp } = req.body;
 
-        if (userTitleZonesError) {
-            const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                internal: `Failed to fetch user_title zones: ${userTitleZonesError.message}`
-            });
+        if (!suport || !station || (timestamp !== undefined && isNaN(new Date(timestamp)))) {
+            const message = getMessage('ERROR_MISSING_PARAMETERS');
             return res.status(message.code).json(message);
         }
 
-        // Check if there's at least one zone in common
-        const stationZoneIds = stationZones.map(sz => sz.zone);
-        const userTitleZoneIds = userTitleZones.map(uz => uz.zone);
-        const hasCommonZone = stationZoneIds.some(zoneId => userTitleZoneIds.includes(zoneId));
+        const now = timestamp !== undefined ? new Date(timestamp) : new Date();
+        const { context, decision, attempts } = selectUserTitle(await loadValidationContext(suport, station, now), now);
+        const userTitleId = context.userTitle ? context.userTitle.id : null;
+        const trace = attempts.find(attempt => attempt.user_title === userTitleId).trace;
+        const uses = trace.find(step => step.step === 10);
 
-        if (!hasCommonZone) {
-            const message = getMessage('ERROR_USER_TITLE_NOT_VALID_FOR_ZONE');
-            return res.status(message.code).json(message);
-        }
+        const message = getMessageWithData('VALIDATION_SIMULATION_SUCCESS', {
+            suport: suport,
+            station_id: station,
+            timestamp: now.toISOString(),
+            user_title_id: userTitleId,
+            title_id: context.userTitle ? context.userTitle.title : null,
+            result: {
+                status: decision.status,
+                msg: getMessage(decision.status).msg,
+                would_pass: decision.status === 'VALIDATION_SUCCESS',
+                link: decision.free,
+                consumes_use: uses.result ? uses.result.consumes_use : false,
+                deferred: decision.deferred,
+                init: decision.init
+            },
+            trace: trace,
+            attempts: attempts.map(attempt => ({
+                user_title_id: attempt.user_title,
+                status: attempt.decision.status,
+                selected: attempt.user_title === userTitleId,
+                trace: attempt.trace
+            }))
+        });
 
-        // 9. Check if the link time has not passed
-        let isFreeValidation = false;
-        if (userTitleData.link !== null) {
-            const { data: lastValidation, error: lastValidationError } = await supabase
-                .from('validation')
-                .select('*')
-                .eq('user_title', userTitleData.id)
-                .order('timestamp', { ascending: false })
-                .limit(1)
-                .single();
+        return res.status(message.code).json(message);
+    } catch (error) {
+        console.error('Validation simulation error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during validation simulation: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
 
-            if (lastValidation && !lastValidationError) {
-                // Add 'Z' to force UTC interpretation if not present, ensuring consistent timezone handling
-                const timestampStr = lastValidation.timestamp.endsWith('Z') ? lastValidation.timestamp : lastValidation.timestamp + 'Z';
-                const lastValidationTime = new Date(timestampStr);
-                const timeSinceLastValidation = (new Date() - lastValidationTime) / (1000 * 60); // minutes
-                
-                // Link time only applies if the station is DIFFERENT from the last validation
-                // This prevents multiple people from using the same title to enter the same station
-                // Convert both to numbers to ensure proper comparison
-                const lastStationId = Number(lastValidation.station);
-                const currentStationId = Number(station);
-                
-                if (timeSinceLastValidation < userTitleData.link && lastStationId !== currentStationId) {
-                    // Validation is free
-                    isFreeValidation = true;
-                }
-            }
-        }
+// Entries with no exit > GET: /validation/unclosed
+// Flags the entries of distance-based titles with no exit after VALIDATION_EXIT_TIMEOUT minutes,
+// and returns every flagged entry (optionally filtered with ?user=<user_id>)
+const unclosed = async (req, res) => {
+    try {
+        const { user } = req.query;
 
-        // 10. Check if the user_title has uses left (only if not a free validation)
-        if (!isFreeValidation && userTitleData.uses_left !== null) {
-            if (userTitleData.uses_left <= 0) {
-                const message = getMessage('ERROR_NO_USES_LEFT');
-                return res.status(message.code).json(message);
-            }
-        }
+        const newlyFlagged = await flagUnclosedEntries();
 
-        // All checks passed - create validation record
-        const currentTime = new Date();
-        const { data: validationRecord, error: validationInsertError } = await supabase
+        let query = supabase
             .from('validation')
-            .insert({
-                user: suportData.user,
-                suport: suport,
-                timestamp: currentTime,
-                station: station,
-                enter: true,    // currently always true
-                user_title: userTitleData.id
-            })
-            .select()
-            .single();
-
-        if (validationInsertError) {
-            const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                internal: `Failed to create validation record: ${validationInsertError.message}`
-            });
-            return res.status(message.code).json(message);
+            .select('*')
+            .eq('enter', true)
+            .eq('flagged', true)
+            .order('timestamp', { ascending: false });
+
+        if (user) {
+            query = query.eq('user', user);
         }
 
-        // Decrement uses_left if applicable (not null and not free validation)
-        let updatedUsesLeft = userTitleData.uses_left;
-        if (!isFreeValidation && userTitleData.uses_left !== null) {
-            updatedUsesLeft = userTitleData.uses_left - 1;
-            const { error: updateUsesError } = await supabase
-                .from('user_titles')
-                .update({ uses_left: updatedUsesLeft })
-                .eq('id', userTitleData.id);
+        const { data: flaggedEntries, error: flaggedError } = await query;
 
-            if (updateUsesError) {
-                const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-                    internal: `Failed to decrement uses_left: ${updateUsesError.message}`
-                });
-                return res.status(message.code).json(message);
-            }
-        }
+        if (flaggedError) throw flaggedError;
 
-        // Return success with additional data
-        const successMessage = getMessageWithData('VALIDATION_SUCCESS', {
-            validation_id: validationRecord.id,
-            timestamp: validationRecord.timestamp,
-            station_id: station,
-            user_title_id: userTitleData.id,
-            uses_left: updatedUsesLeft,
-            expiration: userTitleData.expiration,
-            link: isFreeValidation
+        const message = getMessageWithData('UNCLOSED_FETCH_SUCCESS', {
+            timeout: getExitTimeout(),
+            newly_flagged: newlyFlagged.length,
+            validations: flaggedEntries
         });
 
-        return res.status(successMessage.code).json(successMessage);
+        return res.status(message.code).json(message);
 
     } catch (error) {
-        console.error('Validation error:', error);
+        console.error('Unclosed entries fetch error:', error);
         const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
-            internal: `Unexpected error during validation: ${error.message}`
+            internal: `Unexpected error during unclosed entries fetch: ${error.message}`
         });
         return res.status(message.code).json(message);
     }
@@ -434,6 +402,8 @@ const validation = async (req, res) => {
         timestamp: <timestamp>,     -> Directly from validation record
         station: <station_name>,    -> Fetch station name from stations table using station (id)
         suport: <uid>,              -> Directly from validation record
+        enter: <boolean>,           -> Directly from validation record (false for exits)
+        passengers: <int>,          -> People validated together (shared titles), 1 otherwise
         title: <user_title_name>    -> Fetch title name from titles using user_title (id)
     }
 */
@@ -485,6 +455,8 @@ const history = async (req, res) => {
                 timestamp: validation.timestamp,
                 station: stationData.name,
                 suport: validation.suport,
+                enter: validation.enter,
+                passengers: validation.passengers || 1,
                 title: titleData.name
             });
 
@@ -510,8 +482,501 @@ const history = async (req, res) => {
 };
 
 
+//// OFFLINE VALIDATION
+
+
+/*
+    Gates that lose connectivity validate locally against a signed snapshot of their station,
+    and send their validation log to be reconciled once they are back online.
+
+    Snapshot format (signed with Ed25519, OFFLINE_SIGNING_KEY):
+    {
+        station: <station_id>,
+        zones: [<zone_id>, ...],            -> zones of the station
+        generated_at: <timestamp>,
+        valid_until: <timestamp>,           -> generated_at + OFFLINE_SNAPSHOT_TTL minutes (default 60)
+        after: <suport_uid> | null,         -> the page starts after this uid (query ?after=)
+        next: <suport_uid> | null,          -> ?after= of the next page, null on the last one
+        suports: [                          -> suports that can validate at this station
+            {
+                uid: <suport_uid>,
+                user: <user_id>,
+                user_titles: [              -> active user_titles valid at this station, in priority order
+                    {
+                        id, title, priority, expiration, uses_left, re_entry, link, num_zones, coverage,
+                        first_use, fare_mode, fare_per_zone, balance, passengers, group_fare,
+                        zones: [<zone_id>, ...],    -> user_title zones (or the ones it would get if initialized here)
+                        last_validation: { station, timestamp, passengers } | null
+                    }
+                ]
+            }
+        ],
+        deny: [                             -> suports that must be refused at this station
+            { uid: <suport_uid>, status: <ERROR_...> }
+        ]
+    }
+
+    Gates apply locally the time-dependent rules (expiration, re-entry, link, uses_left and the
+    groups of shared titles, VALIDATION_GROUP_WINDOW) with the data of each suport, trying its
+    user_titles in order as in step 4 of the validation; any suport not in the snapshot is refused.
+
+    Snapshots are paged by suport uid (?limit=, at most OFFLINE_SNAPSHOT_PAGE_SIZE suports per page):
+    gates download the pages following next until it is null, and use them together.
+*/
+
+// Times an offline entry is evaluated again when an online validation interferes with its commit
+const MAX_RECONCILE_ATTEMPTS = 3;
+
+// Suports per page of a snapshot (and default ?limit=)
+const OFFLINE_SNAPSHOT_PAGE_SIZE = 1000;
+
+// Statuses that do not depend on the time of the validation, used to build the deny list
+const OFFLINE_DENY_STATUSES = [
+    'ERROR_SUPORT_INACTIVE',
+    'ERROR_SUPORT_BLOCKED',
+    'ERROR_NO_USER_TITLE_ACTIVE',
+    'ERROR_USER_TITLE_EXPIRED',
+    'ERROR_CANNOT_INITIALIZE_USER_TITLE',
+    'ERROR_USER_TITLE_NOT_VALID_FOR_ZONE'
+];
+
+// Signed snapshot of a station > GET: /validation/offline/snapshot/:stationId?after=&limit= (optional, max 1000)
+const offlineSnapshot = async (req, res) => {
+    try {
+        const { stationId } = req.params;
+        const after = req.query.after || null;
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : OFFLINE_SNAPSHOT_PAGE_SIZE;
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > OFFLINE_SNAPSHOT_PAGE_SIZE) {
+            const message = getMessage('ERROR_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        const privateKey = getOfflineSigningKey();
+        if (!privateKey) {
+            const message = getMessage('ERROR_OFFLINE_NOT_CONFIGURED');
+            return res.status(message.code).json(message);
+        }
+
+        // Station and its zones
+        const stationContext = await loadStationContext(stationId);
+        if (!stationContext.station || !stationContext.station.available) {
+            const message = getMessage('ERROR_STATION_NOT_AVAILABLE');
+            return res.status(message.code).json(message);
+        }
+
+        // A page of the suports assigned to a user (not the virtual ones: QR codes can't be checked offline),
+        // one more than the limit to know if there is a next page
+        let suportsQuery = supabase
+            .from('suports')
+            .select('*')
+            .not('user', 'is', null)
+            .or('virtual.is.null,virtual.eq.false')
+            .order('uid', { ascending: true })
+            .limit(limit + 1);
+
+        if (after) suportsQuery = suportsQuery.gt('uid', after);
+
+        const { data: page, error: suportsError } = await suportsQuery;
+
+        if (suportsError) throw suportsError;
+
+        const suports = page.slice(0, limit);
+        const next = page.length > limit ? suports[suports.length - 1].uid : null;
+
+        const userIds = [...new Set(suports.map(s => s.user))];
+
+        // Active user_titles of those users, in priority order
+        const { data: userTitles, error: userTitlesError } = await supabase
+            .from('user_titles')
+            .select('*')
+            .in('user', userIds)
+            .eq('active', true)
+            .order('priority', { ascending: true, nullsFirst: false })
+            .order('id', { ascending: true });
+
+        if (userTitlesError) throw userTitlesError;
+
+        const userTitleIds = userTitles.map(ut => ut.id);
+
+        const { data: userTitleZones, error: userTitleZonesError } = await supabase
+            .from('user_title_zones')
+            .select('*')
+            .in('user_title', userTitleIds);
+
+        if (userTitleZonesError) throw userTitleZonesError;
+
+        const { data: allZones, error: allZonesError } = await supabase
+            .from('zones')
+            .select('id')
+            .order('id', { ascending: true });
+
+        if (allZonesError) throw allZonesError;
+
+        // Data for the coverage strategies of the user_titles pending first use
+        const adjacency = await getZoneAdjacency();
+        const listTitleIds = [...new Set(userTitles.filter(ut => ut.coverage === 'list').map(ut => ut.title))];
+        const titleZones = {};
+        for (const titleId of listTitleIds) {
+            titleZones[titleId] = await getTitleZones(titleId);
+        }
+
+        // Only the validations inside the longest re_entry / link / group window are relevant for the gates
+        const now = new Date();
+        const windowMinutes = Math.max(getGroupWindow(), ...userTitles.map(ut => Math.max(ut.re_entry || 0, ut.link || 0)));
+        const { data: recentValidations, error: recentValidationsError } = await supabase
+            .from('validation')
+            .select('*')
+            .in('user_title', userTitleIds)
+            .gte('timestamp', new Date(now.getTime() - windowMinutes * 60 * 1000).toISOString())
+            .order('timestamp', { ascending: false });
+
+        if (recentValidationsError) throw recentValidationsError;
+
+        // Evaluate every suport against the station, ignoring the time-dependent rules
+        const allowed = [];
+        const deny = [];
+        for (const suport of suports) {
+            // As in step 4, the active user_titles of the user in priority order
+            const activeTitles = userTitles.filter(ut => ut.user === suport.user);
+
+            const validTitles = [];
+            let firstStatus = 'ERROR_NO_USER_TITLE_ACTIVE';
+            for (const userTitle of activeTitles) {
+                const context = {
+                    ...stationContext,
+                    suport: suport,
+                    userTitle: userTitle,
+                    userTitleZones: userTitle.first_use
+                        ? userTitleZones.filter(uz => uz.user_title === userTitle.id).map(uz => uz.zone)
+                        : null,
+                    zoneIds: allZones.map(z => z.id),
+                    adjacency: adjacency,
+                    titleZones: titleZones[userTitle.title] || [],
+                    lastValidation: null
+                };
+
+                const decision = evaluateValidation(context, now);
+                if (OFFLINE_DENY_STATUSES.includes(decision.status)) {
+                    if (userTitle === activeTitles[0]) firstStatus = decision.status;
+                    continue;
+                }
+
+                const lastValidation = recentValidations.find(v => v.user_title === userTitle.id);
+                validTitles.push({
+                    id: userTitle.id,
+                    title: userTitle.title,
+                    priority: userTitle.priority,
+                    expiration: userTitle.expiration,
+                    uses_left: userTitle.uses_left,
+                    re_entry: userTitle.re_entry,
+                    link: userTitle.link,
+                    num_zones: userTitle.num_zones,
+                    coverage: userTitle.coverage,
+                    fare_mode: userTitle.fare_mode,
+                    fare_per_zone: userTitle.fare_per_zone,
+                    balance: userTitle.balance,
+                    passengers: userTitle.passengers || 1,
+                    group_fare: userTitle.group_fare || 'per_passenger',
+                    first_use: userTitle.first_use,
+                    zones: decision.init ? decision.init.zones : context.userTitleZones,
+                    last_validation: lastValidation
+                        ? { station: lastValidation.station, timestamp: lastValidation.timestamp, passengers: lastValidation.passengers || 1 }
+                        : null
+                });
+            }
+
+            // The suport is refused if none of its user_titles can be used here
+            if (validTitles.length === 0) {
+                deny.push({ uid: suport.uid, status: activeTitles.length > 0 ? firstStatus : 'ERROR_NO_USER_TITLE_ACTIVE' });
+                continue;
+            }
+
+            allowed.push({
+                uid: suport.uid,
+                user: suport.user,
+                user_titles: validTitles
+            });
+        }
+
+        const ttl = getSnapshotTtl();
+        const snapshot = {
+            station: stationContext.station.id,
+            zones: stationContext.stationZones,
+            generated_at: now.toISOString(),
+            valid_until: new Date(now.getTime() + ttl * 60 * 1000).toISOString(),
+            after: after,
+            next: next,
+            suports: allowed,
+            deny: deny
+        };
+
+        const signature = crypto.sign(null, Buffer.from(JSON.stringify(snapshot)), privateKey);
+
+        const message = getMessageWithData('OFFLINE_SNAPSHOT_SUCCESS', {
+            snapshot: snapshot,
+            algorithm: 'Ed25519',
+            signature: signature.toString('base64')
+        });
+
+        return res.status(message.code).json(message);
+
+    } catch (error) {
+        console.error('Offline snapshot error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during offline snapshot: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+// Public key to verify the snapshots > GET: /validation/offline/public-key
+const offlinePublicKey = async (req, res) => {
+    try {
+        const privateKey = getOfflineSigningKey();
+        if (!privateKey) {
+            const message = getMessage('ERROR_OFFLINE_NOT_CONFIGURED');
+            return res.status(message.code).json(message);
+        }
+
+        const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+
+        const message = getMessageWithData('OFFLINE_PUBLIC_KEY_SUCCESS', {
+            algorithm: 'Ed25519',
+            public_key: publicKey
+        });
+
+        return res.status(message.code).json(message);
+
+    } catch (error) {
+        console.error('Offline public key error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during offline public key export: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+/* Reconcile offline validations > POST: /validation/offline/reconcile
+
+    Input:
+    body: {
+        "validations": [
+            {
+                "suport": "<suport_uid>",
+                "station": <station_id>,
+                "timestamp": "2024-07-01T12:00:00.000Z",
+                "enter": true,              -> optional, false for an exit validation
+                "accepted": true            -> optional, false if the gate refused it (not replayed)
+            }
+        ]
+    }
+
+    The gate is the authenticated one (req.auth.device): its validations are recorded with its device id.
+
+    Sequence:
+    1. Sort the entries by timestamp (duplicated entries are ignored)
+    2. Replay each entry through the validation rules, using its timestamp as the current time: only the
+       validations recorded until then are taken into account (exits are paired with the last entry
+       before them, as in the exit validation)
+        - if it passes, the validation is recorded as if it had been done online
+        - if not, the entry is reported as a conflict and nothing is recorded:
+            -> USES_DOUBLE_SPENT: no uses left, and other gates recorded validations of the user_title since
+               the snapshot the gate worked with could have been generated (OFFLINE_SNAPSHOT_TTL minutes)
+            -> RULE_REJECTED: any other failing rule (the status tells which one)
+            -> INVALID_ENTRY: missing suport, station or timestamp, a station other than the one of the gate,
+               or a virtual suport (QR codes)
+    3. Return the recorded validations and the conflicts (OFFLINE_RECONCILE_SUCCESS)
+*/
+const offlineReconcile = async (req, res) => {
+    try {
+        const { validations } = req.body;
+        const gate = req.auth.device;
+
+        if (!Array.isArray(validations)) {
+            const message = getMessage('ERROR_MISSING_PARAMETERS');
+            return res.status(message.code).json(message);
+        }
+
+        const recorded = [];
+        const conflicts = [];
+
+        //// 1. Sort the entries by timestamp
+
+        const seen = new Set();
+        const entries = [];
+        for (const entry of validations) {
+            if (entry.accepted === false) continue;
+
+            if (!entry.suport || !entry.station || !entry.timestamp || isNaN(new Date(entry.timestamp))) {
+                conflicts.push({ ...entry, gate: gate, status: 'ERROR_MISSING_PARAMETERS', conflict: 'INVALID_ENTRY' });
+                continue;
+            }
+
+            // Gates can only report their own validations, as online (atStation)
+            if (String(entry.station) !== String(req.auth.station)) {
+                conflicts.push({ ...entry, gate: gate, status: 'AUTH_FORBIDDEN', conflict: 'INVALID_ENTRY' });
+                continue;
+            }
+
+            // QR codes can't be checked offline: virtual suports are never accepted in a log
+            if (String(entry.suport).startsWith(VIRTUAL_SUPORT_PREFIX)) {
+                conflicts.push({ ...entry, gate: gate, status: 'ERROR_SUPORT_NOT_FOUND', conflict: 'INVALID_ENTRY' });
+                continue;
+            }
+
+            const key = `${entry.suport}|${entry.station}|${new Date(entry.timestamp).toISOString()}|${entry.enter !== false}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            entries.push({ ...entry, gate: gate, time: new Date(entry.timestamp) });
+        }
+        entries.sort((a, b) => a.time - b.time);
+
+        //// 2. Replay each entry through the validation rules
+
+        const stationContexts = {};     // station id -> station part of the context
+
+        for (const entry of entries) {
+            const report = {
+                suport: entry.suport,
+                station: entry.station,
+                timestamp: entry.timestamp,
+                gate: entry.gate
+            };
+
+            // Exits are paired with the entries already recorded
+            if (entry.enter === false) {
+                const {
+                    context: exitContext,
+                    decision: exitDecision,
+                    committed: committedExit
+                } = await validateExit(entry.suport, entry.station, entry.time, { gate: gate });
+
+                if (exitDecision.status !== 'VALIDATION_EXIT_SUCCESS') {
+                    conflicts.push({ ...report, enter: false, status: exitDecision.status, conflict: 'RULE_REJECTED' });
+                    continue;
+                }
+
+                recorded.push({
+                    ...report,
+                    enter: false,
+                    validation_id: committedExit.validation.id,
+                    user_title_id: exitContext.userTitle.id,
+                    zones_crossed: exitDecision.zones,
+                    uses_left: committedExit.uses_left,
+                    balance: committedExit.balance
+                });
+                continue;
+            }
+
+            if (!stationContexts[entry.station]) {
+                stationContexts[entry.station] = await loadStationContext(entry.station);
+            }
+
+            // The suport part is loaded for each entry: only the validations recorded until its timestamp count
+            let { context, decision } = selectUserTitle({ ...await loadSuportContext(entry.suport, entry.time), ...stationContexts[entry.station] }, entry.time);
+            let committed = null;
+
+            // Commit atomically, evaluating again over fresh data if an online validation interfered
+            for (let attempt = 1; decision.status === 'VALIDATION_SUCCESS'; attempt++) {
+                committed = await commitValidation({ context, decision, timestamp: entry.time, gate: gate });
+                if (committed) break;
+
+                if (attempt >= MAX_RECONCILE_ATTEMPTS) {
+                    decision = { ...decision, status: 'ERROR_VALIDATION_CONFLICT' };
+                    break;
+                }
+
+                ({ context, decision } = selectUserTitle({ ...await loadSuportContext(entry.suport, entry.time), ...stationContexts[entry.station] }, entry.time));
+            }
+
+            if (decision.status !== 'VALIDATION_SUCCESS') {
+                const userTitleId = context.userTitle ? context.userTitle.id : null;
+                const otherGates = decision.status === 'ERROR_NO_USES_LEFT'
+                    ? await getOtherGates(userTitleId, gate, entry.time)
+                    : [];
+                const doubleSpent = otherGates.length > 0;
+
+                conflicts.push({
+                    ...report,
+                    status: decision.status,
+                    conflict: doubleSpent ? 'USES_DOUBLE_SPENT' : 'RULE_REJECTED',
+                    user_title_id: userTitleId,
+                    other_gates: doubleSpent ? otherGates : undefined
+                });
+                continue;
+            }
+
+            recorded.push({
+                ...report,
+                validation_id: committed.validation.id,
+                user_title_id: context.userTitle.id,
+                uses_left: committed.uses_left,
+                link: decision.free,
+                passengers: committed.validation.passengers || 1
+            });
+        }
+
+        //// 3. Return the recorded validations and the conflicts
+
+        const message = getMessageWithData('OFFLINE_RECONCILE_SUCCESS', {
+            processed: entries.length,
+            recorded: recorded,
+            conflicts: conflicts
+        });
+
+        return res.status(message.code).json(message);
+
+    } catch (error) {
+        console.error('Offline reconcile error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during offline reconciliation: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Minutes an offline snapshot is valid for
+const getSnapshotTtl = () => Number(process.env.OFFLINE_SNAPSHOT_TTL) || 60;
+
+// Gates other than <gate> that recorded entries of a user_title since the snapshot the gate used at <time>
+// could have been generated (the uses it saw might have been spent by them)
+async function getOtherGates(userTitleId, gate, time) {
+    const since = new Date(time.getTime() - getSnapshotTtl() * 60 * 1000);
+
+    const { data, error } = await supabase
+        .from('validation')
+        .select('gate')
+        .eq('user_title', userTitleId)
+        .eq('enter', true)
+        .neq('gate', gate)
+        .gte('timestamp', since.toISOString());
+
+    if (error) {
+        throw new Error(`Failed to fetch the validations of other gates: ${error.message}`);
+    }
+
+    return [...new Set(data.map(v => v.gate))];
+};
+
+// Ed25519 private key used to sign the offline snapshots (PEM, null if not configured)
+function getOfflineSigningKey() {
+    if (!process.env.OFFLINE_SIGNING_KEY) return null;
+    return crypto.createPrivateKey(process.env.OFFLINE_SIGNING_KEY.replace(/\\n/g, '\n'));
+};
+
 
 module.exports = {
     validation,         // POST      : /validation
-    history             // GET       : /validation/history/:userId
+    simulate,           // POST      : /validation/simulate
+    history,            // GET       : /validation/history/:userId
+    unclosed,           // GET       : /validation/unclosed
+    offlineSnapshot,    // GET       : /validation/offline/snapshot/:stationId
+    offlinePublicKey,   // GET       : /validation/offline/public-key
+    offlineReconcile    // POST      : /validation/offline/reconcile
 };
\ No newline at end of file
@@ -6,6 +6,12 @@ const supabase = require('../config/supabase');
     - id (PK, UQ)   - int8
     - name          - varchar
     - description   - varchar
+
+    Zone_adjacency:
+    - zone_a (PK, FK -> zones.id)   - int8
+    - zone_b (PK, FK -> zones.id)   - int8
+    > Undirected: one row per pair of neighbouring zones, stored with zone_a < zone_b
+    > Used by the 'hops' zone coverage strategy of the titles (see services/zoneCoverage.js)
 */
 
 
@@ -127,6 +133,14 @@ const updateZone = async (req, res) => {
 const deleteZone = async (req, res) => {
     const { id } = req.params;
     try {
+        // Delete the adjacencies of the zone
+        const { error: adjacencyError } = await supabase
+            .from('zone_adjacency')
+            .delete()
+            .or(`zone_a.eq.${id},zone_b.eq.${id}`);
+
+        if (adjacencyError) throw adjacencyError;
+
         const { data, error } = await supabase
             .from('zones')
             .delete()
@@ -149,10 +163,153 @@ const deleteZone = async (req, res) => {
 };
 
 
+//// ZONE ADJACENCY
+
+
+// Get adjacent zones of a zone > GET: /zones/:id/adjacent
+const getAdjacentZones = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { data, error } = await supabase
+            .from('zone_adjacency')
+            .select('*')
+            .or(`zone_a.eq.${id},zone_b.eq.${id}`);
+
+        if (error) throw error;
+
+        // Keep the zone at the other side of each pair
+        const adjacent = data
+            .map(za => (Number(za.zone_a) === Number(id) ? za.zone_b : za.zone_a))
+            .sort((a, b) => a - b);
+
+        res.status(200).json({
+            success: true,
+            zone_id: Number(id),
+            adjacent: adjacent
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Add adjacent zone to a zone > POST: /zones/:id/adjacent
+// { "zone": 2 }
+const addAdjacentZone = async (req, res) => {
+    const { id } = req.params;
+    const { zone } = req.body;
+    try {
+        if (zone === undefined || zone === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: zone'
+            });
+        }
+
+        if (Number(zone) === Number(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A zone cannot be adjacent to itself'
+            });
+        }
+
+        // Check that both zones exist
+        const { data: zonesData, error: zonesError } = await supabase
+            .from('zones')
+            .select('id')
+            .in('id', [id, zone]);
+
+        if (zonesError) throw zonesError;
+
+        if (zonesData.length < 2) {
+            return res.status(404).json({
+                success: false,
+                error: 'Zone not found'
+            });
+        }
+
+        // Pairs are stored with zone_a < zone_b
+        const zoneA = Math.min(Number(id), Number(zone));
+        const zoneB = Math.max(Number(id), Number(zone));
+
+        const { data: existingPair, error: fetchError } = await supabase
+            .from('zone_adjacency')
+            .select('*')
+            .eq('zone_a', zoneA)
+            .eq('zone_b', zoneB)
+            .single();
+
+        if (fetchError && fetchError.code !== 'PGRST116') {
+            throw fetchError;
+        }
+
+        if (existingPair) {
+            return res.status(400).json({
+                success: false,
+                error: 'Zones are already adjacent'
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('zone_adjacency')
+            .insert([{ zone_a: zoneA, zone_b: zoneB }])
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json({
+            success: true,
+            adjacency: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Remove adjacent zone from a zone > DELETE: /zones/:id/adjacent/:adjacentId
+const removeAdjacentZone = async (req, res) => {
+    const { id, adjacentId } = req.params;
+    try {
+        const zoneA = Math.min(Number(id), Number(adjacentId));
+        const zoneB = Math.max(Number(id), Number(adjacentId));
+
+        const { data, error } = await supabase
+            .from('zone_adjacency')
+            .delete()
+            .eq('zone_a', zoneA)
+            .eq('zone_b', zoneB)
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        res.status(200).json({
+            success: true,
+            adjacency: data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+
 module.exports = {
     getAllZones,            // GET      : /zones
     getZoneById,            // GET      : /zones/:id
     createZone,             // POST     : /zones
     updateZone,             // PUT      : /zones/:id
-    deleteZone              // DELETE   : /zones/:id
+    deleteZone,             // DELETE   : /zones/:id
+
+    getAdjacentZones,       // GET      : /zones/:id/adjacent
+    addAdjacentZone,        // POST     : /zones/:id/adjacent
+    removeAdjacentZone      // DELETE   : /zones/:id/adjacent/:adjacentId
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+/*
+    Sequential invoice numbers of the receipts > trigger, runs on every insert into receipts
+
+    Invoice_sequences:
+    - fiscal_year (PK)  - int4
+    - last_number       - int8 (last invoice number given in the fiscal year)
+
+    Gives every new receipt the next number of its fiscal year (the calendar year of its timestamp):
+    - fiscal_year: 2026
+    - invoice_sequence: 42
+    - invoice_number: "2026-000042"
+    The counter of the year stays locked until the receipt is committed, so concurrent receipts wait
+    for each other and a receipt that is rolled back gives its number back: there are no gaps.
+    Receipts inserted with an invoice_number keep it.
+*/
+create or replace function assign_invoice_number() returns trigger
+language plpgsql
+as $$
+declare
+    v_year int4;
+    v_number int8;
+begin
+    if new.invoice_number is not null then
+        return new;
+    end if;
+
+    v_year := extract(year from coalesce(new."timestamp", now()))::int4;
+
+    insert into invoice_sequences (fiscal_year, last_number)
+    values (v_year, 1)
+    on conflict (fiscal_year) do update
+    set last_number = invoice_sequences.last_number + 1
+    returning last_number into v_number;
+
+    new.fiscal_year := v_year;
+    new.invoice_sequence := v_number;
+    new.invoice_number := v_year || '-' || lpad(v_number::text, 6, '0');
+
+    return new;
+end;
+$$;
+
+drop trigger if exists receipts_invoice_number on receipts;
+
+create trigger receipts_invoice_number
+before insert on receipts
+for each row execute function assign_invoice_number();
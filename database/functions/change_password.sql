@@ -0,0 +1,64 @@
+/*
+    Password change of a user > supabase.rpc('change_password', { ... })
+
+    Locks the user and, in the same transaction:
+    1. Checks that the password is still the one the server compared the current password with
+        -> if not (changed or reset meanwhile), returns { status: 'PASSWORD_CHANGED' } and nothing is written
+    2. Sets the new password (bcrypt hash)
+    3. Deletes the pending password_resets of the user: a reset link sent before can't undo the change
+    4. Closes the sessions of every other device
+
+    Returns:
+    {
+        status: 'CHANGED' | 'NOT_FOUND' | 'PASSWORD_CHANGED',
+        sessions_closed: <int>
+    }
+*/
+create or replace function change_password(
+    p_user int8,
+    p_old_password text,        -- hash the current password was compared with
+    p_new_password text,        -- hash of the new password
+    p_device varchar            -- device that keeps its session
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_password text;
+    v_sessions int;
+begin
+    -- Logins, resets and other changes of the password wait here until this one commits
+    select password into v_password
+    from users
+    where id = p_user
+    for update;
+
+    if not found then
+        return jsonb_build_object('status', 'NOT_FOUND');
+    end if;
+
+    -- 1. The password that was checked
+    if v_password is distinct from p_old_password then
+        return jsonb_build_object('status', 'PASSWORD_CHANGED');
+    end if;
+
+    -- 2. The new password
+    update users
+    set password = p_new_password
+    where id = p_user;
+
+    -- 3. Pending resets
+    delete from password_resets where "user" = p_user;
+
+    -- 4. Sessions of the other devices
+    delete from sessions
+    where "user" = p_user
+      and device is distinct from p_device;
+
+    get diagnostics v_sessions = row_count;
+
+    return jsonb_build_object(
+        'status', 'CHANGED',
+        'sessions_closed', v_sessions
+    );
+end;
+$$;
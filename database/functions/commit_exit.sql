@@ -0,0 +1,93 @@
+/*
+    Atomic commit of an exit validation > supabase.rpc('commit_exit', { ... })
+
+    Locks the user_title used at the entry and, in the same transaction:
+    1. Checks that the entry is still open and the user_title still as the decision saw it
+        - the last validation of the user until p_timestamp is the paired entry
+        - uses_left and balance did not change
+        -> if not, returns { status: 'CONFLICT' } and nothing is written (the exit is evaluated again)
+    2. Inserts the exit validation record (enter = false)
+    3. Charges the trip (uses and/or balance)
+
+    Returns:
+    {
+        status: 'COMMITTED',
+        validation: <validation row>,
+        uses_left: <updated uses_left>,
+        balance: <updated balance>
+    }
+*/
+create or replace function commit_exit(
+    p_user_title bigint,
+    p_user bigint,
+    p_suport varchar,
+    p_station bigint,
+    p_timestamp timestamp,
+    p_open_entry timestamp,             -- timestamp of the entry the exit is paired with
+    p_expected_uses_left bigint,
+    p_expected_balance float4,
+    p_uses bigint,                      -- uses to charge
+    p_amount float4,                    -- money to charge from the balance
+    p_gate varchar default null         -- device id of the gate (null -> unknown)
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_user_title user_titles%rowtype;
+    v_last validation%rowtype;
+    v_validation validation%rowtype;
+begin
+    -- Concurrent exits paired with the same entry wait here until this one commits
+    select * into v_user_title
+    from user_titles
+    where id = p_user_title
+    for update;
+
+    if not found then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    select * into v_last
+    from validation
+    where "user" = p_user
+      and "timestamp" <= p_timestamp
+    order by "timestamp" desc
+    limit 1;
+
+    -- 1. The entry was already closed, or the user_title changed since the decision was taken
+    if not found
+        or not v_last.enter
+        or v_last."timestamp" <> p_open_entry
+        or v_user_title.uses_left is distinct from p_expected_uses_left
+        or v_user_title.balance is distinct from p_expected_balance then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    -- 2. Insert the exit validation record
+    insert into validation ("user", suport, "timestamp", station, enter, user_title, gate)
+    values (p_user, p_suport, p_timestamp, p_station, false, p_user_title, p_gate)
+    returning * into v_validation;
+
+    -- 3. Charge the trip
+    if p_uses > 0 and v_user_title.uses_left is not null then
+        update user_titles
+        set uses_left = uses_left - p_uses
+        where id = p_user_title
+        returning uses_left into v_user_title.uses_left;
+    end if;
+
+    if p_amount > 0 then
+        update user_titles
+        set balance = coalesce(balance, 0) - p_amount
+        where id = p_user_title
+        returning balance into v_user_title.balance;
+    end if;
+
+    return jsonb_build_object(
+        'status', 'COMMITTED',
+        'validation', to_jsonb(v_validation),
+        'uses_left', v_user_title.uses_left,
+        'balance', v_user_title.balance
+    );
+end;
+$$;
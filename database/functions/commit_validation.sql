@@ -0,0 +1,113 @@
+/*
+    Atomic commit of a validation decision > supabase.rpc('commit_validation', { ... })
+
+    The decision (steps 1-10) is taken by services/validationRules.js over a snapshot of the
+    user_title. This function locks the user_title row and, in the same transaction:
+    1. Checks that the user_title is still as the decision saw it
+        - uses_left, whether it was initialized, and the last entry validation until p_timestamp (and its passengers)
+        -> if not, returns { status: 'CONFLICT' } and nothing is written (the decision is evaluated again)
+    2. Initializes the user_title if needed (first_use, zone_origin and user_title_zones)
+    3. Inserts the validation record, or adds a passenger to the last entry validation when joining
+       its group (shared titles)
+    4. Decrements uses_left if applicable
+
+    Two gates validating the same user_title at once are serialized by the row lock, so the
+    second one always sees the use consumed by the first one.
+
+    Returns:
+    {
+        status: 'COMMITTED',
+        validation: <validation row>,
+        uses_left: <updated uses_left>
+    }
+*/
+create or replace function commit_validation(
+    p_user_title bigint,
+    p_user bigint,
+    p_suport varchar,
+    p_station bigint,
+    p_timestamp timestamp,
+    p_expected_uses_left bigint,            -- uses_left seen by the decision
+    p_expected_initialized boolean,         -- first_use was set when the decision was taken
+    p_expected_last_validation timestamp,   -- last entry validation seen by the decision (null -> none)
+    p_expected_passengers bigint,           -- passengers of that validation (null -> none)
+    p_consume boolean,                      -- decrement uses_left (not free, not distance-based, not a shared group)
+    p_join boolean,                         -- join the group of the last entry validation
+    p_zone_origin bigint,                   -- initialization (null -> no initialization)
+    p_zones bigint[],
+    p_first_use timestamp,
+    p_gate varchar default null             -- device id of the gate (null -> unknown)
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_user_title user_titles%rowtype;
+    v_last_validation timestamp;
+    v_last_passengers bigint;
+    v_last_id bigint;
+    v_validation validation%rowtype;
+begin
+    -- Concurrent validations of the same user_title wait here until this one commits
+    select * into v_user_title
+    from user_titles
+    where id = p_user_title
+    for update;
+
+    if not found then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    select id, "timestamp", coalesce(passengers, 1) into v_last_id, v_last_validation, v_last_passengers
+    from validation
+    where user_title = p_user_title
+      and enter = true
+      and "timestamp" <= p_timestamp
+    order by "timestamp" desc, id desc
+    limit 1;
+
+    -- 1. The user_title changed since the decision was taken
+    if v_user_title.uses_left is distinct from p_expected_uses_left
+        or (v_user_title.first_use is not null) <> p_expected_initialized
+        or v_last_validation is distinct from p_expected_last_validation
+        or v_last_passengers is distinct from p_expected_passengers then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    -- 2. Initialize the user_title
+    if p_zone_origin is not null then
+        update user_titles
+        set first_use = p_first_use,
+            zone_origin = p_zone_origin
+        where id = p_user_title;
+
+        insert into user_title_zones (user_title, zone)
+        select p_user_title, unnest(p_zones);
+    end if;
+
+    -- 3. Insert the validation record, or add a passenger to the group of the last one
+    if p_join then
+        update validation
+        set passengers = v_last_passengers + 1
+        where id = v_last_id
+        returning * into v_validation;
+    else
+        insert into validation ("user", suport, "timestamp", station, enter, user_title, passengers, gate)
+        values (p_user, p_suport, p_timestamp, p_station, true, p_user_title, 1, p_gate)
+        returning * into v_validation;
+    end if;
+
+    -- 4. Decrement uses_left
+    if p_consume and v_user_title.uses_left is not null then
+        update user_titles
+        set uses_left = uses_left - 1
+        where id = p_user_title
+        returning uses_left into v_user_title.uses_left;
+    end if;
+
+    return jsonb_build_object(
+        'status', 'COMMITTED',
+        'validation', to_jsonb(v_validation),
+        'uses_left', v_user_title.uses_left
+    );
+end;
+$$;
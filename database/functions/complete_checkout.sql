@@ -0,0 +1,71 @@
+/*
+    Atomic completion of a paid checkout > supabase.rpc('complete_checkout', { ... })
+
+    Locks the checkout and, in the same transaction:
+    1. Checks that the checkout is paid and not issued yet (status PAID_NOT_ISSUED)
+        -> if not (e.g. it was already issued by a retry), returns { status: 'CONFLICT' } and nothing is written
+    2. Inserts the user_title bought (built by the server from the title, see services/userTitles.js)
+    3. Inserts the receipt of the payment, linked to the user_title and the checkout, with its line items
+       (the invoice number is given by database/functions/assign_invoice_number.sql)
+    4. Marks the checkout as COMPLETED
+
+    Returns:
+    {
+        status: 'COMPLETED',
+        checkout: <checkouts row>,
+        user_title: <user_titles row>,
+        receipt: <receipts row>
+    }
+*/
+create or replace function complete_checkout(
+    p_checkout uuid,
+    p_user_title jsonb,                 -- user_titles row to insert (with id)
+    p_receipt varchar,                  -- id of the receipt
+    p_lines jsonb,                      -- line items of the receipt (see services/receipts.js)
+    p_timestamp timestamp
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_checkout checkouts%rowtype;
+    v_user_title user_titles%rowtype;
+    v_receipt receipts%rowtype;
+begin
+    -- Concurrent confirmations of the same checkout wait here until this one commits
+    select * into v_checkout
+    from checkouts
+    where id = p_checkout
+    for update;
+
+    -- 1. The checkout doesn't exist or is not waiting to be issued
+    if not found or v_checkout.status <> 'PAID_NOT_ISSUED' then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    -- 2. Insert the user_title
+    insert into user_titles
+    select * from jsonb_populate_record(null::user_titles, p_user_title)
+    returning * into v_user_title;
+
+    -- 3. Insert the receipt
+    insert into receipts (id, "timestamp", "user", amount, user_title, checkout, lines)
+    values (p_receipt, p_timestamp, v_checkout."user", v_checkout.amount, v_user_title.id, v_checkout.id, p_lines)
+    returning * into v_receipt;
+
+    -- 4. Mark the checkout as completed
+    update checkouts
+    set status = 'COMPLETED',
+        completed_at = p_timestamp,
+        user_title = v_user_title.id,
+        receipt = v_receipt.id
+    where id = p_checkout
+    returning * into v_checkout;
+
+    return jsonb_build_object(
+        'status', 'COMPLETED',
+        'checkout', to_jsonb(v_checkout),
+        'user_title', to_jsonb(v_user_title),
+        'receipt', to_jsonb(v_receipt)
+    );
+end;
+$$;
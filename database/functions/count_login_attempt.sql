@@ -0,0 +1,82 @@
+/*
+    Atomic count of a login attempt on a key > supabase.rpc('count_login_attempt', { ... })
+
+    Used by the supabase store of services/loginAttempts.js, so the concurrent attempts of a key (e.g.
+    parallel logins with guessed passwords) are counted one after the other. Locks the row of the key
+    (created if it doesn't exist) and, in the same transaction:
+    1. Starts the count again if it no longer counts (failures out of the window, or a lock that ended)
+    2. Adds p_amount to the failures:
+        - p_amount > 0 on a locked key: nothing changes, the attempt is refused (counted: false)
+        - the key is locked for p_lockout minutes once the failures reach p_max (0 -> never locks),
+          and unlocked if they go back under it (p_amount < 0, an attempt that succeeded)
+    3. Keeps the row until the window or the lock ends (expiration)
+
+    Returns:
+    {
+        failures: <int>,
+        first_failure: <timestamp>,
+        locked_until: <timestamp | null>,
+        counted: <boolean>
+    }
+*/
+create or replace function count_login_attempt(
+    p_key text,
+    p_amount int4,
+    p_now timestamp,
+    p_window float8,        -- minutes the failures are counted
+    p_lockout float8,       -- minutes a key is locked
+    p_max int4              -- failures that lock the key (0 -> never locks)
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_attempt login_attempts%rowtype;
+    v_counted boolean := true;
+begin
+    insert into login_attempts (key, failures, first_failure, locked_until, expiration)
+    values (p_key, 0, p_now, null, p_now)
+    on conflict (key) do nothing;
+
+    -- Concurrent attempts of the same key wait here until this one commits
+    select * into v_attempt
+    from login_attempts
+    where key = p_key
+    for update;
+
+    -- 1. Start the count again
+    if (v_attempt.locked_until is not null and v_attempt.locked_until <= p_now)
+        or (v_attempt.locked_until is null and v_attempt.first_failure <= p_now - p_window * interval '1 minute') then
+        v_attempt.failures := 0;
+        v_attempt.first_failure := p_now;
+        v_attempt.locked_until := null;
+    end if;
+
+    -- 2. Add the amount, locking or unlocking the key
+    if p_amount > 0 and v_attempt.locked_until is not null then
+        v_counted := false;
+    else
+        v_attempt.failures := greatest(v_attempt.failures + p_amount, 0);
+
+        if p_max > 0 and v_attempt.failures >= p_max then
+            v_attempt.locked_until := coalesce(v_attempt.locked_until, p_now + p_lockout * interval '1 minute');
+        else
+            v_attempt.locked_until := null;
+        end if;
+    end if;
+
+    -- 3. Keep it until the window or the lock ends
+    update login_attempts
+    set failures = v_attempt.failures,
+        first_failure = v_attempt.first_failure,
+        locked_until = v_attempt.locked_until,
+        expiration = greatest(v_attempt.first_failure + p_window * interval '1 minute', coalesce(v_attempt.locked_until, p_now))
+    where key = p_key;
+
+    return jsonb_build_object(
+        'failures', v_attempt.failures,
+        'first_failure', v_attempt.first_failure,
+        'locked_until', v_attempt.locked_until,
+        'counted', v_counted
+    );
+end;
+$$;
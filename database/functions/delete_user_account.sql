@@ -0,0 +1,109 @@
+/*
+    GDPR deletion of a user account > supabase.rpc('delete_user_account', { ... })
+
+    Locks the user and, in the same transaction:
+    1. Anonymises what has to be kept (trips, invoices and the history of the titles), unlinking it
+       from the user:
+        - validation, receipts, checkouts and title_transfers lose the user
+        - user_titles lose the user and are retired (retired_reason 'ACCOUNT_DELETED')
+        - suports are unassigned (user and activation cleared), like DELETE /users/:id/suports/:uid;
+          the blocked and lost ones are retired, since without a user they could never be made active again
+    2. Deletes what only makes sense for the user: sessions, password_resets, qr_token_uses,
+       user_groups, notifications, requests and their request_documents (the server removes the files from
+       the storage once this one commits, see services/accounts.js)
+    3. Deletes the user
+
+    The "user" columns of validation, receipts, checkouts, user_titles, suports and title_transfers
+    (from_user, to_user) must allow null. Validation needs database/migrations/validation_id_primary_key.sql
+    first: "user" was part of its primary key.
+
+    Returns:
+    {
+        status: 'DELETED' | 'NOT_FOUND',
+        validations: <int>,     -> anonymised rows of each table
+        receipts: <int>,
+        user_titles: <int>
+    }
+*/
+create or replace function delete_user_account(
+    p_user int8,
+    p_timestamp timestamp
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_validations int;
+    v_receipts int;
+    v_user_titles int;
+begin
+    -- Validations, refunds and transfers of the user wait here until this one commits
+    perform 1
+    from users
+    where id = p_user
+    for update;
+
+    if not found then
+        return jsonb_build_object('status', 'NOT_FOUND');
+    end if;
+
+    -- 1. Anonymise what is kept
+    update validation
+    set "user" = null
+    where "user" = p_user;
+    get diagnostics v_validations = row_count;
+
+    update receipts
+    set "user" = null
+    where "user" = p_user;
+    get diagnostics v_receipts = row_count;
+
+    update checkouts
+    set "user" = null
+    where "user" = p_user;
+
+    update user_titles
+    set "user" = null,
+        active = false,
+        priority = null,
+        retired_at = coalesce(retired_at, p_timestamp),
+        retired_reason = coalesce(retired_reason, 'ACCOUNT_DELETED')
+    where "user" = p_user;
+    get diagnostics v_user_titles = row_count;
+
+    update title_transfers
+    set from_user = null
+    where from_user = p_user;
+
+    update title_transfers
+    set to_user = null
+    where to_user = p_user;
+
+    update suports
+    set "user" = null,
+        activation = null,
+        status = case when status in ('blocked', 'lost') then 'retired' else status end,
+        status_reason = case when status in ('blocked', 'lost') then 'ACCOUNT_DELETED' else status_reason end,
+        status_changed = case when status in ('blocked', 'lost') then p_timestamp else status_changed end
+    where "user" = p_user;
+
+    -- 2. Delete what only makes sense for the user
+    delete from sessions where "user" = p_user;
+    delete from password_resets where "user" = p_user;
+    delete from qr_token_uses where "user" = p_user;
+    delete from user_groups where "user" = p_user;
+    delete from notifications where "user" = p_user;
+    delete from request_documents
+    where request in (select id from requests where "user" = p_user);
+    delete from requests where "user" = p_user;
+
+    -- 3. Delete the user
+    delete from users where id = p_user;
+
+    return jsonb_build_object(
+        'status', 'DELETED',
+        'validations', v_validations,
+        'receipts', v_receipts,
+        'user_titles', v_user_titles
+    );
+end;
+$$;
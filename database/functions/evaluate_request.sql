@@ -0,0 +1,103 @@
+/*
+    Atomic evaluation of a group request > supabase.rpc('evaluate_request', { ... })
+
+    Locks the request and, in the same transaction:
+    1. Checks that the request exists and has not been evaluated yet
+        -> if not, returns { status: 'NOT_FOUND' | 'ALREADY_EVALUATED' } and nothing is written
+    2. If approved, checks that the user is not already in the group and enrols them (user_groups)
+        -> if already in the group, returns { status: 'ALREADY_MEMBER' } and nothing is written
+    3. Marks the request as evaluated (evaluated_at, evaluated_by, approved, rejection_reason)
+    4. Notifies the requester of the outcome, with the reason if rejected (notifications)
+
+    The expiration of the membership is calculated by the server (services/groupMembership.js),
+    with the same rules as POST /users/:id/groups.
+
+    Returns:
+    {
+        status: 'EVALUATED',
+        request: <requests row>,
+        user_group: <user_groups row | null>,    -> null if rejected
+        notification: <notifications row>
+    }
+*/
+create or replace function evaluate_request(
+    p_request uuid,
+    p_admin uuid,
+    p_evaluated_at timestamp,
+    p_approved boolean,
+    p_expiration date,                  -- expiration of the membership (null = never expires)
+    p_reason text                       -- rejection reason (null if approved)
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_request requests%rowtype;
+    v_user_group user_groups%rowtype;
+    v_notification notifications%rowtype;
+    v_has_user_group boolean := false;
+begin
+    -- Concurrent evaluations of the same request wait here until this one commits
+    select * into v_request
+    from requests
+    where id = p_request
+    for update;
+
+    -- 1. The request doesn't exist or was already evaluated
+    if not found then
+        return jsonb_build_object('status', 'NOT_FOUND');
+    end if;
+
+    if v_request.evaluated then
+        return jsonb_build_object('status', 'ALREADY_EVALUATED', 'request', to_jsonb(v_request));
+    end if;
+
+    -- 2. Enrol the user in the group
+    if p_approved then
+        if exists (
+            select 1 from user_groups
+            where "user" = v_request."user" and "group" = v_request."group"
+        ) then
+            return jsonb_build_object('status', 'ALREADY_MEMBER', 'request', to_jsonb(v_request));
+        end if;
+
+        insert into user_groups ("user", "group", expiration)
+        values (v_request."user", v_request."group", p_expiration)
+        returning * into v_user_group;
+
+        v_has_user_group := true;
+    end if;
+
+    -- 3. Mark the request as evaluated
+    update requests
+    set evaluated = true,
+        evaluated_at = p_evaluated_at,
+        evaluated_by = p_admin,
+        approved = p_approved,
+        rejection_reason = case when p_approved then null else p_reason end
+    where id = p_request
+    returning * into v_request;
+
+    -- 4. Notify the requester
+    insert into notifications ("user", type, data, created_at, read)
+    values (
+        v_request."user",
+        case when p_approved then 'REQUEST_APPROVED' else 'REQUEST_REJECTED' end,
+        jsonb_build_object(
+            'request', v_request.id,
+            'group', v_request."group",
+            'expiration', p_expiration,
+            'reason', case when p_approved then null else p_reason end
+        ),
+        p_evaluated_at,
+        false
+    )
+    returning * into v_notification;
+
+    return jsonb_build_object(
+        'status', 'EVALUATED',
+        'request', to_jsonb(v_request),
+        'user_group', case when v_has_user_group then to_jsonb(v_user_group) else null end,
+        'notification', to_jsonb(v_notification)
+    );
+end;
+$$;
@@ -0,0 +1,27 @@
+/*
+    Last entry validation of some user_titles > supabase.rpc('last_entries', { ... })
+
+    Used by expireUserTitles (services/expiryJobs.js) to know which exhausted user_titles are still in
+    the link / group window of their last entry, with one query for all of them.
+
+    Returns:
+    [
+        { user_title: <user_titles.id>, timestamp: <timestamp> },   -> user_titles without entries are left out
+        ...
+    ]
+*/
+create or replace function last_entries(
+    p_user_titles int8[]
+) returns jsonb
+language sql
+stable
+as $$
+    select coalesce(jsonb_agg(jsonb_build_object('user_title', e.user_title, 'timestamp', e."timestamp")), '[]'::jsonb)
+    from (
+        select v.user_title, max(v."timestamp") as "timestamp"
+        from validation v
+        where v.user_title = any(p_user_titles)
+          and v.enter
+        group by v.user_title
+    ) e;
+$$;
@@ -0,0 +1,87 @@
+/*
+    Atomic refund of a user_title > supabase.rpc('refund_user_title', { ... })
+
+    Locks the user_title and, in the same transaction:
+    1. Checks that the user_title has not changed since the refund was calculated (not retired, same
+       uses_left and first_use)
+        -> if not, returns { status: 'CONFLICT' } and nothing is written
+    2. Checks that the purchase has not been refunded yet
+        -> if it was, returns { status: 'ALREADY_REFUNDED' } and nothing is written
+    3. Inserts the refund receipt (negative amount), linked to the receipt of the purchase, with its line
+       items (the invoice number is given by database/functions/assign_invoice_number.sql)
+        -> refund_status PENDING if the money still has to be given back at the payment provider
+           (p_provider_refund), marked COMPLETED by the server once it is (see services/refunds.js)
+    4. Retires the user_title: it can't be used anymore, but it is kept with its validations
+
+    Returns:
+    {
+        status: 'REFUNDED',
+        user_title: <user_titles row>,
+        refund_receipt: <receipts row>
+    }
+*/
+create or replace function refund_user_title(
+    p_user_title int8,
+    p_receipt varchar,                  -- id of the receipt of the purchase
+    p_refund_receipt varchar,           -- id of the refund receipt
+    p_amount float4,                    -- amount refunded (positive)
+    p_lines jsonb,                      -- line items of the refund receipt (see services/receipts.js)
+    p_timestamp timestamp,
+    p_expected_uses_left int8,
+    p_expected_first_use timestamp,
+    p_provider_refund boolean           -- paid through a checkout: refunded at the provider afterwards
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_user_title user_titles%rowtype;
+    v_receipt receipts%rowtype;
+    v_refund receipts%rowtype;
+begin
+    -- Validations and concurrent refunds of the same user_title wait here until this one commits
+    select * into v_user_title
+    from user_titles
+    where id = p_user_title
+    for update;
+
+    -- 1. The user_title doesn't exist, was retired or was used meanwhile
+    if not found
+        or v_user_title.retired_at is not null
+        or v_user_title.uses_left is distinct from p_expected_uses_left
+        or v_user_title.first_use is distinct from p_expected_first_use then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    -- 2. The purchase was already refunded
+    if exists (select 1 from receipts where refund_of = p_receipt) then
+        return jsonb_build_object('status', 'ALREADY_REFUNDED');
+    end if;
+
+    select * into v_receipt
+    from receipts
+    where id = p_receipt;
+
+    -- 3. Insert the refund receipt
+    insert into receipts (id, "timestamp", "user", amount, user_title, checkout, refund_of, refund_status, lines)
+    values (
+        p_refund_receipt, p_timestamp, v_user_title."user", -p_amount, v_user_title.id, v_receipt.checkout, p_receipt,
+        case when p_provider_refund then 'PENDING' end, p_lines
+    )
+    returning * into v_refund;
+
+    -- 4. Retire the user_title
+    update user_titles
+    set active = false,
+        priority = null,
+        retired_at = p_timestamp,
+        retired_reason = 'REFUNDED'
+    where id = p_user_title
+    returning * into v_user_title;
+
+    return jsonb_build_object(
+        'status', 'REFUNDED',
+        'user_title', to_jsonb(v_user_title),
+        'refund_receipt', to_jsonb(v_refund)
+    );
+end;
+$$;
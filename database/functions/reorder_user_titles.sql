@@ -0,0 +1,61 @@
+/*
+    Order of the active user_titles of a user > supabase.rpc('reorder_user_titles', { ... })
+
+    Used by PUT /titles/user/:userId/active (controllers/titles.js). Locks the active user_titles of
+    the user and, in the same transaction:
+    1. Checks that p_order has each of them exactly once (none activated, deactivated or transferred
+       meanwhile)
+        -> if not, returns { status: 'ORDER_MISMATCH', active: [<user_titles.id>, ...] } and nothing is written
+    2. Sets their priority, 1 for the first one of p_order (the first one tried at the gate)
+
+    Returns:
+    {
+        status: 'REORDERED',
+        user_titles: [<user_titles row>, ...]   -> by priority
+    }
+*/
+create or replace function reorder_user_titles(
+    p_user int8,
+    p_order int8[]
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_active int8[];
+    v_user_titles jsonb;
+begin
+    -- Validations, transfers and other reorders of these user_titles wait here until this one commits
+    select coalesce(array_agg(id order by id), '{}') into v_active
+    from (
+        select id
+        from user_titles
+        where "user" = p_user
+          and active
+        order by id
+        for update
+    ) locked;
+
+    -- 1. The same user_titles, each one once
+    if cardinality(p_order) <> cardinality(v_active)
+        or (select count(distinct id) from unnest(p_order) as id) <> cardinality(v_active)
+        or not (p_order <@ v_active) then
+        return jsonb_build_object('status', 'ORDER_MISMATCH', 'active', to_jsonb(v_active));
+    end if;
+
+    -- 2. Priorities in the given order
+    update user_titles ut
+    set priority = o.position
+    from unnest(p_order) with ordinality as o(id, position)
+    where ut.id = o.id;
+
+    select coalesce(jsonb_agg(to_jsonb(ut) order by ut.priority), '[]'::jsonb) into v_user_titles
+    from user_titles ut
+    where ut."user" = p_user
+      and ut.active;
+
+    return jsonb_build_object(
+        'status', 'REORDERED',
+        'user_titles', v_user_titles
+    );
+end;
+$$;
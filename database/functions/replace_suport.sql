@@ -0,0 +1,96 @@
+/*
+    Replacement of a suport (card) of a user > supabase.rpc('replace_suport', { ... })
+
+    Locks both suports and, in the same transaction:
+    1. Checks that the old suport still belongs to the user, is a card (not virtual) and is not
+       replaced or retired
+        -> if not, returns { status: 'NOT_FOUND' | 'VIRTUAL' | 'FINAL' } and nothing is written
+    2. Gives the new card to the user, active: a new suport, or an unassigned active one
+        -> if it belongs to a user, is virtual or is not active, returns { status: 'NEW_SUPORT_TAKEN' }
+    3. Blocks the old suport for good (status 'replaced', replaced_by the new one). It stays assigned
+       to the user, so it still shows up in their suports and history.
+
+    The user_titles belong to the user, so the new card validates with them right away.
+
+    Returns:
+    {
+        status: 'REPLACED',
+        suport: <suports row>,      -> new card
+        replaced: <suports row>     -> old card
+    }
+*/
+create or replace function replace_suport(
+    p_user int8,
+    p_old varchar,
+    p_new varchar,
+    p_reason text,
+    p_timestamp timestamp
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_old suports%rowtype;
+    v_new suports%rowtype;
+begin
+    -- Validations and changes of the old suport wait here until this one commits
+    select * into v_old
+    from suports
+    where uid = p_old
+    for update;
+
+    -- 1. The old suport
+    if not found or v_old."user" is distinct from p_user then
+        return jsonb_build_object('status', 'NOT_FOUND');
+    end if;
+
+    if coalesce(v_old.virtual, false) then
+        return jsonb_build_object('status', 'VIRTUAL');
+    end if;
+
+    if coalesce(v_old.status, 'active') in ('replaced', 'retired') then
+        return jsonb_build_object('status', 'FINAL');
+    end if;
+
+    -- 2. The new card
+    select * into v_new
+    from suports
+    where uid = p_new
+    for update;
+
+    if found then
+        if v_new."user" is not null
+            or coalesce(v_new.virtual, false)
+            or coalesce(v_new.status, 'active') <> 'active' then
+            return jsonb_build_object('status', 'NEW_SUPORT_TAKEN');
+        end if;
+
+        update suports
+        set "user" = p_user,
+            activation = p_timestamp,
+            status = 'active',
+            status_reason = null,
+            status_changed = p_timestamp
+        where uid = p_new
+        returning * into v_new;
+    else
+        insert into suports (uid, "user", activation, info, status, status_changed)
+        values (p_new, p_user, p_timestamp, v_old.info, 'active', p_timestamp)
+        returning * into v_new;
+    end if;
+
+    -- 3. Block the old suport for good
+    update suports
+    set status = 'replaced',
+        status_reason = p_reason,
+        status_changed = p_timestamp,
+        replaced_by = p_new
+    where uid = p_old
+    returning * into v_old;
+
+    return jsonb_build_object(
+        'status', 'REPLACED',
+        'suport', to_jsonb(v_new),
+        'replaced', to_jsonb(v_old)
+    );
+end;
+$$;
@@ -0,0 +1,82 @@
+/*
+    Atomic transfer of a user_title to another user > supabase.rpc('transfer_user_title', { ... })
+
+    Locks the user_title and, in the same transaction:
+    1. Checks that the user_title still belongs to the sending user, is not retired and, unless the title
+       is transferable, has not been used
+        -> if not, returns { status: 'CONFLICT' } and nothing is written
+    2. Gives the user_title to the receiving user, inactive
+    3. Records the transfer in the history of both users (title_transfers)
+    4. Notifies the receiving user (notifications)
+
+    The eligibility of the receiving user (groups and availability of the title) is checked by the
+    server (services/transfers.js).
+
+    Returns:
+    {
+        status: 'TRANSFERRED',
+        user_title: <user_titles row>,
+        transfer: <title_transfers row>
+    }
+*/
+create or replace function transfer_user_title(
+    p_user_title int8,
+    p_from int8,
+    p_to int8,
+    p_timestamp timestamp,
+    p_allow_used boolean                -- titles.transferable
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_user_title user_titles%rowtype;
+    v_transfer title_transfers%rowtype;
+begin
+    -- Validations, refunds and transfers of the same user_title wait here until this one commits
+    select * into v_user_title
+    from user_titles
+    where id = p_user_title
+    for update;
+
+    -- 1. The user_title changed meanwhile
+    if not found
+        or v_user_title."user" <> p_from
+        or v_user_title.retired_at is not null
+        or (v_user_title.first_use is not null and not p_allow_used) then
+        return jsonb_build_object('status', 'CONFLICT');
+    end if;
+
+    -- 2. Give the user_title to the receiving user
+    update user_titles
+    set "user" = p_to,
+        active = false,
+        priority = null
+    where id = p_user_title
+    returning * into v_user_title;
+
+    -- 3. Record the transfer
+    insert into title_transfers (user_title, title, from_user, to_user, "timestamp", uses_left, first_use)
+    values (v_user_title.id, v_user_title.title, p_from, p_to, p_timestamp, v_user_title.uses_left, v_user_title.first_use)
+    returning * into v_transfer;
+
+    -- 4. Notify the receiving user
+    insert into notifications ("user", type, data, created_at, read)
+    values (
+        p_to,
+        'TITLE_TRANSFERRED',
+        jsonb_build_object(
+            'user_title', v_user_title.id,
+            'title', v_user_title.title,
+            'from', p_from
+        ),
+        p_timestamp,
+        false
+    );
+
+    return jsonb_build_object(
+        'status', 'TRANSFERRED',
+        'user_title', to_jsonb(v_user_title),
+        'transfer', to_jsonb(v_transfer)
+    );
+end;
+$$;
@@ -0,0 +1,25 @@
+/*
+    Users whose age changed between two days > supabase.rpc('users_with_birthday', { ... })
+
+    The birthdays of moveAgeGroups (services/expiryJobs.js): same rule as hadBirthday
+    (services/ageGroups.js), a birthday in (p_since, p_now]. Born on 29 February, the birthday
+    of the other years is on 1 March.
+
+    Returns:
+    [
+        { id: <users.id>, birthdate: <date> },
+        ...
+    ]
+*/
+create or replace function users_with_birthday(
+    p_since date,
+    p_now date
+) returns jsonb
+language sql
+stable
+as $$
+    select coalesce(jsonb_agg(jsonb_build_object('id', u.id, 'birthdate', u.birthdate) order by u.id), '[]'::jsonb)
+    from users u
+    where u.birthdate is not null
+      and date_part('year', age(p_now, u.birthdate::date)) <> date_part('year', age(p_since, u.birthdate::date));
+$$;
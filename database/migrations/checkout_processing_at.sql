@@ -0,0 +1,14 @@
+/*
+    Start of the confirmation of each checkout > run once
+
+    confirmCheckout records when it started confirming a payment (PROCESSING), so reconcileCheckouts
+    (services/checkout.js) can ask the provider for the payments left PROCESSING for too long.
+    - processing_at allows null (checkouts never confirmed, or confirmed before this migration)
+    - the checkouts already PROCESSING take their created_at, so the next run reconciles them
+*/
+alter table checkouts
+    add column if not exists processing_at timestamp;
+
+update checkouts
+set processing_at = created_at
+where status = 'PROCESSING' and processing_at is null;
@@ -0,0 +1,20 @@
+/*
+    One running run per job > run once
+
+    The scheduler claims a run by inserting its RUNNING row (services/scheduler.js): with this index a
+    second server (or an external cron) trying to run the same job at the same time gets a unique
+    violation and doesn't run it.
+    - the RUNNING rows left by older runs are closed as FAILED first, the newest one of each job stays
+*/
+update job_runs
+set status = 'FAILED',
+    finished_at = now(),
+    error = 'Run abandoned (closed by job_runs_running.sql)'
+where status = 'RUNNING'
+  and id not in (
+      select max(id) from job_runs where status = 'RUNNING' group by job
+  );
+
+create unique index if not exists job_runs_one_running
+    on job_runs (job)
+    where status = 'RUNNING';
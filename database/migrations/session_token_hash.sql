@@ -0,0 +1,22 @@
+/*
+    Lookup hash of the session tokens > run once
+
+    sessions and admin_sessions keep the SHA-256 of their token (token_hash) besides its bcrypt hash:
+    middleware/auth.js finds the session of a request by its device and token_hash, and compares only
+    that one with bcrypt (before, every session of the device was compared).
+    - the sessions created before this migration have no token_hash and could never be found again,
+      so they are deleted: their users and admins log in again
+*/
+alter table sessions
+    add column if not exists token_hash text;
+
+alter table admin_sessions
+    add column if not exists token_hash text;
+
+delete from sessions where token_hash is null;
+
+delete from admin_sessions where token_hash is null;
+
+create index if not exists sessions_device_token_hash on sessions (device, token_hash);
+
+create index if not exists admin_sessions_device_token_hash on admin_sessions (device, token_hash);
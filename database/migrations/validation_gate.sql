@@ -0,0 +1,15 @@
+/*
+    Gate of each validation > run once, before creating database/functions/commit_validation.sql and commit_exit.sql
+
+    The validations record the device id of the gate that took them (gates.device), so the offline
+    reconciliation can tell the uses a gate spent from the ones spent by the other gates.
+    - gate allows null (validations recorded before this migration)
+    - commit_validation and commit_exit get a p_gate argument: the old functions are dropped, as
+      create or replace would keep them as overloads
+*/
+alter table validation
+    add column if not exists gate varchar;
+
+drop function if exists commit_validation(bigint, bigint, varchar, bigint, timestamp, bigint, boolean, timestamp, bigint, boolean, boolean, bigint, bigint[], timestamp);
+
+drop function if exists commit_exit(bigint, bigint, varchar, bigint, timestamp, timestamp, bigint, float4, bigint, float4);
@@ -0,0 +1,24 @@
+/*
+    Primary key of validation on id > run once, before creating database/functions/delete_user_account.sql
+
+    The primary key was ("user", suport, "timestamp", station, enter, user_title), so "user" could not
+    be null and the validations of a deleted account could not be kept without the user. Now:
+    - id is the primary key (created if the table doesn't have it yet)
+    - "user" allows null (validations of deleted accounts)
+    - the old key is kept as a unique constraint, so the same validation still can't be recorded twice
+      (rows without user never clash, nulls are distinct)
+*/
+alter table validation
+    add column if not exists id int8 generated by default as identity;
+
+alter table validation
+    drop constraint if exists validation_pkey;
+
+alter table validation
+    add constraint validation_pkey primary key (id);
+
+alter table validation
+    alter column "user" drop not null;
+
+alter table validation
+    add constraint validation_record_key unique ("user", suport, "timestamp", station, enter, user_title);
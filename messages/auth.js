@@ -38,6 +38,39 @@ const messages = {
         }
     },
 
+    LOGIN_TOTP_REQUIRED: {
+        success: true,
+        code: 200,
+        status: 'LOGIN_TOTP_REQUIRED',
+        msg: {
+            ca: 'Introdueix el codi de l\'aplicació d\'autenticació per acabar d\'iniciar sessió',
+            en: 'Enter the code of the authenticator app to finish logging in',
+            es: 'Introduce el código de la aplicación de autenticación para terminar de iniciar sesión'
+        }
+    },
+
+    LOGIN_TOTP_ENROLMENT_REQUIRED: {
+        success: true,
+        code: 200,
+        status: 'LOGIN_TOTP_ENROLMENT_REQUIRED',
+        msg: {
+            ca: 'Cal configurar la verificació en dos passos per iniciar sessió',
+            en: 'Two-factor authentication has to be set up to log in',
+            es: 'Es necesario configurar la verificación en dos pasos para iniciar sesión'
+        }
+    },
+
+    LOGIN_TOTP_SETUP: {
+        success: true,
+        code: 200,
+        status: 'LOGIN_TOTP_SETUP',
+        msg: {
+            ca: 'Afegeix el compte a l\'aplicació d\'autenticació i introdueix-ne un codi per confirmar-ho',
+            en: 'Add the account to the authenticator app and enter one of its codes to confirm it',
+            es: 'Añade la cuenta a la aplicación de autenticación e introduce uno de sus códigos para confirmarlo'
+        }
+    },
+
     SESSION_VALID: {
         success: true,
         code: 200,
@@ -49,6 +82,83 @@ const messages = {
         }
     },
 
+    SESSIONS_FOUND: {
+        success: true,
+        code: 200,
+        status: 'SESSIONS_FOUND',
+        msg: {
+            ca: 'Dispositius amb la sessió iniciada',
+            en: 'Devices with an open session',
+            es: 'Dispositivos con la sesión iniciada'
+        }
+    },
+
+    SESSION_REVOKED: {
+        success: true,
+        code: 200,
+        status: 'SESSION_REVOKED',
+        msg: {
+            ca: 'S\'ha tancat la sessió del dispositiu',
+            en: 'The session of the device has been closed',
+            es: 'Se ha cerrado la sesión del dispositivo'
+        }
+    },
+
+    SESSIONS_REVOKED: {
+        success: true,
+        code: 200,
+        status: 'SESSIONS_REVOKED',
+        msg: {
+            ca: 'S\'ha tancat la sessió de tots els dispositius',
+            en: 'The sessions of all the devices have been closed',
+            es: 'Se ha cerrado la sesión de todos los dispositivos'
+        }
+    },
+
+    LOGOUT_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'LOGOUT_SUCCESS',
+        msg: {
+            ca: 'L\'usuari ha tancat la sessió correctament',
+            en: 'The user has logged out successfully',
+            es: 'El usuario ha cerrado la sesión correctamente'
+        }
+    },
+
+    PASSWORD_RESET_REQUESTED: {
+        success: true,
+        code: 200,
+        status: 'PASSWORD_RESET_REQUESTED',
+        msg: {
+            ca: 'Si hi ha un compte amb aquest correu electrònic, s\'hi ha enviat un enllaç per restablir la contrasenya',
+            en: 'If there is an account with this email, a link to reset the password has been sent to it',
+            es: 'Si hay una cuenta con este correo electrónico, se le ha enviado un enlace para restablecer la contraseña'
+        }
+    },
+
+    PASSWORD_RESET_TOO_MANY_REQUESTS: {
+        success: false,
+        code: 429,
+        status: 'PASSWORD_RESET_TOO_MANY_REQUESTS',
+        msg: {
+            ca: 'Massa peticions per restablir la contrasenya. Torna-ho a provar més tard',
+            en: 'Too many password reset requests. Please try again later',
+            es: 'Demasiadas peticiones para restablecer la contraseña. Vuelve a intentarlo más tarde'
+        }
+    },
+
+    PASSWORD_RESET_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'PASSWORD_RESET_SUCCESS',
+        msg: {
+            ca: 'La contrasenya s\'ha restablert correctament. Cal tornar a iniciar sessió',
+            en: 'The password has been reset successfully. Please log in again',
+            es: 'La contraseña se ha restablecido correctamente. Es necesario volver a iniciar sesión'
+        }
+    },
+
     // Warning messages (3xx - Redirection/Warnings)
 
     // Error messages (4xx - Client errors)
@@ -118,6 +228,50 @@ const messages = {
         }
     },
 
+    LOGIN_TOO_MANY_ATTEMPTS: {
+        success: false,
+        code: 429,
+        status: 'LOGIN_TOO_MANY_ATTEMPTS',
+        msg: {
+            ca: 'Massa intents d\'inici de sessió fallits. Torna-ho a provar més tard',
+            en: 'Too many failed login attempts. Please try again later',
+            es: 'Demasiados intentos de inicio de sesión fallidos. Vuelve a intentarlo más tarde'
+        }
+    },
+
+    LOGIN_TOTP_INVALID_CODE: {
+        success: false,
+        code: 401,
+        status: 'LOGIN_TOTP_INVALID_CODE',
+        msg: {
+            ca: 'El codi de verificació no és vàlid',
+            en: 'The verification code is not valid',
+            es: 'El código de verificación no es válido'
+        }
+    },
+
+    LOGIN_TICKET_INVALID: {
+        success: false,
+        code: 401,
+        status: 'LOGIN_TICKET_INVALID',
+        msg: {
+            ca: 'L\'inici de sessió ha caducat o no és vàlid. Cal tornar a introduir la contrasenya',
+            en: 'The login has expired or is not valid. Please enter the password again',
+            es: 'El inicio de sesión ha caducado o no es válido. Es necesario volver a introducir la contraseña'
+        }
+    },
+
+    LOGIN_TOTP_SETUP_REQUIRED: {
+        success: false,
+        code: 409,
+        status: 'LOGIN_TOTP_SETUP_REQUIRED',
+        msg: {
+            ca: 'Cal començar la configuració de la verificació en dos passos abans de confirmar-la',
+            en: 'The two-factor authentication setup has to be started before confirming it',
+            es: 'Es necesario empezar la configuración de la verificación en dos pasos antes de confirmarla'
+        }
+    },
+
     SESSION_MISSING_PARAMETERS: {
         success: false,
         code: 400,
@@ -162,6 +316,72 @@ const messages = {
         }
     },
 
+    PASSWORD_RESET_MISSING_PARAMETERS: {
+        success: false,
+        code: 400,
+        status: 'PASSWORD_RESET_MISSING_PARAMETERS',
+        msg: {
+            ca: 'Falten paràmetres requerits per restablir la contrasenya',
+            en: 'Missing required parameters to reset the password',
+            es: 'Faltan parámetros requeridos para restablecer la contraseña'
+        }
+    },
+
+    PASSWORD_RESET_INVALID_TOKEN: {
+        success: false,
+        code: 400,
+        status: 'PASSWORD_RESET_INVALID_TOKEN',
+        msg: {
+            ca: 'L\'enllaç per restablir la contrasenya no és vàlid o ja s\'ha fet servir',
+            en: 'The password reset link is not valid or has already been used',
+            es: 'El enlace para restablecer la contraseña no es válido o ya se ha usado'
+        }
+    },
+
+    PASSWORD_RESET_EXPIRED_TOKEN: {
+        success: false,
+        code: 400,
+        status: 'PASSWORD_RESET_EXPIRED_TOKEN',
+        msg: {
+            ca: 'L\'enllaç per restablir la contrasenya ha caducat. Cal demanar-ne un de nou',
+            en: 'The password reset link has expired. Please request a new one',
+            es: 'El enlace para restablecer la contraseña ha caducado. Es necesario pedir uno nuevo'
+        }
+    },
+
+    AUTH_MISSING_CREDENTIALS: {
+        success: false,
+        code: 401,
+        status: 'AUTH_MISSING_CREDENTIALS',
+        msg: {
+            ca: 'Cal iniciar sessió per accedir a aquest recurs',
+            en: 'Authentication is required to access this resource',
+            es: 'Es necesario iniciar sesión para acceder a este recurso'
+        }
+    },
+
+    AUTH_INVALID_CREDENTIALS: {
+        success: false,
+        code: 401,
+        status: 'AUTH_INVALID_CREDENTIALS',
+        msg: {
+            ca: 'Credencials d\'accés invàlides',
+            en: 'Invalid access credentials',
+            es: 'Credenciales de acceso inválidas'
+        }
+    },
+
+    AUTH_FORBIDDEN: {
+        success: false,
+        code: 403,
+        status: 'AUTH_FORBIDDEN',
+        msg: {
+            ca: 'No tens permís per accedir a aquest recurs',
+            en: 'You do not have permission to access this resource',
+            es: 'No tienes permiso para acceder a este recurso'
+        }
+    },
+
     // 5xx - Server errors
     ERROR_INTERNAL_SERVER: {
         success: false,
@@ -0,0 +1,28 @@
+/*
+    Languages of the messages (ca, en, es), also used by the emails and the PDF invoices
+*/
+
+const LANGUAGES = ['ca', 'en', 'es'];
+const DEFAULT_LANGUAGE = 'ca';
+
+/**
+ * Resolve the language of a response
+ * @param {string} lang - The language asked for (e.g., ?lang or body.language)
+ * @param {string} acceptLanguage - The Accept-Language header
+ * @returns {string} lang if supported, else the first supported one of Accept-Language, else DEFAULT_LANGUAGE
+ */
+const resolveLanguage = (lang, acceptLanguage = '') => {
+    if (LANGUAGES.includes(lang)) return lang;
+
+    const accepted = String(acceptLanguage || '')
+        .split(',')
+        .map(part => part.split(';')[0].trim().slice(0, 2).toLowerCase());
+
+    return accepted.find(code => LANGUAGES.includes(code)) || DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLanguage
+};
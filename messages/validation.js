@@ -27,6 +27,17 @@ const messages = {
         }
     },
 
+    VALIDATION_EXIT_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'VALIDATION_EXIT_SUCCESS',
+        msg: {
+            ca: 'Sortida validada correctament',
+            en: 'Exit validated successfully',
+            es: 'Salida validada correctamente'
+        }
+    },
+
     HISTORY_FETCH_SUCCESS: {
         success: true,
         code: 200,
@@ -38,6 +49,61 @@ const messages = {
         }
     },
 
+    UNCLOSED_FETCH_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'UNCLOSED_FETCH_SUCCESS',
+        msg: {
+            ca: 'Entrades sense sortida obtingudes correctament',
+            en: 'Entries with no exit fetched successfully',
+            es: 'Entradas sin salida obtenidas correctamente'
+        }
+    },
+
+    OFFLINE_SNAPSHOT_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'OFFLINE_SNAPSHOT_SUCCESS',
+        msg: {
+            ca: 'Instantània de validació fora de línia generada correctament',
+            en: 'Offline validation snapshot generated successfully',
+            es: 'Instantánea de validación sin conexión generada correctamente'
+        }
+    },
+
+    OFFLINE_PUBLIC_KEY_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'OFFLINE_PUBLIC_KEY_SUCCESS',
+        msg: {
+            ca: 'Clau pública de validació fora de línia obtinguda correctament',
+            en: 'Offline validation public key fetched successfully',
+            es: 'Clave pública de validación sin conexión obtenida correctamente'
+        }
+    },
+
+    OFFLINE_RECONCILE_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'OFFLINE_RECONCILE_SUCCESS',
+        msg: {
+            ca: 'Validacions fora de línia conciliades correctament',
+            en: 'Offline validations reconciled successfully',
+            es: 'Validaciones sin conexión conciliadas correctamente'
+        }
+    },
+
+    VALIDATION_SIMULATION_SUCCESS: {
+        success: true,
+        code: 200,
+        status: 'VALIDATION_SIMULATION_SUCCESS',
+        msg: {
+            ca: 'Simulació de validació completada',
+            en: 'Validation simulation completed',
+            es: 'Simulación de validación completada'
+        }
+    },
+
     // Error messages (4xx - Client errors)
     ERROR_SUPORT_NOT_FOUND: {
         success: false,
@@ -61,6 +127,61 @@ const messages = {
         }
     },
 
+    ERROR_SUPORT_BLOCKED: {
+        success: false,
+        code: 403,
+        status: 'ERROR_SUPORT_BLOCKED',
+        msg: {
+            ca: 'Suport bloquejat',
+            en: 'Support blocked',
+            es: 'Soporte bloqueado'
+        }
+    },
+
+    ERROR_QR_TOKEN_INVALID: {
+        success: false,
+        code: 403,
+        status: 'ERROR_QR_TOKEN_INVALID',
+        msg: {
+            ca: 'Codi QR no vàlid',
+            en: 'Invalid QR code',
+            es: 'Código QR no válido'
+        }
+    },
+
+    ERROR_QR_TOKEN_EXPIRED: {
+        success: false,
+        code: 403,
+        status: 'ERROR_QR_TOKEN_EXPIRED',
+        msg: {
+            ca: 'Codi QR caducat, actualitza\'l a l\'aplicació',
+            en: 'QR code expired, refresh it in the app',
+            es: 'Código QR caducado, actualízalo en la aplicación'
+        }
+    },
+
+    ERROR_QR_TOKEN_USED: {
+        success: false,
+        code: 403,
+        status: 'ERROR_QR_TOKEN_USED',
+        msg: {
+            ca: 'Aquest codi QR ja s\'ha fet servir',
+            en: 'This QR code has already been used',
+            es: 'Este código QR ya se ha usado'
+        }
+    },
+
+    ERROR_QR_TOKEN_SESSION_CLOSED: {
+        success: false,
+        code: 403,
+        status: 'ERROR_QR_TOKEN_SESSION_CLOSED',
+        msg: {
+            ca: 'La sessió del dispositiu del codi QR està tancada',
+            en: 'The session of the device of the QR code is closed',
+            es: 'La sesión del dispositivo del código QR está cerrada'
+        }
+    },
+
     ERROR_STATION_NOT_AVAILABLE: {
         success: false,
         code: 404,
@@ -138,6 +259,39 @@ const messages = {
         }
     },
 
+    ERROR_INSUFFICIENT_BALANCE: {
+        success: false,
+        code: 402,
+        status: 'ERROR_INSUFFICIENT_BALANCE',
+        msg: {
+            ca: 'Saldo insuficient',
+            en: 'Insufficient balance',
+            es: 'Saldo insuficiente'
+        }
+    },
+
+    ERROR_NO_OPEN_ENTRY: {
+        success: false,
+        code: 404,
+        status: 'ERROR_NO_OPEN_ENTRY',
+        msg: {
+            ca: 'No hi ha cap entrada oberta per aquesta sortida',
+            en: 'No open entry for this exit',
+            es: 'No hay ninguna entrada abierta para esta salida'
+        }
+    },
+
+    ERROR_VALIDATION_CONFLICT: {
+        success: false,
+        code: 409,
+        status: 'ERROR_VALIDATION_CONFLICT',
+        msg: {
+            ca: 'Validació simultània en curs, torna-ho a provar',
+            en: 'Simultaneous validation in progress, please try again',
+            es: 'Validación simultánea en curso, vuelve a intentarlo'
+        }
+    },
+
     // 5xx - Server errors
     ERROR_INTERNAL_SERVER: {
         success: false,
@@ -150,6 +304,28 @@ const messages = {
         }
     },
 
+    ERROR_OFFLINE_NOT_CONFIGURED: {
+        success: false,
+        code: 503,
+        status: 'ERROR_OFFLINE_NOT_CONFIGURED',
+        msg: {
+            ca: 'La validació fora de línia no està configurada',
+            en: 'Offline validation is not configured',
+            es: 'La validación sin conexión no está configurada'
+        }
+    },
+
+    ERROR_QR_NOT_CONFIGURED: {
+        success: false,
+        code: 503,
+        status: 'ERROR_QR_NOT_CONFIGURED',
+        msg: {
+            ca: 'La validació amb codi QR no està configurada',
+            en: 'QR code validation is not configured',
+            es: 'La validación con código QR no está configurada'
+        }
+    },
+
     ERROR_MISSING_PARAMETERS: {
         success: false,
         code: 400,
@@ -0,0 +1,286 @@
+const supabase = require('../config/supabase');
+const bcrypt = require('bcrypt');
+const { getMessage, getMessageWithData } = require('../messages/auth');
+const { hashSessionToken } = require('../services/sessions');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Authentication and authorization of the /api routes.
+
+    Every protected request carries the credentials issued at login:
+        Authorization: Bearer <token>
+        X-Device-Id: <device_id>
+
+    The token is checked against the table of each kind of credential, by device:
+    - sessions          -> role 'passenger' (users, controllers/auth.js)
+    - admin_sessions    -> role 'admin'     (users_admin)
+    - gates             -> role 'gate'      (validation gates, the device id is the gate id)
+
+    Admin_sessions:
+    - admin (PK, FK -> users_admin.id)  - string (UUID)
+    - device (PK)                       - text
+    - token                             - text (hashed)
+    - token_hash                        - text (SHA-256 of the token)
+    - created                           - timestamp
+    - last_use                          - timestamp
+    - expiration                        - timestamp
+    > Same rules as the passenger sessions (one per [admin, device] pair, 7 days since last use)
+
+    Gates:
+    - id (PK, UQ)               - text (device id of the gate)
+    - station (FK -> stations)  - int8
+    - token                     - text (hashed)
+    - created                   - timestamp
+    - last_use                  - timestamp
+    > Gate tokens don't expire, they are replaced with POST /gates/:id/token
+
+    Sessions are checked the same way as POST /auth/check-session: the token must match the hash,
+    expired sessions are deleted, and valid ones get last_use updated and expiration extended 7 days.
+    The session of a token is found by the device and the SHA-256 of the token (token_hash), so only
+    that session is compared with bcrypt.
+
+    On success, the request gets:
+        req.auth = {
+            role: 'passenger' | 'admin' | 'gate',
+            device: <device_id>,
+            userId: <users.id>          -> passenger only
+            adminId: <users_admin.id>   -> admin only
+            station: <stations.id>      -> gate only
+        }
+        req.user = <users row | users_admin row | gates row> (without password or token)
+
+    Usage in routes:
+        router.get('/users', requireAuth('admin'), getAllUsers);
+        router.get('/users/:id', requireAuth('admin', own('id')), getUser);
+        router.post('/validation', requireAuth(atStation('station', 'body')), validation);
+        router.get('/zones', requireAuth(), getAllZones);         -> any authenticated role
+
+    Rules:
+    - 'admin', 'gate', 'passenger': any credential of that role
+    - own(param, source): passengers, only for their own resources (req[source][param] is their user id)
+    - atStation(param, source): gates, only for their own station (req[source][param] is their station id)
+
+    Requests that modify data (not GET) made by admins are recorded in admin_actions
+    (see controllers/users_admin.js), with the HTTP status of their response.
+
+    Responses:
+    - 401 AUTH_MISSING_CREDENTIALS: no bearer token or device id
+    - 401 AUTH_INVALID_CREDENTIALS: no session / gate of the device matches the token
+    - 401 SESSION_EXPIRED: the session matched, but it is expired (and has been deleted)
+    - 403 AUTH_FORBIDDEN: the credential is valid, but the route doesn't allow it
+*/
+
+
+// Session duration since last use (ms)
+const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+const ROLES = {
+    PASSENGER: 'passenger',
+    ADMIN: 'admin',
+    GATE: 'gate'
+};
+
+
+//// RULES
+
+
+// Passengers, only for their own resources
+const own = (param, source = 'params') => ({ role: ROLES.PASSENGER, param, source });
+
+// Gates, only for their own station
+const atStation = (param, source = 'params') => ({ role: ROLES.GATE, param, source });
+
+
+//// MIDDLEWARE
+
+
+// Identify the credentials of the request > req.auth, req.user
+const authenticate = async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        const device = req.headers['x-device-id'];
+
+        if (!token || !device) {
+            const message = getMessage('AUTH_MISSING_CREDENTIALS');
+            return res.status(message.code).json(message);
+        }
+
+        const status = await checkSessions(req, 'sessions', 'user', token, device)
+            || await checkSessions(req, 'admin_sessions', 'admin', token, device)
+            || await checkGate(req, token, device);
+
+        if (status !== 'VALID') {
+            const message = getMessage(status || 'AUTH_INVALID_CREDENTIALS');
+            return res.status(message.code).json(message);
+        }
+
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during authentication: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+};
+
+// Allow the request if it matches any of the rules (no rules -> any authenticated request)
+const authorize = (rules) => (req, res, next) => {
+    const allowed = rules.length === 0 || rules.some(rule => {
+        if (typeof rule === 'string') return req.auth.role === rule;
+        if (rule.role !== req.auth.role) return false;
+
+        const value = req[rule.source] ? req[rule.source][rule.param] : undefined;
+        const expected = rule.role === ROLES.PASSENGER ? req.auth.userId : req.auth.station;
+        return value !== undefined && value !== null && String(value) === String(expected);
+    });
+
+    if (!allowed) {
+        const message = getMessage('AUTH_FORBIDDEN');
+        return res.status(message.code).json(message);
+    }
+
+    if (req.auth.role === ROLES.ADMIN && req.method !== 'GET') {
+        res.on('finish', () => logAdminAction(req, res));
+    }
+
+    next();
+};
+
+// Authenticate and authorize a route
+const requireAuth = (...rules) => [authenticate, authorize(rules)];
+
+// Authenticate and authorize a route, unless skip(req) resolves true
+// (e.g. registering the first admin, when nobody can log in yet)
+const requireAuthUnless = (skip, ...rules) => async (req, res, next) => {
+    try {
+        if (await skip(req)) return next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        const message = getMessageWithData('ERROR_INTERNAL_SERVER', {
+            internal: `Unexpected error during authentication: ${error.message}`
+        });
+        return res.status(message.code).json(message);
+    }
+
+    authenticate(req, res, () => authorize(rules)(req, res, next));
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+/*
+    Check the token against the sessions of a device (sessions or admin_sessions)
+    Returns 'VALID', 'SESSION_EXPIRED' or null if no session matches
+*/
+async function checkSessions(req, table, ownerColumn, token, device) {
+    const { data: sessions, error: sessionsError } = await supabase
+        .from(table)
+        .select('*')
+        .eq('device', device)
+        .eq('token_hash', hashSessionToken(token))
+        .limit(1);
+
+    if (sessionsError) throw sessionsError;
+
+    const session = sessions.length > 0 ? sessions[0] : null;
+    if (!session || !(await bcrypt.compare(token, session.token))) return null;
+
+    const now = new Date();
+    if (now > new Date(session.expiration)) {
+        // Session expired - delete it
+        const { error: deleteError } = await supabase
+            .from(table)
+            .delete()
+            .eq(ownerColumn, session[ownerColumn])
+            .eq('device', device);
+
+        if (deleteError) throw deleteError;
+
+        return 'SESSION_EXPIRED';
+    }
+
+    // Session valid - update last_use and extend expiration
+    const { error: updateError } = await supabase
+        .from(table)
+        .update({
+            last_use: getTimestamp(now),
+            expiration: getTimestamp(new Date(now.getTime() + SESSION_DURATION))
+        })
+        .eq(ownerColumn, session[ownerColumn])
+        .eq('device', device);
+
+    if (updateError) throw updateError;
+
+    const { data: owner, error: ownerError } = await supabase
+        .from(ownerColumn === 'user' ? 'users' : 'users_admin')
+        .select('*')
+        .eq('id', session[ownerColumn])
+        .single();
+
+    if (ownerError) throw ownerError;
+
+    const { password, ...ownerData } = owner;
+    req.user = ownerData;
+    req.auth = ownerColumn === 'user'
+        ? { role: ROLES.PASSENGER, device: device, userId: owner.id }
+        : { role: ROLES.ADMIN, device: device, adminId: owner.id };
+
+    return 'VALID';
+};
+
+/*
+    Check the token against the gate registered with the device id
+    Returns 'VALID' or null if it doesn't match
+*/
+async function checkGate(req, token, device) {
+    const { data: gate, error: gateError } = await supabase
+        .from('gates')
+        .select('*')
+        .eq('id', device)
+        .single();
+
+    if (gateError && gateError.code !== 'PGRST116') throw gateError;
+    if (!gate || !(await bcrypt.compare(token, gate.token))) return null;
+
+    const { error: updateError } = await supabase
+        .from('gates')
+        .update({ last_use: getTimestamp(new Date()) })
+        .eq('id', gate.id);
+
+    if (updateError) throw updateError;
+
+    const { token: gateToken, ...gateData } = gate;
+    req.user = gateData;
+    req.auth = { role: ROLES.GATE, device: device, station: gate.station };
+
+    return 'VALID';
+};
+
+// Record a request of an admin that modifies data (errors are only logged, the response is already sent)
+async function logAdminAction(req, res) {
+    const { error } = await supabase
+        .from('admin_actions')
+        .insert({
+            admin: req.auth.adminId,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            timestamp: getTimestamp(new Date())
+        });
+
+    if (error) console.error('Admin action log error:', error);
+};
+
+
+module.exports = {
+    ROLES,
+    own,
+    atStation,
+    authenticate,
+    authorize,
+    requireAuth,
+    requireAuthUnless
+};
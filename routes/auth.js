@@ -1,14 +1,27 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
 const {
     register,
     login,
-    checkSession
+    checkSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    logout,
+    forgotPassword,
+    resetPassword
 } = require('../controllers/auth');
 
 // Routes for auth actions
 router.post('/auth/register', register);
 router.post('/auth/login', login);
 router.post('/auth/check-session', checkSession);
+router.get('/auth/sessions', requireAuth('passenger'), listSessions);
+router.delete('/auth/sessions', requireAuth('passenger'), revokeAllSessions);
+router.delete('/auth/sessions/:device', requireAuth('passenger'), revokeSession);
+router.post('/auth/logout', requireAuth('passenger'), logout);
+router.post('/auth/forgot-password', forgotPassword);
+router.post('/auth/reset-password', resetPassword);
 
 module.exports = router;
\ No newline at end of file
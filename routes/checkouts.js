@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, own } = require('../middleware/auth');
+const {
+    listCheckoutsForUser,       // GET      : /users/:id/checkouts
+    getCheckoutForUser,         // GET      : /users/:id/checkouts/:checkoutId
+    createCheckout,             // POST     : /users/:id/checkouts
+    confirmCheckout,            // POST     : /users/:id/checkouts/:checkoutId/confirm
+    cancelCheckout              // POST     : /users/:id/checkouts/:checkoutId/cancel
+} = require('../controllers/checkouts');
+
+// Routes for title purchases
+router.get('/users/:id/checkouts', requireAuth('admin', own('id')), listCheckoutsForUser);
+router.get('/users/:id/checkouts/:checkoutId', requireAuth('admin', own('id')), getCheckoutForUser);
+router.post('/users/:id/checkouts', requireAuth('admin', own('id')), createCheckout);
+router.post('/users/:id/checkouts/:checkoutId/confirm', requireAuth('admin', own('id')), confirmCheckout);
+router.post('/users/:id/checkouts/:checkoutId/cancel', requireAuth('admin', own('id')), cancelCheckout);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+    getAllGates,            // GET      : /gates
+    createGate,             // POST     : /gates
+    regenerateGateToken,    // POST     : /gates/:id/token
+    deleteGate              // DELETE   : /gates/:id
+} = require('../controllers/gates');
+
+// Routes for gate devices management
+router.get('/gates', requireAuth('admin'), getAllGates);
+router.post('/gates', requireAuth('admin'), createGate);
+router.post('/gates/:id/token', requireAuth('admin'), regenerateGateToken);
+router.delete('/gates/:id', requireAuth('admin'), deleteGate);
+
+module.exports = router;
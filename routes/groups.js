@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
 const {
     getAllGroups,       // GET      : /groups
     getGroupById,       // GET      : /groups/:id
@@ -9,10 +10,10 @@ const {
 } = require('../controllers/groups');
 
 // Routes for group management
-router.get('/groups/', getAllGroups);
-router.get('/groups/:id', getGroupById);
-router.post('/groups/', createGroup);
-router.put('/groups/:id', updateGroup);
-router.delete('/groups/:id', deleteGroup);
+router.get('/groups/', requireAuth(), getAllGroups);
+router.get('/groups/:id', requireAuth(), getGroupById);
+router.post('/groups/', requireAuth('admin'), createGroup);
+router.put('/groups/:id', requireAuth('admin'), updateGroup);
+router.delete('/groups/:id', requireAuth('admin'), deleteGroup);
 
 module.exports = router;
\ No newline at end of file
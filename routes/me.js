@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+    getProfile,         // GET      : /me
+    updateProfile,      // PUT      : /me
+    changePassword,     // PUT      : /me/password
+    deleteAccount,      // DELETE   : /me
+    createQrToken       // POST     : /me/qr-token
+} = require('../controllers/me');
+
+// Routes for the account of the session user (passengers)
+router.get('/me', requireAuth('passenger'), getProfile);
+router.put('/me', requireAuth('passenger'), updateProfile);
+router.put('/me/password', requireAuth('passenger'), changePassword);
+router.delete('/me', requireAuth('passenger'), deleteAccount);
+router.post('/me/qr-token', requireAuth('passenger'), createQrToken);
+
+module.exports = router;
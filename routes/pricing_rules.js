@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+    getAllPricingRules,     // GET      : /pricing_rules
+    getPricingRuleById,     // GET      : /pricing_rules/:id
+    createPricingRule,      // POST     : /pricing_rules
+    updatePricingRule,      // PUT      : /pricing_rules/:id
+    deletePricingRule       // DELETE   : /pricing_rules/:id
+} = require('../controllers/pricing_rules');
+
+// Routes for pricing rule management
+router.get('/pricing_rules/', requireAuth(), getAllPricingRules);
+router.get('/pricing_rules/:id', requireAuth(), getPricingRuleById);
+router.post('/pricing_rules/', requireAuth('admin'), createPricingRule);
+router.put('/pricing_rules/:id', requireAuth('admin'), updatePricingRule);
+router.delete('/pricing_rules/:id', requireAuth('admin'), deletePricingRule);
+
+module.exports = router;
@@ -1,18 +1,27 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, own } = require('../middleware/auth');
 const {
-    getAllRequests,     // GET      : /requests
-    getRequestById,     // GET      : /requests/:id
-    createRequest,      // POST     : /requests
-    approveRequest,     // PUT      : /requests/:id/approve
-    rejectRequest       // PUT      : /requests/:id/reject
+    getAllRequests,             // GET      : /requests
+    getRequestById,             // GET      : /requests/:id
+    getRequestsForUser,         // GET      : /users/:id/requests
+    createRequest,              // POST     : /requests
+    approveRequest,             // PUT      : /requests/:id/approve
+    rejectRequest,              // PUT      : /requests/:id/reject
+    listRequestDocuments,       // GET      : /requests/:id/documents
+    downloadRequestDocument,    // GET      : /requests/:id/documents/:documentId
+    annotateRequestDocument     // PUT      : /requests/:id/documents/:documentId/annotation
 } = require('../controllers/requests');
 
 // Routes for request management
-router.get('/requests/', getAllRequests);
-router.get('/requests/:id', getRequestById);
-router.post('/requests/', createRequest);
-router.put('/requests/:id/approve', approveRequest);
-router.put('/requests/:id/reject', rejectRequest);
+router.get('/requests/', requireAuth('admin'), getAllRequests);
+router.get('/requests/:id', requireAuth('admin'), getRequestById);
+router.post('/requests/', requireAuth('admin', own('user', 'body')), createRequest);
+router.put('/requests/:id/approve', requireAuth('admin'), approveRequest);
+router.put('/requests/:id/reject', requireAuth('admin'), rejectRequest);
+router.get('/requests/:id/documents', requireAuth('admin'), listRequestDocuments);
+router.get('/requests/:id/documents/:documentId', requireAuth('admin'), downloadRequestDocument);
+router.put('/requests/:id/documents/:documentId/annotation', requireAuth('admin'), annotateRequestDocument);
+router.get('/users/:id/requests', requireAuth('admin', own('id')), getRequestsForUser);
 
 module.exports = router;
\ No newline at end of file
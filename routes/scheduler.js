@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+    getSchedulerJobs,   // GET      : /scheduler/jobs
+    getSchedulerRuns,   // GET      : /scheduler/runs
+    runSchedulerJob     // POST     : /scheduler/jobs/:job/run
+} = require('../controllers/scheduler');
+
+// Routes for the maintenance jobs
+router.get('/scheduler/jobs', requireAuth('admin'), getSchedulerJobs);
+router.get('/scheduler/runs', requireAuth('admin'), getSchedulerRuns);
+router.post('/scheduler/jobs/:job/run', requireAuth('admin'), runSchedulerJob);
+
+module.exports = router;
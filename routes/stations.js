@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
 const {
     getAllStations,            // GET   : /stations
     getStation,                // GET   : /stations/:id
@@ -9,10 +10,10 @@ const {
 } = require('../controllers/stations');
 
 // Routes for station management
-router.get('/stations/', getAllStations);
-router.get('/stations/:id', getStation);
-router.post('/stations/', createStation);
-router.put('/stations/:id', updateStation);
-router.delete('/stations/:id', deleteStation);
+router.get('/stations/', requireAuth(), getAllStations);
+router.get('/stations/:id', requireAuth(), getStation);
+router.post('/stations/', requireAuth('admin'), createStation);
+router.put('/stations/:id', requireAuth('admin'), updateStation);
+router.delete('/stations/:id', requireAuth('admin'), deleteStation);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, own } = require('../middleware/auth');
 const {
     getAllTitles,            // GET      : /titles
     getTitleById,            // GET      : /titles/:id
@@ -9,28 +10,40 @@ const {
 
     getAllUserTitles,        // GET      : /titles/user/:userId
     getActiveUserTitle,      // GET      : /titles/user/:userId/active
+    reorderActiveUserTitles, // PUT      : /titles/user/:userId/active
     getUserTitleById,        // GET      : /titles/user/:userId/:userTitleId
     listTitlesForUser,       // GET      : /titles/user/:userId/available
     assignTitleToUser,       // POST     : /titles/user/:userId
     removeTitleFromUser,     // DELETE   : /titles/user/:userId/:userTitleId
-    activateTitleForUser     // POST     : /titles/user/:userId/:userTitleId/activate
+    activateTitleForUser,    // POST     : /titles/user/:userId/:userTitleId/activate
+    deactivateTitleForUser,  // POST     : /titles/user/:userId/:userTitleId/deactivate
+    getRefundQuote,          // GET      : /titles/user/:userId/:userTitleId/refund
+    refundTitleForUser,      // POST     : /titles/user/:userId/:userTitleId/refund
+    transferTitleForUser,    // POST     : /titles/user/:userId/:userTitleId/transfer
+    getUserTitleTransfers    // GET      : /titles/user/:userId/transfers
 } = require('../controllers/titles');
 
 // Routes for titles management
-router.get('/titles', getAllTitles);
-router.get('/titles/:id', getTitleById);
-router.post('/titles', createTitle);
-router.put('/titles/:id', updateTitle);
-router.delete('/titles/:id', deleteTitle);
+router.get('/titles', requireAuth(), getAllTitles);
+router.get('/titles/:id', requireAuth(), getTitleById);
+router.post('/titles', requireAuth('admin'), createTitle);
+router.put('/titles/:id', requireAuth('admin'), updateTitle);
+router.delete('/titles/:id', requireAuth('admin'), deleteTitle);
 
 // Routes for user titles management
-router.get('/titles/user/:userId', getAllUserTitles);
-router.get('/titles/user/:userId/active', getActiveUserTitle);
-router.get('/titles/user/:userId/available', listTitlesForUser);
-router.post('/titles/user/:userId', assignTitleToUser);
-router.get('/titles/user/:userId/:userTitleId', getUserTitleById);
-router.delete('/titles/user/:userId/:userTitleId', removeTitleFromUser);
-router.post('/titles/user/:userId/:userTitleId/activate', activateTitleForUser);
+router.get('/titles/user/:userId', requireAuth('admin', own('userId')), getAllUserTitles);
+router.get('/titles/user/:userId/active', requireAuth('admin', own('userId')), getActiveUserTitle);
+router.put('/titles/user/:userId/active', requireAuth('admin', own('userId')), reorderActiveUserTitles);
+router.get('/titles/user/:userId/available', requireAuth('admin', own('userId')), listTitlesForUser);
+router.get('/titles/user/:userId/transfers', requireAuth('admin', own('userId')), getUserTitleTransfers);
+router.post('/titles/user/:userId', requireAuth('admin'), assignTitleToUser);
+router.get('/titles/user/:userId/:userTitleId', requireAuth('admin', own('userId')), getUserTitleById);
+router.delete('/titles/user/:userId/:userTitleId', requireAuth('admin'), removeTitleFromUser);
+router.post('/titles/user/:userId/:userTitleId/activate', requireAuth('admin', own('userId')), activateTitleForUser);
+router.post('/titles/user/:userId/:userTitleId/deactivate', requireAuth('admin', own('userId')), deactivateTitleForUser);
+router.get('/titles/user/:userId/:userTitleId/refund', requireAuth('admin', own('userId')), getRefundQuote);
+router.post('/titles/user/:userId/:userTitleId/refund', requireAuth('admin', own('userId')), refundTitleForUser);
+router.post('/titles/user/:userId/:userTitleId/transfer', requireAuth('admin', own('userId')), transferTitleForUser);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, own } = require('../middleware/auth');
 const {
     getAllUsers,
     getUser,
@@ -14,25 +15,35 @@ const {
     getUserSuport,
     addSuportToUser,
     removeSuportFromUser,
+    updateSuportStatus,
+    replaceUserSuport,
     listReceiptsForUser,
-    addReceiptToUser
+    addReceiptToUser,
+    getReceiptPdf,
+    listNotificationsForUser,
+    markNotificationRead
 } = require('../controllers/users');
 
 // Routes for user management
-router.get('/users', getAllUsers);
-router.get('/users/:id', getUser);
-router.put('/users/:id', updateUser);
-router.post('/users/create', createUser);
-router.delete('/users/:id', deleteUser);
-router.post('/users/:id/groups', addGroupToUser);
-router.delete('/users/:id/groups/:groupId', removeGroupFromUser);
-router.get('/users/:id/groups', listUserGroups);
-router.get('/users/:id/groups/available', listAvailableGroups);
-router.get('/users/:id/suports', listUserSuports);
-router.get('/users/:id/suports/:uid', getUserSuport);
-router.post('/users/:id/suports', addSuportToUser);
-router.delete('/users/:id/suports/:uid', removeSuportFromUser);
-router.get('/users/:id/receipts', listReceiptsForUser);
-router.post('/users/:id/receipts', addReceiptToUser);
+router.get('/users', requireAuth('admin'), getAllUsers);
+router.get('/users/:id', requireAuth('admin', own('id')), getUser);
+router.put('/users/:id', requireAuth('admin'), updateUser);
+router.post('/users/create', requireAuth('admin'), createUser);
+router.delete('/users/:id', requireAuth('admin'), deleteUser);
+router.post('/users/:id/groups', requireAuth('admin'), addGroupToUser);
+router.delete('/users/:id/groups/:groupId', requireAuth('admin'), removeGroupFromUser);
+router.get('/users/:id/groups', requireAuth('admin', own('id')), listUserGroups);
+router.get('/users/:id/groups/available', requireAuth('admin', own('id')), listAvailableGroups);
+router.get('/users/:id/suports', requireAuth('admin', own('id')), listUserSuports);
+router.get('/users/:id/suports/:uid', requireAuth('admin', own('id')), getUserSuport);
+router.post('/users/:id/suports', requireAuth('admin'), addSuportToUser);
+router.delete('/users/:id/suports/:uid', requireAuth('admin'), removeSuportFromUser);
+router.put('/users/:id/suports/:uid/status', requireAuth('admin'), updateSuportStatus);
+router.post('/users/:id/suports/:uid/replace', requireAuth('admin'), replaceUserSuport);
+router.get('/users/:id/receipts', requireAuth('admin', own('id')), listReceiptsForUser);
+router.post('/users/:id/receipts', requireAuth('admin'), addReceiptToUser);
+router.get('/users/:id/receipts/:receiptId.pdf', requireAuth('admin', own('id')), getReceiptPdf);
+router.get('/users/:id/notifications', requireAuth('admin', own('id')), listNotificationsForUser);
+router.put('/users/:id/notifications/:notificationId/read', requireAuth('admin', own('id')), markNotificationRead);
 
 module.exports = router;
\ No newline at end of file
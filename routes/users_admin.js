@@ -1,20 +1,39 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, requireAuthUnless } = require('../middleware/auth');
 const {
     getAllUsersAdmin,       // GET      : /users_admin
+    getAdminActions,        // GET      : /users_admin/actions
     getUserAdminById,       // GET      : /users_admin/:id
     registerUserAdmin,      // POST     : /users_admin
     updateUserAdmin,        // PUT      : /users_admin/:id
     deleteUserAdmin,        // DELETE   : /users_admin/:id
-    loginUserAdmin          // POST     : /users_admin/login
+    loginUserAdmin,         // POST     : /users_admin/login
+    verifyAdminTotp,        // POST     : /users_admin/login/totp
+    setupAdminTotpLogin,    // POST     : /users_admin/login/totp/setup
+    confirmAdminTotpLogin,  // POST     : /users_admin/login/totp/confirm
+    setupAdminTotp,         // POST     : /users_admin/totp/setup
+    confirmAdminTotp,       // POST     : /users_admin/totp/confirm
+    regenerateAdminRecoveryCodes,   // POST     : /users_admin/totp/recovery-codes
+    disableAdminTotp,       // DELETE   : /users_admin/:id/totp
+
+    noAdminsRegistered
 } = require('../controllers/users_admin');
 
 // Routes for users_admin management
-router.get('/users_admin', getAllUsersAdmin);
-router.get('/users_admin/:id', getUserAdminById);
-router.post('/users_admin', registerUserAdmin);
-router.put('/users_admin/:id', updateUserAdmin);
-router.delete('/users_admin/:id', deleteUserAdmin);
+router.get('/users_admin', requireAuth('admin'), getAllUsersAdmin);
+router.get('/users_admin/actions', requireAuth('admin'), getAdminActions);
+router.get('/users_admin/:id', requireAuth('admin'), getUserAdminById);
+router.post('/users_admin', requireAuthUnless(noAdminsRegistered, 'admin'), registerUserAdmin);
+router.put('/users_admin/:id', requireAuth('admin'), updateUserAdmin);
+router.delete('/users_admin/:id', requireAuth('admin'), deleteUserAdmin);
 router.post('/users_admin/login', loginUserAdmin);
+router.post('/users_admin/login/totp', verifyAdminTotp);
+router.post('/users_admin/login/totp/setup', setupAdminTotpLogin);
+router.post('/users_admin/login/totp/confirm', confirmAdminTotpLogin);
+router.post('/users_admin/totp/setup', requireAuth('admin'), setupAdminTotp);
+router.post('/users_admin/totp/confirm', requireAuth('admin'), confirmAdminTotp);
+router.post('/users_admin/totp/recovery-codes', requireAuth('admin'), regenerateAdminRecoveryCodes);
+router.delete('/users_admin/:id/totp', requireAuth('admin'), disableAdminTotp);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
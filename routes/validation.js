@@ -1,12 +1,25 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, own, atStation } = require('../middleware/auth');
 const {
     validation,         // POST      : /validation
-    history             // GET       : /validation/history/:userId
+    simulate,           // POST      : /validation/simulate
+    history,            // GET       : /validation/history/:userId
+    unclosed,           // GET       : /validation/unclosed
+    offlineSnapshot,    // GET       : /validation/offline/snapshot/:stationId
+    offlinePublicKey,   // GET       : /validation/offline/public-key
+    offlineReconcile    // POST      : /validation/offline/reconcile
 } = require('../controllers/validation');
 
 // Routes for validation management
-router.post('/validation', validation);
-router.get('/validation/history/:userId', history);
+router.post('/validation', requireAuth(atStation('station', 'body')), validation);
+router.post('/validation/simulate', requireAuth('admin'), simulate);
+router.get('/validation/history/:userId', requireAuth('admin', own('userId')), history);
+router.get('/validation/unclosed', requireAuth('admin'), unclosed);
+
+// Routes for offline validation (gates without connectivity)
+router.get('/validation/offline/snapshot/:stationId', requireAuth('admin', atStation('stationId')), offlineSnapshot);
+router.get('/validation/offline/public-key', requireAuth('admin', 'gate'), offlinePublicKey);
+router.post('/validation/offline/reconcile', requireAuth('gate'), offlineReconcile);
 
 module.exports = router;
\ No newline at end of file
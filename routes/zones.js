@@ -1,18 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
 const {
     getAllZones,            // GET      : /zones
     getZoneById,            // GET      : /zones/:id
     createZone,             // POST     : /zones
     updateZone,             // PUT      : /zones/:id
-    deleteZone              // DELETE   : /zones/:id
+    deleteZone,             // DELETE   : /zones/:id
+
+    getAdjacentZones,       // GET      : /zones/:id/adjacent
+    addAdjacentZone,        // POST     : /zones/:id/adjacent
+    removeAdjacentZone      // DELETE   : /zones/:id/adjacent/:adjacentId
 } = require('../controllers/zones');
 
 // Routes for zones management
-router.get('/zones', getAllZones);
-router.get('/zones/:id', getZoneById);
-router.post('/zones', createZone);
-router.put('/zones/:id', updateZone);
-router.delete('/zones/:id', deleteZone);
+router.get('/zones', requireAuth(), getAllZones);
+router.get('/zones/:id', requireAuth(), getZoneById);
+router.post('/zones', requireAuth('admin'), createZone);
+router.put('/zones/:id', requireAuth('admin'), updateZone);
+router.delete('/zones/:id', requireAuth('admin'), deleteZone);
+
+// Routes for zone adjacency management
+router.get('/zones/:id/adjacent', requireAuth(), getAdjacentZones);
+router.post('/zones/:id/adjacent', requireAuth('admin'), addAdjacentZone);
+router.delete('/zones/:id/adjacent/:adjacentId', requireAuth('admin'), removeAdjacentZone);
 
 module.exports = router;
\ No newline at end of file
@@ -1,36 +1,65 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const { startScheduler } = require('./services/scheduler');
+const { checkPaymentProvider } = require('./services/paymentProviders');
+const { checkMailTransport } = require('./services/mailer');
+const { getTimestamp } = require('./utils/time');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const checkoutsRoutes = require('./routes/checkouts');
+const gatesRoutes = require('./routes/gates');
 const groupsRoutes = require('./routes/groups');
+const meRoutes = require('./routes/me');
+const pricingRulesRoutes = require('./routes/pricing_rules');
 const requestsRoutes = require('./routes/requests');
+const schedulerRoutes = require('./routes/scheduler');
 const stationsRoutes = require('./routes/stations');
 const titlesRoutes = require('./routes/titles');
 const usersRoutes = require('./routes/users');
+const usersAdminRoutes = require('./routes/users_admin');
 const validationRoutes = require('./routes/validation');
 const zonesRoutes = require('./routes/zones');
 
 
+// Without a real payment provider (outside development) the API still runs but the checkouts answer 503 (see services/paymentProviders.js)
+try {
+    checkPaymentProvider();
+} catch (error) {
+    console.warn(`[P'M SERVER] ${error.message}: checkouts are disabled. Please check your .env file.`);
+}
+
+// Without a mail transport that sends them, the API still runs but the emails can't be sent (see services/mailer.js)
+try {
+    checkMailTransport();
+} catch (error) {
+    console.warn(`[P'M SERVER] ${error.message}: emails won't be sent. Please check your .env file.`);
+}
+
 // Initialize Express app
 const app = express();
 //const PORT = process.env.PORT || 3000;
 const VERSION = '1.1.0';
 
+// Behind a proxy (e.g. Vercel), req.ip is the client IP given by the proxy (see services/loginAttempts.js)
+// TRUST_PROXY: 'true', the number of proxies, or the addresses of the trusted proxies
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
+// Only group requests carry their evidence documents in base64 (see controllers/requests.js); once
+// parsed here, the default parser below (100kb) leaves them alone
+app.post('/api/requests', express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Test route
 const now = new Date();
-const dateISO = now.getFullYear() + '-' +
-    String(now.getMonth() + 1).padStart(2, '0') + '-' +
-    String(now.getDate()).padStart(2, '0') + 'T' +
-    String(now.getHours()).padStart(2, '0') + ':' +
-    String(now.getMinutes()).padStart(2, '0') + ':' +
-    String(now.getSeconds()).padStart(2, '0');
+const dateISO = getTimestamp(now);
 app.get('/', (req, res) => {
     res.json({
         message: 'Welcome to PORTA\'M Server API',
@@ -41,12 +70,19 @@ app.get('/', (req, res) => {
 
 
 // Use routes
+// Every route but /auth requires a session or gate token (see middleware/auth.js)
 app.use('/api', authRoutes);
+app.use('/api', checkoutsRoutes);
+app.use('/api', gatesRoutes);
 app.use('/api', groupsRoutes);
+app.use('/api', meRoutes);
+app.use('/api', pricingRulesRoutes);
 app.use('/api', requestsRoutes);
+app.use('/api', schedulerRoutes);
 app.use('/api', stationsRoutes);
 app.use('/api', titlesRoutes);
 app.use('/api', usersRoutes);
+app.use('/api', usersAdminRoutes);
 app.use('/api', validationRoutes);
 app.use('/api', zonesRoutes);
 
@@ -61,7 +97,15 @@ app.get('/health', (req, res) => {
 
 
 // Error handling middleware
+// Client errors of the body parsers (e.g. 413 over the body limit) keep their status
 app.use((err, req, res, next) => {
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            success: false,
+            error: err.message
+        });
+    }
+
     console.error(err.stack);
     res.status(500).json({
         success: false,
@@ -77,6 +121,11 @@ app.use('*', (req, res) => {
     });
 });
 
+// Maintenance jobs (see services/scheduler.js)
+if (process.env.SCHEDULER_ENABLED === 'true') {
+    startScheduler();
+}
+
 // Start server
 /**app.listen(PORT, () => {
     console.log(`[P'M SERVER] Server is running on port ${PORT}`);
@@ -0,0 +1,127 @@
+const supabase = require('../config/supabase');
+const bcrypt = require('bcrypt');
+const { getStorageBackend } = require('./documentStorage');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Self-service of the accounts of the users (see controllers/me.js).
+
+    - changePassword: needs the current password. In the same transaction, deletes the pending password
+      resets and closes the sessions of every other device (database/functions/change_password.sql).
+    - deleteUserAccount: GDPR deletion. Trips, invoices and the history of the titles are kept
+      anonymised, everything else is deleted (database/functions/delete_user_account.sql). The
+      documents of the group requests are removed from the storage once the account is deleted.
+
+    Results are { status: <result>, ... }, the controllers map them to HTTP responses.
+*/
+
+/*
+    Change the password of a user, deleting the pending password resets and closing the sessions of the
+    other devices
+    Returns:
+    - { status: 'CHANGED', sessions_closed }
+    - { status: 'NOT_FOUND' | 'WRONG_PASSWORD' }
+*/
+const changePassword = async (userId, device, oldPassword, newPassword) => {
+    const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, password')
+        .eq('id', userId)
+        .single();
+
+    if (userError && userError.code !== 'PGRST116') throw userError;
+    if (!user) return { status: 'NOT_FOUND' };
+
+    if (!(await bcrypt.compare(oldPassword, user.password))) return { status: 'WRONG_PASSWORD' };
+
+    // Other devices have to log in again with the new password
+    const { data, error } = await supabase.rpc('change_password', {
+        p_user: user.id,
+        p_old_password: user.password,
+        p_new_password: await bcrypt.hash(newPassword, 12),
+        p_device: device
+    });
+
+    if (error) throw error;
+
+    // The password changed since it was checked: the current password is no longer the one given
+    if (data.status === 'PASSWORD_CHANGED') return { status: 'WRONG_PASSWORD' };
+    if (data.status !== 'CHANGED') return { status: data.status };
+
+    return { status: 'CHANGED', sessions_closed: data.sessions_closed };
+};
+
+/*
+    Delete the account of a user, anonymising what is kept
+    Returns:
+    - { status: 'DELETED', validations, receipts, user_titles }     -> rows anonymised
+    - { status: 'NOT_FOUND' }
+*/
+const deleteUserAccount = async (userId, now = new Date()) => {
+    const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', userId)
+        .single();
+
+    if (userError && userError.code !== 'PGRST116' && userError.code !== '22P02') throw userError;
+    if (!user) return { status: 'NOT_FOUND' };
+
+    // Documents of the group requests of the user, removed from the storage once their rows are deleted
+    const { data: requests, error: requestsError } = await supabase
+        .from('requests')
+        .select('id')
+        .eq('user', user.id);
+
+    if (requestsError) throw requestsError;
+
+    let documents = [];
+    if (requests.length > 0) {
+        const { data, error: documentsError } = await supabase
+            .from('request_documents')
+            .select('storage, storage_key')
+            .in('request', requests.map(request => request.id));
+
+        if (documentsError) throw documentsError;
+        documents = data;
+    }
+
+    const { data, error } = await supabase.rpc('delete_user_account', {
+        p_user: user.id,
+        p_timestamp: getTimestamp(now)
+    });
+
+    if (error) throw error;
+
+    if (data.status !== 'DELETED') return { status: data.status };
+
+    for (const document of documents) {
+        await removeDocumentQuietly(document);
+    }
+
+    return {
+        status: 'DELETED',
+        validations: data.validations,
+        receipts: data.receipts,
+        user_titles: data.user_titles
+    };
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// The account is already deleted, so a file that can't be removed is only logged, to be removed by hand
+async function removeDocumentQuietly(document) {
+    try {
+        await getStorageBackend(document.storage).remove(document.storage_key);
+    } catch (error) {
+        console.error(`Document of a deleted account not removed (${document.storage}: ${document.storage_key}):`, error);
+    }
+};
+
+
+module.exports = {
+    changePassword,
+    deleteUserAccount
+};
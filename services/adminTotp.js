@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Two-factor authentication of the admins with TOTP codes (RFC 6238: HMAC-SHA1, 6 digits, 30 s),
+    the ones of the authenticator apps (see controllers/users_admin.js).
+
+    Users_admin (2FA columns):
+    - role                  - varchar (default 'admin')
+    - totp_enabled          - bool (default false)
+    - totp_secret           - text (base32, null -> not enrolled)
+    - totp_pending_secret   - text (base32, enrolment started but not confirmed yet)
+    - totp_last_step        - int8 (30 s step of the last code used, a code can't be used twice)
+
+    Admin_recovery_codes:
+    - code (PK, UQ)         - text (SHA-256 of the code, the code itself is never stored)
+    - admin (FK)            - string (UUID)
+    > One-time codes to log in without the authenticator (RECOVERY_CODES of them, given when the
+      enrolment is confirmed or the codes are regenerated; the old ones stop working)
+
+    Admin_login_tickets:
+    - token (PK, UQ)        - text (SHA-256 of the ticket)
+    - admin (FK)            - string (UUID)
+    - device                - text
+    - purpose               - varchar ['TOTP', 'ENROL']
+    - expiration            - timestamp
+    > Given by the password step of the login, and used once by its second step (LOGIN_TICKET_TTL)
+
+    - Enrolment: startEnrolment (new secret and its otpauth:// URI, for a QR code), then
+      confirmEnrolment with a code of the app (enables it and returns the recovery codes).
+    - The admins of the roles in ADMIN_TOTP_REQUIRED_ROLES (comma separated, '*' -> every role) can't
+      log in without enrolling, nor disable it themselves.
+
+    Results are { status: <result>, ... }, the controllers map them to HTTP responses.
+*/
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;         // seconds
+
+// Steps before and after the current one whose codes are accepted (clock drift)
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODES = 10;
+
+// Minutes to complete the second step of the login
+const LOGIN_TICKET_TTL = 5;
+
+const TICKET_PURPOSES = {
+    TOTP: 'TOTP',           // enrolled: the next step is a code
+    ENROL: 'ENROL'          // enrolment required: the next steps enrol the authenticator
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that have to use 2FA
+const getTotpRequiredRoles = () => {
+    return (process.env.ADMIN_TOTP_REQUIRED_ROLES || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean);
+};
+
+const isTotpRequired = (admin) => {
+    const roles = getTotpRequiredRoles();
+    return roles.includes('*') || roles.includes(admin.role || 'admin');
+};
+
+/*
+    Start the enrolment of an admin: a new secret, kept until it is confirmed
+    Returns:
+    - { status: 'STARTED', secret, otpauth_uri }
+    - { status: 'NOT_FOUND' | 'ALREADY_ENABLED' }
+*/
+const startEnrolment = async (adminId) => {
+    const admin = await getAdmin(adminId);
+    if (!admin) return { status: 'NOT_FOUND' };
+    if (admin.totp_enabled) return { status: 'ALREADY_ENABLED' };
+
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    const { error } = await supabase
+        .from('users_admin')
+        .update({ totp_pending_secret: secret })
+        .eq('id', admin.id);
+
+    if (error) throw error;
+
+    return { status: 'STARTED', secret: secret, otpauth_uri: getOtpauthUri(admin, secret) };
+};
+
+/*
+    Confirm the enrolment of an admin with a code of the new secret
+    Returns:
+    - { status: 'ENABLED', recovery_codes }
+    - { status: 'NOT_FOUND' | 'ALREADY_ENABLED' | 'NOT_STARTED' | 'INVALID_CODE' }
+*/
+const confirmEnrolment = async (adminId, code, now = new Date()) => {
+    const admin = await getAdmin(adminId);
+    if (!admin) return { status: 'NOT_FOUND' };
+    if (admin.totp_enabled) return { status: 'ALREADY_ENABLED' };
+    if (!admin.totp_pending_secret) return { status: 'NOT_STARTED' };
+
+    const step = matchTotp(admin.totp_pending_secret, code, null, now);
+    if (step === null) return { status: 'INVALID_CODE' };
+
+    const { data, error } = await supabase
+        .from('users_admin')
+        .update({
+            totp_enabled: true,
+            totp_secret: admin.totp_pending_secret,
+            totp_pending_secret: null,
+            totp_last_step: step
+        })
+        .eq('id', admin.id)
+        .eq('totp_enabled', false)
+        .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return { status: 'ALREADY_ENABLED' };
+
+    return { status: 'ENABLED', recovery_codes: await replaceRecoveryCodes(admin.id) };
+};
+
+/*
+    Check the second factor of an admin: a code of the authenticator or a recovery code
+    - factor: { code } | { recoveryCode }
+    Returns:
+    - { status: 'VERIFIED', method: 'TOTP' | 'RECOVERY_CODE' }
+    - { status: 'NOT_ENABLED' | 'INVALID_CODE' }
+*/
+const verifySecondFactor = async (admin, { code, recoveryCode }, now = new Date()) => {
+    if (!admin.totp_enabled || !admin.totp_secret) return { status: 'NOT_ENABLED' };
+
+    if (recoveryCode) {
+        // Deleting it: a recovery code can only be used once
+        const { data, error } = await supabase
+            .from('admin_recovery_codes')
+            .delete()
+            .eq('admin', admin.id)
+            .eq('code', hashCode(normalizeRecoveryCode(recoveryCode)))
+            .select('code');
+
+        if (error) throw error;
+
+        return data.length > 0
+            ? { status: 'VERIFIED', method: 'RECOVERY_CODE' }
+            : { status: 'INVALID_CODE' };
+    }
+
+    const step = matchTotp(admin.totp_secret, code, admin.totp_last_step, now);
+    if (step === null) return { status: 'INVALID_CODE' };
+
+    // Only if no later code has been used meanwhile (a code can't be used twice)
+    const { data, error } = await supabase
+        .from('users_admin')
+        .update({ totp_last_step: step })
+        .eq('id', admin.id)
+        .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+        .select('id');
+
+    if (error) throw error;
+
+    return data.length > 0
+        ? { status: 'VERIFIED', method: 'TOTP' }
+        : { status: 'INVALID_CODE' };
+};
+
+/*
+    Replace the recovery codes of an admin, checking a code of the authenticator
+    Returns:
+    - { status: 'REGENERATED', recovery_codes }
+    - { status: 'NOT_FOUND' | 'NOT_ENABLED' | 'INVALID_CODE' }
+*/
+const regenerateRecoveryCodes = async (adminId, code, now = new Date()) => {
+    const admin = await getAdmin(adminId);
+    if (!admin) return { status: 'NOT_FOUND' };
+
+    const check = await verifySecondFactor(admin, { code }, now);
+    if (check.status !== 'VERIFIED') return { status: check.status };
+
+    return { status: 'REGENERATED', recovery_codes: await replaceRecoveryCodes(admin.id) };
+};
+
+/*
+    Disable the 2FA of an admin, deleting its secret and recovery codes
+    Returns { status: 'DISABLED' | 'NOT_FOUND' }
+*/
+const disableTotp = async (adminId) => {
+    const { data, error } = await supabase
+        .from('users_admin')
+        .update({
+            totp_enabled: false,
+            totp_secret: null,
+            totp_pending_secret: null,
+            totp_last_step: null
+        })
+        .eq('id', adminId)
+        .select('id');
+
+    if (error && error.code !== '22P02') throw error;
+    if (!data || data.length === 0) return { status: 'NOT_FOUND' };
+
+    const { error: codesError } = await supabase
+        .from('admin_recovery_codes')
+        .delete()
+        .eq('admin', adminId);
+
+    if (codesError) throw codesError;
+
+    return { status: 'DISABLED' };
+};
+
+// Recovery codes an admin has left
+const countRecoveryCodes = async (adminId) => {
+    const { count, error } = await supabase
+        .from('admin_recovery_codes')
+        .select('code', { count: 'exact', head: true })
+        .eq('admin', adminId);
+
+    if (error) throw error;
+    return count;
+};
+
+/*
+    Create the ticket of the second step of a login
+    Returns { ticket, expiration }
+*/
+const createLoginTicket = async (adminId, device, purpose, now = new Date()) => {
+    // One pending login per [admin, device]
+    const { error: deleteError } = await supabase
+        .from('admin_login_tickets')
+        .delete()
+        .eq('admin', adminId)
+        .eq('device', device);
+
+    if (deleteError) throw deleteError;
+
+    const ticket = crypto.randomBytes(24).toString('hex');
+    const expiration = getTimestamp(new Date(now.getTime() + LOGIN_TICKET_TTL * 60 * 1000));
+
+    const { error } = await supabase
+        .from('admin_login_tickets')
+        .insert({
+            token: hashCode(ticket),
+            admin: adminId,
+            device: device,
+            purpose: purpose,
+            expiration: expiration
+        });
+
+    if (error) throw error;
+
+    return { ticket, expiration };
+};
+
+// Valid ticket of a login (not expired, of the purpose) > admin_login_tickets row or null
+const getLoginTicket = async (ticket, purpose, now = new Date()) => {
+    const { data, error } = await supabase
+        .from('admin_login_tickets')
+        .select('*')
+        .eq('token', hashCode(ticket))
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || data.purpose !== purpose || now > new Date(data.expiration)) return null;
+
+    return data;
+};
+
+// Use a ticket (it can't be used again) > whether it was still there
+const consumeLoginTicket = async (ticket) => {
+    const { data, error } = await supabase
+        .from('admin_login_tickets')
+        .delete()
+        .eq('token', hashCode(ticket))
+        .select('token');
+
+    if (error) throw error;
+    return data.length > 0;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+async function getAdmin(adminId) {
+    const { data, error } = await supabase
+        .from('users_admin')
+        .select('*')
+        .eq('id', adminId)
+        .single();
+
+    if (error && error.code !== 'PGRST116' && error.code !== '22P02') throw error;
+    return data || null;
+};
+
+// Delete the recovery codes of an admin and create new ones > the new codes
+async function replaceRecoveryCodes(adminId) {
+    const { error: deleteError } = await supabase
+        .from('admin_recovery_codes')
+        .delete()
+        .eq('admin', adminId);
+
+    if (deleteError) throw deleteError;
+
+    // xxxxx-xxxxx (50 random bits)
+    const codes = Array.from({ length: RECOVERY_CODES }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    const { error: insertError } = await supabase
+        .from('admin_recovery_codes')
+        .insert(codes.map(code => ({
+            code: hashCode(normalizeRecoveryCode(code)),
+            admin: adminId
+        })));
+
+    if (insertError) throw insertError;
+
+    return codes;
+};
+
+function getOtpauthUri(admin, secret) {
+    const issuer = process.env.TOTP_ISSUER || 'PORTA\'M';
+    const label = encodeURIComponent(`${issuer}:${admin.name || admin.id}`);
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Step of the code if it is valid around now and later than lastStep, else null
+function matchTotp(secret, code, lastStep, now) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+    const current = Math.floor(now.getTime() / 1000 / TOTP_PERIOD);
+    const key = base32Decode(secret);
+
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) continue;
+
+        const expected = generateTotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+
+    return null;
+};
+
+// HOTP code of a step (RFC 4226)
+function generateTotp(key, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, TOTP_DIGITS);
+
+    return String(value).padStart(TOTP_DIGITS, '0');
+};
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+};
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of text.toUpperCase().replace(/=+$/, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[\s-]/g, '');
+};
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+};
+
+
+module.exports = {
+    TICKET_PURPOSES,
+    getTotpRequiredRoles,
+    isTotpRequired,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTotp,
+    countRecoveryCodes,
+    createLoginTicket,
+    getLoginTicket,
+    consumeLoginTicket
+};
@@ -0,0 +1,155 @@
+const supabase = require('../config/supabase');
+const { getDateString } = require('../utils/time');
+
+/*
+    Age groups: groups the users belong to by their age, always matching their current age.
+
+    The groups and their age bands are configured with AGE_GROUPS:
+        AGE_GROUPS=16:0-15,30:16-29,65:65-
+        -> <group id>:<min age>-<max age> (both included, no max age -> no limit), separated by ","
+    Default: 16 (under 16), 30 (16 to 29) and 65 (65 or older).
+
+    Every flow that sets the age of a user puts it in its age group with syncAgeGroups:
+    - POST /auth/register and POST /users/create
+    - PUT /users/:id with a new birthdate
+    - the scheduler (services/expiryJobs.js): when an age group membership expires and on birthdays
+
+    A membership in an age group expires the day before the birthday on which the user becomes too
+    old for it (no max age -> never expires). Admins can't add a user to an age group of another age.
+*/
+
+const DEFAULT_AGE_GROUPS = '16:0-15,30:16-29,65:65-';
+
+// Age bands > [{ group, min, max }] (max null -> no limit)
+const getAgeBands = () => {
+    const config = process.env.AGE_GROUPS !== undefined ? process.env.AGE_GROUPS : DEFAULT_AGE_GROUPS;
+
+    return config
+        .split(',')
+        .map(band => band.trim())
+        .filter(Boolean)
+        .map(band => {
+            const match = band.match(/^(\d+)\s*:\s*(\d+)\s*-\s*(\d*)$/);
+            if (!match) throw new Error(`Invalid age group in AGE_GROUPS: "${band}"`);
+            return {
+                group: Number(match[1]),
+                min: Number(match[2]),
+                max: match[3] === '' ? null : Number(match[3])
+            };
+        });
+};
+
+const getAgeGroupIds = () => getAgeBands().map(band => band.group);
+
+const isAgeGroup = (groupId) => getAgeGroupIds().includes(Number(groupId));
+
+// Age on a day given a birthdate
+const getAge = (birthdate, now = new Date()) => {
+    const date = new Date(birthdate);
+    let age = now.getFullYear() - date.getFullYear();
+    const monthDiff = now.getMonth() - date.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < date.getDate())) {
+        age--;
+    }
+    return age;
+};
+
+// Age band of an age > { group, min, max } or null (no age group)
+const getAgeBand = (age) => {
+    return getAgeBands().find(band => age >= band.min && (band.max === null || age <= band.max)) || null;
+};
+
+// Whether a user with a birthdate belongs to an age group now
+const matchesAgeGroup = (groupId, birthdate, now = new Date()) => {
+    const band = getAgeBand(getAge(birthdate, now));
+    return band !== null && band.group === Number(groupId);
+};
+
+/*
+    Expiration of the membership in the age group of a birthdate
+    Returns 'YYYY-MM-DD' (the day before the user becomes too old for it) or null (never expires)
+*/
+const getAgeGroupExpiration = (band, birthdate) => {
+    if (band.max === null) return null;
+
+    const date = new Date(birthdate);
+    return getDateString(new Date(date.getFullYear() + band.max + 1, date.getMonth(), date.getDate() - 1));
+};
+
+/*
+    Put a user in the age group of its current age, leaving the age groups it is too old or too
+    young for (other groups are left as they are)
+    - user: { id, birthdate }
+    Returns { added: <group id | null>, removed: [<group id>, ...] }
+*/
+const syncAgeGroups = async (user, now = new Date()) => {
+    const band = user.birthdate ? getAgeBand(getAge(user.birthdate, now)) : null;
+
+    const { data: memberships, error: membershipsError } = await supabase
+        .from('user_groups')
+        .select('*')
+        .eq('user', user.id)
+        .in('group', getAgeGroupIds());
+
+    if (membershipsError) throw membershipsError;
+
+    const removed = memberships
+        .map(membership => membership.group)
+        .filter(groupId => !band || Number(groupId) !== band.group);
+
+    if (removed.length > 0) {
+        const { error: deleteError } = await supabase
+            .from('user_groups')
+            .delete()
+            .eq('user', user.id)
+            .in('group', removed);
+
+        if (deleteError) throw deleteError;
+    }
+
+    let added = null;
+    const expiration = band ? getAgeGroupExpiration(band, user.birthdate) : null;
+    const current = band ? memberships.find(membership => Number(membership.group) === band.group) : null;
+
+    if (band && !current) {
+        const { error: insertError } = await supabase
+            .from('user_groups')
+            .insert({
+                user: user.id,
+                group: band.group,
+                expiration: expiration
+            });
+
+        if (insertError) throw insertError;
+        added = band.group;
+    } else if (current && current.expiration !== expiration) {
+        // The birthdate changed: the membership ends on the new day
+        const { error: updateError } = await supabase
+            .from('user_groups')
+            .update({ expiration: expiration })
+            .eq('user', user.id)
+            .eq('group', band.group);
+
+        if (updateError) throw updateError;
+    }
+
+    return { added, removed };
+};
+
+// Whether the age of a user changed between two days (a birthday in (since, now])
+const hadBirthday = (birthdate, since, now = new Date()) => {
+    return getAge(birthdate, now) !== getAge(birthdate, since);
+};
+
+
+module.exports = {
+    getAgeBands,
+    getAgeGroupIds,
+    isAgeGroup,
+    getAge,
+    getAgeBand,
+    matchesAgeGroup,
+    getAgeGroupExpiration,
+    syncAgeGroups,
+    hadBirthday
+};
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { getDefaultProvider, getPaymentProvider, isPaymentProviderAvailable, PAYMENT_STATUSES } = require('./paymentProviders');
+const { loadPricingRules, priceTitle } = require('./pricing');
+const { generateReceiptId, buildPurchaseLines } = require('./receipts');
+const { loadActiveGroupIds } = require('./groupMembership');
+const {
+    isTitleAvailable,
+    canAccessTitle,
+    loadTitleGroups,
+    buildUserTitle,
+    generateUserTitleId
+} = require('./userTitles');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Purchase of titles, paid through a payment provider (see services/paymentProviders.js).
+
+    Checkouts:
+    - id (PK, UQ)                       - string (UUID)
+    - user (FK -> users.id)             - int8
+    - title (FK -> titles.id)           - int8
+    - amount                            - float4 (price fixed when the checkout is created)
+    - base_amount                       - float4 (titles.price, before discounts)
+    - discounts                         - jsonb (discounts applied, see services/pricing.js)
+    - currency                          - varchar
+    - status                            - varchar (see CHECKOUT_STATUSES)
+    - provider                          - varchar
+    - provider_reference                - varchar (id of the payment at the provider)
+    - created_at                        - timestamp
+    - expires_at                        - timestamp (PENDING checkouts are abandoned after it)
+    - processing_at                     - timestamp [null -> never confirmed] (start of the last confirmation)
+    - completed_at                      - timestamp [null -> not completed]
+    - failure_reason                    - text [null -> not failed]
+    - user_title (FK -> user_titles.id) - int8 [null -> not completed]
+    - receipt (FK -> receipts.id)       - varchar [null -> not completed]
+
+    Flow:
+    1. createCheckout: prices the title for the user (services/pricing.js) and creates the payment at the
+       provider (PENDING)
+    2. confirmCheckout: confirms the payment with the details sent by the client (PROCESSING while the
+       provider answers), and only if it succeeded (PAID_NOT_ISSUED) creates the user_title and the
+       receipt together (database/functions/complete_checkout.sql) (COMPLETED). A declined payment
+       ends as FAILED.
+       If the provider doesn't answer (or the server stops meanwhile), the payment may have been
+       confirmed anyway, so the checkout stays PROCESSING: reconcileCheckouts (job reconcile_checkouts,
+       see services/scheduler.js) asks the provider for the status of the payments PROCESSING for longer
+       than CHECKOUT_PROCESSING_TIMEOUT and applies it as confirmCheckout would have.
+    3. cancelCheckout: the user gives up before paying (CANCELLED)
+    Nothing is created until the payment succeeds, so failed, cancelled and abandoned (EXPIRED)
+    checkouts leave no user_title behind. A paid checkout whose user_title could not be created stays
+    PAID_NOT_ISSUED, and issuePaidCheckouts (job issue_paid_checkouts, see services/scheduler.js)
+    retries it until it is COMPLETED.
+
+    Without a payment provider (see services/paymentProviders.js) checkouts can't be created nor
+    confirmed: { status: 'NOT_CONFIGURED' }.
+
+    Results are { status: <result>, ... }, the controller maps them to HTTP responses.
+*/
+
+const CHECKOUT_STATUSES = {
+    PENDING: 'PENDING',
+    PROCESSING: 'PROCESSING',
+    PAID_NOT_ISSUED: 'PAID_NOT_ISSUED',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED',
+    EXPIRED: 'EXPIRED'
+};
+
+// Minutes a checkout can stay PENDING
+const CHECKOUT_TTL = parseInt(process.env.CHECKOUT_TTL) || 15;
+
+// Minutes a confirmation can take before reconcileCheckouts asks the provider for its result
+const CHECKOUT_PROCESSING_TIMEOUT = parseInt(process.env.CHECKOUT_PROCESSING_TIMEOUT) || 5;
+
+const getCurrency = () => process.env.PAYMENT_CURRENCY || 'EUR';
+
+
+/*
+    Create a checkout of a title for a user
+    Returns:
+    - { status: 'CREATED', checkout, client_data }
+    - { status: 'USER_NOT_FOUND' | 'TITLE_NOT_FOUND' | 'TITLE_NOT_AVAILABLE' | 'TITLE_NOT_ALLOWED' }
+    - { status: 'NOT_CONFIGURED' }      -> no payment provider
+*/
+const createCheckout = async (userId, titleId, now = new Date()) => {
+    if (!isPaymentProviderAvailable()) return { status: 'NOT_CONFIGURED' };
+
+    const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', userId)
+        .single();
+
+    if (userError && userError.code !== 'PGRST116') throw userError;
+    if (!user) return { status: 'USER_NOT_FOUND' };
+
+    const { data: title, error: titleError } = await supabase
+        .from('titles')
+        .select('*')
+        .eq('id', titleId)
+        .single();
+
+    if (titleError && titleError.code !== 'PGRST116') throw titleError;
+    if (!title) return { status: 'TITLE_NOT_FOUND' };
+
+    if (!isTitleAvailable(title, now)) return { status: 'TITLE_NOT_AVAILABLE' };
+
+    const userGroupIds = await loadActiveGroupIds(userId, now);
+    const { allowedGroupIds, excludedGroupIds } = await loadTitleGroups(title.id);
+
+    if (!canAccessTitle(userGroupIds, allowedGroupIds, excludedGroupIds)) {
+        return { status: 'TITLE_NOT_ALLOWED' };
+    }
+
+    const pricing = priceTitle(title, userGroupIds, await loadPricingRules(userGroupIds, title.id), now);
+
+    const id = crypto.randomUUID();
+    const amount = pricing.final_price;
+    const currency = getCurrency();
+    const providerName = getDefaultProvider();
+
+    const payment = await getPaymentProvider(providerName).createPayment({
+        checkoutId: id,
+        amount: amount,
+        currency: currency,
+        description: title.name
+    });
+
+    const { data: checkout, error: insertError } = await supabase
+        .from('checkouts')
+        .insert({
+            id: id,
+            user: userId,
+            title: title.id,
+            amount: amount,
+            base_amount: pricing.base_price,
+            discounts: pricing.discounts,
+            currency: currency,
+            status: CHECKOUT_STATUSES.PENDING,
+            provider: providerName,
+            provider_reference: payment.reference,
+            created_at: getTimestamp(now),
+            expires_at: getTimestamp(new Date(now.getTime() + CHECKOUT_TTL * 60 * 1000))
+        })
+        .select('*')
+        .single();
+
+    if (insertError) {
+        await cancelPaymentQuietly(providerName, payment.reference);
+        throw insertError;
+    }
+
+    return { status: 'CREATED', checkout, client_data: payment.client_data || {} };
+};
+
+// Get a checkout of a user, marking it EXPIRED if it was abandoned > checkout or null
+const getCheckout = async (userId, checkoutId, now = new Date()) => {
+    const checkout = await loadCheckout(userId, checkoutId);
+    if (!checkout) return null;
+
+    return await expireIfAbandoned(checkout, now);
+};
+
+/*
+    Confirm the payment of a checkout and, if it succeeded, issue the user_title and its receipt
+    Returns:
+    - { status: 'COMPLETED', checkout, user_title, receipt }
+    - { status: 'FAILED', checkout, reason }            -> declined by the provider
+    - { status: 'PENDING', checkout }                   -> the provider has not decided yet, confirm again
+    - { status: 'PAID_NOT_ISSUED', checkout }           -> paid, the user_title will be issued by issuePaidCheckouts
+    - { status: 'NOT_FOUND' | 'EXPIRED' | 'NOT_PENDING', checkout? }
+    - { status: 'NOT_CONFIGURED', checkout }            -> the provider of the checkout is not available
+*/
+const confirmCheckout = async (userId, checkoutId, details = {}, now = new Date()) => {
+    let checkout = await loadCheckout(userId, checkoutId);
+    if (!checkout) return { status: 'NOT_FOUND' };
+
+    checkout = await expireIfAbandoned(checkout, now);
+    if (checkout.status === CHECKOUT_STATUSES.EXPIRED) return { status: 'EXPIRED', checkout };
+
+    if (!isPaymentProviderAvailable(checkout.provider)) return { status: 'NOT_CONFIGURED', checkout };
+
+    // Only one confirmation at a time: PENDING -> PROCESSING
+    checkout = await updateStatus(checkout.id, CHECKOUT_STATUSES.PENDING, {
+        status: CHECKOUT_STATUSES.PROCESSING,
+        processing_at: getTimestamp(now)
+    });
+    if (!checkout) return { status: 'NOT_PENDING', checkout: await loadCheckout(userId, checkoutId) };
+
+    // On an error the checkout stays PROCESSING until reconcileCheckouts gets the result from the provider
+    const payment = await getPaymentProvider(checkout.provider).confirmPayment(checkout.provider_reference, details);
+
+    return await applyPayment(checkout, payment, now);
+};
+
+/*
+    Cancel a checkout before paying it
+    Returns { status: 'CANCELLED' | 'NOT_FOUND' | 'NOT_PENDING', checkout? }
+*/
+const cancelCheckout = async (userId, checkoutId) => {
+    const existing = await loadCheckout(userId, checkoutId);
+    if (!existing) return { status: 'NOT_FOUND' };
+
+    const checkout = await updateStatus(existing.id, CHECKOUT_STATUSES.PENDING, { status: CHECKOUT_STATUSES.CANCELLED });
+    if (!checkout) return { status: 'NOT_PENDING', checkout: existing };
+
+    await cancelPaymentQuietly(checkout.provider, checkout.provider_reference);
+
+    return { status: 'CANCELLED', checkout };
+};
+
+// Retry issuing the user_title of every PAID_NOT_ISSUED checkout > { issued, failed: [ids of the checkouts] }
+const issuePaidCheckouts = async (now = new Date()) => {
+    const { data: checkouts, error } = await supabase
+        .from('checkouts')
+        .select('*')
+        .eq('status', CHECKOUT_STATUSES.PAID_NOT_ISSUED)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const result = { issued: 0, failed: [] };
+
+    for (const checkout of checkouts) {
+        try {
+            const data = await issueCheckout(checkout, now);
+            if (data.status === CHECKOUT_STATUSES.COMPLETED) result.issued++;
+        } catch (issueError) {
+            console.error(`Paid checkout not issued (${checkout.id}):`, issueError);
+            result.failed.push(checkout.id);
+        }
+    }
+
+    return result;
+};
+
+/*
+    Ask the provider for the result of the confirmations left PROCESSING for longer than
+    CHECKOUT_PROCESSING_TIMEOUT (the provider failed or the server stopped while confirming) and apply it
+    > { completed, not_issued, declined, pending, failed: [ids of the checkouts the provider didn't answer] }
+*/
+const reconcileCheckouts = async (now = new Date()) => {
+    const { data: checkouts, error } = await supabase
+        .from('checkouts')
+        .select('*')
+        .eq('status', CHECKOUT_STATUSES.PROCESSING)
+        .lt('processing_at', getTimestamp(new Date(now.getTime() - CHECKOUT_PROCESSING_TIMEOUT * 60 * 1000)))
+        .order('processing_at', { ascending: true });
+
+    if (error) throw error;
+
+    const result = { completed: 0, not_issued: 0, declined: 0, pending: 0, failed: [] };
+
+    for (const checkout of checkouts) {
+        let payment;
+        try {
+            payment = await getPaymentProvider(checkout.provider).getPayment(checkout.provider_reference);
+        } catch (paymentError) {
+            console.error(`Payment status error (${checkout.provider}: ${checkout.provider_reference}):`, paymentError);
+            result.failed.push(checkout.id);
+            continue;
+        }
+
+        const applied = await applyPayment(checkout, payment, now);
+
+        if (applied.status === 'COMPLETED') result.completed++;
+        else if (applied.status === 'PAID_NOT_ISSUED') result.not_issued++;
+        else if (applied.status === 'FAILED') result.declined++;
+        else if (applied.status === 'PENDING') result.pending++;
+    }
+
+    return result;
+};
+
+// Mark every abandoned checkout (PENDING past expires_at) as EXPIRED > number of checkouts expired
+const expireCheckouts = async (now = new Date()) => {
+    const { data, error } = await supabase
+        .from('checkouts')
+        .update({ status: CHECKOUT_STATUSES.EXPIRED })
+        .eq('status', CHECKOUT_STATUSES.PENDING)
+        .lt('expires_at', getTimestamp(now))
+        .select('*');
+
+    if (error) throw error;
+
+    for (const checkout of data) {
+        await cancelPaymentQuietly(checkout.provider, checkout.provider_reference);
+    }
+
+    return data.length;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+async function loadCheckout(userId, checkoutId) {
+    const { data, error } = await supabase
+        .from('checkouts')
+        .select('*')
+        .eq('id', checkoutId)
+        .eq('user', userId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116' || error.code === '22P02') return null;
+        throw error;
+    }
+
+    return data;
+};
+
+// Update a checkout only if it is still in the expected status > updated checkout or null
+async function updateStatus(checkoutId, expectedStatus, changes) {
+    const { data, error } = await supabase
+        .from('checkouts')
+        .update(changes)
+        .eq('id', checkoutId)
+        .eq('status', expectedStatus)
+        .select('*');
+
+    if (error) throw error;
+
+    return data.length > 0 ? data[0] : null;
+};
+
+async function expireIfAbandoned(checkout, now) {
+    if (checkout.status !== CHECKOUT_STATUSES.PENDING || new Date(checkout.expires_at) > now) {
+        return checkout;
+    }
+
+    const expired = await updateStatus(checkout.id, CHECKOUT_STATUSES.PENDING, { status: CHECKOUT_STATUSES.EXPIRED });
+    if (!expired) return await loadCheckout(checkout.user, checkout.id);
+
+    await cancelPaymentQuietly(expired.provider, expired.provider_reference);
+    return expired;
+};
+
+// End the confirmation of a PROCESSING checkout with the result of its payment > result of confirmCheckout
+async function applyPayment(checkout, payment, now) {
+    if (payment.status === PAYMENT_STATUSES.PENDING) {
+        const pending = await updateStatus(checkout.id, CHECKOUT_STATUSES.PROCESSING, { status: CHECKOUT_STATUSES.PENDING });
+        return { status: 'PENDING', checkout: pending };
+    }
+
+    if (payment.status !== PAYMENT_STATUSES.SUCCEEDED) {
+        const reason = payment.reason || 'Payment declined';
+        const failed = await updateStatus(checkout.id, CHECKOUT_STATUSES.PROCESSING, {
+            status: CHECKOUT_STATUSES.FAILED,
+            failure_reason: reason
+        });
+        return { status: 'FAILED', checkout: failed, reason };
+    }
+
+    // Paid: from here on the checkout is never left PROCESSING
+    const paid = await updateStatus(checkout.id, CHECKOUT_STATUSES.PROCESSING, { status: CHECKOUT_STATUSES.PAID_NOT_ISSUED });
+    if (!paid) throw new Error(`Checkout ${checkout.id} changed while it was being confirmed`);
+
+    let data;
+    try {
+        data = await issueCheckout(paid, now);
+    } catch (error) {
+        console.error(`Paid checkout not issued, it will be retried (${paid.id}):`, error);
+        return { status: 'PAID_NOT_ISSUED', checkout: paid };
+    }
+
+    // Issued meanwhile by issuePaidCheckouts
+    if (data.status !== CHECKOUT_STATUSES.COMPLETED) {
+        return { status: 'NOT_PENDING', checkout: await loadCheckout(paid.user, paid.id) };
+    }
+
+    return {
+        status: 'COMPLETED',
+        checkout: data.checkout,
+        user_title: data.user_title,
+        receipt: data.receipt
+    };
+};
+
+// Create the user_title and the receipt of a PAID_NOT_ISSUED checkout > result of complete_checkout
+async function issueCheckout(checkout, now) {
+    const { data: title, error: titleError } = await supabase
+        .from('titles')
+        .select('*')
+        .eq('id', checkout.title)
+        .single();
+
+    if (titleError) throw titleError;
+
+    const userTitle = { id: await generateUserTitleId(), ...buildUserTitle(title, checkout.user, now) };
+
+    const { data, error } = await supabase.rpc('complete_checkout', {
+        p_checkout: checkout.id,
+        p_user_title: userTitle,
+        p_receipt: await generateReceiptId(),
+        p_lines: buildPurchaseLines(title, checkout),
+        p_timestamp: getTimestamp(now)
+    });
+
+    if (error) {
+        throw new Error(`Failed to complete checkout ${checkout.id} (paid at ${checkout.provider}: ${checkout.provider_reference}): ${error.message}`);
+    }
+
+    return data;
+};
+
+// The payment was never confirmed, so a failure to cancel it is only logged
+async function cancelPaymentQuietly(providerName, reference) {
+    try {
+        await getPaymentProvider(providerName).cancelPayment(reference);
+    } catch (error) {
+        console.error(`Payment cancel error (${providerName}: ${reference}):`, error);
+    }
+};
+
+
+module.exports = {
+    CHECKOUT_STATUSES,
+    createCheckout,
+    getCheckout,
+    confirmCheckout,
+    cancelCheckout,
+    issuePaidCheckouts,
+    reconcileCheckouts,
+    expireCheckouts
+};
@@ -0,0 +1,119 @@
+const fs = require('fs/promises');
+const path = require('path');
+const supabase = require('../config/supabase');
+
+/*
+    Storage of the documents attached to group requests (evidence, see controllers/requests.js).
+
+    The backend is chosen with DOCUMENTS_STORAGE (default 'local') and every document keeps the name
+    of the backend it was stored with (request_documents.storage), so changing it doesn't break the
+    documents already stored.
+
+    Backends:
+    - local: files under DOCUMENTS_STORAGE_DIR (default ./storage/documents)
+    - supabase: Supabase Storage bucket DOCUMENTS_STORAGE_BUCKET (default 'documents')
+
+    A backend is an object:
+    {
+        put: async (key, buffer, contentType) => void,
+        get: async (key) => <Buffer | null>,       -> null if the key doesn't exist
+        remove: async (key) => void
+    }
+    Keys are relative paths ('requests/<request_id>/<random>'), without '..' nor leading '/'.
+*/
+
+const DEFAULT_STORAGE = 'local';
+
+const backends = {
+    local: {
+        put: async (key, buffer) => {
+            const file = localPath(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+
+        get: async (key) => {
+            try {
+                return await fs.readFile(localPath(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        remove: async (key) => {
+            await fs.rm(localPath(key), { force: true });
+        }
+    },
+
+    supabase: {
+        put: async (key, buffer, contentType) => {
+            const { error } = await supabase.storage
+                .from(getBucket())
+                .upload(key, buffer, { contentType, upsert: false });
+
+            if (error) throw error;
+        },
+
+        get: async (key) => {
+            const { data, error } = await supabase.storage
+                .from(getBucket())
+                .download(key);
+
+            if (error) {
+                if (error.statusCode === '404' || error.status === 404) return null;
+                throw error;
+            }
+
+            return Buffer.from(await data.arrayBuffer());
+        },
+
+        remove: async (key) => {
+            const { error } = await supabase.storage
+                .from(getBucket())
+                .remove([key]);
+
+            if (error) throw error;
+        }
+    }
+};
+
+// Register a new storage backend (or replace an existing one)
+const registerStorageBackend = (name, backend) => {
+    backends[name] = backend;
+};
+
+// Name of the backend new documents are stored with
+const getDefaultStorage = () => process.env.DOCUMENTS_STORAGE || DEFAULT_STORAGE;
+
+const getStorageBackend = (name = getDefaultStorage()) => {
+    const backend = backends[name];
+    if (!backend) throw new Error(`Unknown document storage backend: ${name}`);
+    return backend;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Resolve a key inside the local storage directory (rejects keys that escape it)
+function localPath(key) {
+    const root = path.resolve(process.env.DOCUMENTS_STORAGE_DIR || path.join('storage', 'documents'));
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid document key: ${key}`);
+    }
+    return file;
+};
+
+function getBucket() {
+    return process.env.DOCUMENTS_STORAGE_BUCKET || 'documents';
+};
+
+
+module.exports = {
+    DEFAULT_STORAGE,
+    registerStorageBackend,
+    getDefaultStorage,
+    getStorageBackend
+};
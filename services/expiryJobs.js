@@ -0,0 +1,178 @@
+const supabase = require('../config/supabase');
+const { expireCheckouts } = require('./checkout');
+const { isAgeGroup, syncAgeGroups } = require('./ageGroups');
+const { getGroupWindow } = require('./validationRules');
+const { getTimestamp, getDateString } = require('../utils/time');
+
+/*
+    Jobs that clean up expired data, run by the scheduler (services/scheduler.js).
+
+    Without them expired data is only noticed when a request happens to touch it (e.g. an expired
+    session is deleted when it is used). Every job gets { now, lastRun } (lastRun: start of its last
+    successful run, null if none) and returns a summary of what it changed, kept in job_runs.
+
+    - purgeExpiredSessions: deletes the sessions, admin_sessions, pending admin logins
+      (admin_login_tickets), password reset tokens (password_resets), counts of failed logins
+      (login_attempts) and used QR tokens (qr_token_uses) past their expiration
+    - expireGroupMemberships: deletes the user_groups past their expiration day; the users of an
+      expired age group are put in the age group of their current age (services/ageGroups.js)
+    - expireUserTitles: deactivates the active user_titles past their expiration day or without
+      uses left (once the link / group window of their last validation has passed, so they can
+      still be used for a free transfer; database/functions/last_entries.sql)
+    - moveAgeGroups: puts the users that had a birthday since the last run in the age group of
+      their new age (e.g. 16 -> 30, or 65; database/functions/users_with_birthday.sql)
+    - expireCheckouts: marks the abandoned checkouts as EXPIRED (services/checkout.js)
+*/
+
+const purgeExpiredSessions = async ({ now }) => {
+    const result = {};
+
+    const tables = ['sessions', 'admin_sessions', 'admin_login_tickets', 'password_resets', 'login_attempts', 'qr_token_uses'];
+
+    for (const table of tables) {
+        const { data, error } = await supabase
+            .from(table)
+            .delete()
+            .lt('expiration', getTimestamp(now))
+            .select('expiration');
+
+        if (error) throw error;
+        result[table] = data.length;
+    }
+
+    return result;
+};
+
+const expireGroupMemberships = async ({ now }) => {
+    const { data: expired, error } = await supabase
+        .from('user_groups')
+        .delete()
+        .lt('expiration', getDateString(now))
+        .select('*');
+
+    if (error) throw error;
+
+    // Users that left an age group go to the one of their current age
+    const ageGroupUsers = [...new Set(expired
+        .filter(membership => isAgeGroup(membership.group))
+        .map(membership => membership.user))];
+
+    const moved = await syncAgeGroupsOf(ageGroupUsers, now);
+
+    return { removed: expired.length, moved: moved.length };
+};
+
+const expireUserTitles = async ({ now }) => {
+    // Expired: deactivated right away
+    const { data: expired, error: expiredError } = await supabase
+        .from('user_titles')
+        .update({ active: false, priority: null })
+        .eq('active', true)
+        .lt('expiration', getDateString(now))
+        .select('id');
+
+    if (expiredError) throw expiredError;
+
+    // Without uses left: deactivated once their last validation can't give a free one anymore
+    const { data: usedUp, error: usedUpError } = await supabase
+        .from('user_titles')
+        .select('*')
+        .eq('active', true)
+        .lte('uses_left', 0);
+
+    if (usedUpError) throw usedUpError;
+
+    const lastEntries = await getLastEntries(usedUp.map(userTitle => userTitle.id));
+    const exhaustedIds = usedUp
+        .filter(userTitle => !inGraceWindow(userTitle, lastEntries[userTitle.id], now))
+        .map(userTitle => userTitle.id);
+
+    if (exhaustedIds.length === 0) return { expired: expired.length, exhausted: 0 };
+
+    // Only if they didn't get uses meanwhile
+    const { data: exhausted, error: exhaustedError } = await supabase
+        .from('user_titles')
+        .update({ active: false, priority: null })
+        .in('id', exhaustedIds)
+        .eq('active', true)
+        .lte('uses_left', 0)
+        .select('id');
+
+    if (exhaustedError) throw exhaustedError;
+
+    return { expired: expired.length, exhausted: exhausted.length };
+};
+
+const moveAgeGroups = async ({ now, lastRun }) => {
+    const since = lastRun ? new Date(lastRun) : new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+    const { data: birthdays, error } = await supabase.rpc('users_with_birthday', {
+        p_since: getDateString(since),
+        p_now: getDateString(now)
+    });
+
+    if (error) throw error;
+
+    const moved = await syncAgeGroupsOf(birthdays.map(user => user.id), now, birthdays);
+
+    return { birthdays: birthdays.length, moved: moved.length };
+};
+
+const expireAbandonedCheckouts = async ({ now }) => {
+    return { expired: await expireCheckouts(now) };
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Sync the age groups of some users > ids of the users whose age groups changed
+async function syncAgeGroupsOf(userIds, now, users = null) {
+    if (userIds.length === 0) return [];
+
+    if (!users) {
+        const { data, error } = await supabase
+            .from('users')
+            .select('id, birthdate')
+            .in('id', userIds);
+
+        if (error) throw error;
+        users = data;
+    }
+
+    const moved = [];
+    for (const user of users.filter(user => userIds.includes(user.id))) {
+        const { added, removed } = await syncAgeGroups(user, now);
+        if (added !== null || removed.length > 0) moved.push(user.id);
+    }
+
+    return moved;
+};
+
+// Timestamp of the last entry of some user_titles > { <user_title id>: <timestamp> }
+async function getLastEntries(userTitleIds) {
+    if (userTitleIds.length === 0) return {};
+
+    const { data, error } = await supabase.rpc('last_entries', { p_user_titles: userTitleIds });
+
+    if (error) throw error;
+
+    return Object.fromEntries(data.map(entry => [entry.user_title, entry.timestamp]));
+};
+
+// Whether the last entry of a user_title is recent enough to link (or join its group) for free
+function inGraceWindow(userTitle, lastEntry, now) {
+    const grace = Math.max(userTitle.link || 0, (userTitle.passengers || 1) > 1 ? getGroupWindow() : 0);
+    if (grace <= 0 || !lastEntry) return false;
+
+    return (now - new Date(lastEntry)) / (1000 * 60) < grace;
+};
+
+
+module.exports = {
+    purgeExpiredSessions,
+    expireGroupMemberships,
+    expireUserTitles,
+    moveAgeGroups,
+    expireAbandonedCheckouts
+};
@@ -0,0 +1,78 @@
+const supabase = require('../config/supabase');
+const { getAge, getAgeBand, getAgeGroupExpiration } = require('./ageGroups');
+const { getDateString } = require('../utils/time');
+
+/*
+    Expiration of the membership of a user in a group, shared by every flow that enrols users:
+    - POST /users/:id/groups (enrolment by an admin)
+    - PUT /requests/:id/approve (approval of a group request)
+
+    Rules:
+    - the age group of the age of the user: the day before the user becomes too old for it
+      (see services/ageGroups.js)
+    - other groups with groups.expiration (days): now + days
+    - otherwise: never expires (null)
+
+    A membership counts until the end of its expiration day. Expired memberships are removed by the
+    scheduler (services/expiryJobs.js), which also moves the users of the age groups to the one of
+    their current age.
+*/
+
+/*
+    Calculate the expiration of the membership of a user in a group
+    Returns 'YYYY-MM-DD' or null (never expires)
+    Throws the supabase error if the user or the group don't exist (PGRST116)
+*/
+const calculateGroupExpiration = async (userId, groupId, now = new Date()) => {
+    // Get user birthdate
+    const { data: userData, error: userError } = await supabase
+        .from('users')
+        .select('birthdate')
+        .eq('id', userId)
+        .single();
+
+    if (userError) throw userError;
+
+    // Get group expiration days
+    const { data: groupData, error: groupError } = await supabase
+        .from('groups')
+        .select('expiration')
+        .eq('id', groupId)
+        .single();
+
+    if (groupError) throw groupError;
+
+    // The age group of the user expires the day before the user becomes too old for it
+    const band = userData.birthdate ? getAgeBand(getAge(userData.birthdate, now)) : null;
+
+    if (band && band.group === Number(groupId)) {
+        return getAgeGroupExpiration(band, userData.birthdate);
+    } else if (groupData.expiration && groupData.expiration > 0) {
+        // Calculate expiration date based on group expiration days
+        const expiration = new Date(now);
+        expiration.setDate(now.getDate() + groupData.expiration);
+        return getDateString(expiration);
+    }
+
+    return null;
+};
+
+
+// Ids of the groups of a user whose membership has not expired
+const loadActiveGroupIds = async (userId, now = new Date()) => {
+    const { data, error } = await supabase
+        .from('user_groups')
+        .select('group')
+        .eq('user', userId)
+        .or(`expiration.is.null,expiration.gte.${getDateString(now)}`);
+
+    if (error) throw error;
+
+    return data.map(ug => ug.group);
+};
+
+
+module.exports = {
+    calculateGroupExpiration,
+    loadActiveGroupIds
+};
@@ -0,0 +1,276 @@
+const { getReceiptLines, summarizeReceipt } = require('./receipts');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../messages/language');
+
+/*
+    PDF invoices of the receipts (GET /users/:id/receipts/:receiptId.pdf).
+
+    One A4 page with the issuer, the customer, the line items and the totals of the receipt (see
+    services/receipts.js), in the languages of the messages/ (ca, en, es). Refunds are rendered as
+    credit notes that correct the invoice of the purchase.
+
+    Issuer (env):
+    - INVOICE_ISSUER_NAME (default "PORTA'M")
+    - INVOICE_ISSUER_TAX_ID
+    - INVOICE_ISSUER_ADDRESS (lines separated by "|")
+
+    The PDF is written by hand with the standard Helvetica fonts (WinAnsiEncoding), so no font has to
+    be embedded.
+*/
+
+const INVOICE_LANGUAGES = LANGUAGES;
+
+const LOCALES = { ca: 'ca-ES', en: 'en-GB', es: 'es-ES' };
+
+const labels = {
+    ca: {
+        invoice: 'Factura',
+        credit_note: 'Factura rectificativa',
+        number: 'Número',
+        date: 'Data',
+        customer: 'Client',
+        corrects: 'Rectifica la factura',
+        description: 'Descripció',
+        quantity: 'Quant.',
+        unit_price: 'Preu unitari',
+        discount: 'Descompte',
+        tax_rate: 'IVA',
+        amount: 'Import',
+        base: 'Base imposable',
+        tax: 'IVA',
+        total: 'Total',
+        payment: 'Pagament',
+        refund: 'Devolució',
+        taxes_included: 'Preus amb IVA inclòs.'
+    },
+    en: {
+        invoice: 'Invoice',
+        credit_note: 'Credit note',
+        number: 'Number',
+        date: 'Date',
+        customer: 'Customer',
+        corrects: 'Corrects invoice',
+        description: 'Description',
+        quantity: 'Qty.',
+        unit_price: 'Unit price',
+        discount: 'Discount',
+        tax_rate: 'VAT',
+        amount: 'Amount',
+        base: 'Taxable base',
+        tax: 'VAT',
+        total: 'Total',
+        payment: 'Payment',
+        refund: 'Refund',
+        taxes_included: 'Prices include VAT.'
+    },
+    es: {
+        invoice: 'Factura',
+        credit_note: 'Factura rectificativa',
+        number: 'Número',
+        date: 'Fecha',
+        customer: 'Cliente',
+        corrects: 'Rectifica la factura',
+        description: 'Descripción',
+        quantity: 'Cant.',
+        unit_price: 'Precio unitario',
+        discount: 'Descuento',
+        tax_rate: 'IVA',
+        amount: 'Importe',
+        base: 'Base imponible',
+        tax: 'IVA',
+        total: 'Total',
+        payment: 'Pago',
+        refund: 'Devolución',
+        taxes_included: 'Precios con IVA incluido.'
+    }
+};
+
+/*
+    Render the invoice of a receipt > Buffer (application/pdf)
+    - receipt: receipts row
+    - user: users row (name, surname, gov_id, email)
+    - original: receipt of the purchase, for refunds (receipt.refund_of)
+*/
+const renderReceiptPdf = ({ receipt, user, original = null, lang = DEFAULT_LANGUAGE }) => {
+    const t = labels[lang] || labels[DEFAULT_LANGUAGE];
+    const locale = LOCALES[lang] || LOCALES[DEFAULT_LANGUAGE];
+    const money = (amount) => formatMoney(amount, locale);
+    const isRefund = !!receipt.refund_of;
+
+    const page = createPage();
+
+    // Header
+    page.text(50, 780, (isRefund ? t.credit_note : t.invoice).toUpperCase(), 18, true);
+    page.textRight(545, 786, `${t.number}: ${receipt.invoice_number || receipt.id}`, 10, true);
+    page.textRight(545, 772, `${t.date}: ${formatDate(receipt.timestamp, locale)}`, 10);
+
+    // Issuer
+    let y = 740;
+    page.text(50, y, process.env.INVOICE_ISSUER_NAME || 'PORTA\'M', 11, true);
+    const issuerLines = [process.env.INVOICE_ISSUER_TAX_ID]
+        .concat((process.env.INVOICE_ISSUER_ADDRESS || '').split('|'))
+        .filter(line => line && line.trim());
+    for (const line of issuerLines) {
+        y -= 14;
+        page.text(50, y, line.trim(), 10);
+    }
+
+    // Customer
+    y = 740;
+    page.text(320, y, t.customer, 11, true);
+    const customerLines = [[user.name, user.surname].filter(Boolean).join(' '), user.gov_id, user.email]
+        .filter(Boolean);
+    for (const line of customerLines) {
+        y -= 14;
+        page.text(320, y, line, 10);
+    }
+
+    y = Math.min(y, 740 - 14 * issuerLines.length) - 30;
+
+    if (isRefund) {
+        page.text(50, y, `${t.corrects} ${original && original.invoice_number ? original.invoice_number : receipt.refund_of}`, 10);
+        y -= 24;
+    }
+
+    // Line items
+    const columns = [
+        { label: t.quantity, x: 300 },
+        { label: t.unit_price, x: 375 },
+        { label: t.discount, x: 445 },
+        { label: t.tax_rate, x: 480 },
+        { label: t.amount, x: 545 }
+    ];
+
+    page.text(50, y, t.description, 10, true);
+    for (const column of columns) page.textRight(column.x, y, column.label, 10, true);
+    y -= 6;
+    page.line(50, y, 545, y);
+
+    for (const line of getReceiptLines(receipt)) {
+        y -= 16;
+        const description = line.description || t.payment;
+        page.text(50, y, truncate(isRefund ? `${t.refund}: ${description}` : description, 40), 10);
+        page.textRight(300, y, String(line.quantity), 10);
+        page.textRight(375, y, money(line.unit_price), 10);
+        page.textRight(445, y, line.discount ? money(-line.discount) : '', 10);
+        page.textRight(480, y, `${line.tax_rate}%`, 10);
+        page.textRight(545, y, money(line.total), 10);
+    }
+
+    y -= 10;
+    page.line(50, y, 545, y);
+
+    // Totals
+    const totals = summarizeReceipt(receipt);
+    y -= 18;
+    page.textRight(445, y, t.base, 10);
+    page.textRight(545, y, money(totals.base), 10);
+    y -= 16;
+    page.textRight(445, y, t.tax, 10);
+    page.textRight(545, y, money(totals.tax), 10);
+    y -= 18;
+    page.textRight(445, y, t.total, 12, true);
+    page.textRight(545, y, money(totals.total), 12, true);
+
+    page.text(50, 50, t.taxes_included, 8);
+
+    return page.toPdf();
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+function formatMoney(amount, locale) {
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: process.env.PAYMENT_CURRENCY || 'EUR'
+    }).format(amount || 0);
+};
+
+function formatDate(timestamp, locale) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return String(timestamp || '');
+    return date.toLocaleDateString(locale, { year: 'numeric', month: '2-digit', day: '2-digit' });
+};
+
+function truncate(text, length) {
+    return text.length > length ? text.slice(0, length - 3) + '...' : text;
+};
+
+// Width of the characters of the amounts in Helvetica (1/1000 of the font size), to align them right
+const CHAR_WIDTHS = { ' ': 278, '\u00a0': 278, '\u202f': 278, ',': 278, '.': 278, '-': 333, '%': 889, ':': 278, 'I': 278, 'i': 222, 'l': 222 };
+
+function textWidth(text, size) {
+    let width = 0;
+    for (const char of text) width += CHAR_WIDTHS[char] || 556;
+    return width * size / 1000;
+};
+
+// WinAnsiEncoding codes that are not latin1
+const WIN_ANSI = { '€': 0x80, '…': 0x85, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '\u202f': 0x20 };
+
+// PDF string literal, with everything that is not printable ASCII written in octal
+function pdfString(text) {
+    let out = '';
+    for (const char of String(text)) {
+        let code = WIN_ANSI[char] !== undefined ? WIN_ANSI[char] : char.charCodeAt(0);
+        if (char.length > 1 || (code > 0xff) || (code >= 0x80 && code < 0xa0 && WIN_ANSI[char] === undefined)) code = 0x3f; // '?'
+
+        if (char === '\\' || char === '(' || char === ')') out += '\\' + char;
+        else if (code < 0x20 || code > 0x7e) out += '\\' + code.toString(8).padStart(3, '0');
+        else out += String.fromCharCode(code);
+    }
+    return `(${out})`;
+};
+
+// A page being drawn > { text, textRight, line, toPdf }
+function createPage() {
+    const ops = [];
+
+    const text = (x, y, value, size, bold = false) => {
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y} Td ${pdfString(value)} Tj ET`);
+    };
+
+    const textRight = (x, y, value, size, bold = false) => {
+        text(x - textWidth(String(value), size), y, value, size, bold);
+    };
+
+    const line = (x1, y1, x2, y2) => {
+        ops.push(`0.5 w ${x1} ${y1} m ${x2} ${y2} l S`);
+    };
+
+    const toPdf = () => {
+        const content = ops.join('\n');
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+
+        // Everything is ASCII, so string lengths are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((object, index) => {
+            offsets.push(pdf.length);
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(pdf, 'ascii');
+    };
+
+    return { text, textRight, line, toPdf };
+};
+
+module.exports = {
+    INVOICE_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    renderReceiptPdf
+};
@@ -0,0 +1,360 @@
+const supabase = require('../config/supabase');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Brute-force protection of the logins (POST /auth/login and POST /users_admin/login).
+
+    The failed attempts are counted by key, for each of:
+    - account: the email of the user, or the id of the admin
+    - device: the device id of the login
+    - ip: the IP of the client (behind a proxy, see TRUST_PROXY in server.js)
+    Failures older than LOGIN_ATTEMPT_WINDOW minutes (default 15) are forgotten.
+
+    - Every attempt is counted as a failure before the password is checked (countLoginAttempt), so
+      concurrent attempts can't all be checked before their failures are counted. The attempts that
+      get it right are taken back (clearLoginFailures, releaseLoginAttempt).
+    - Every failure of a key makes the next attempts wait longer before the password is checked:
+      LOGIN_DELAY ms (default 250) doubled on every failure, up to LOGIN_DELAY_MAX ms (default 4000).
+    - A key that reaches its limit of failures is locked for LOGIN_LOCKOUT minutes (default 15), even
+      with the right password (a limit of 0 never locks):
+        - account: LOGIN_MAX_FAILURES (default 5)
+        - device: LOGIN_MAX_FAILURES_DEVICE (default 10)
+        - ip: LOGIN_MAX_FAILURES_IP (default 20)
+    - A successful login forgets the failures of its account and device (not the other ones of its IP,
+      which can be shared by an attacker trying many accounts).
+
+    The password reset requests (POST /auth/forgot-password) are counted the same way, every request
+    as a failure, by email and by IP, over PASSWORD_RESET_WINDOW minutes (default 60): a key that reaches
+    its limit is locked for as long as the window. Limits: PASSWORD_RESET_MAX_REQUESTS (default 3) by
+    email and PASSWORD_RESET_MAX_REQUESTS_IP (default 10) by IP.
+
+    The failures are kept in a store, chosen with LOGIN_ATTEMPTS_STORE (default 'memory'):
+    - memory: in the memory of the process (a single server)
+    - supabase: table login_attempts, shared by all the instances of the server, counted atomically by
+      database/functions/count_login_attempt.sql
+        - key (PK, UQ)      - text
+        - failures          - int4
+        - first_failure     - timestamp
+        - locked_until      - timestamp (null -> not locked)
+        - expiration        - timestamp (purged by the scheduler, see services/expiryJobs.js)
+
+    A store is an object:
+    {
+        increment: async (key, amount, policy) => { ...entry, counted },
+        remove: async (key) => void
+    }
+    - increment: adds amount (1, or -1 to take an attempt back) to the failures of the key, atomically,
+      as database/functions/count_login_attempt.sql does. An attempt on a locked key is not counted
+      (counted: false).
+    - policy: { now: <Date>, window, lockout, max } (minutes, max 0 -> never locks)
+    - entry: { failures, first_failure: <ms>, locked_until: <ms | null> }
+
+    Results are { status: <result>, ... }, the controllers map them to HTTP responses.
+*/
+
+const DEFAULT_STORE = 'memory';
+
+const DEFAULTS = {
+    window: 15,             // minutes
+    lockout: 15,            // minutes
+    delay: 250,             // ms
+    delayMax: 4000,         // ms
+    maxFailures: {
+        account: 5,
+        device: 10,
+        ip: 20
+    }
+};
+
+const RESET_DEFAULTS = {
+    window: 60,             // minutes
+    maxRequests: {
+        email: 3,
+        ip: 10
+    }
+};
+
+// Entries of the memory store (key -> { entry, expiration })
+const memoryEntries = new Map();
+
+// Entries kept in memory before the expired ones are swept
+const MEMORY_SWEEP_SIZE = 10000;
+
+const stores = {
+    memory: {
+        increment: async (key, amount, policy) => {
+            const stored = memoryEntries.get(key);
+            const entry = stored && stored.expiration > policy.now.getTime() ? { ...stored.entry } : null;
+            const counted = countOn(entry, amount, policy);
+
+            if (memoryEntries.size >= MEMORY_SWEEP_SIZE) {
+                const now = Date.now();
+                for (const [storedKey, other] of memoryEntries) {
+                    if (other.expiration <= now) memoryEntries.delete(storedKey);
+                }
+            }
+            memoryEntries.set(key, { entry: counted.entry, expiration: counted.expiration });
+
+            return { ...counted.entry, counted: counted.counted };
+        },
+
+        remove: async (key) => {
+            memoryEntries.delete(key);
+        }
+    },
+
+    supabase: {
+        increment: async (key, amount, policy) => {
+            const { data, error } = await supabase.rpc('count_login_attempt', {
+                p_key: key,
+                p_amount: amount,
+                p_now: getTimestamp(policy.now),
+                p_window: policy.window,
+                p_lockout: policy.lockout,
+                p_max: policy.max
+            });
+
+            if (error) throw error;
+
+            return {
+                failures: data.failures,
+                first_failure: new Date(data.first_failure).getTime(),
+                locked_until: data.locked_until ? new Date(data.locked_until).getTime() : null,
+                counted: data.counted
+            };
+        },
+
+        remove: async (key) => {
+            const { error } = await supabase
+                .from('login_attempts')
+                .delete()
+                .eq('key', key);
+
+            if (error) throw error;
+        }
+    }
+};
+
+// Register a new store (or replace an existing one)
+const registerAttemptStore = (name, store) => {
+    stores[name] = store;
+};
+
+const getDefaultStore = () => process.env.LOGIN_ATTEMPTS_STORE || DEFAULT_STORE;
+
+const getAttemptStore = (name = getDefaultStore()) => {
+    const store = stores[name];
+    if (!store) throw new Error(`Unknown login attempts store: ${name}`);
+    return store;
+};
+
+// Limits of the failed logins (env, see above)
+const getLoginLimits = () => ({
+    window: readNumber('LOGIN_ATTEMPT_WINDOW', DEFAULTS.window),
+    lockout: readNumber('LOGIN_LOCKOUT', DEFAULTS.lockout),
+    delay: readNumber('LOGIN_DELAY', DEFAULTS.delay),
+    delayMax: readNumber('LOGIN_DELAY_MAX', DEFAULTS.delayMax),
+    maxFailures: {
+        account: readNumber('LOGIN_MAX_FAILURES', DEFAULTS.maxFailures.account),
+        device: readNumber('LOGIN_MAX_FAILURES_DEVICE', DEFAULTS.maxFailures.device),
+        ip: readNumber('LOGIN_MAX_FAILURES_IP', DEFAULTS.maxFailures.ip)
+    }
+});
+
+// Limits of the password reset requests (env, see above), with no delay
+const getResetLimits = () => {
+    const window = readNumber('PASSWORD_RESET_WINDOW', RESET_DEFAULTS.window);
+    return {
+        window: window,
+        lockout: window,
+        delay: 0,
+        delayMax: 0,
+        maxFailures: {
+            email: readNumber('PASSWORD_RESET_MAX_REQUESTS', RESET_DEFAULTS.maxRequests.email),
+            ip: readNumber('PASSWORD_RESET_MAX_REQUESTS_IP', RESET_DEFAULTS.maxRequests.ip)
+        }
+    };
+};
+
+/*
+    Keys of a login attempt
+    - kind: 'user' | 'admin' (their accounts are counted apart)
+    Returns [{ scope: 'account' | 'device' | 'ip', key }]
+*/
+const loginAttemptKeys = (kind, { account, device, ip }) => {
+    return [
+        { scope: 'account', value: account === undefined ? null : String(account).trim().toLowerCase() },
+        { scope: 'device', value: device },
+        { scope: 'ip', value: ip }
+    ]
+        .filter(({ value }) => value !== undefined && value !== null && value !== '')
+        .map(({ scope, value }) => ({
+            scope: scope,
+            key: scope === 'account' ? `login:${kind}:account:${value}` : `login:${scope}:${value}`
+        }));
+};
+
+/*
+    Count a login attempt as a failure on every key, before the password is checked: the failures of
+    concurrent attempts are all counted before any of them is checked
+    Returns:
+    - { status: 'ALLOWED', delay, retry_after }
+        - delay: ms to wait before checking the password
+        - retry_after: seconds of the lock this attempt set on a key that reached its limit, null if none
+          (the keys stay locked if the attempt fails, see releaseLoginAttempt)
+    - { status: 'LOCKED', retry_after }     -> seconds until the lock of one of the keys ends (not counted)
+*/
+const countLoginAttempt = (keys, now = new Date()) => countKeys(keys, getLoginLimits(), now);
+
+// Take back the failure counted for an attempt that got the password right, without forgetting the others
+// (e.g. before the second factor of an admin)
+const releaseLoginAttempt = (keys, now = new Date()) => releaseKeys(keys, getLoginLimits(), now);
+
+// Forget the failures of the account and device of a successful login (the attempt counted on its IP is
+// only taken back)
+const clearLoginFailures = async (keys, now = new Date()) => {
+    const store = getAttemptStore();
+
+    for (const { scope, key } of keys) {
+        if (scope === 'ip') continue;
+        await store.remove(key);
+    }
+    await releaseKeys(keys.filter(({ scope }) => scope === 'ip'), getLoginLimits(), now);
+};
+
+// Keys of a password reset request: [{ scope: 'email' | 'ip', key }]
+const passwordResetKeys = ({ email, ip }) => {
+    return [
+        { scope: 'email', value: email === undefined || email === null ? null : String(email).trim().toLowerCase() },
+        { scope: 'ip', value: ip }
+    ]
+        .filter(({ value }) => value !== undefined && value !== null && value !== '')
+        .map(({ scope, value }) => ({ scope: scope, key: `reset:${scope}:${value}` }));
+};
+
+/*
+    Count a password reset request, unless one of its keys is locked
+    Returns:
+    - { status: 'ALLOWED' }
+    - { status: 'LOCKED', retry_after }     -> seconds until the lock of one of the keys ends (not counted)
+*/
+const countPasswordResetRequest = async (keys, now = new Date()) => {
+    const result = await countKeys(keys, getResetLimits(), now);
+    return result.status === 'LOCKED' ? result : { status: 'ALLOWED' };
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Count an attempt on its keys, atomically for each key (see countLoginAttempt)
+async function countKeys(keys, limits, now) {
+    const store = getAttemptStore();
+
+    const counted = [];
+    let failures = 0;
+    let lockedUntil = null;
+    let refusedUntil = null;
+
+    for (const key of keys) {
+        const entry = await store.increment(key.key, 1, getPolicy(key, limits, now));
+
+        if (!entry.counted) {
+            refusedUntil = Math.max(refusedUntil || 0, entry.locked_until);
+            continue;
+        }
+
+        counted.push(key);
+        failures = Math.max(failures, entry.failures - 1);
+        if (entry.locked_until) lockedUntil = Math.max(lockedUntil || 0, entry.locked_until);
+    }
+
+    // A refused attempt is not counted on the keys that weren't locked either
+    if (refusedUntil) {
+        await releaseKeys(counted, limits, now);
+        return { status: 'LOCKED', retry_after: secondsUntil(refusedUntil, now) };
+    }
+
+    return {
+        status: 'ALLOWED',
+        delay: getDelay(failures, limits),
+        retry_after: lockedUntil ? secondsUntil(lockedUntil, now) : null
+    };
+};
+
+// Take back an attempt counted on its keys, unlocking the ones it locked
+async function releaseKeys(keys, limits, now) {
+    const store = getAttemptStore();
+
+    for (const key of keys) {
+        await store.increment(key.key, -1, getPolicy(key, limits, now));
+    }
+};
+
+// How a store counts the attempts of a key: { now, window, lockout, max } (minutes)
+function getPolicy({ scope }, limits, now) {
+    return { now: now, window: limits.window, lockout: limits.lockout, max: limits.maxFailures[scope] || 0 };
+};
+
+/*
+    Add <amount> failures to an entry of the memory store, as database/functions/count_login_attempt.sql
+    does for the supabase one
+    Returns { entry, expiration: <ms>, counted }
+*/
+function countOn(entry, amount, { now, window, lockout, max }) {
+    const time = now.getTime();
+
+    // An entry that no longer counts (failures out of the window, or a lock that ended) starts again
+    const counting = entry && (entry.locked_until
+        ? entry.locked_until > time
+        : time - entry.first_failure < window * 60 * 1000);
+    const current = counting ? entry : { failures: 0, first_failure: time, locked_until: null };
+
+    let counted = true;
+    if (amount > 0 && current.locked_until) {
+        counted = false;
+    } else {
+        current.failures = Math.max(current.failures + amount, 0);
+        current.locked_until = max > 0 && current.failures >= max
+            ? current.locked_until || time + lockout * 60 * 1000
+            : null;
+    }
+
+    return {
+        entry: current,
+        expiration: Math.max(current.first_failure + window * 60 * 1000, current.locked_until || time),
+        counted: counted
+    };
+};
+
+function secondsUntil(until, now) {
+    return Math.ceil((until - now.getTime()) / 1000);
+};
+
+// Delay before checking the password after some failures (ms)
+function getDelay(failures, limits) {
+    if (failures === 0 || limits.delay <= 0) return 0;
+    return Math.min(limits.delay * Math.pow(2, failures - 1), limits.delayMax);
+};
+
+function readNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+        ? value
+        : fallback;
+};
+
+
+module.exports = {
+    DEFAULT_STORE,
+    registerAttemptStore,
+    getDefaultStore,
+    getAttemptStore,
+    getLoginLimits,
+    loginAttemptKeys,
+    countLoginAttempt,
+    releaseLoginAttempt,
+    clearLoginFailures,
+    passwordResetKeys,
+    countPasswordResetRequest
+};
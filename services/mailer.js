@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+/*
+    Delivery of the emails sent to the users (e.g. the password reset links, see
+    services/passwordReset.js).
+
+    The transport is chosen with MAIL_TRANSPORT and the sender with MAIL_FROM (default 'no-reply@localhost').
+    MAIL_TRANSPORT defaults to 'smtp', except in development (NODE_ENV 'development' or 'test'), where it
+    defaults to 'memory'. If the transport can't send (e.g. smtp without SMTP_HOST), the server starts
+    with a warning and sending an email fails (checkMailTransport, see server.js).
+
+    Transports:
+    - memory: keeps the last MAX_SENT_MAILS emails in memory, without sending them (the default in
+      development, see getSentMails and clearSentMails)
+    - file: writes every email as a .eml file under MAIL_DIR (default ./storage/mails)
+    - smtp: sends them through the SMTP server SMTP_HOST
+        - SMTP_PORT (default 587, 465 with SMTP_SECURE)
+        - SMTP_SECURE=true -> TLS from the start; otherwise STARTTLS if the server offers it
+        - SMTP_USER, SMTP_PASSWORD -> AUTH PLAIN (only if SMTP_USER is set), refused without TLS (the
+          credentials would go in clear) unless SMTP_ALLOW_INSECURE_AUTH=true
+
+    A transport is an object:
+    {
+        send: async ({ from, to, subject, text }) => void
+    }
+    Emails are plain text (UTF-8).
+*/
+
+const DEFAULT_TRANSPORT = 'smtp';
+
+// Transport without real emails, the default in development
+const DEVELOPMENT_TRANSPORT = 'memory';
+
+const DEVELOPMENT_ENVIRONMENTS = ['development', 'test'];
+
+// Emails kept by the memory transport
+const MAX_SENT_MAILS = 100;
+
+// Seconds without an answer of the SMTP server before giving up
+const SMTP_TIMEOUT = 30;
+
+// Emails of the memory transport, kept in memory
+const sentMails = [];
+
+const transports = {
+    memory: {
+        send: async (mail) => {
+            sentMails.push({ ...mail, sent_at: new Date() });
+            if (sentMails.length > MAX_SENT_MAILS) sentMails.splice(0, sentMails.length - MAX_SENT_MAILS);
+        }
+    },
+
+    file: {
+        send: async (mail) => {
+            const dir = path.resolve(process.env.MAIL_DIR || path.join('storage', 'mails'));
+            const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.eml`;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, name), buildMessage(mail));
+        }
+    },
+
+    smtp: {
+        send: async (mail) => {
+            await sendSmtp(mail);
+        }
+    }
+};
+
+// Register a new transport (or replace an existing one)
+const registerMailTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+const isDevelopment = () => DEVELOPMENT_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+const getDefaultTransport = () => process.env.MAIL_TRANSPORT || (isDevelopment() ? DEVELOPMENT_TRANSPORT : DEFAULT_TRANSPORT);
+
+const getMailTransport = (name = getDefaultTransport()) => {
+    const transport = transports[name];
+    if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+    return transport;
+};
+
+// Throws unless the default transport can send (called at startup, see server.js)
+const checkMailTransport = () => {
+    const name = getDefaultTransport();
+    getMailTransport(name);
+    if (name === 'smtp' && !process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set (MAIL_TRANSPORT smtp)');
+};
+
+/*
+    Send an email with the default transport
+    - mail: { to, subject, text }
+*/
+const sendMail = async ({ to, subject, text }) => {
+    const from = process.env.MAIL_FROM || 'no-reply@localhost';
+    await getMailTransport().send({ from, to, subject, text });
+};
+
+// Emails kept by the memory transport (oldest first)
+const getSentMails = () => [...sentMails];
+
+const clearSentMails = () => {
+    sentMails.length = 0;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// RFC 5322 message of an email (body in base64, so no line is too long nor starts with a dot)
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: =?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+};
+
+// Send an email through SMTP_HOST: EHLO, STARTTLS, AUTH PLAIN, MAIL FROM, RCPT TO, DATA, QUIT
+async function sendSmtp(mail) {
+    const host = process.env.SMTP_HOST;
+    if (!host) throw new Error('SMTP_HOST is not set');
+
+    const secure = process.env.SMTP_SECURE === 'true';
+    const port = Number(process.env.SMTP_PORT) || (secure ? 465 : 587);
+
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    let connection = openSmtpConnection(socket);
+    let encrypted = secure;
+
+    try {
+        await connection.read(220);
+        let features = await connection.command(`EHLO ${os.hostname()}`, 250);
+
+        if (!secure && /^250[ -]STARTTLS/im.test(features)) {
+            await connection.command('STARTTLS', 220);
+            connection.detach();
+            socket = tls.connect({ socket, servername: host });
+            connection = openSmtpConnection(socket);
+            encrypted = true;
+            features = await connection.command(`EHLO ${os.hostname()}`, 250);
+        }
+
+        if (process.env.SMTP_USER) {
+            if (!encrypted && process.env.SMTP_ALLOW_INSECURE_AUTH !== 'true') {
+                throw new Error('The SMTP server offers no TLS: refusing to send the credentials in clear (SMTP_ALLOW_INSECURE_AUTH)');
+            }
+            const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASSWORD || ''}`, 'utf8');
+            await connection.command(`AUTH PLAIN ${credentials.toString('base64')}`, 235);
+        }
+
+        await connection.command(`MAIL FROM:<${mail.from}>`, 250);
+        await connection.command(`RCPT TO:<${mail.to}>`, [250, 251]);
+        await connection.command('DATA', 354);
+        await connection.command(`${buildMessage(mail)}\r\n.`, 250);
+        await connection.command('QUIT', 221);
+    } finally {
+        socket.destroy();
+    }
+};
+
+/*
+    Line reader of an SMTP socket
+    - read(expected): waits for the next (multiline) response and checks its code
+    - command(line, expected): sends a line and reads its response
+    - detach(): stops reading the socket (before upgrading it with STARTTLS)
+*/
+function openSmtpConnection(socket) {
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+    let failure = null;
+
+    const settle = () => {
+        if (!waiting) return;
+
+        const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (end === -1) {
+            if (failure) {
+                const { reject } = waiting;
+                waiting = null;
+                reject(failure);
+            }
+            return;
+        }
+
+        const response = lines.splice(0, end + 1);
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ code: Number(response[end].slice(0, 3)), text: response.join('\n') });
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        const parts = buffer.split('\r\n');
+        buffer = parts.pop();
+        lines.push(...parts);
+        settle();
+    };
+    const onError = (error) => {
+        failure = error;
+        settle();
+    };
+    const onClose = () => {
+        failure = failure || new Error('SMTP connection closed');
+        settle();
+    };
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    socket.setTimeout(SMTP_TIMEOUT * 1000, () => socket.destroy(new Error('SMTP server timeout')));
+
+    const read = async (expected) => {
+        const response = await new Promise((resolve, reject) => {
+            waiting = { resolve, reject };
+            settle();
+        });
+
+        if (![].concat(expected).includes(response.code)) {
+            throw new Error(`SMTP error: ${response.text}`);
+        }
+        return response.text;
+    };
+
+    return {
+        read,
+        command: (line, expected) => {
+            socket.write(line + '\r\n');
+            return read(expected);
+        },
+        detach: () => {
+            socket.removeListener('data', onData);
+            socket.removeListener('error', onError);
+            socket.removeListener('close', onClose);
+            socket.setTimeout(0);
+        }
+    };
+};
+
+
+module.exports = {
+    DEFAULT_TRANSPORT,
+    registerMailTransport,
+    getDefaultTransport,
+    getMailTransport,
+    checkMailTransport,
+    sendMail,
+    getSentMails,
+    clearSentMails
+};
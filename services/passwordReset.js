@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const supabase = require('../config/supabase');
+const { sendMail } = require('./mailer');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Password reset of the users that forgot their password (POST /auth/forgot-password and
+    POST /auth/reset-password, see controllers/auth.js).
+
+    Password_resets:
+    - token (PK, UQ)    - text (SHA-256 of the token sent by email, the token itself is never stored)
+    - user (FK)         - int8
+    - created           - timestamp
+    - expiration        - timestamp
+
+    - requestPasswordReset: replaces the pending tokens of the user with a new one and emails it,
+      with the link PASSWORD_RESET_URL?token=<token> if set. It expires after PASSWORD_RESET_TTL
+      minutes (default 30).
+    - resetPassword: a token can only be used once (it is deleted when used). The new password closes
+      the sessions of every device.
+
+    Results are { status: <result>, ... }, the controllers map them to HTTP responses.
+*/
+
+const DEFAULT_RESET_TTL = 30;
+
+// Emails, in the languages of the messages/ (ca, en, es)
+const mails = {
+    ca: {
+        subject: 'Restabliment de la contrasenya de PORTA\'M',
+        greeting: (name) => `Hola, ${name}:`,
+        requested: 'Hem rebut una petició per restablir la contrasenya del teu compte.',
+        link: 'Per triar-ne una de nova, obre aquest enllaç:',
+        code: 'Per triar-ne una de nova, introdueix aquest codi a l\'aplicació:',
+        expires: (minutes) => `Caduca d'aquí a ${minutes} minuts i només es pot fer servir una vegada.`,
+        ignore: 'Si no l\'has demanat tu, no cal que facis res: la contrasenya no canviarà.'
+    },
+    en: {
+        subject: 'PORTA\'M password reset',
+        greeting: (name) => `Hello ${name},`,
+        requested: 'We received a request to reset the password of your account.',
+        link: 'To choose a new one, open this link:',
+        code: 'To choose a new one, enter this code in the app:',
+        expires: (minutes) => `It expires in ${minutes} minutes and can only be used once.`,
+        ignore: 'If you did not request it, you don\'t need to do anything: your password won\'t change.'
+    },
+    es: {
+        subject: 'Restablecimiento de la contraseña de PORTA\'M',
+        greeting: (name) => `Hola, ${name}:`,
+        requested: 'Hemos recibido una petición para restablecer la contraseña de tu cuenta.',
+        link: 'Para elegir una nueva, abre este enlace:',
+        code: 'Para elegir una nueva, introduce este código en la aplicación:',
+        expires: (minutes) => `Caduca en ${minutes} minutos y solo se puede usar una vez.`,
+        ignore: 'Si no lo has pedido tú, no tienes que hacer nada: la contraseña no cambiará.'
+    }
+};
+
+// Minutes a reset token is valid
+const getResetTtl = () => {
+    const ttl = Number(process.env.PASSWORD_RESET_TTL);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_RESET_TTL;
+};
+
+/*
+    Email a new reset token to the user with an email
+    Returns:
+    - { status: 'SENT' }
+    - { status: 'NOT_FOUND' }       -> no user with the email (the controller doesn't tell the client)
+*/
+const requestPasswordReset = async (email, lang = 'ca', now = new Date()) => {
+    const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, name, email')
+        .eq('email', email)
+        .single();
+
+    if (userError && userError.code !== 'PGRST116') throw userError;
+    if (!user) return { status: 'NOT_FOUND' };
+
+    // Only the last requested token is valid
+    const { error: deleteError } = await supabase
+        .from('password_resets')
+        .delete()
+        .eq('user', user.id);
+
+    if (deleteError) throw deleteError;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const ttl = getResetTtl();
+
+    const { error: insertError } = await supabase
+        .from('password_resets')
+        .insert({
+            token: hashToken(token),
+            user: user.id,
+            created: getTimestamp(now),
+            expiration: getTimestamp(new Date(now.getTime() + ttl * 60 * 1000))
+        });
+
+    if (insertError) throw insertError;
+
+    const t = mails[lang] || mails.ca;
+    const url = process.env.PASSWORD_RESET_URL;
+
+    await sendMail({
+        to: user.email,
+        subject: t.subject,
+        text: [
+            t.greeting(user.name),
+            '',
+            t.requested,
+            url ? t.link : t.code,
+            '',
+            url ? `${url}${url.includes('?') ? '&' : '?'}token=${token}` : token,
+            '',
+            t.expires(ttl),
+            t.ignore
+        ].join('\n')
+    });
+
+    return { status: 'SENT' };
+};
+
+/*
+    Set a new password with a reset token
+    Returns:
+    - { status: 'RESET', userId, sessions_closed }
+    - { status: 'INVALID_TOKEN' | 'EXPIRED_TOKEN' }
+*/
+const resetPassword = async (token, newPassword, now = new Date()) => {
+    // Deleting it first: two requests with the same token can't both use it
+    const { data: used, error: usedError } = await supabase
+        .from('password_resets')
+        .delete()
+        .eq('token', hashToken(token))
+        .select('*');
+
+    if (usedError) throw usedError;
+    if (used.length === 0) return { status: 'INVALID_TOKEN' };
+
+    const reset = used[0];
+    if (now > new Date(reset.expiration)) return { status: 'EXPIRED_TOKEN' };
+
+    const { data: updated, error: updateError } = await supabase
+        .from('users')
+        .update({ password: await bcrypt.hash(newPassword, 12) })
+        .eq('id', reset.user)
+        .select('id');
+
+    if (updateError) throw updateError;
+    if (updated.length === 0) return { status: 'INVALID_TOKEN' };
+
+    // Every device has to log in again with the new password
+    const { data: closed, error: sessionsError } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('user', reset.user)
+        .select('device');
+
+    if (sessionsError) throw sessionsError;
+
+    return { status: 'RESET', userId: reset.user, sessions_closed: closed.length };
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+
+module.exports = {
+    getResetTtl,
+    requestPasswordReset,
+    resetPassword
+};
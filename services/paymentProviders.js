@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+/*
+    Payment providers that confirm the checkouts of titles (see services/checkout.js).
+
+    The provider is chosen with PAYMENT_PROVIDER and every checkout keeps the name of the provider
+    it was paid with (checkouts.provider). PAYMENT_PROVIDER is required, except in development
+    (NODE_ENV 'development' or 'test'), where it defaults to 'mock'. Without a real provider the server
+    starts with a warning (checkPaymentProvider, see server.js) and the checkouts answer NOT_CONFIGURED.
+
+    Providers:
+    - mock: local provider, without real payments, only in development
+        - payment_method 'mock_success'   -> SUCCEEDED
+        - payment_method 'mock_declined'  -> FAILED
+        - payment_method 'mock_pending'   -> PENDING (e.g. waiting for the bank)
+        - no payment_method, or a payment it didn't create -> FAILED
+        Its payments are kept in memory, the last MOCK_PAYMENTS_MAX ones.
+
+    A provider is an object:
+    {
+        createPayment: async ({ checkoutId, amount, currency, description }) => {
+            reference: <id of the payment at the provider>,
+            client_data: { ... }                -> returned to the client to pay (e.g. a client secret)
+        },
+        confirmPayment: async (reference, details) => {
+            status: 'SUCCEEDED' | 'FAILED' | 'PENDING',
+            reason: <why it failed>             -> only FAILED
+        },
+        getPayment: async (reference) => { status, reason }     -> current status, as confirmPayment returns it
+        cancelPayment: async (reference) => void,
+        refundPayment: async (reference, amount, refundId) => void     -> gives back (part of) a succeeded payment
+    }
+    - details: body of the confirmation sent by the client (e.g. { payment_method })
+    - refundId: id of the refund, the same when it is retried: a provider gives the money back only once
+      per refundId (e.g. as its idempotency key)
+*/
+
+// Provider without real payments, the default in development
+const MOCK_PROVIDER = 'mock';
+
+const DEVELOPMENT_ENVIRONMENTS = ['development', 'test'];
+
+const MOCK_PAYMENTS_MAX = 1000;
+
+const PAYMENT_STATUSES = {
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED',
+    PENDING: 'PENDING'
+};
+
+// Payments of the mock provider (reference -> payment), kept in memory
+const mockPayments = new Map();
+
+const providers = {
+    mock: {
+        createPayment: async ({ checkoutId, amount, currency }) => {
+            const reference = 'mock_' + crypto.randomBytes(12).toString('hex');
+            setMockPayment(reference, { checkoutId, amount, currency, status: PAYMENT_STATUSES.PENDING });
+            return {
+                reference: reference,
+                client_data: { payment_methods: ['mock_success', 'mock_declined', 'mock_pending'] }
+            };
+        },
+
+        confirmPayment: async (reference, details = {}) => {
+            const payment = mockPayments.get(reference);
+            if (!payment) return { status: PAYMENT_STATUSES.FAILED, reason: 'Unknown payment (mock)' };
+
+            const method = details.payment_method;
+
+            if (method === 'mock_success') {
+                payment.status = PAYMENT_STATUSES.SUCCEEDED;
+            } else if (method === 'mock_pending') {
+                payment.status = PAYMENT_STATUSES.PENDING;
+            } else {
+                payment.status = PAYMENT_STATUSES.FAILED;
+            }
+            setMockPayment(reference, payment);
+
+            if (payment.status !== PAYMENT_STATUSES.FAILED) return { status: payment.status };
+
+            return { status: payment.status, reason: method === 'mock_declined' ? 'Card declined (mock)' : 'Missing payment method (mock)' };
+        },
+
+        getPayment: async (reference) => {
+            const payment = mockPayments.get(reference);
+            if (!payment) return { status: PAYMENT_STATUSES.FAILED, reason: 'Unknown payment (mock)' };
+
+            return { status: payment.status };
+        },
+
+        cancelPayment: async (reference) => {
+            mockPayments.delete(reference);
+        },
+
+        refundPayment: async (reference, amount, refundId) => {
+            const payment = mockPayments.get(reference) || { status: PAYMENT_STATUSES.SUCCEEDED };
+            payment.refunds = payment.refunds || {};
+            if (payment.refunds[refundId] !== undefined) return;
+
+            payment.refunds[refundId] = amount;
+            payment.refunded = (payment.refunded || 0) + amount;
+            setMockPayment(reference, payment);
+        }
+    }
+};
+
+// Register a new payment provider (or replace an existing one)
+const registerPaymentProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+const isDevelopment = () => DEVELOPMENT_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+// Name of the provider new checkouts are paid with
+const getDefaultProvider = () => process.env.PAYMENT_PROVIDER || (isDevelopment() ? MOCK_PROVIDER : null);
+
+const getPaymentProvider = (name = getDefaultProvider()) => {
+    if (!name) throw new Error('No payment provider configured (PAYMENT_PROVIDER)');
+    if (name === MOCK_PROVIDER && !isDevelopment()) throw new Error('The mock payment provider is only available in development');
+
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+    return provider;
+};
+
+// Throws unless new checkouts can be paid with a provider (called at startup, see server.js)
+const checkPaymentProvider = () => {
+    getPaymentProvider();
+};
+
+// Whether the payments of a provider can be made (by default, the provider of new checkouts)
+const isPaymentProviderAvailable = (name = getDefaultProvider()) => {
+    try {
+        getPaymentProvider(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Keep a payment of the mock provider, forgetting the oldest ones over MOCK_PAYMENTS_MAX
+function setMockPayment(reference, payment) {
+    mockPayments.delete(reference);
+    mockPayments.set(reference, payment);
+
+    for (const oldest of mockPayments.keys()) {
+        if (mockPayments.size <= MOCK_PAYMENTS_MAX) break;
+        mockPayments.delete(oldest);
+    }
+};
+
+
+module.exports = {
+    MOCK_PROVIDER,
+    PAYMENT_STATUSES,
+    registerPaymentProvider,
+    getDefaultProvider,
+    getPaymentProvider,
+    checkPaymentProvider,
+    isPaymentProviderAvailable
+};
@@ -0,0 +1,155 @@
+const supabase = require('../config/supabase');
+
+/*
+    Pricing of titles for a user: titles.price with the discounts of the groups of the user.
+    Used by GET /titles/user/:userId/available (final price shown) and the checkouts (price paid).
+
+    Pricing_rules:
+    - id (PK, UQ)                   - int8 (auto)
+    - name                          - varchar
+    - group (FK -> groups.id)       - int8 (members of the group get the discount)
+    - title (FK -> titles.id)       - int8 [null -> every title]
+    - type                          - varchar ['percentage' -> value % off, 'fixed' -> value off]
+    - value                         - float4
+    - valid_from                    - timestamp [null -> since always]
+    - valid_until                   - timestamp [null -> forever]
+    - stackable                     - boolean [false -> exclusive]
+    - priority                      - int8 [null -> last] [order in which stackable rules are applied, 1 first]
+
+    Stacking:
+    - A rule applies if the user is in its group, it is for the title (or every title) and now is
+      within [valid_from, valid_until].
+    - Stackable rules apply together, in priority order, each one over the price left by the previous
+      ones (a percentage of the reduced price, a fixed amount off it).
+    - An exclusive rule applies alone.
+    - The user gets the cheapest option: all the stackable rules together, or the best exclusive rule.
+    - The price never goes below 0 and is rounded to cents.
+
+    Result:
+    {
+        base_price: 10,
+        final_price: 4.5,
+        discounts: [
+            { rule: 3, name: "Jove", group: 30, type: "percentage", value: 50, amount: 5 },
+            { rule: 7, name: "Promo", group: 30, type: "fixed", value: 0.5, amount: 0.5 }
+        ]
+    }
+*/
+
+const RULE_TYPES = ['percentage', 'fixed'];
+
+// Load the pricing rules of some groups (optionally, only those that can apply to a title)
+const loadPricingRules = async (groupIds, titleId = null) => {
+    if (groupIds.length === 0) return [];
+
+    let query = supabase
+        .from('pricing_rules')
+        .select('*')
+        .in('group', groupIds);
+
+    if (titleId !== null) query = query.or(`title.is.null,title.eq.${titleId}`);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data;
+};
+
+// Price a title for a user in some groups, given the rules loaded with loadPricingRules
+const priceTitle = (title, userGroupIds, rules, now = new Date()) => {
+    const basePrice = title.price || 0;
+
+    const applicable = rules.filter(rule =>
+        userGroupIds.some(groupId => String(groupId) === String(rule.group))
+        && (rule.title === null || rule.title === undefined || String(rule.title) === String(title.id))
+        && (!rule.valid_from || new Date(rule.valid_from) <= now)
+        && (!rule.valid_until || new Date(rule.valid_until) >= now)
+    );
+
+    // Option 1: all the stackable rules together, in priority order
+    const stackable = applicable
+        .filter(rule => rule.stackable)
+        .sort(comparePriority);
+
+    let best = applyRules(basePrice, stackable);
+
+    // Option 2: each exclusive rule alone
+    for (const rule of applicable.filter(rule => !rule.stackable)) {
+        const option = applyRules(basePrice, [rule]);
+        if (option.final_price < best.final_price) best = option;
+    }
+
+    return best;
+};
+
+// Whether a rule can be stored (returns an error message or null)
+const checkPricingRule = ({ type, value, valid_from, valid_until }) => {
+    if (!RULE_TYPES.includes(type)) {
+        return `type must be one of ${RULE_TYPES.join(', ')}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        return 'value must be a positive number';
+    }
+    if (type === 'percentage' && value > 100) {
+        return 'A percentage value cannot be over 100';
+    }
+    if (valid_from && isNaN(new Date(valid_from).getTime())) {
+        return 'valid_from must be a date';
+    }
+    if (valid_until && isNaN(new Date(valid_until).getTime())) {
+        return 'valid_until must be a date';
+    }
+    if (valid_from && valid_until && new Date(valid_from) > new Date(valid_until)) {
+        return 'valid_from must be before valid_until';
+    }
+    return null;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Apply rules in order over a price > { base_price, final_price, discounts }
+function applyRules(basePrice, rules) {
+    let price = basePrice;
+    const discounts = [];
+
+    for (const rule of rules) {
+        const off = rule.type === 'percentage' ? price * rule.value / 100 : rule.value;
+        const amount = roundCents(Math.min(off, price));
+        if (amount <= 0) continue;
+
+        price = roundCents(price - amount);
+        discounts.push({
+            rule: rule.id,
+            name: rule.name,
+            group: rule.group,
+            type: rule.type,
+            value: rule.value,
+            amount: amount
+        });
+    }
+
+    return { base_price: basePrice, final_price: price, discounts };
+};
+
+// Rules without priority go last, ties by id
+function comparePriority(a, b) {
+    const pa = a.priority === null || a.priority === undefined ? Infinity : a.priority;
+    const pb = b.priority === null || b.priority === undefined ? Infinity : b.priority;
+    if (pa !== pb) return pa < pb ? -1 : 1;
+    return a.id - b.id;
+};
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+};
+
+
+module.exports = {
+    RULE_TYPES,
+    loadPricingRules,
+    priceTitle,
+    checkPricingRule
+};
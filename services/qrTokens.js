@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    QR tokens: virtual suport of the passengers without a card, shown by their phone at the gates
+    (POST /me/qr-token, and POST /validation with { token }, see controllers/validation.js).
+
+    Every user has one virtual suport in suports, created with the first token:
+    - uid: 'qr:<user_id>'
+    - virtual: true
+    so their validations, history and rules are the same as the ones of a card.
+
+    Token format: <payload>.<signature> (base64url)
+    - payload: { u: <user_id>, d: <device_id>, s: <session created>, n: <nonce>, e: <expiration, epoch s> }
+    - signature: HMAC-SHA256 of the payload with QR_TOKEN_SECRET
+
+    - Tokens are short-lived (QR_TOKEN_TTL seconds, default 30): the app asks for a new one before
+      the current one expires, so a screenshot of the QR is useless a few seconds later.
+    - They are bound to the session of the device that asked for them: once that session is closed
+      (logout, DELETE /auth/sessions, a login that replaces it...), its tokens stop working.
+    - A token can only be used once (a gate can't accept twice the same QR).
+
+    Qr_token_uses:
+    - nonce (PK, UQ)    - text
+    - user (FK)         - int8
+    - used              - timestamp
+    - expiration        - timestamp (expiration of the token, purged by the scheduler, see services/expiryJobs.js)
+
+    Results are { status: <result>, ... }, the controllers map them to HTTP responses.
+*/
+
+const DEFAULT_TOKEN_TTL = 30;
+
+// Prefix of the uid of the virtual suports
+const VIRTUAL_SUPORT_PREFIX = 'qr:';
+
+// Seconds a token is valid
+const getTokenTtl = () => {
+    const ttl = Number(process.env.QR_TOKEN_TTL);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TOKEN_TTL;
+};
+
+const isQrConfigured = () => !!process.env.QR_TOKEN_SECRET;
+
+const getVirtualSuportUid = (userId) => `${VIRTUAL_SUPORT_PREFIX}${userId}`;
+
+/*
+    Issue a token for the session of a user on a device
+    Returns:
+    - { status: 'ISSUED', token, suport, expiration }
+    - { status: 'NOT_CONFIGURED' }      -> no QR_TOKEN_SECRET
+    - { status: 'NO_SESSION' }          -> the session of the device is closed
+*/
+const issueQrToken = async (userId, device, now = new Date()) => {
+    if (!isQrConfigured()) return { status: 'NOT_CONFIGURED' };
+
+    const session = await getSession(userId, device, now);
+    if (!session) return { status: 'NO_SESSION' };
+
+    const suport = await ensureVirtualSuport(userId, now);
+
+    const expiration = Math.floor(now.getTime() / 1000) + getTokenTtl();
+    const payload = {
+        u: userId,
+        d: device,
+        s: session.created,
+        n: crypto.randomBytes(12).toString('base64url'),
+        e: expiration
+    };
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+        status: 'ISSUED',
+        token: `${encoded}.${sign(encoded)}`,
+        suport: suport.uid,
+        expiration: new Date(expiration * 1000).toISOString()
+    };
+};
+
+/*
+    Use a token at a gate, once
+    Returns:
+    - { status: 'VALID', suport, user }     -> uid of the virtual suport of the user
+    - { status: 'NOT_CONFIGURED' }
+    - { status: 'INVALID' }                 -> malformed, or the signature doesn't match
+    - { status: 'EXPIRED' }
+    - { status: 'NO_SESSION' }              -> the session it was issued for is closed
+    - { status: 'REPLAYED' }                -> already used
+*/
+const redeemQrToken = async (token, now = new Date()) => {
+    if (!isQrConfigured()) return { status: 'NOT_CONFIGURED' };
+
+    const payload = verify(token);
+    if (!payload) return { status: 'INVALID' };
+
+    if (payload.e * 1000 <= now.getTime()) return { status: 'EXPIRED' };
+
+    const session = await getSession(payload.u, payload.d, now);
+    if (!session || session.created !== payload.s) return { status: 'NO_SESSION' };
+
+    // The primary key makes two gates using the same token at once fail for one of them
+    const { error: useError } = await supabase
+        .from('qr_token_uses')
+        .insert({
+            nonce: payload.n,
+            user: payload.u,
+            used: getTimestamp(now),
+            expiration: getTimestamp(new Date(payload.e * 1000))
+        });
+
+    if (useError && useError.code === '23505') return { status: 'REPLAYED' };
+    if (useError) throw useError;
+
+    return { status: 'VALID', suport: getVirtualSuportUid(payload.u), user: payload.u };
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Open session of a user on a device, or null
+async function getSession(userId, device, now) {
+    const { data, error } = await supabase
+        .from('sessions')
+        .select('created, expiration')
+        .eq('user', userId)
+        .eq('device', device)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || new Date(data.expiration) <= now) return null;
+
+    return data;
+};
+
+// Virtual suport of a user, created (active) the first time
+async function ensureVirtualSuport(userId, now) {
+    const uid = getVirtualSuportUid(userId);
+
+    const { data: existing, error: existingError } = await supabase
+        .from('suports')
+        .select('*')
+        .eq('uid', uid)
+        .single();
+
+    if (existingError && existingError.code !== 'PGRST116') throw existingError;
+    if (existing) return existing;
+
+    const { data: created, error: createError } = await supabase
+        .from('suports')
+        .upsert({ uid: uid, user: userId, activation: getTimestamp(now), virtual: true }, { onConflict: 'uid', ignoreDuplicates: true })
+        .select('*');
+
+    if (createError) throw createError;
+
+    return created[0] || { uid: uid, user: userId };
+};
+
+function sign(encoded) {
+    return crypto.createHmac('sha256', process.env.QR_TOKEN_SECRET).update(encoded).digest('base64url');
+};
+
+// Payload of a token with a valid signature, or null
+function verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [encoded, signature, ...rest] = token.split('.');
+    if (!encoded || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(encoded));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (!payload || !payload.u || !payload.d || !payload.n || !Number.isFinite(payload.e)) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+};
+
+
+module.exports = {
+    VIRTUAL_SUPORT_PREFIX,
+    getTokenTtl,
+    isQrConfigured,
+    getVirtualSuportUid,
+    issueQrToken,
+    redeemQrToken
+};
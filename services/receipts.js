@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+/*
+    Receipts of the users (see controllers/users.js for the table):
+    - purchases: written with the user_title bought (services/checkout.js)
+    - refunds: negative amount, linked to the receipt of the purchase (services/refunds.js)
+    - manual: POST /users/:id/receipts (admins)
+
+    Every receipt is an invoice:
+    - invoice_number: sequential per fiscal year (the calendar year of the receipt), e.g. "2026-000042",
+      given by the database when the receipt is inserted (database/functions/assign_invoice_number.sql)
+    - lines: line items of the invoice (jsonb), prices with taxes included
+    [
+        {
+            description: "T-Casual",
+            title: 10,                  -> null if not a title
+            quantity: 1,
+            unit_price: 12.5,
+            discount: 2.5,              -> discounts of the pricing rules (see services/pricing.js)
+            tax_rate: 10,               -> % (INVOICE_TAX_RATE, default 10)
+            tax: 0.91,                  -> tax included in the total
+            total: 10                   -> quantity * unit_price - discount
+        }
+    ]
+    Refunds have a line with the negative amount given back.
+*/
+
+// % of tax included in the prices
+const getTaxRate = () => {
+    const rate = parseFloat(process.env.INVOICE_TAX_RATE);
+    return Number.isFinite(rate) && rate >= 0 ? rate : 10;
+};
+
+// Generate an unused random receipts id (16 character hex string)
+const generateReceiptId = async () => {
+    let receiptId;
+    do {
+        receiptId = crypto.randomBytes(8).toString('hex');
+        const { data: existingReceipt, error: existingError } = await supabase
+            .from('receipts')
+            .select('id')
+            .eq('id', receiptId)
+            .single();
+
+        if (existingError && existingError.code !== 'PGRST116') throw existingError;
+        if (!existingReceipt) break; // Unique ID found
+    } while (true);
+
+    return receiptId;
+};
+
+// Lines of the purchase of a title through a checkout
+const buildPurchaseLines = (title, checkout) => {
+    const unitPrice = checkout.base_amount !== null && checkout.base_amount !== undefined
+        ? checkout.base_amount
+        : checkout.amount;
+
+    return [buildLine({
+        description: title.name,
+        title: title.id,
+        unit_price: unitPrice,
+        discount: roundCents(unitPrice - checkout.amount)
+    })];
+};
+
+// Lines of the refund of a title (amount given back, positive)
+const buildRefundLines = (title, amount) => {
+    return [buildLine({
+        description: title.name,
+        title: title.id,
+        unit_price: -amount
+    })];
+};
+
+// Lines of a manual receipt
+const buildManualLines = (amount, description = null) => {
+    return [buildLine({
+        description: description,
+        unit_price: amount
+    })];
+};
+
+// Lines of a receipt (receipts written before the invoices had no lines: one line with the amount)
+const getReceiptLines = (receipt) => {
+    if (Array.isArray(receipt.lines) && receipt.lines.length > 0) return receipt.lines;
+    return buildManualLines(receipt.amount);
+};
+
+// Totals of a receipt > { base, tax, total }
+const summarizeReceipt = (receipt) => {
+    const lines = getReceiptLines(receipt);
+    const total = roundCents(lines.reduce((sum, line) => sum + line.total, 0));
+    const tax = roundCents(lines.reduce((sum, line) => sum + line.tax, 0));
+    return { base: roundCents(total - tax), tax, total };
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+function buildLine({ description, title = null, quantity = 1, unit_price, discount = 0 }) {
+    const taxRate = getTaxRate();
+    const total = roundCents(quantity * unit_price - discount);
+    return {
+        description: description,
+        title: title,
+        quantity: quantity,
+        unit_price: unit_price,
+        discount: discount,
+        tax_rate: taxRate,
+        tax: roundCents(total - total / (1 + taxRate / 100)),
+        total: total
+    };
+};
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+};
+
+
+module.exports = {
+    getTaxRate,
+    generateReceiptId,
+    buildPurchaseLines,
+    buildRefundLines,
+    buildManualLines,
+    getReceiptLines,
+    summarizeReceipt
+};
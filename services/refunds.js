@@ -0,0 +1,270 @@
+const supabase = require('../config/supabase');
+const { getPaymentProvider } = require('./paymentProviders');
+const { generateReceiptId, buildRefundLines } = require('./receipts');
+const { getTimestamp, endOfDay } = require('../utils/time');
+
+/*
+    Refunds of purchased user_titles.
+
+    The refundable amount depends on the refund policy of the title (titles.refund_policy), minus
+    the refund fee of the title (titles.refund_fee), and is never more than what was paid:
+    - none (default): not refundable
+    - unused: everything, only while the user_title has not been used (no first_use)
+    - prorated_uses: the part of the uses left (uses_left / titles.uses) [titles with unlimited uses -> 0]
+    - prorated_time: the part of the time left until the expiration, since the purchase
+      [user_titles without expiration -> 0]
+    Expired or used up user_titles are never refundable.
+
+    A policy is a function ({ userTitle, title, paid, purchasedAt, now }) => <amount before the fee>
+
+    A refund (database/functions/refund_user_title.sql), in one transaction:
+    - writes a receipt with the negative amount, linked to the receipt of the purchase (refund_of)
+    - retires the user_title (inactive, retired_at, retired_reason 'REFUNDED'), which is kept
+      with its validation history
+    Purchases paid through a checkout are also refunded at the payment provider, only once the refund
+    is recorded, so two refunds at once can't both pay out:
+    1. the refund receipt is written with refund_status PENDING (the user_title is locked meanwhile)
+    2. the payment is refunded at the provider, with the id of the refund receipt as its id
+    3. the refund receipt is marked COMPLETED
+    If the provider fails, the refund stays PENDING and retryPendingRefunds (job retry_pending_refunds,
+    see services/scheduler.js) retries it with the same id, so the provider gives the money back once.
+
+    Results are { status: <result>, ... }, the controller maps them to HTTP responses.
+*/
+
+const DEFAULT_REFUND_POLICY = 'none';
+
+// receipts.refund_status of the refunds of purchases paid through a checkout
+const REFUND_STATUSES = {
+    PENDING: 'PENDING',
+    COMPLETED: 'COMPLETED'
+};
+
+const policies = {
+    none: () => 0,
+
+    unused: ({ userTitle, paid }) => (userTitle.first_use ? 0 : paid),
+
+    prorated_uses: ({ userTitle, title, paid }) => {
+        if (!title.uses || userTitle.uses_left === null || userTitle.uses_left === undefined) return 0;
+        return paid * Math.min(userTitle.uses_left, title.uses) / title.uses;
+    },
+
+    prorated_time: ({ userTitle, paid, purchasedAt, now }) => {
+        if (!userTitle.expiration) return 0;
+        const total = endOfDay(userTitle.expiration) - purchasedAt;
+        const left = endOfDay(userTitle.expiration) - now;
+        if (total <= 0) return 0;
+        return paid * Math.min(left, total) / total;
+    }
+};
+
+// Register a new refund policy (or replace an existing one)
+const registerRefundPolicy = (name, policy) => {
+    policies[name] = policy;
+};
+
+const getRefundPolicies = () => Object.keys(policies);
+
+const isRefundPolicy = (name) => Object.prototype.hasOwnProperty.call(policies, name);
+
+/*
+    Calculate the refundable amount of a user_title
+    Returns:
+    - { status: 'QUOTED', quote: { user_title, title, receipt, policy, paid, fee, amount } }
+    - { status: 'NOT_FOUND' | 'RETIRED' | 'NOT_PURCHASED' | 'ALREADY_REFUNDED' }
+*/
+const quoteRefund = async (userId, userTitleId, now = new Date()) => {
+    const { data: userTitle, error: userTitleError } = await supabase
+        .from('user_titles')
+        .select('*')
+        .eq('id', userTitleId)
+        .eq('user', userId)
+        .single();
+
+    if (userTitleError && userTitleError.code !== 'PGRST116') throw userTitleError;
+    if (!userTitle) return { status: 'NOT_FOUND' };
+    if (userTitle.retired_at) return { status: 'RETIRED' };
+
+    // Receipt of the purchase
+    const { data: receipts, error: receiptsError } = await supabase
+        .from('receipts')
+        .select('*')
+        .eq('user_title', userTitle.id)
+        .is('refund_of', null)
+        .gt('amount', 0)
+        .order('timestamp', { ascending: true })
+        .limit(1);
+
+    if (receiptsError) throw receiptsError;
+    if (receipts.length === 0) return { status: 'NOT_PURCHASED' };
+
+    const receipt = receipts[0];
+
+    // Transferred user_titles were not purchased by their current user
+    if (String(receipt.user) !== String(userTitle.user)) return { status: 'NOT_PURCHASED' };
+
+    const { data: refunds, error: refundsError } = await supabase
+        .from('receipts')
+        .select('id')
+        .eq('refund_of', receipt.id);
+
+    if (refundsError) throw refundsError;
+    if (refunds.length > 0) return { status: 'ALREADY_REFUNDED' };
+
+    const { data: title, error: titleError } = await supabase
+        .from('titles')
+        .select('*')
+        .eq('id', userTitle.title)
+        .single();
+
+    if (titleError) throw titleError;
+
+    const policy = title.refund_policy || DEFAULT_REFUND_POLICY;
+    const paid = receipt.amount;
+    const fee = title.refund_fee || 0;
+
+    let amount = 0;
+    const expired = userTitle.expiration && endOfDay(userTitle.expiration) < now;
+    const usedUp = userTitle.uses_left !== null && userTitle.uses_left !== undefined && userTitle.uses_left <= 0;
+
+    if (!expired && !usedUp && policies[policy]) {
+        const gross = policies[policy]({
+            userTitle,
+            title,
+            paid,
+            purchasedAt: new Date(receipt.timestamp),
+            now
+        });
+        amount = roundCents(Math.max(0, Math.min(gross, paid) - fee));
+    }
+
+    return {
+        status: 'QUOTED',
+        quote: { user_title: userTitle, title, receipt, policy, paid, fee, amount }
+    };
+};
+
+/*
+    Refund a user_title
+    Returns:
+    - { status: 'REFUNDED', user_title, refund_receipt, quote }
+    - { status: 'REFUND_PENDING', user_title, refund_receipt, quote }   -> the provider failed, it will be retried
+    - { status: 'NOT_REFUNDABLE', quote }               -> the refundable amount is 0
+    - { status: 'CONFLICT' }                            -> the user_title changed meanwhile, try again
+    - the statuses of quoteRefund
+*/
+const refundUserTitle = async (userId, userTitleId, now = new Date()) => {
+    const result = await quoteRefund(userId, userTitleId, now);
+    if (result.status !== 'QUOTED') return result;
+
+    const { quote } = result;
+    if (quote.amount <= 0) return { status: 'NOT_REFUNDABLE', quote };
+
+    // Record (reserve) the refund before giving any money back
+    const { data, error } = await supabase.rpc('refund_user_title', {
+        p_user_title: quote.user_title.id,
+        p_receipt: quote.receipt.id,
+        p_refund_receipt: await generateReceiptId(),
+        p_amount: quote.amount,
+        p_lines: buildRefundLines(quote.title, quote.amount),
+        p_timestamp: getTimestamp(now),
+        p_expected_uses_left: quote.user_title.uses_left,
+        p_expected_first_use: quote.user_title.first_use,
+        p_provider_refund: !!quote.receipt.checkout
+    });
+
+    if (error) throw error;
+
+    if (data.status === 'ALREADY_REFUNDED') return { status: 'ALREADY_REFUNDED' };
+    if (data.status !== 'REFUNDED') return { status: 'CONFLICT' };
+
+    let refundReceipt = data.refund_receipt;
+
+    // Give the money back at the provider the purchase was paid with
+    if (refundReceipt.refund_status === REFUND_STATUSES.PENDING) {
+        try {
+            refundReceipt = await completeProviderRefund(refundReceipt);
+        } catch (providerError) {
+            console.error(`Refund ${refundReceipt.id} pending at the payment provider, it will be retried:`, providerError);
+            return { status: 'REFUND_PENDING', user_title: data.user_title, refund_receipt: refundReceipt, quote };
+        }
+    }
+
+    return {
+        status: 'REFUNDED',
+        user_title: data.user_title,
+        refund_receipt: refundReceipt,
+        quote
+    };
+};
+
+// Retry the refunds still PENDING at the payment provider > { refunded, failed: [ids of the refund receipts] }
+const retryPendingRefunds = async () => {
+    const { data: receipts, error } = await supabase
+        .from('receipts')
+        .select('*')
+        .eq('refund_status', REFUND_STATUSES.PENDING)
+        .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+
+    const result = { refunded: 0, failed: [] };
+
+    for (const receipt of receipts) {
+        try {
+            await completeProviderRefund(receipt);
+            result.refunded++;
+        } catch (providerError) {
+            console.error(`Refund ${receipt.id} still pending at the payment provider:`, providerError);
+            result.failed.push(receipt.id);
+        }
+    }
+
+    return result;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Give back the amount of a PENDING refund receipt at the provider and mark it COMPLETED > refund receipt
+async function completeProviderRefund(refundReceipt) {
+    const { data: checkout, error: checkoutError } = await supabase
+        .from('checkouts')
+        .select('*')
+        .eq('id', refundReceipt.checkout)
+        .single();
+
+    if (checkoutError) throw checkoutError;
+
+    // The refund receipt amount is negative
+    await getPaymentProvider(checkout.provider).refundPayment(checkout.provider_reference, roundCents(-refundReceipt.amount), refundReceipt.id);
+
+    const { data, error } = await supabase
+        .from('receipts')
+        .update({ refund_status: REFUND_STATUSES.COMPLETED })
+        .eq('id', refundReceipt.id)
+        .eq('refund_status', REFUND_STATUSES.PENDING)
+        .select('*');
+
+    if (error) throw error;
+
+    return data.length > 0 ? data[0] : { ...refundReceipt, refund_status: REFUND_STATUSES.COMPLETED };
+};
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+};
+
+
+module.exports = {
+    DEFAULT_REFUND_POLICY,
+    REFUND_STATUSES,
+    registerRefundPolicy,
+    getRefundPolicies,
+    isRefundPolicy,
+    quoteRefund,
+    refundUserTitle,
+    retryPendingRefunds
+};
@@ -0,0 +1,288 @@
+const supabase = require('../config/supabase');
+const {
+    purgeExpiredSessions,
+    expireGroupMemberships,
+    expireUserTitles,
+    moveAgeGroups,
+    expireAbandonedCheckouts
+} = require('./expiryJobs');
+const { issuePaidCheckouts, reconcileCheckouts } = require('./checkout');
+const { retryPendingRefunds } = require('./refunds');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    In-process scheduler of the maintenance jobs (see services/expiryJobs.js).
+
+    It is started by server.js when SCHEDULER_ENABLED is 'true'. Where the server doesn't keep
+    running between requests (serverless), the jobs can be run by an external cron with
+    POST /scheduler/jobs/:job/run instead.
+
+    Every job runs every <interval> minutes, changed with SCHEDULER_INTERVAL_<JOB> (e.g.
+    SCHEDULER_INTERVAL_PURGE_SESSIONS=30, 0 disables the job). A job never runs twice at once, even
+    with several servers or an external cron: a run is claimed by inserting its RUNNING row, and only
+    one RUNNING row per job is allowed (database/migrations/job_runs_running.sql). A RUNNING row older
+    than SCHEDULER_RUN_TIMEOUT minutes (default 60) is taken for a run whose process stopped, and is
+    closed as FAILED before claiming a new run.
+
+    Job_runs:
+    - id (PK, UQ)       - int8 (auto)
+    - job               - varchar
+    - trigger           - varchar ('schedule' | 'manual')
+    - started_at        - timestamp
+    - finished_at       - timestamp [null -> still running]
+    - status            - varchar ('RUNNING' | 'SUCCEEDED' | 'FAILED')
+    - result            - jsonb (summary returned by the job)
+    - error             - text [null -> no error]
+
+    A job is an object:
+    {
+        interval: <minutes>,
+        description: <what it does>,
+        run: async ({ now, lastRun }) => { ...summary }    -> lastRun: start of the last successful run
+    }
+*/
+
+const RUN_STATUSES = {
+    RUNNING: 'RUNNING',
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED'
+};
+
+// Minutes a run can take before it is taken for abandoned
+const RUN_TIMEOUT = parseInt(process.env.SCHEDULER_RUN_TIMEOUT) || 60;
+
+const jobs = {
+    purge_sessions: {
+        interval: 60,
+        description: 'Delete expired sessions and admin sessions',
+        run: purgeExpiredSessions
+    },
+    expire_group_memberships: {
+        interval: 60,
+        description: 'Remove expired group memberships and move age group users to their current age group',
+        run: expireGroupMemberships
+    },
+    expire_user_titles: {
+        interval: 15,
+        description: 'Deactivate expired user titles and user titles without uses left',
+        run: expireUserTitles
+    },
+    move_age_groups: {
+        interval: 24 * 60,
+        description: 'Move the users that had a birthday to the age group of their new age',
+        run: moveAgeGroups
+    },
+    expire_checkouts: {
+        interval: 15,
+        description: 'Mark abandoned checkouts as expired',
+        run: expireAbandonedCheckouts
+    },
+    issue_paid_checkouts: {
+        interval: 15,
+        description: 'Retry issuing the user titles of paid checkouts whose issue failed',
+        run: ({ now }) => issuePaidCheckouts(now)
+    },
+    reconcile_checkouts: {
+        interval: 5,
+        description: 'Apply the status at the payment provider to the checkouts left processing',
+        run: ({ now }) => reconcileCheckouts(now)
+    },
+    retry_pending_refunds: {
+        interval: 15,
+        description: 'Retry the refunds still pending at the payment provider',
+        run: retryPendingRefunds
+    }
+};
+
+// Jobs running in this process (the runs of other processes are seen in job_runs)
+const running = new Set();
+
+// Timers of the started scheduler (job -> interval timer)
+const timers = new Map();
+
+// Register a new job (or replace an existing one)
+const registerJob = (name, job) => {
+    jobs[name] = job;
+};
+
+const getJobs = () => Object.keys(jobs);
+
+const isJob = (name) => Object.prototype.hasOwnProperty.call(jobs, name);
+
+// Minutes between runs of a job (0 -> disabled)
+const getJobInterval = (name) => {
+    const interval = parseInt(process.env[`SCHEDULER_INTERVAL_${name.toUpperCase()}`]);
+    return Number.isInteger(interval) && interval >= 0 ? interval : jobs[name].interval;
+};
+
+/*
+    Run a job now and record the run in job_runs
+    Returns:
+    - { status: 'SUCCEEDED' | 'FAILED', run }
+    - { status: 'NOT_FOUND' | 'ALREADY_RUNNING' }
+*/
+const runJob = async (name, trigger = 'manual', now = new Date()) => {
+    if (!isJob(name)) return { status: 'NOT_FOUND' };
+    if (running.has(name)) return { status: 'ALREADY_RUNNING' };
+
+    running.add(name);
+    try {
+        await closeAbandonedRuns(name, now);
+
+        const lastRun = await getLastSuccessfulRun(name);
+
+        // Claim the run: only one RUNNING row per job
+        const { data: run, error: insertError } = await supabase
+            .from('job_runs')
+            .insert({
+                job: name,
+                trigger: trigger,
+                started_at: getTimestamp(now),
+                status: RUN_STATUSES.RUNNING
+            })
+            .select('*')
+            .single();
+
+        if (insertError && insertError.code === '23505') return { status: 'ALREADY_RUNNING' };
+        if (insertError) throw insertError;
+
+        const changes = { status: RUN_STATUSES.SUCCEEDED, result: null, error: null };
+        try {
+            changes.result = await jobs[name].run({ now, lastRun: lastRun ? lastRun.started_at : null });
+        } catch (error) {
+            console.error(`Scheduler job ${name} failed:`, error);
+            changes.status = RUN_STATUSES.FAILED;
+            changes.error = error.message;
+        }
+        changes.finished_at = getTimestamp(new Date());
+
+        const { data: finished, error: updateError } = await supabase
+            .from('job_runs')
+            .update(changes)
+            .eq('id', run.id)
+            .select('*')
+            .single();
+
+        if (updateError) throw updateError;
+
+        return { status: finished.status, run: finished };
+    } finally {
+        running.delete(name);
+    }
+};
+
+// Jobs with their interval, whether they are running and their last run
+const listJobs = async () => {
+    const list = [];
+
+    for (const name of getJobs()) {
+        const { data, error } = await supabase
+            .from('job_runs')
+            .select('*')
+            .eq('job', name)
+            .order('started_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+
+        list.push({
+            job: name,
+            description: jobs[name].description || null,
+            interval: getJobInterval(name),
+            scheduled: timers.has(name),
+            running: running.has(name),
+            last_run: data.length > 0 ? data[0] : null
+        });
+    }
+
+    return list;
+};
+
+// Runs of the jobs, most recent first (filtered by job)
+const listJobRuns = async ({ job = null, limit = 50 } = {}) => {
+    let query = supabase
+        .from('job_runs')
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+    if (job) query = query.eq('job', job);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data;
+};
+
+// Start running every enabled job on its interval (the first run is right away)
+const startScheduler = () => {
+    for (const name of getJobs()) {
+        const interval = getJobInterval(name);
+        if (interval <= 0 || timers.has(name)) continue;
+
+        const tick = () => runJob(name, 'schedule').catch(error => {
+            console.error(`Scheduler job ${name} could not run:`, error);
+        });
+
+        const timer = setInterval(tick, interval * 60 * 1000);
+        timer.unref(); // Don't keep the process alive only for the jobs
+        timers.set(name, timer);
+        tick();
+    }
+
+    console.log(`[P'M SERVER] Scheduler started: ${[...timers.keys()].join(', ') || 'no jobs'}`);
+};
+
+const stopScheduler = () => {
+    for (const timer of timers.values()) clearInterval(timer);
+    timers.clear();
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Close as FAILED the RUNNING rows of a job older than RUN_TIMEOUT (their process stopped)
+async function closeAbandonedRuns(name, now) {
+    const { error } = await supabase
+        .from('job_runs')
+        .update({
+            status: RUN_STATUSES.FAILED,
+            finished_at: getTimestamp(now),
+            error: `Run abandoned (still running after ${RUN_TIMEOUT} minutes)`
+        })
+        .eq('job', name)
+        .eq('status', RUN_STATUSES.RUNNING)
+        .lt('started_at', getTimestamp(new Date(now.getTime() - RUN_TIMEOUT * 60 * 1000)));
+
+    if (error) throw error;
+};
+
+async function getLastSuccessfulRun(name) {
+    const { data, error } = await supabase
+        .from('job_runs')
+        .select('*')
+        .eq('job', name)
+        .eq('status', RUN_STATUSES.SUCCEEDED)
+        .order('started_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+
+    return data.length > 0 ? data[0] : null;
+};
+
+
+module.exports = {
+    RUN_STATUSES,
+    registerJob,
+    getJobs,
+    isJob,
+    getJobInterval,
+    runJob,
+    listJobs,
+    listJobRuns,
+    startScheduler,
+    stopScheduler
+};
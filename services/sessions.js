@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const supabase = require('../config/supabase');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Sessions of the passengers, one per [user, device] (see controllers/auth.js and
+    middleware/auth.js).
+
+    - createSession: a new login on a device replaces the session of that device. A user can have
+      at most SESSION_MAX_DEVICES sessions at once (default 5, 0 -> no limit): when a new device
+      goes over it, the sessions used least recently are closed.
+    - listSessions, revokeSession, revokeSessions: the devices of a user, and closing one or all of
+      them (GET /auth/sessions, DELETE /auth/sessions/:device, DELETE /auth/sessions, POST /auth/logout)
+
+    Tokens are only returned when the session is created, the table keeps their bcrypt hash (token)
+    and their SHA-256 (token_hash, see hashSessionToken): middleware/auth.js finds the session of a
+    token by its token_hash, and only then checks it with bcrypt.
+*/
+
+const DEFAULT_MAX_DEVICES = 5;
+
+// Session duration since last use (ms)
+const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+// Columns of a session returned to the clients (never the token)
+const SESSION_FIELDS = 'device, created, last_use, expiration';
+
+// Max sessions of a user at once (0 -> no limit)
+const getMaxDevices = () => {
+    const max = Number(process.env.SESSION_MAX_DEVICES);
+    return process.env.SESSION_MAX_DEVICES !== undefined && Number.isInteger(max) && max >= 0
+        ? max
+        : DEFAULT_MAX_DEVICES;
+};
+
+// SHA-256 of a session token, to find its session without comparing it with every bcrypt hash
+const hashSessionToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/*
+    Create the session of a user on a device
+    Returns { token, session, evicted: [<device>, ...] }     -> devices closed to respect the limit
+*/
+const createSession = async (userId, device, now = new Date()) => {
+    // If a session for this [user, device] already exists, delete it first
+    const { error: deleteError } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('user', userId)
+        .eq('device', device);
+
+    if (deleteError) throw deleteError;
+
+    const evicted = await evictOldestSessions(userId);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const tokenHash = await bcrypt.hash(token, 12);
+    const createdAt = getTimestamp(now);
+
+    const { data: session, error: sessionError } = await supabase
+        .from('sessions')
+        .insert({
+            user: userId,
+            device: device,
+            token: tokenHash,
+            token_hash: hashSessionToken(token),
+            created: createdAt,
+            last_use: createdAt,
+            expiration: getTimestamp(new Date(now.getTime() + SESSION_DURATION))
+        })
+        .select('*')
+        .single();
+
+    if (sessionError) throw sessionError;
+
+    return { token, session, evicted };
+};
+
+// Sessions of a user, the last used first > [{ device, created, last_use, expiration }]
+const listSessions = async (userId) => {
+    const { data, error } = await supabase
+        .from('sessions')
+        .select(SESSION_FIELDS)
+        .eq('user', userId)
+        .order('last_use', { ascending: false });
+
+    if (error) throw error;
+    return data;
+};
+
+/*
+    Close the session of a user on a device
+    Returns { status: 'REVOKED' | 'NOT_FOUND' }
+*/
+const revokeSession = async (userId, device) => {
+    const { data, error } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('user', userId)
+        .eq('device', device)
+        .select('device');
+
+    if (error) throw error;
+
+    return { status: data.length > 0 ? 'REVOKED' : 'NOT_FOUND' };
+};
+
+// Close every session of a user > devices closed
+const revokeSessions = async (userId) => {
+    const { data, error } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('user', userId)
+        .select('device');
+
+    if (error) throw error;
+    return data.map(session => session.device);
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Close the sessions used least recently, leaving room for a new one > devices closed
+async function evictOldestSessions(userId) {
+    const max = getMaxDevices();
+    if (max === 0) return [];
+
+    const { data: sessions, error } = await supabase
+        .from('sessions')
+        .select('device, last_use')
+        .eq('user', userId)
+        .order('last_use', { ascending: true });
+
+    if (error) throw error;
+
+    const evicted = sessions.slice(0, Math.max(0, sessions.length - max + 1)).map(session => session.device);
+    if (evicted.length === 0) return [];
+
+    const { error: deleteError } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('user', userId)
+        .in('device', evicted);
+
+    if (deleteError) throw deleteError;
+
+    return evicted;
+};
+
+
+module.exports = {
+    SESSION_DURATION,
+    getMaxDevices,
+    hashSessionToken,
+    createSession,
+    listSessions,
+    revokeSession,
+    revokeSessions
+};
@@ -0,0 +1,130 @@
+const supabase = require('../config/supabase');
+const { VIRTUAL_SUPORT_PREFIX } = require('./qrTokens');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Lifecycle of the suports (cards) of the users (PUT /users/:id/suports/:uid/status and
+    POST /users/:id/suports/:uid/replace, see controllers/users.js).
+
+    Suports:
+    - status            - varchar [null -> 'active']
+    - status_reason     - text [why it was blocked, lost, replaced or retired]
+    - status_changed    - timestamp [null -> never changed]
+    - replaced_by (FK)  - varchar [uid of the card that replaced it]
+
+    States:
+    - active: can validate (once its activation has passed)
+    - blocked: refused at every gate until an admin makes it active again (e.g. fraud under review)
+    - lost: reported lost or stolen, refused at every gate; it can be made active again if it is found
+    - replaced: a new card was issued to the user (replaceSuport), refused for good
+    - retired: out of service, refused for good
+    Every state but active is refused at the gates with ERROR_SUPORT_BLOCKED (step 2 of the validation),
+    from status_changed on: the offline validations made before the change are still accepted.
+    Replaced and retired suports can't change state again, nor be assigned to a user.
+    Blocked and lost suports can't be unassigned (DELETE /users/:id/suports/:uid): their user is the
+    only way to make them active again.
+
+    The user_titles belong to the user, not to the card: once replaced, the new card validates with
+    the same titles, uses and open entry as the old one.
+
+    Results are { status: <result>, ... }, the controllers map them to HTTP responses.
+*/
+
+const SUPORT_STATES = ['active', 'blocked', 'lost', 'replaced', 'retired'];
+
+// States a suport can't leave
+const FINAL_STATES = ['replaced', 'retired'];
+
+// States that can be set with setSuportStatus ('replaced' only with replaceSuport)
+const SETTABLE_STATES = ['active', 'blocked', 'lost', 'retired'];
+
+const getSuportState = (suport) => suport.status || 'active';
+
+// Whether the gates must refuse the suport at a time (state other than active since before then)
+const isSuportBlocked = (suport, now = new Date()) => {
+    if (getSuportState(suport) === 'active') return false;
+    return !suport.status_changed || new Date(suport.status_changed) <= now;
+};
+
+/*
+    Change the state of a suport of a user
+    Returns:
+    - { status: 'UPDATED', suport }
+    - { status: 'NOT_FOUND' }       -> the user has no suport with that uid
+    - { status: 'INVALID_STATE' }   -> not one of SETTABLE_STATES
+    - { status: 'FINAL' }           -> the suport is replaced or retired
+*/
+const setSuportStatus = async (userId, uid, state, reason = null, now = new Date()) => {
+    if (!SETTABLE_STATES.includes(state)) return { status: 'INVALID_STATE' };
+
+    const { data: suport, error: suportError } = await supabase
+        .from('suports')
+        .select('*')
+        .eq('user', userId)
+        .eq('uid', uid)
+        .single();
+
+    if (suportError && suportError.code !== 'PGRST116' && suportError.code !== '22P02') throw suportError;
+    if (!suport) return { status: 'NOT_FOUND' };
+
+    if (FINAL_STATES.includes(getSuportState(suport))) return { status: 'FINAL' };
+
+    // Only if it didn't become final meanwhile (e.g. a replacement)
+    const { data: updated, error: updateError } = await supabase
+        .from('suports')
+        .update({
+            status: state,
+            status_reason: state === 'active' ? null : reason,
+            status_changed: getTimestamp(now)
+        })
+        .eq('user', userId)
+        .eq('uid', uid)
+        .or(`status.is.null,status.not.in.(${FINAL_STATES.join(',')})`)
+        .select('*');
+
+    if (updateError) throw updateError;
+    if (updated.length === 0) return { status: 'FINAL' };
+
+    return { status: 'UPDATED', suport: updated[0] };
+};
+
+/*
+    Issue a new card to a user, replacing one of their suports, which is blocked for good
+    (database/functions/replace_suport.sql)
+    Returns:
+    - { status: 'REPLACED', suport, replaced }      -> new suport, old suport
+    - { status: 'NOT_FOUND' }                       -> the user has no suport with that uid
+    - { status: 'FINAL' }                           -> it is already replaced or retired
+    - { status: 'SAME_SUPORT' }
+    - { status: 'VIRTUAL' }                         -> QR codes of the app (services/qrTokens.js), not a card
+    - { status: 'NEW_SUPORT_TAKEN' }                -> the new card belongs to a user, or is not active
+*/
+const replaceSuport = async (userId, uid, newUid, reason = null, now = new Date()) => {
+    if (String(uid) === String(newUid)) return { status: 'SAME_SUPORT' };
+    if (String(newUid).startsWith(VIRTUAL_SUPORT_PREFIX)) return { status: 'VIRTUAL' };
+
+    const { data, error } = await supabase.rpc('replace_suport', {
+        p_user: userId,
+        p_old: uid,
+        p_new: newUid,
+        p_reason: reason,
+        p_timestamp: getTimestamp(now)
+    });
+
+    if (error) throw error;
+
+    if (data.status !== 'REPLACED') return { status: data.status };
+
+    return { status: 'REPLACED', suport: data.suport, replaced: data.replaced };
+};
+
+
+module.exports = {
+    SUPORT_STATES,
+    FINAL_STATES,
+    SETTABLE_STATES,
+    getSuportState,
+    isSuportBlocked,
+    setSuportStatus,
+    replaceSuport
+};
@@ -0,0 +1,127 @@
+const supabase = require('../config/supabase');
+const { isTitleAvailable, canAccessTitle, loadTitleGroups } = require('./userTitles');
+const { loadActiveGroupIds } = require('./groupMembership');
+const { getTimestamp, endOfDay } = require('../utils/time');
+
+/*
+    Transfers of user_titles between users (e.g. an unused 10-ride card within a family).
+
+    Title_transfers:
+    - id (PK, UQ)                           - int8 (auto)
+    - user_title (FK -> user_titles.id)     - int8
+    - title (FK -> titles.id)               - int8
+    - from_user (FK -> users.id)            - int8
+    - to_user (FK -> users.id)              - int8
+    - timestamp                             - timestamp
+    - uses_left                             - int8 (uses left when transferred)
+    - first_use                             - timestamp [null -> transferred unused]
+
+    Rules:
+    - The receiving user must be able to get the title now: within its availability window
+      (titles.available - titles.unavailable) and allowed by title_groups / title_groups_excluded.
+    - Only unused user_titles (no first_use), unless the title is transferable (titles.transferable).
+    - Retired, expired (after the end of their expiration day) and used up user_titles can't be transferred.
+    - Everything about the user_title is checked before looking up the receiving user, so a transfer
+      that would be refused anyway doesn't tell whether an account exists.
+    - The user_title keeps its id, uses and validations (which stay in the history of the user that made
+      them) and arrives inactive. The receiving user is notified (TITLE_TRANSFERRED).
+
+    The transfer is written in one transaction (database/functions/transfer_user_title.sql).
+    Results are { status: <result>, ... }, the controller maps them to HTTP responses.
+*/
+
+/*
+    Transfer a user_title to another user
+    - to: receiving user, { id } or { email }
+    Returns:
+    - { status: 'TRANSFERRED', user_title, transfer }
+    - { status: 'NOT_FOUND' }
+    - { status: 'RETIRED' | 'EXPIRED' | 'USED_UP' | 'ALREADY_USED' }   -> the user_title can't be transferred
+    - { status: 'TITLE_NOT_AVAILABLE' }                                 -> the title can't be got now
+    - { status: 'RECIPIENT_NOT_FOUND' | 'SAME_USER' }
+    - { status: 'TITLE_NOT_ALLOWED' }                                   -> the receiving user can't get the title
+    - { status: 'CONFLICT' }                                            -> the user_title changed meanwhile
+*/
+const transferUserTitle = async (fromUserId, userTitleId, to, now = new Date()) => {
+    const { data: userTitle, error: userTitleError } = await supabase
+        .from('user_titles')
+        .select('*')
+        .eq('id', userTitleId)
+        .eq('user', fromUserId)
+        .single();
+
+    if (userTitleError && userTitleError.code !== 'PGRST116') throw userTitleError;
+    if (!userTitle) return { status: 'NOT_FOUND' };
+
+    if (userTitle.retired_at) return { status: 'RETIRED' };
+    if (userTitle.expiration && endOfDay(userTitle.expiration) < now) return { status: 'EXPIRED' };
+    if (userTitle.uses_left !== null && userTitle.uses_left !== undefined && userTitle.uses_left <= 0) {
+        return { status: 'USED_UP' };
+    }
+
+    const { data: title, error: titleError } = await supabase
+        .from('titles')
+        .select('*')
+        .eq('id', userTitle.title)
+        .single();
+
+    if (titleError) throw titleError;
+
+    if (userTitle.first_use && !title.transferable) return { status: 'ALREADY_USED' };
+
+    if (!isTitleAvailable(title, now)) return { status: 'TITLE_NOT_AVAILABLE' };
+
+    // Only now, the receiving user, who must be able to get the title
+    const { data: recipient, error: recipientError } = await supabase
+        .from('users')
+        .select('id')
+        .eq(to.email ? 'email' : 'id', to.email || to.id)
+        .single();
+
+    if (recipientError && recipientError.code !== 'PGRST116' && recipientError.code !== '22P02') throw recipientError;
+    if (!recipient) return { status: 'RECIPIENT_NOT_FOUND' };
+
+    if (String(recipient.id) === String(userTitle.user)) return { status: 'SAME_USER' };
+
+    const { allowedGroupIds, excludedGroupIds } = await loadTitleGroups(title.id);
+
+    if (!canAccessTitle(await loadActiveGroupIds(recipient.id, now), allowedGroupIds, excludedGroupIds)) {
+        return { status: 'TITLE_NOT_ALLOWED' };
+    }
+
+    const { data, error } = await supabase.rpc('transfer_user_title', {
+        p_user_title: userTitle.id,
+        p_from: userTitle.user,
+        p_to: recipient.id,
+        p_timestamp: getTimestamp(now),
+        p_allow_used: !!title.transferable
+    });
+
+    if (error) throw error;
+
+    if (data.status !== 'TRANSFERRED') return { status: 'CONFLICT' };
+
+    return { status: 'TRANSFERRED', user_title: data.user_title, transfer: data.transfer };
+};
+
+// Transfers sent and received by a user, most recent first
+const listTransfersForUser = async (userId) => {
+    const { data, error } = await supabase
+        .from('title_transfers')
+        .select('*')
+        .or(`from_user.eq.${userId},to_user.eq.${userId}`)
+        .order('timestamp', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(transfer => ({
+        ...transfer,
+        direction: String(transfer.from_user) === String(userId) ? 'sent' : 'received'
+    }));
+};
+
+
+module.exports = {
+    transferUserTitle,
+    listTransfersForUser
+};
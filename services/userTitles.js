@@ -0,0 +1,120 @@
+const supabase = require('../config/supabase');
+const { DEFAULT_COVERAGE } = require('./zoneCoverage');
+const { getDateString } = require('../utils/time');
+
+/*
+    Issuing of user_titles, shared by every flow that gives a title to a user:
+    - POST /titles/user/:userId (assignment by an admin, without payment)
+    - POST /users/:id/checkouts/:checkoutId/confirm (purchase, see services/checkout.js)
+
+    - isTitleAvailable / canAccessTitle: whether a user can get a title (dates and groups)
+    - buildUserTitle: the user_titles row of a title, with all its fields copied from the title
+*/
+
+// Whether the title can be purchased now (titles.available - titles.unavailable)
+const isTitleAvailable = (title, now = new Date()) => {
+    const availableDate = new Date(title.available);
+    const unavailableDate = new Date(title.unavailable);
+    return !(now < availableDate || now > unavailableDate);
+};
+
+/*
+    Whether a user of some groups can access a title
+    - allowedGroupIds: title_groups of the title (if any, the user must be in one of them)
+    - excludedGroupIds: title_groups_excluded of the title (the user can't be in any of them)
+*/
+const canAccessTitle = (userGroupIds, allowedGroupIds, excludedGroupIds) => {
+    // If there are specific allowed groups, check if user belongs to at least one
+    if (allowedGroupIds.length > 0
+        && !userGroupIds.some(userGroupId => allowedGroupIds.includes(userGroupId))) {
+        return false; // User doesn't belong to any of the allowed groups
+    }
+
+    // If there are excluded groups, check if user belongs to any of them
+    if (excludedGroupIds.length > 0
+        && userGroupIds.some(userGroupId => excludedGroupIds.includes(userGroupId))) {
+        return false; // User belongs to at least one excluded group
+    }
+
+    return true;
+};
+
+// Load the allowed and excluded groups of a title > { allowedGroupIds, excludedGroupIds }
+const loadTitleGroups = async (titleId) => {
+    const { data: titleGroups, error: titleGroupsError } = await supabase
+        .from('title_groups')
+        .select('group')
+        .eq('title', titleId);
+    if (titleGroupsError) throw titleGroupsError;
+
+    const { data: excludedGroups, error: excludedGroupsError } = await supabase
+        .from('title_groups_excluded')
+        .select('group')
+        .eq('title', titleId);
+    if (excludedGroupsError) throw excludedGroupsError;
+
+    return {
+        allowedGroupIds: titleGroups.map(g => g.group),
+        excludedGroupIds: excludedGroups.map(g => g.group)
+    };
+};
+
+/*
+    Build the user_titles row of a title for a user (without id)
+    All data except for user and title are set by the data from the title:
+    - expiration: now + title expiration days [null -> no expiration]
+    - active: false (activated by the user, see POST /titles/user/:userId/:userTitleId/activate)
+*/
+const buildUserTitle = (title, userId, now = new Date()) => {
+    // Expiration date is calculated based on current date + title expiration days
+    let expiration = null;
+    if (title.expiration !== null && title.expiration !== undefined) {
+        const expirationDate = new Date(now);
+        expirationDate.setDate(expirationDate.getDate() + title.expiration);
+        expiration = getDateString(expirationDate);
+    }
+
+    return {
+        user: userId,
+        title: title.id,
+        uses_left: title.uses,
+        expiration: expiration,
+        re_entry: title.re_entry,
+        active: false,
+        link: title.link,
+        num_zones: title.num_zones,
+        fare_mode: title.fare_mode || 'entry',
+        fare_per_zone: title.fare_per_zone !== undefined ? title.fare_per_zone : null,
+        balance: title.balance !== undefined ? title.balance : null,
+        coverage: title.coverage || DEFAULT_COVERAGE,
+        passengers: title.passengers || 1,
+        group_fare: title.group_fare || 'per_passenger'
+    };
+};
+
+// Generate an unused random 12-digit user_titles id
+const generateUserTitleId = async () => {
+    let utid;
+    do {
+        utid = Math.floor(100000000000 + Math.random() * 900000000000).toString();
+        const { error: fetchError } = await supabase
+            .from('user_titles')
+            .select('id')
+            .eq('id', utid)
+            .single();
+
+        if (fetchError && fetchError.code === 'PGRST116') break; // Unique id found
+        if (fetchError) throw fetchError;
+    } while (true);
+
+    return utid;
+};
+
+
+module.exports = {
+    isTitleAvailable,
+    canAccessTitle,
+    loadTitleGroups,
+    buildUserTitle,
+    generateUserTitleId
+};
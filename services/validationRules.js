@@ -0,0 +1,898 @@
+const supabase = require('../config/supabase');
+const { resolveCoverage, countHops } = require('./zoneCoverage');
+const { getSuportState, isSuportBlocked } = require('./suports');
+const { getTimestamp } = require('../utils/time');
+
+/*
+    Validation rules shared by every flow that has to decide whether a suport can pass a gate:
+    - POST /validation (online gate validation, entry and exit)
+    - POST /validation/offline/reconcile (replay of the logs stored by gates while offline)
+    - POST /validation/simulate (dry run, explaining every check)
+
+    The rules are split in three parts:
+    - loadValidationContext / loadExitContext: fetch from the database everything the rules need
+    - evaluateValidation / evaluateExit: run the checks over a context, without touching the database
+      (traceValidation: the same checks, explaining each of them, for POST /validation/simulate)
+    - commitValidation / commitExit: write the result of a successful evaluation, atomically
+    - validate / validateExit: the three of them, evaluating again if a concurrent validation interferes
+
+    A user can have several active user_titles, in an order set by the user (user_titles.priority).
+    selectUserTitle evaluates them in that order and validates with the first one that passes.
+
+    Virtual suports (QR codes of the app, services/qrTokens.js) are only found with the option
+    { virtual: true }, which POST /validation passes once a QR token is redeemed. Their uid is
+    predictable, so any other lookup of one is treated as a suport that doesn't exist.
+
+    Context format:
+    {
+        suport: <suports row | null>,
+        station: <stations row | null>,
+        stationZones: [<zone_id>, ...],
+        candidates: [                               -> active user_titles of the user, in priority order
+            { userTitle, userTitleZones, zoneIds, adjacency, titleZones, lastValidation }, ...
+        ],
+        -- Fields of the user_title being evaluated (by default the first candidate) --
+        userTitle: <user_titles row | null>,
+        userTitleZones: [<zone_id>, ...] | null,    -> null if the user_title is pending first use
+        zoneIds: [<zone_id>, ...],                  -> all existing zones       (pending first use only)
+        adjacency: [[<zone_a>, <zone_b>], ...],     -> zone_adjacency rows      (pending first use, 'hops' coverage)
+        titleZones: [<zone_id>, ...],               -> zones of the title       (pending first use, 'list' coverage)
+        lastValidation: <validation row | null>     -> most recent entry validation of the user_title
+    }
+
+    Decision format:
+    {
+        status: 'VALIDATION_SUCCESS' | 'ERROR_...',  -> status from messages/validation.js
+        free: <boolean>,                             -> validation within link time (no uses consumed)
+        init: { zone_origin, zones } | null,         -> user_title initialization to store (step 6)
+        deferred: <boolean>,                         -> distance-based title, charged at the exit
+        join: <boolean>                              -> joins the group of the last validation (shared titles)
+    }
+
+    Distance-based titles (fare_mode = 'distance'):
+    - the entry validation only checks that something is left to pay the trip (no uses consumed)
+    - the exit validation (enter = false) is paired with the open entry, and the trip is charged
+      depending on the zones crossed between the entry and the exit stations:
+        -> fare_per_zone null: one use per zone crossed
+        -> fare_per_zone set: fare_per_zone per zone crossed, from the user_title balance
+    - entries with no exit after VALIDATION_EXIT_TIMEOUT minutes (default 180) get flagged
+
+    Shared titles (passengers > 1, e.g. group tickets):
+    - one suport can validate up to <passengers> people in a burst: validations of the same user_title at
+      the same station within VALIDATION_GROUP_WINDOW minutes (default 2) of the entry join it
+    - joining a group is not a re-entry (step 7), the group is recorded as a single validation
+      (validation.passengers people)
+    - group_fare 'per_passenger' (default): one use per person, 'shared': one use for the whole group
+    - once the group is full, the next validation is a new entry (blocked by re_entry as usual)
+*/
+
+
+// Times a decision is evaluated again when a concurrent validation changed the user_title
+const MAX_COMMIT_ATTEMPTS = 3;
+
+// Minutes after an entry in which the passengers of a shared title can join it
+const getGroupWindow = () => Number(process.env.VALIDATION_GROUP_WINDOW) || 2;
+
+
+//// CONTEXT LOADING
+
+
+// Load everything needed to evaluate a validation of a suport at a station
+// - now: time of the validation, only the validations recorded until then are taken into account
+//   (a replayed offline entry is evaluated as it was at the gate, see loadSuportContext)
+// - options: { virtual, gate }
+//     virtual  -> true to find virtual suports (redeemed QR token)
+//     gate     -> device id of the gate, recorded with the validation (validate and validateExit)
+const loadValidationContext = async (suportUid, stationId, now = new Date(), options = {}) => {
+    const suportContext = await loadSuportContext(suportUid, now, options);
+    const stationContext = await loadStationContext(stationId);
+    return { ...suportContext, ...stationContext };
+};
+
+// Load the station part of a context: { station, stationZones }
+const loadStationContext = async (stationId) => {
+    const { data: stationData, error: stationError } = await supabase
+        .from('stations')
+        .select('*')
+        .eq('id', stationId)
+        .single();
+
+    if (stationError && stationError.code !== 'PGRST116') {
+        throw new Error(`Failed to fetch station: ${stationError.message}`);
+    }
+
+    const { data: stationZones, error: stationZonesError } = await supabase
+        .from('station_zones')
+        .select('zone')
+        .eq('station', stationId)
+        .order('zone', { ascending: true });
+
+    if (stationZonesError) {
+        throw new Error(`Failed to fetch station zones: ${stationZonesError.message}`);
+    }
+
+    return {
+        station: stationData || null,
+        stationZones: stationZones.map(sz => sz.zone)
+    };
+};
+
+// Load the suport part of a context: { suport, candidates, userTitle, userTitleZones, zoneIds, lastValidation, ... }
+const loadSuportContext = async (suportUid, now = new Date(), options = {}) => {
+    const context = { suport: null, candidates: [], ...emptyCandidate() };
+
+    const suportData = await getSuport(suportUid, options);
+    if (!suportData) return context;
+    context.suport = suportData;
+
+    // Active user_titles of the suport's owner, in the order set by the user
+    const { data: userTitlesData, error: userTitlesError } = await supabase
+        .from('user_titles')
+        .select('*')
+        .eq('user', suportData.user)
+        .eq('active', true)
+        .order('priority', { ascending: true, nullsFirst: false })
+        .order('id', { ascending: true });
+
+    if (userTitlesError) {
+        throw new Error(`Failed to fetch active user_titles: ${userTitlesError.message}`);
+    }
+
+    for (const userTitle of userTitlesData) {
+        const candidate = { ...emptyCandidate(), userTitle };
+        await loadUserTitleState(candidate, now);
+        context.candidates.push(candidate);
+    }
+
+    return context.candidates.length > 0 ? { ...context, ...context.candidates[0] } : context;
+};
+
+// Load the zones (or the data to compute them) and last validation until <now> of the context's user_title
+// (context can also be a candidate)
+const loadUserTitleState = async (context, now = new Date()) => {
+    const userTitle = context.userTitle;
+
+    if (userTitle.first_use) {
+        const { data: userTitleZones, error: userTitleZonesError } = await supabase
+            .from('user_title_zones')
+            .select('zone')
+            .eq('user_title', userTitle.id);
+
+        if (userTitleZonesError) {
+            throw new Error(`Failed to fetch user_title zones: ${userTitleZonesError.message}`);
+        }
+        context.userTitleZones = userTitleZones.map(uz => uz.zone);
+    } else {
+        // Pending first use: the zones will be computed from all the existing zones
+        const { data: allZones, error: allZonesError } = await supabase
+            .from('zones')
+            .select('id')
+            .order('id', { ascending: true });
+
+        if (allZonesError || !allZones) {
+            throw new Error(allZonesError ? allZonesError.message : 'No zones data returned from database');
+        }
+        context.zoneIds = allZones.map(z => z.id);
+
+        // Data needed by the coverage strategy of the user_title (see services/zoneCoverage.js)
+        if (userTitle.coverage === 'hops') {
+            context.adjacency = await getZoneAdjacency();
+        }
+        if (userTitle.coverage === 'list') {
+            context.titleZones = await getTitleZones(userTitle.title);
+        }
+    }
+
+    context.lastValidation = await getLastValidation(userTitle.id, now);
+};
+
+// Get all the zone_adjacency pairs: [[<zone_a>, <zone_b>], ...]
+const getZoneAdjacency = async () => {
+    const { data, error } = await supabase
+        .from('zone_adjacency')
+        .select('zone_a, zone_b');
+
+    if (error) {
+        throw new Error(`Failed to fetch zone adjacency: ${error.message}`);
+    }
+
+    return data.map(za => [za.zone_a, za.zone_b]);
+};
+
+// Get the fixed zones of a title ('list' coverage)
+const getTitleZones = async (titleId) => {
+    const { data, error } = await supabase
+        .from('title_zones')
+        .select('zone')
+        .eq('title', titleId);
+
+    if (error) {
+        throw new Error(`Failed to fetch title zones: ${error.message}`);
+    }
+
+    return data.map(tz => tz.zone);
+};
+
+// Get the most recent entry validation of a user_title until <now> (null if there is none)
+// Exits are not taken into account by the re-entry and link rules
+const getLastValidation = async (userTitleId, now = new Date()) => {
+    const { data, error } = await supabase
+        .from('validation')
+        .select('*')
+        .eq('user_title', userTitleId)
+        .eq('enter', true)
+        .lte('timestamp', now.toISOString())
+        .order('timestamp', { ascending: false })
+        .limit(1);
+
+    if (error) {
+        throw new Error(`Failed to fetch last validation: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+};
+
+
+//// RULES
+
+
+/*
+    Runs the 10 validation checks (see controllers/validation.js) in order over a context.
+    Nothing is written to the database.
+    - now: Date used as the current time (the gate's timestamp when replaying offline logs)
+
+    The decision status is the first failing check, but every check is run (so support staff can
+    see everything that is wrong, POST /validation/simulate). A check that depends on data a
+    previous check found missing is skipped.
+
+    Returns { decision, trace }, trace format:
+    [
+        {
+            step: 1..10,
+            check: <short name>,
+            inputs: { ... },                      -> data the check looked at (null if skipped)
+            outcome: 'PASS' | 'FAIL' | 'SKIP',
+            status: <status> | null,              -> status from messages/validation.js if it failed
+            result: { ... }                       -> steps 6, 9 and 10 only, what the check decided
+        },
+        ...
+    ]
+*/
+const traceValidation = (context, now = new Date()) => {
+    const decision = { status: 'VALIDATION_SUCCESS', free: false, init: null, deferred: false, join: false };
+    const trace = [];
+
+    const check = (step, name, inputs, status, result) => {
+        trace.push({ step, check: name, inputs, outcome: status ? 'FAIL' : 'PASS', status: status || null, ...(result && { result }) });
+        if (status && decision.status === 'VALIDATION_SUCCESS') decision.status = status;
+        return !status;
+    };
+    const skip = (step, name, reason) => {
+        trace.push({ step, check: name, inputs: null, outcome: 'SKIP', status: null, reason });
+    };
+
+    const { suport, station, stationZones, userTitle } = context;
+
+    // 1. Check if the suport exists
+    check(1, 'suport_exists', {
+        suport: suport ? suport.uid : null
+    }, !suport && 'ERROR_SUPORT_NOT_FOUND');
+
+    // 2. Check if the suport is active (not blocked, lost, replaced or retired, see services/suports.js)
+    if (suport) {
+        check(2, 'suport_active', {
+            activation: suport.activation,
+            state: getSuportState(suport),
+            state_changed: suport.status_changed || null
+        }, (isSuportBlocked(suport, now) && 'ERROR_SUPORT_BLOCKED')
+            || ((!suport.activation || new Date(suport.activation) > now) && 'ERROR_SUPORT_INACTIVE'));
+    } else {
+        skip(2, 'suport_active', 'No suport');
+    }
+
+    // 3. Check if the station exists and is available
+    check(3, 'station_available', {
+        station: station ? station.id : null,
+        available: station ? station.available : null
+    }, (!station || !station.available) && 'ERROR_STATION_NOT_AVAILABLE');
+
+    // 4. Check if the user has an active user_title
+    if (suport) {
+        check(4, 'user_title_active', {
+            user: suport.user,
+            user_title: userTitle ? userTitle.id : null
+        }, !userTitle && 'ERROR_NO_USER_TITLE_ACTIVE');
+    } else {
+        skip(4, 'user_title_active', 'No suport');
+    }
+
+    // Steps 5-10 check the user_title
+    if (!userTitle) {
+        for (const [step, name] of [[5, 'user_title_not_expired'], [6, 'user_title_initialized'], [7, 're_entry'], [8, 'zones'], [9, 'link'], [10, 'uses_left']]) {
+            skip(step, name, 'No active user_title');
+        }
+        return { decision, trace };
+    }
+
+    // 5. Check if the user_title is not expired
+    check(5, 'user_title_not_expired', {
+        expiration: userTitle.expiration,
+        now: now.toISOString()
+    }, userTitle.expiration && new Date(userTitle.expiration) < now && 'ERROR_USER_TITLE_EXPIRED');
+
+    // 6. Check if the user_title is initialized, or if it could be initialized in this station
+    // (its zones are resolved with the coverage strategy of the title, see services/zoneCoverage.js)
+    let userTitleZoneIds = context.userTitleZones;
+    if (userTitle.first_use) {
+        check(6, 'user_title_initialized', {
+            first_use: userTitle.first_use,
+            zone_origin: userTitle.zone_origin
+        }, null, { init: null, zones: userTitleZoneIds });
+    } else {
+        const coverage = resolveCoverage(userTitle.coverage, {
+            stationZones: stationZones,
+            numZones: userTitle.num_zones,
+            zoneIds: context.zoneIds,
+            adjacency: context.adjacency,
+            titleZones: context.titleZones
+        });
+
+        // The user_title cannot be initialized if there aren't valid zones
+        const initialized = coverage && coverage.zones.length > 0;
+        if (initialized) {
+            userTitleZoneIds = coverage.zones;
+            decision.init = coverage;
+        }
+
+        check(6, 'user_title_initialized', {
+            first_use: null,
+            coverage: userTitle.coverage || null,
+            num_zones: userTitle.num_zones,
+            station_zones: stationZones
+        }, !initialized && 'ERROR_CANNOT_INITIALIZE_USER_TITLE', { init: decision.init, zones: userTitleZoneIds });
+    }
+
+    const last = context.lastValidation;
+    const minutesSinceLast = last ? (now - parseTimestamp(last.timestamp)) / (1000 * 60) : null;
+    const sameStationAsLast = last && station ? Number(last.station) === Number(station.id) : false;
+    const lastInputs = {
+        last_validation: last ? last.timestamp : null,
+        last_station: last ? last.station : null,
+        minutes_since_last: minutesSinceLast
+    };
+
+    // Shared titles: a validation in the burst of the last one joins its group while it is not full
+    const maxPassengers = userTitle.passengers || 1;
+    const groupPassengers = last ? (last.passengers || 1) : 0;
+    decision.join = maxPassengers > 1 && last !== null && sameStationAsLast
+        && minutesSinceLast < getGroupWindow() && groupPassengers < maxPassengers;
+
+    // 7. Check if the re-entry time has passed (only blocks the SAME station, not joining a group)
+    check(7, 're_entry', {
+        re_entry: userTitle.re_entry,
+        ...lastInputs,
+        same_station: sameStationAsLast,
+        passengers: maxPassengers,
+        group_passengers: groupPassengers,
+        group_join: decision.join
+    }, !decision.join && userTitle.re_entry !== null && last && sameStationAsLast && minutesSinceLast < userTitle.re_entry && 'ERROR_REENTRY_TIME_NOT_PASSED');
+
+    // 8. Check if the user_title is valid for the station's zones
+    if (userTitleZoneIds) {
+        const hasCommonZone = stationZones.some(zoneId => userTitleZoneIds.includes(zoneId));
+        check(8, 'zones', {
+            station_zones: stationZones,
+            user_title_zones: userTitleZoneIds
+        }, !hasCommonZone && 'ERROR_USER_TITLE_NOT_VALID_FOR_ZONE');
+    } else {
+        skip(8, 'zones', 'User_title zones could not be resolved');
+    }
+
+    // 9. Check if the link time has not passed (only applies to a DIFFERENT station)
+    if (userTitle.link !== null && last && station && !sameStationAsLast && minutesSinceLast < userTitle.link) {
+        decision.free = true;
+    }
+    check(9, 'link', {
+        link: userTitle.link,
+        ...lastInputs,
+        same_station: sameStationAsLast
+    }, null, { free: decision.free });
+
+    // 10. Check if the user_title has uses left (only if not a free validation)
+    // Distance-based titles are charged at the exit, but need at least the fare of one zone
+    // Joining a group of a 'shared' fare title is covered by the use of the group
+    const sharedJoin = decision.join && userTitle.group_fare === 'shared';
+    let usesStatus = null;
+    if (!decision.free && !sharedJoin && userTitle.uses_left !== null && userTitle.uses_left <= 0) {
+        usesStatus = 'ERROR_NO_USES_LEFT';
+    } else if (isDistanceFare(userTitle)) {
+        if (userTitle.fare_per_zone !== null && (userTitle.balance || 0) < userTitle.fare_per_zone) {
+            usesStatus = 'ERROR_INSUFFICIENT_BALANCE';
+        } else {
+            decision.deferred = true;
+        }
+    }
+    check(10, 'uses_left', {
+        uses_left: userTitle.uses_left,
+        free: decision.free,
+        fare_mode: userTitle.fare_mode || 'entry',
+        fare_per_zone: userTitle.fare_per_zone !== undefined ? userTitle.fare_per_zone : null,
+        balance: userTitle.balance !== undefined ? userTitle.balance : null,
+        group_fare: userTitle.group_fare || 'per_passenger',
+        group_join: decision.join
+    }, usesStatus, {
+        consumes_use: !usesStatus && !decision.free && !sharedJoin && !decision.deferred && userTitle.uses_left !== null,
+        deferred: decision.deferred
+    });
+
+    return { decision, trace };
+};
+
+// Runs the 10 validation checks over a context, returning only the decision (see traceValidation)
+const evaluateValidation = (context, now = new Date()) => traceValidation(context, now).decision;
+
+// Statuses that refuse the suport whatever user_title is used, so no other candidate is tried
+// (re-entry prevents sharing the card at the same station, switching titles must not bypass it)
+const SUPORT_STATUSES = [
+    'ERROR_SUPORT_NOT_FOUND',
+    'ERROR_SUPORT_INACTIVE',
+    'ERROR_SUPORT_BLOCKED',
+    'ERROR_STATION_NOT_AVAILABLE',
+    'ERROR_REENTRY_TIME_NOT_PASSED'
+];
+
+/*
+    Choose the user_title to validate with: the active user_titles are evaluated in priority order,
+    and the first one that passes every check is selected. If none passes, the decision is the one of
+    the first user_title (the one the user prefers). Nothing is written to the database.
+
+    Returns {
+        context,        -> context with the fields of the selected user_title
+        candidate,      -> selected entry of context.candidates (null if the user has no active title)
+        decision,
+        attempts: [{ user_title: <user_title_id | null>, decision, trace }, ...]   -> in evaluation order
+    }
+*/
+const selectUserTitle = (context, now = new Date()) => {
+    const candidates = context.candidates && context.candidates.length > 0 ? context.candidates : [null];
+    const attempts = [];
+    let selected = null;
+
+    for (const candidate of candidates) {
+        const candidateContext = { ...context, ...(candidate || emptyCandidate()) };
+        const { decision, trace } = traceValidation(candidateContext, now);
+        attempts.push({ user_title: candidate ? candidate.userTitle.id : null, decision, trace });
+
+        if (!selected || decision.status === 'VALIDATION_SUCCESS') {
+            selected = { context: candidateContext, candidate, decision };
+        }
+
+        const refusesSuport = trace.some(step => SUPORT_STATUSES.includes(step.status));
+        if (decision.status === 'VALIDATION_SUCCESS' || refusesSuport) break;
+    }
+
+    return { ...selected, attempts };
+};
+
+//// COMMIT
+
+
+/*
+    Store a successful decision, atomically (database/functions/commit_validation.sql):
+    - initializes the user_title (first_use, zone_origin and user_title_zones) if needed
+    - inserts the validation record, or adds a passenger to the last one when joining its group
+    - decrements uses_left if applicable (not null, not free validation and not distance-based)
+
+    The user_title row is locked while committing. If it changed since the context was loaded
+    (a concurrent validation of the same title), nothing is written and null is returned,
+    so the decision can be evaluated again over fresh data.
+
+    Returns { validation: <validation row>, uses_left: <updated uses_left> } | null
+*/
+const commitValidation = async ({ context, decision, timestamp = new Date(), gate = null }) => {
+    const { suport, station, userTitle, lastValidation } = context;
+
+    const { data, error } = await supabase.rpc('commit_validation', {
+        p_user_title: userTitle.id,
+        p_user: suport.user,
+        p_suport: suport.uid,
+        p_station: station.id,
+        p_timestamp: timestamp,
+        p_expected_uses_left: userTitle.uses_left,
+        p_expected_initialized: !!userTitle.first_use,
+        p_expected_last_validation: lastValidation ? lastValidation.timestamp : null,
+        p_expected_passengers: lastValidation ? (lastValidation.passengers || 1) : null,
+        p_consume: !decision.free && !decision.deferred && !(decision.join && userTitle.group_fare === 'shared'),
+        p_join: !!decision.join,
+        p_zone_origin: decision.init ? decision.init.zone_origin : null,
+        p_zones: decision.init ? decision.init.zones : null,
+        p_first_use: decision.init ? getTimestamp(timestamp) : null,
+        p_gate: gate
+    });
+
+    if (error) {
+        throw new Error(`Failed to commit validation: ${error.message}`);
+    }
+
+    if (data.status !== 'COMMITTED') return null;
+
+    return { validation: data.validation, uses_left: data.uses_left };
+};
+
+/*
+    Load, evaluate and commit a validation of a suport at a station
+    - the user_title is chosen among the active ones of the user (selectUserTitle)
+    - if a concurrent validation changed the user_title before committing, everything is evaluated again
+    - after MAX_COMMIT_ATTEMPTS conflicts, the decision is ERROR_VALIDATION_CONFLICT
+
+    Returns { context, decision, committed } (committed is null if the validation was refused)
+*/
+const validate = async (suportUid, stationId, now = new Date(), options = {}) => {
+    for (let attempt = 1; attempt <= MAX_COMMIT_ATTEMPTS; attempt++) {
+        const { context, decision } = selectUserTitle(await loadValidationContext(suportUid, stationId, now, options), now);
+
+        if (decision.status !== 'VALIDATION_SUCCESS') {
+            return { context, decision, committed: null };
+        }
+
+        const committed = await commitValidation({ context, decision, timestamp: now, gate: options.gate });
+        if (committed) {
+            return { context, decision, committed };
+        }
+    }
+
+    return { context: null, decision: { status: 'ERROR_VALIDATION_CONFLICT' }, committed: null };
+};
+
+
+//// EXIT
+
+
+/*
+    Exit context format:
+    {
+        suport: <suports row | null>,
+        station: <stations row | null>,             -> exit station
+        stationZones: [<zone_id>, ...],             -> zones of the exit station
+        openEntry: <validation row | null>,         -> entry to pair the exit with
+        entryStationZones: [<zone_id>, ...],        -> zones of the entry station
+        adjacency: [[<zone_a>, <zone_b>], ...],     -> zone_adjacency rows (only with an open entry)
+        userTitle: <user_titles row | null>         -> user_title used at the entry
+    }
+
+    Exit decision format:
+    {
+        status: 'VALIDATION_EXIT_SUCCESS' | 'ERROR_...',
+        zones: <int>,           -> zones crossed during the trip
+        uses: <int>,            -> uses to charge
+        amount: <float>,        -> money to charge from the balance
+        shortfall: <float>      -> uses or money that could not be charged (not enough left)
+    }
+*/
+
+// Load everything needed to evaluate an exit of a suport at a station
+const loadExitContext = async (suportUid, stationId, now = new Date(), options = {}) => {
+    const stationContext = await loadStationContext(stationId);
+    const context = {
+        ...stationContext,
+        suport: null,
+        openEntry: null,
+        entryStationZones: [],
+        adjacency: [],
+        userTitle: null
+    };
+
+    const suportData = await getSuport(suportUid, options);
+    if (!suportData) return context;
+    context.suport = suportData;
+
+    // The open entry is the last validation of the user until <now>, if it is an entry inside the exit timeout
+    const { data: lastValidations, error: lastValidationsError } = await supabase
+        .from('validation')
+        .select('*')
+        .eq('user', suportData.user)
+        .lte('timestamp', now.toISOString())
+        .order('timestamp', { ascending: false })
+        .limit(1);
+
+    if (lastValidationsError) {
+        throw new Error(`Failed to fetch last validation: ${lastValidationsError.message}`);
+    }
+
+    const last = lastValidations && lastValidations.length > 0 ? lastValidations[0] : null;
+    if (!last || !last.enter) return context;
+
+    const { data: userTitleData, error: userTitleError } = await supabase
+        .from('user_titles')
+        .select('*')
+        .eq('id', last.user_title)
+        .single();
+
+    if (userTitleError) {
+        throw new Error(`Failed to fetch user_title: ${userTitleError.message}`);
+    }
+
+    // Too late to pair it: a distance-based entry gets flagged as having no exit
+    const minutesSinceEntry = (now - parseTimestamp(last.timestamp)) / (1000 * 60);
+    if (minutesSinceEntry > getExitTimeout()) {
+        if (isDistanceFare(userTitleData)) await flagEntry(last);
+        return context;
+    }
+
+    context.openEntry = last;
+    context.userTitle = userTitleData;
+
+    const entryStationContext = await loadStationContext(last.station);
+    context.entryStationZones = entryStationContext.stationZones;
+    context.adjacency = await getZoneAdjacency();
+
+    return context;
+};
+
+/*
+    Runs the exit checks over an exit context. Nothing is written to the database.
+    1. Checks if the suport exists and is active (ERROR_SUPORT_NOT_FOUND / ERROR_SUPORT_BLOCKED /
+       ERROR_SUPORT_INACTIVE)
+    2. Checks if the station exists and is available (ERROR_STATION_NOT_AVAILABLE)
+    3. Checks if there is an open entry to pair the exit with (ERROR_NO_OPEN_ENTRY)
+    4. Computes the trip fare for distance-based titles (entry-based titles were already charged)
+*/
+const evaluateExit = (context, now = new Date()) => {
+    const decision = { status: 'VALIDATION_EXIT_SUCCESS', zones: 0, uses: 0, amount: 0, shortfall: 0 };
+    const fail = (status) => ({ ...decision, status });
+
+    const { suport, station, stationZones, openEntry, entryStationZones, adjacency, userTitle } = context;
+
+    if (!suport) return fail('ERROR_SUPORT_NOT_FOUND');
+    if (isSuportBlocked(suport, now)) return fail('ERROR_SUPORT_BLOCKED');
+    if (!suport.activation || new Date(suport.activation) > now) return fail('ERROR_SUPORT_INACTIVE');
+    if (!station || !station.available) return fail('ERROR_STATION_NOT_AVAILABLE');
+    if (!openEntry || !userTitle) return fail('ERROR_NO_OPEN_ENTRY');
+
+    decision.zones = countZonesCrossed(entryStationZones, stationZones, adjacency);
+
+    if (!isDistanceFare(userTitle)) return decision;
+
+    if (userTitle.fare_per_zone === null) {
+        // Charged in uses, one per zone crossed
+        decision.uses = decision.zones;
+        if (userTitle.uses_left !== null && userTitle.uses_left < decision.uses) {
+            decision.shortfall = decision.uses - userTitle.uses_left;
+            decision.uses = userTitle.uses_left;
+        }
+    } else {
+        // Charged in money from the balance
+        decision.amount = decision.zones * userTitle.fare_per_zone;
+        const balance = userTitle.balance || 0;
+        if (balance < decision.amount) {
+            decision.shortfall = decision.amount - balance;
+            decision.amount = balance;
+        }
+    }
+
+    return decision;
+};
+
+/*
+    Zones crossed between two stations: the trip between the closest zones of each station,
+    both included (a trip inside the same zone crosses 1 zone), over the zone_adjacency graph.
+    Zones that zone_adjacency doesn't connect are measured over the integer zone ids, as the
+    linear coverage does (services/zoneCoverage.js).
+*/
+const countZonesCrossed = (entryZones, exitZones, adjacency = []) => {
+    if (entryZones.length === 0 || exitZones.length === 0) return 1;
+
+    const hops = countHops(entryZones, exitZones, adjacency);
+    if (hops !== null) return hops + 1;
+
+    let distance = Infinity;
+    for (const entryZone of entryZones) {
+        for (const exitZone of exitZones) {
+            distance = Math.min(distance, Math.abs(entryZone - exitZone));
+        }
+    }
+
+    return distance + 1;
+};
+
+/*
+    Store a successful exit decision, atomically (database/functions/commit_exit.sql):
+    - inserts the exit validation record (enter = false), linked to the entry's user_title
+    - charges the uses or the amount from the user_title
+
+    As with commitValidation, null is returned if the entry was closed or the user_title changed
+    since the context was loaded.
+
+    Returns { validation: <validation row>, uses_left: <updated uses_left>, balance: <updated balance> } | null
+*/
+const commitExit = async ({ context, decision, timestamp = new Date(), gate = null }) => {
+    const { suport, station, userTitle, openEntry } = context;
+
+    const { data, error } = await supabase.rpc('commit_exit', {
+        p_user_title: userTitle.id,
+        p_user: suport.user,
+        p_suport: suport.uid,
+        p_station: station.id,
+        p_timestamp: timestamp,
+        p_open_entry: openEntry.timestamp,
+        p_expected_uses_left: userTitle.uses_left,
+        p_expected_balance: userTitle.balance !== undefined ? userTitle.balance : null,
+        p_uses: decision.uses,
+        p_amount: decision.amount,
+        p_gate: gate
+    });
+
+    if (error) {
+        throw new Error(`Failed to commit exit validation: ${error.message}`);
+    }
+
+    if (data.status !== 'COMMITTED') return null;
+
+    return { validation: data.validation, uses_left: data.uses_left, balance: data.balance };
+};
+
+// Load, evaluate and commit an exit validation, evaluating it again on conflicts (see validate)
+const validateExit = async (suportUid, stationId, now = new Date(), options = {}) => {
+    for (let attempt = 1; attempt <= MAX_COMMIT_ATTEMPTS; attempt++) {
+        const context = await loadExitContext(suportUid, stationId, now, options);
+        const decision = evaluateExit(context, now);
+
+        if (decision.status !== 'VALIDATION_EXIT_SUCCESS') {
+            return { context, decision, committed: null };
+        }
+
+        const committed = await commitExit({ context, decision, timestamp: now, gate: options.gate });
+        if (committed) {
+            return { context, decision, committed };
+        }
+    }
+
+    return { context: null, decision: { status: 'ERROR_VALIDATION_CONFLICT' }, committed: null };
+};
+
+
+//// UNCLOSED ENTRIES
+
+
+// Minutes after which an entry with no exit gets flagged
+const getExitTimeout = () => Number(process.env.VALIDATION_EXIT_TIMEOUT) || 180;
+// Flag an entry validation as having no exit
+const flagEntry = async (entry) => {
+    const { error } = await supabase
+        .from('validation')
+        .update({ flagged: true })
+        .eq('user_title', entry.user_title)
+        .eq('timestamp', entry.timestamp)
+        .eq('enter', true);
+
+    if (error) {
+        throw new Error(`Failed to flag entry validation: ${error.message}`);
+    }
+};
+
+/*
+    Flag the entries of distance-based titles with no exit after the exit timeout
+    - an entry is unclosed if the next validation of its user_title is not an exit (or there is none)
+    Returns the flagged validation rows
+*/
+const flagUnclosedEntries = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - getExitTimeout() * 60 * 1000);
+
+    const { data: entries, error: entriesError } = await supabase
+        .from('validation')
+        .select('*')
+        .eq('enter', true)
+        .not('flagged', 'is', true)
+        .lt('timestamp', cutoff.toISOString());
+
+    if (entriesError) {
+        throw new Error(`Failed to fetch entry validations: ${entriesError.message}`);
+    }
+    if (entries.length === 0) return [];
+
+    const userTitleIds = [...new Set(entries.map(e => e.user_title))];
+    const { data: userTitles, error: userTitlesError } = await supabase
+        .from('user_titles')
+        .select('id, fare_mode')
+        .in('id', userTitleIds);
+
+    if (userTitlesError) {
+        throw new Error(`Failed to fetch user_titles: ${userTitlesError.message}`);
+    }
+
+    const distanceTitleIds = userTitles.filter(isDistanceFare).map(ut => ut.id);
+
+    const flagged = [];
+    for (const entry of entries) {
+        if (!distanceTitleIds.includes(entry.user_title)) continue;
+
+        const { data: next, error: nextError } = await supabase
+            .from('validation')
+            .select('enter')
+            .eq('user_title', entry.user_title)
+            .gt('timestamp', entry.timestamp)
+            .order('timestamp', { ascending: true })
+            .limit(1);
+
+        if (nextError) {
+            throw new Error(`Failed to fetch next validation: ${nextError.message}`);
+        }
+
+        if (next.length === 0 || next[0].enter) {
+            await flagEntry(entry);
+            flagged.push({ ...entry, flagged: true });
+        }
+    }
+
+    return flagged;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// User_title part of a context, with no user_title
+// Suports row of a uid, null if it doesn't exist (or is virtual, unless options.virtual)
+async function getSuport(suportUid, options) {
+    const { data, error } = await supabase
+        .from('suports')
+        .select('*')
+        .eq('uid', suportUid)
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        throw new Error(`Failed to fetch suport: ${error.message}`);
+    }
+    if (!data || (data.virtual && !options.virtual)) return null;
+
+    return data;
+};
+
+function emptyCandidate() {
+    return {
+        userTitle: null,
+        userTitleZones: null,
+        zoneIds: [],
+        adjacency: [],
+        titleZones: [],
+        lastValidation: null
+    };
+};
+
+
+// Titles charged at the exit, depending on the zones crossed
+function isDistanceFare(userTitle) {
+    return userTitle.fare_mode === 'distance';
+};
+
+// Add 'Z' to force UTC interpretation if not present, ensuring consistent timezone handling
+function parseTimestamp(timestamp) {
+    if (timestamp instanceof Date) return timestamp;
+    const timestampStr = timestamp.endsWith('Z') ? timestamp : timestamp + 'Z';
+    return new Date(timestampStr);
+};
+
+
+module.exports = {
+    loadValidationContext,
+    loadStationContext,
+    loadSuportContext,
+    loadUserTitleState,
+    getLastValidation,
+    traceValidation,
+    evaluateValidation,
+    selectUserTitle,
+    getZoneAdjacency,
+    getTitleZones,
+    commitValidation,
+    validate,
+    loadExitContext,
+    evaluateExit,
+    countZonesCrossed,
+    commitExit,
+    validateExit,
+    getExitTimeout,
+    getGroupWindow,
+    flagUnclosedEntries,
+    parseTimestamp
+};
@@ -0,0 +1,160 @@
+/*
+    Zone coverage strategies: which zones a user_title covers once it is initialized at its
+    first use (validation step 6). Each title chooses its strategy in titles.coverage, copied
+    to the user_title when it is assigned.
+
+    Zone_adjacency:
+    - zone_a (PK, FK -> zones.id)   - int8
+    - zone_b (PK, FK -> zones.id)   - int8
+    > Undirected: one row per pair of neighbouring zones (managed through /zones/:id/adjacent)
+
+    Title_zones:
+    - title (PK, FK -> titles.id)   - int8
+    - zone (PK, FK -> zones.id)     - int8
+    > Zones of the titles with the 'list' strategy
+
+    Strategies:
+    - linear (default): zone_origin ± (num_zones - 1) over the integer zone ids [null coverage -> linear]
+    - hops: zones reachable from zone_origin in up to (num_zones - 1) hops of zone_adjacency
+    - list: the fixed zones of the title (title_zones)
+    - network: every zone
+
+    A strategy is a function ({ zoneOrigin, numZones, zoneIds, adjacency, titleZones }) => [<zone_id>, ...]
+    - zoneIds: all existing zones
+    - adjacency: [[<zone_a>, <zone_b>], ...]
+    - titleZones: zones of the title (list strategy)
+*/
+
+const DEFAULT_COVERAGE = 'linear';
+
+const strategies = {
+    /*
+        Calculate circular zones around zone_origin, keeping only existing zones
+        Examples:
+        - num_zones 3, zone_origin 4 -> [2,3,4,5,6] (radius = 2)
+        - num_zones 2, zone_origin 2 -> [1,2,3] (radius = 1)
+        - num_zones 3, zone_origin 1 -> [0,1,2,3] (radius = 2, but zone -1 doesn't exist)
+    */
+    linear: ({ zoneOrigin, numZones, zoneIds }) => {
+        const existingZoneIds = new Set(zoneIds);
+        const radius = numZones - 1;
+        const zones = [];
+
+        for (let offset = -radius; offset <= radius; offset++) {
+            const zoneId = zoneOrigin + offset;
+            if (existingZoneIds.has(zoneId)) {
+                zones.push(zoneId);
+            }
+        }
+
+        return zones;
+    },
+
+    // Breadth-first search over zone_adjacency, up to (num_zones - 1) hops from zone_origin
+    hops: ({ zoneOrigin, numZones, zoneIds, adjacency }) => {
+        if (!zoneIds.includes(zoneOrigin)) return [];
+
+        const neighbours = buildNeighbours(adjacency);
+        const radius = numZones - 1;
+        const visited = new Set([zoneOrigin]);
+        let frontier = [zoneOrigin];
+
+        for (let hop = 0; hop < radius && frontier.length > 0; hop++) {
+            const next = [];
+            for (const zoneId of frontier) {
+                for (const neighbour of neighbours.get(zoneId) || []) {
+                    if (!visited.has(neighbour)) {
+                        visited.add(neighbour);
+                        next.push(neighbour);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        return [...visited].sort((a, b) => a - b);
+    },
+
+    list: ({ titleZones }) => [...titleZones].sort((a, b) => a - b),
+
+    network: ({ zoneIds }) => [...zoneIds]
+};
+
+// Register a new coverage strategy (or replace an existing one)
+const registerCoverageStrategy = (name, strategy) => {
+    strategies[name] = strategy;
+};
+
+const getCoverageStrategies = () => Object.keys(strategies);
+
+const isCoverageStrategy = (name) => Object.prototype.hasOwnProperty.call(strategies, name);
+
+/*
+    Resolve the zones of a user_title at its first use in a station
+    - zone_origin is the first zone of the station (ascending) that the strategy covers
+    - returns { zone_origin, zones } or null if the user_title cannot be initialized there
+*/
+const resolveCoverage = (coverage, { stationZones, numZones, zoneIds, adjacency = [], titleZones = [] }) => {
+    const strategy = strategies[coverage || DEFAULT_COVERAGE];
+    if (!strategy) return null;
+
+    for (const zoneOrigin of stationZones) {
+        const zones = strategy({ zoneOrigin, numZones, zoneIds, adjacency, titleZones });
+        if (zones.includes(zoneOrigin)) {
+            return { zone_origin: zoneOrigin, zones };
+        }
+    }
+
+    return null;
+};
+
+// Fewest zone_adjacency hops from any of fromZones to any of toZones (null if they are not connected)
+const countHops = (fromZones, toZones, adjacency) => {
+    const targets = new Set(toZones);
+    const neighbours = buildNeighbours(adjacency);
+    const visited = new Set(fromZones);
+    let frontier = [...visited];
+
+    for (let hops = 0; frontier.length > 0; hops++) {
+        if (frontier.some(zoneId => targets.has(zoneId))) return hops;
+
+        const next = [];
+        for (const zoneId of frontier) {
+            for (const neighbour of neighbours.get(zoneId) || []) {
+                if (!visited.has(neighbour)) {
+                    visited.add(neighbour);
+                    next.push(neighbour);
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    return null;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+// Map each zone to its neighbours (adjacency is undirected)
+function buildNeighbours(adjacency) {
+    const neighbours = new Map();
+    for (const [zoneA, zoneB] of adjacency) {
+        if (!neighbours.has(zoneA)) neighbours.set(zoneA, []);
+        if (!neighbours.has(zoneB)) neighbours.set(zoneB, []);
+        neighbours.get(zoneA).push(zoneB);
+        neighbours.get(zoneB).push(zoneA);
+    }
+    return neighbours;
+};
+
+
+module.exports = {
+    DEFAULT_COVERAGE,
+    registerCoverageStrategy,
+    getCoverageStrategies,
+    isCoverageStrategy,
+    resolveCoverage,
+    countHops
+};
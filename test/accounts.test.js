@@ -0,0 +1,78 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { hasDatabase, supabase, query, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const { USER, seedPassenger } = require('./helpers/fixtures');
+const { registerStorageBackend } = require('../services/documentStorage');
+const { changePassword, deleteUserAccount } = require('../services/accounts');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+const REQUEST = '00000000-0000-4000-8000-000000000001';
+
+// Keys of the documents removed from the test storage
+const removed = [];
+registerStorageBackend('test', { remove: async (key) => { removed.push(key); } });
+
+describe('accounts', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        removed.length = 0;
+    });
+
+    describe('changePassword', () => {
+        beforeEach(async () => {
+            await query('update users set password = $1 where id = $2', [await bcrypt.hash('old', 4), USER]);
+            await seed('sessions', ['phone', 'tablet'].map(device => ({ user: USER, device: device, token: 'x' })));
+            await seed('password_resets', [{ token: 'reset', user: USER, created: '2025-03-01T09:55:00', expiration: '2025-03-01T10:25:00' }]);
+        });
+
+        it('deletes the pending resets and closes the sessions of the other devices', async () => {
+            assert.deepEqual(await changePassword(USER, 'phone', 'old', 'new'), { status: 'CHANGED', sessions_closed: 1 });
+
+            const { rows } = await query('select (select count(*) from password_resets)::int as resets, (select array_agg(device) from sessions) as devices, (select password from users) as password');
+            assert.equal(rows[0].resets, 0);
+            assert.deepEqual(rows[0].devices, ['phone']);
+            assert.ok(await bcrypt.compare('new', rows[0].password));
+        });
+
+        it('changes nothing if the password changed since it was checked', async (t) => {
+            const rpc = supabase.rpc;
+            t.mock.method(supabase, 'rpc', async (name, params) => {
+                await query('update users set password = $1 where id = $2', ['changed', USER]);
+                return rpc.call(supabase, name, params);
+            });
+
+            assert.deepEqual(await changePassword(USER, 'phone', 'old', 'new'), { status: 'WRONG_PASSWORD' });
+
+            const { rows } = await query('select (select count(*) from password_resets)::int as resets, (select count(*) from sessions)::int as sessions');
+            assert.deepEqual(rows[0], { resets: 1, sessions: 2 });
+        });
+    });
+
+    describe('deleteUserAccount', () => {
+        beforeEach(async () => {
+            await seed('requests', [{ id: REQUEST, user: USER, created_at: '2025-02-01T10:00:00' }]);
+            await seed('request_documents', [{ request: REQUEST, type: 'id', storage: 'test', storage_key: 'requests/id.pdf' }]);
+        });
+
+        it('removes the documents once the account is deleted', async () => {
+            assert.equal((await deleteUserAccount(USER, NOW)).status, 'DELETED');
+
+            assert.deepEqual(removed, ['requests/id.pdf']);
+        });
+
+        it('keeps the documents if the account could not be deleted', async (t) => {
+            t.mock.method(supabase, 'rpc', async () => ({ data: null, error: new Error('Deletion failed') }));
+
+            await assert.rejects(deleteUserAccount(USER, NOW), /Deletion failed/);
+
+            assert.deepEqual(removed, []);
+            const { rows } = await query('select count(*)::int as count from request_documents');
+            assert.equal(rows[0].count, 1);
+        });
+    });
+});
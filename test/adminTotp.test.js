@@ -0,0 +1,143 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hasDatabase, supabase, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const {
+    TICKET_PURPOSES,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTotp,
+    countRecoveryCodes,
+    createLoginTicket,
+    getLoginTicket,
+    consumeLoginTicket
+} = require('../services/adminTotp');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Code of an authenticator app (RFC 6238), written apart from the service so it checks it
+const totp = (secret, time, digits = 6) => {
+    const bits = [...secret].map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+    return hotp(key, Math.floor(time.getTime() / 1000 / 30), digits);
+};
+
+const hotp = (key, counter, digits) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[19] & 0x0f;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits).padStart(digits, '0');
+};
+
+const getAdmin = async (id) => {
+    const { data } = await supabase.from('users_admin').select('*').eq('id', id).single();
+    return data;
+};
+
+describe('admin 2FA', () => {
+    it('generates the codes of the RFC 6238 test vectors', () => {
+        const key = Buffer.from('12345678901234567890');
+        assert.equal(hotp(key, Math.floor(59 / 30), 8), '94287082');
+        assert.equal(hotp(key, Math.floor(1111111109 / 30), 8), '07081804');
+    });
+
+    describe('with the database', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+        let adminId;
+
+        before(setupDatabase);
+        after(closeDatabase);
+
+        beforeEach(async () => {
+            await resetDatabase();
+            [{ id: adminId }] = await seed('users_admin', [{ name: 'admin', password: 'x' }]);
+        });
+
+        const enrol = async () => {
+            const { secret } = await startEnrolment(adminId);
+            const result = await confirmEnrolment(adminId, totp(secret, NOW), NOW);
+            return { secret, ...result };
+        };
+
+        it('enables 2FA with a code of the new secret', async () => {
+            const started = await startEnrolment(adminId);
+            assert.equal(started.status, 'STARTED');
+            assert.match(started.otpauth_uri, new RegExp(`^otpauth://totp/.*secret=${started.secret}`));
+
+            const hourAgo = new Date(NOW.getTime() - 60 * 60 * 1000);
+            assert.equal((await confirmEnrolment(adminId, totp(started.secret, hourAgo), NOW)).status, 'INVALID_CODE');
+
+            const confirmed = await confirmEnrolment(adminId, totp(started.secret, NOW), NOW);
+            assert.equal(confirmed.status, 'ENABLED');
+            assert.equal(confirmed.recovery_codes.length, 10);
+            assert.equal(await countRecoveryCodes(adminId), 10);
+
+            const admin = await getAdmin(adminId);
+            assert.equal(admin.totp_enabled, true);
+            assert.equal(admin.totp_secret, started.secret);
+            assert.equal(admin.totp_pending_secret, null);
+
+            assert.equal((await startEnrolment(adminId)).status, 'ALREADY_ENABLED');
+        });
+
+        it('accepts each code once, with a step of clock drift', async () => {
+            const { secret } = await enrol();
+            const later = new Date(NOW.getTime() + 60 * 1000);
+
+            // The code of the enrolment can't log in
+            assert.equal((await verifySecondFactor(await getAdmin(adminId), { code: totp(secret, NOW) }, NOW)).status, 'INVALID_CODE');
+
+            const drifted = new Date(later.getTime() - 30 * 1000);
+            assert.deepEqual(await verifySecondFactor(await getAdmin(adminId), { code: totp(secret, drifted) }, later), { status: 'VERIFIED', method: 'TOTP' });
+            assert.equal((await verifySecondFactor(await getAdmin(adminId), { code: totp(secret, drifted) }, later)).status, 'INVALID_CODE');
+
+            assert.equal((await verifySecondFactor(await getAdmin(adminId), { code: totp(secret, later) }, later)).status, 'VERIFIED');
+
+            const tooLate = new Date(later.getTime() + 5 * 60 * 1000);
+            assert.equal((await verifySecondFactor(await getAdmin(adminId), { code: totp(secret, later) }, tooLate)).status, 'INVALID_CODE');
+        });
+
+        it('accepts each recovery code once', async () => {
+            const { secret, recovery_codes: codes } = await enrol();
+
+            const admin = await getAdmin(adminId);
+            assert.deepEqual(await verifySecondFactor(admin, { recoveryCode: codes[0].toUpperCase() }, NOW), { status: 'VERIFIED', method: 'RECOVERY_CODE' });
+            assert.equal((await verifySecondFactor(admin, { recoveryCode: codes[0] }, NOW)).status, 'INVALID_CODE');
+            assert.equal(await countRecoveryCodes(adminId), 9);
+
+            const later = new Date(NOW.getTime() + 60 * 1000);
+            const regenerated = await regenerateRecoveryCodes(adminId, totp(secret, later), later);
+            assert.equal(regenerated.status, 'REGENERATED');
+            assert.equal((await verifySecondFactor(admin, { recoveryCode: codes[1] }, later)).status, 'INVALID_CODE');
+            assert.equal((await verifySecondFactor(admin, { recoveryCode: regenerated.recovery_codes[0] }, later)).status, 'VERIFIED');
+        });
+
+        it('disables 2FA, deleting the secret and the recovery codes', async () => {
+            await enrol();
+
+            assert.equal((await disableTotp(adminId)).status, 'DISABLED');
+            assert.equal(await countRecoveryCodes(adminId), 0);
+
+            const admin = await getAdmin(adminId);
+            assert.equal(admin.totp_enabled, false);
+            assert.equal(admin.totp_secret, null);
+            assert.equal((await verifySecondFactor(admin, { code: '123456' }, NOW)).status, 'NOT_ENABLED');
+
+            assert.equal((await disableTotp('not-a-uuid')).status, 'NOT_FOUND');
+        });
+
+        it('uses each login ticket once, before it expires', async () => {
+            const { ticket } = await createLoginTicket(adminId, 'laptop', TICKET_PURPOSES.TOTP, NOW);
+
+            assert.equal(await getLoginTicket(ticket, TICKET_PURPOSES.ENROL, NOW), null);
+            assert.equal(await getLoginTicket(ticket, TICKET_PURPOSES.TOTP, new Date(NOW.getTime() + 10 * 60 * 1000)), null);
+            assert.equal((await getLoginTicket(ticket, TICKET_PURPOSES.TOTP, NOW)).admin, adminId);
+
+            assert.equal(await consumeLoginTicket(ticket), true);
+            assert.equal(await consumeLoginTicket(ticket), false);
+        });
+    });
+});
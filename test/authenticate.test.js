@@ -0,0 +1,64 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { hasDatabase, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { USER, seedPassenger } = require('./helpers/fixtures');
+const { createSession } = require('../services/sessions');
+const { authenticate } = require('../middleware/auth');
+
+const OTHER_USER = 2;
+
+// Run the middleware > { next: <called>, statusCode, req }
+const authenticateWith = async (token, device) => {
+    const req = { headers: { authorization: `Bearer ${token}`, 'x-device-id': device } };
+    const result = { next: false, statusCode: null, req: req };
+    const res = {
+        status(code) {
+            result.statusCode = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+
+    await authenticate(req, res, () => {
+        result.next = true;
+    });
+    return result;
+};
+
+describe('authenticate', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        await seedPassenger({ id: OTHER_USER, uid: null });
+    });
+
+    it('compares the token only with the session it belongs to', async (t) => {
+        await createSession(OTHER_USER, 'shared-device');
+        const { token } = await createSession(USER, 'shared-device');
+        const compare = t.mock.method(bcrypt, 'compare');
+
+        const result = await authenticateWith(token, 'shared-device');
+
+        assert.equal(result.next, true);
+        assert.equal(result.req.auth.userId, USER);
+        assert.equal(compare.mock.callCount(), 1);
+    });
+
+    it('refuses a token of another device without comparing it', async (t) => {
+        const { token } = await createSession(USER, 'phone');
+        await createSession(OTHER_USER, 'tablet');
+        const compare = t.mock.method(bcrypt, 'compare');
+
+        const result = await authenticateWith(token, 'tablet');
+
+        assert.equal(result.next, false);
+        assert.equal(result.statusCode, 401);
+        assert.equal(compare.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, supabase, query, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { USER, seedPassenger, seedTitle, callHandler } = require('./helpers/fixtures');
+
+process.env.NODE_ENV = 'test';
+const { createCheckout, confirmCheckout, cancelCheckout, issuePaidCheckouts, reconcileCheckouts, expireCheckouts } = require('../services/checkout');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const controllers = require('../controllers/checkouts');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+describe('checkouts', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        await seedTitle();
+    });
+
+    it('issues the user_title and the receipt of a paid checkout', async () => {
+        const created = await createCheckout(USER, 1, NOW);
+        assert.equal(created.status, 'CREATED');
+        assert.equal(created.checkout.status, 'PENDING');
+        assert.equal(created.checkout.amount, 12.15);
+
+        const confirmed = await confirmCheckout(USER, created.checkout.id, { payment_method: 'mock_success' }, NOW);
+
+        assert.equal(confirmed.status, 'COMPLETED');
+        assert.equal(confirmed.checkout.status, 'COMPLETED');
+        assert.equal(confirmed.user_title.user, USER);
+        assert.equal(confirmed.user_title.uses_left, 10);
+        assert.equal(confirmed.receipt.checkout, created.checkout.id);
+        assert.ok(confirmed.receipt.invoice_number);
+
+        const again = await confirmCheckout(USER, created.checkout.id, { payment_method: 'mock_success' }, NOW);
+        assert.equal(again.status, 'NOT_PENDING');
+
+        const { rows } = await query('select count(*)::int as count from user_titles');
+        assert.equal(rows[0].count, 1);
+    });
+
+    it('numbers the invoices of a fiscal year in sequence', async () => {
+        const numbers = [];
+        for (let i = 0; i < 3; i++) {
+            const { checkout } = await createCheckout(USER, 1, NOW);
+            const { receipt } = await confirmCheckout(USER, checkout.id, { payment_method: 'mock_success' }, NOW);
+            numbers.push(receipt.invoice_sequence);
+        }
+
+        assert.deepEqual(numbers, [1, 2, 3]);
+    });
+
+    it('fails a declined payment without issuing anything', async () => {
+        const { checkout } = await createCheckout(USER, 1, NOW);
+
+        const confirmed = await confirmCheckout(USER, checkout.id, { payment_method: 'mock_declined' }, NOW);
+
+        assert.equal(confirmed.status, 'FAILED');
+        assert.equal(confirmed.checkout.status, 'FAILED');
+        const { rows } = await query('select (select count(*) from user_titles)::int as user_titles, (select count(*) from receipts)::int as receipts');
+        assert.deepEqual(rows[0], { user_titles: 0, receipts: 0 });
+    });
+
+    it('issues a paid checkout later if its user_title could not be created', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { checkout } = await createCheckout(USER, 1, NOW);
+        await query('delete from titles where id = 1');
+
+        const confirmed = await confirmCheckout(USER, checkout.id, { payment_method: 'mock_success' }, NOW);
+        assert.equal(confirmed.status, 'PAID_NOT_ISSUED');
+
+        await seedTitle();
+        assert.deepEqual(await issuePaidCheckouts(NOW), { issued: 1, failed: [] });
+        assert.deepEqual(await issuePaidCheckouts(NOW), { issued: 0, failed: [] });
+
+        const { data } = await supabase.from('checkouts').select('*').eq('id', checkout.id).single();
+        assert.equal(data.status, 'COMPLETED');
+        assert.ok(data.user_title);
+    });
+
+    it('keeps a checkout processing if the provider fails and reconciles it with the provider later', async (t) => {
+        const provider = getPaymentProvider('mock');
+        const confirmPayment = provider.confirmPayment;
+        // The payment is confirmed, but its answer never arrives
+        t.mock.method(provider, 'confirmPayment', async (reference, details) => {
+            await confirmPayment(reference, details);
+            throw new Error('Provider timeout');
+        });
+        const { checkout: paid } = await createCheckout(USER, 1, NOW);
+        const { checkout: pending } = await createCheckout(USER, 1, NOW);
+
+        await assert.rejects(confirmCheckout(USER, paid.id, { payment_method: 'mock_success' }, NOW), /Provider timeout/);
+        await assert.rejects(confirmCheckout(USER, pending.id, { payment_method: 'mock_pending' }, NOW), /Provider timeout/);
+        assert.equal((await confirmCheckout(USER, paid.id, { payment_method: 'mock_success' }, NOW)).status, 'NOT_PENDING');
+
+        const empty = { completed: 0, not_issued: 0, declined: 0, pending: 0, failed: [] };
+        assert.deepEqual(await reconcileCheckouts(NOW), empty);
+        assert.deepEqual(await reconcileCheckouts(new Date(NOW.getTime() + 10 * 60 * 1000)), { ...empty, completed: 1, pending: 1 });
+
+        const { rows } = await query('select id, status, user_title from checkouts order by status');
+        assert.deepEqual(rows.map(row => [row.id, row.status]), [[paid.id, 'COMPLETED'], [pending.id, 'PENDING']]);
+        assert.ok(rows[0].user_title);
+    });
+
+    it('leaves a checkout pending if its provider is no longer available', async (t) => {
+        const { checkout } = await createCheckout(USER, 1, NOW);
+        // The mock provider is only available in development
+        t.after(() => {
+            process.env.NODE_ENV = 'test';
+        });
+        process.env.NODE_ENV = 'production';
+
+        const confirmed = await confirmCheckout(USER, checkout.id, { payment_method: 'mock_success' }, NOW);
+
+        assert.equal(confirmed.status, 'NOT_CONFIGURED');
+        assert.equal(confirmed.checkout.status, 'PENDING');
+    });
+
+    it('cancels and expires the checkouts that are not paid', async () => {
+        const { checkout: cancelled } = await createCheckout(USER, 1, NOW);
+        const { checkout: abandoned } = await createCheckout(USER, 1, NOW);
+
+        assert.equal((await cancelCheckout(USER, cancelled.id)).status, 'CANCELLED');
+        assert.equal(await expireCheckouts(new Date(NOW.getTime() + 60 * 60 * 1000)), 1);
+
+        const confirmed = await confirmCheckout(USER, abandoned.id, { payment_method: 'mock_success' }, NOW);
+        assert.equal(confirmed.status, 'EXPIRED');
+        assert.equal(confirmed.checkout.status, 'EXPIRED');
+    });
+
+    it('refuses the checkouts of unknown users and titles', async () => {
+        assert.equal((await createCheckout(99, 1, NOW)).status, 'USER_NOT_FOUND');
+        assert.equal((await createCheckout(USER, 99, NOW)).status, 'TITLE_NOT_FOUND');
+        assert.equal((await confirmCheckout(USER, 'not-a-uuid', {}, NOW)).status, 'NOT_FOUND');
+    });
+});
+
+describe('checkouts without a payment provider', () => {
+    before(() => {
+        process.env.NODE_ENV = 'production';
+    });
+    after(() => {
+        process.env.NODE_ENV = 'test';
+    });
+
+    it('answers 503 instead of creating a checkout', async () => {
+        const res = await callHandler(controllers.createCheckout, { params: { id: USER }, body: { title: 1 } });
+
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.error, 'Payments are not configured');
+    });
+});
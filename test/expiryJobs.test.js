@@ -0,0 +1,89 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, supabase, query, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const { USER, SUPORT, seedPassenger, seedTitle, seedUserTitle } = require('./helpers/fixtures');
+const { expireUserTitles, moveAgeGroups } = require('../services/expiryJobs');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString().slice(0, 19);
+
+describe('expiry jobs', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(resetDatabase);
+
+    describe('moveAgeGroups', () => {
+        it('moves the users that had a birthday since the last run to the group of their age', async () => {
+            await seedPassenger({ id: 1, uid: null, birthdate: '2009-03-01' });     // 16 today
+            await seedPassenger({ id: 2, uid: null, birthdate: '2009-02-28' });     // 16 before the last run
+            await seedPassenger({ id: 3, uid: null, birthdate: '1960-02-29' });     // 65 today, not a leap year
+            await seedPassenger({ id: 4, uid: null, birthdate: '2009-03-02' });     // 16 tomorrow
+            await seed('user_groups', [
+                { user: 1, group: 16, expiration: '2025-02-28' },
+                { user: 4, group: 16, expiration: '2025-03-01' }
+            ]);
+
+            const result = await moveAgeGroups({ now: NOW, lastRun: '2025-02-28T10:00:00.000Z' });
+
+            assert.deepEqual(result, { birthdays: 2, moved: 2 });
+            const { data } = await supabase.from('user_groups').select('*').order('user', { ascending: true });
+            assert.deepEqual(data.map(ug => [ug.user, ug.group, ug.expiration]), [
+                [1, 30, '2039-02-28'],
+                [3, 65, null],
+                [4, 16, '2025-03-01']
+            ]);
+        });
+    });
+
+    describe('expireUserTitles', () => {
+        beforeEach(async () => {
+            await seedPassenger();
+            await seedTitle();
+        });
+
+        const seedEntry = (userTitleId, timestamp, enter = true) => seed('validation', [{
+            user: USER,
+            suport: SUPORT,
+            timestamp: timestamp,
+            station: 1,
+            enter: enter,
+            user_title: userTitleId
+        }]);
+
+        it('deactivates the user_titles expired or used up once their link has passed', async () => {
+            await seedUserTitle({ id: 1, expiration: '2025-02-28T00:00:00' });
+            await seedUserTitle({ id: 2, uses_left: 0, link: 30 });
+            await seedUserTitle({ id: 3, uses_left: 0, link: 30 });
+            await seedUserTitle({ id: 4, uses_left: 0 });
+            await seedUserTitle({ id: 5, uses_left: 3 });
+            await seedEntry(2, minutesAgo(10));
+            await seedEntry(3, minutesAgo(120));
+            await seedEntry(3, minutesAgo(5), false);
+
+            const result = await expireUserTitles({ now: NOW });
+
+            assert.deepEqual(result, { expired: 1, exhausted: 2 });
+            const { rows } = await query('select id from user_titles where active order by id');
+            assert.deepEqual(rows.map(row => Number(row.id)), [2, 5]);
+
+            assert.deepEqual(await expireUserTitles({ now: new Date(NOW.getTime() + 30 * 60 * 1000) }), { expired: 0, exhausted: 1 });
+        });
+
+        it('finds the last entry of each user_title', async () => {
+            await seedEntry(1, minutesAgo(60));
+            await seedEntry(1, minutesAgo(30));
+            await seedEntry(1, minutesAgo(10), false);
+            await seedEntry(2, minutesAgo(90));
+
+            const { data, error } = await supabase.rpc('last_entries', { p_user_titles: [1, 2, 3] });
+
+            assert.equal(error, null);
+            assert.deepEqual(data.sort((a, b) => a.user_title - b.user_title), [
+                { user_title: 1, timestamp: minutesAgo(30) },
+                { user_title: 2, timestamp: minutesAgo(90) }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,432 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+    Database of the tests: a local Postgres (TEST_DATABASE_URL, e.g. postgres://postgres@localhost:5432/postgres)
+    with the schema of test/schema.sql and the functions of database/functions/.
+
+    The services talk to Supabase (config/supabase.js). Here they get a client with the same query
+    builder, run over Postgres with node-postgres, so the tests run the real queries and the real
+    functions (row locks, constraints and transactions included):
+    - from(table): select, insert, update, upsert, delete, with the filters, order, limit, single and
+      maybeSingle the services use, and the errors of PostgREST (PGRST116, and the codes of Postgres)
+    - rpc(name, args): the functions return jsonb, as the ones of database/functions/
+
+    Every test file gets a schema of its own (test files can run in parallel), dropped by closeDatabase.
+    Without TEST_DATABASE_URL the tests that need the database are skipped (hasDatabase), and any use of
+    the client fails.
+
+    Usage (before requiring the services):
+        const { hasDatabase, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+*/
+
+// Dates of the services (utils/time.js) are local: the tests run in UTC, as the database
+process.env.TZ = 'UTC';
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const hasDatabase = !!DATABASE_URL;
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA = `test_${process.pid}`;
+
+let pool = null;
+const columnTypes = {};     // table -> { column: data_type }
+const primaryKeys = {};     // table -> [column, ...]
+
+const getPool = () => {
+    if (!hasDatabase) throw new Error('TEST_DATABASE_URL is not set');
+
+    if (!pool) {
+        const { Pool, types } = require('pg');
+
+        // Values as PostgREST returns them in JSON
+        const parsers = {
+            20: Number,                                                     // int8
+            1700: Number,                                                   // numeric
+            1082: (value) => value,                                         // date
+            1114: (value) => value.replace(' ', 'T'),                       // timestamp
+            1184: (value) => value.replace(' ', 'T').replace(/([+-]\d\d)$/, '$1:00')   // timestamptz
+        };
+
+        pool = new Pool({
+            connectionString: DATABASE_URL,
+            max: 10,
+            options: `-c search_path=${SCHEMA} -c timezone=UTC`,
+            types: { getTypeParser: (oid, format) => parsers[oid] || types.getTypeParser(oid, format) }
+        });
+    }
+
+    return pool;
+};
+
+const query = (text, params = []) => getPool().query(text, params);
+
+
+//// SUPABASE CLIENT
+
+
+class QueryBuilder {
+    constructor(table) {
+        this.table = table;
+        this.method = 'select';
+        this.columns = '*';
+        this.returning = null;
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offsetCount = null;
+        this.singleRow = false;
+        this.maybe = false;
+        this.countRows = false;
+        this.head = false;
+        this.payload = null;
+        this.onConflict = null;
+        this.ignoreDuplicates = false;
+    }
+
+    select(columns = '*', options = {}) {
+        if (this.method === 'select') {
+            this.columns = columns;
+            this.countRows = options.count === 'exact';
+            this.head = !!options.head;
+        } else {
+            this.returning = columns;
+        }
+        return this;
+    }
+
+    insert(payload) {
+        this.method = 'insert';
+        this.payload = payload;
+        return this;
+    }
+
+    upsert(payload, options = {}) {
+        this.method = 'upsert';
+        this.payload = payload;
+        this.onConflict = options.onConflict || null;
+        this.ignoreDuplicates = !!options.ignoreDuplicates;
+        return this;
+    }
+
+    update(payload) {
+        this.method = 'update';
+        this.payload = payload;
+        return this;
+    }
+
+    delete() {
+        this.method = 'delete';
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+
+    not(column, operator, value) {
+        this.filters.push({ negate: true, column, operator, value });
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.filters.push({ negate: false, column, operator, value });
+        return this;
+    }
+
+    match(values) {
+        for (const [column, value] of Object.entries(values)) this.eq(column, value);
+        return this;
+    }
+
+    // PostgREST logic tree: 'status.is.null,status.not.in.(a,b),zone_a.eq.3'
+    or(expression) {
+        const conditions = expression.match(/[^,(]+(\([^)]*\))?/g).map(condition => {
+            const [, column, negate, operator, value] = condition.match(/^([\w]+)\.(not\.)?(\w+)\.(.*)$/);
+            return { negate: !!negate, column, operator, value: parseValue(operator, value) };
+        });
+        this.filters.push({ or: conditions });
+        return this;
+    }
+
+    order(column, options = {}) {
+        const ascending = options.ascending !== false;
+        const nullsFirst = options.nullsFirst !== undefined ? options.nullsFirst : !ascending;
+        this.orders.push(`${quote(column)} ${ascending ? 'asc' : 'desc'} nulls ${nullsFirst ? 'first' : 'last'}`);
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.offsetCount = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.singleRow = true;
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleRow = true;
+        this.maybe = true;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.execute().then(resolve, reject);
+    }
+
+    async execute() {
+        try {
+            const params = [];
+            const { rows } = await query(await this.toSql(params), params);
+
+            if (this.countRows) {
+                const count = rows.length > 0 ? Number(rows[0].count) : 0;
+                return { data: this.head ? null : rows, count, error: null };
+            }
+
+            if (this.method !== 'select' && this.returning === null) return { data: null, error: null };
+
+            if (this.singleRow) {
+                if (rows.length === 1) return { data: rows[0], error: null };
+                if (rows.length === 0 && this.maybe) return { data: null, error: null };
+                return {
+                    data: null,
+                    error: {
+                        code: 'PGRST116',
+                        message: 'JSON object requested, multiple (or no) rows returned',
+                        details: `The result contains ${rows.length} rows`
+                    }
+                };
+            }
+
+            return { data: rows, error: null };
+        } catch (error) {
+            if (!error.code) throw error;
+            return { data: null, error: { code: error.code, message: error.message, details: error.detail || null } };
+        }
+    }
+
+    async toSql(params) {
+        const table = quote(this.table);
+        const where = this.whereSql(params);
+        const returning = this.returning !== null ? ` returning ${columnList(this.returning)}` : '';
+
+        if (this.method === 'select') {
+            if (this.countRows) return `select count(*) from ${table}${where}`;
+
+            let sql = `select ${columnList(this.columns)} from ${table}${where}`;
+            if (this.orders.length > 0) sql += ` order by ${this.orders.join(', ')}`;
+            if (this.limitCount !== null) sql += ` limit ${Number(this.limitCount)}`;
+            if (this.offsetCount !== null) sql += ` offset ${Number(this.offsetCount)}`;
+            return sql;
+        }
+
+        if (this.method === 'delete') return `delete from ${table}${where}${returning}`;
+
+        const types = await getColumnTypes(this.table);
+
+        if (this.method === 'update') {
+            const sets = Object.entries(this.payload)
+                .map(([column, value]) => `${quote(column)} = ${param(params, toDatabase(value, types[column]))}`);
+            return `update ${table} set ${sets.join(', ')}${where}${returning}`;
+        }
+
+        // insert / upsert
+        const rows = Array.isArray(this.payload) ? this.payload : [this.payload];
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const values = rows.map(row => '(' + columns.map(column => (row[column] === undefined
+            ? 'default'
+            : param(params, toDatabase(row[column], types[column])))).join(', ') + ')');
+
+        let sql = `insert into ${table} (${columns.map(quote).join(', ')}) values ${values.join(', ')}`;
+
+        if (this.method === 'upsert') {
+            const target = this.onConflict ? this.onConflict.split(',').map(c => c.trim()) : await getPrimaryKey(this.table);
+            const updates = columns.filter(column => !target.includes(column));
+            sql += ` on conflict (${target.map(quote).join(', ')}) `;
+            sql += this.ignoreDuplicates || updates.length === 0
+                ? 'do nothing'
+                : `do update set ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`;
+        }
+
+        return sql + returning;
+    }
+
+    whereSql(params) {
+        if (this.filters.length === 0) return '';
+
+        const conditions = this.filters.map(filter => (filter.or
+            ? '(' + filter.or.map(condition => conditionSql(condition, params)).join(' or ') + ')'
+            : conditionSql(filter, params)));
+
+        return ` where ${conditions.join(' and ')}`;
+    }
+}
+
+const supabase = {
+    from: (table) => new QueryBuilder(table),
+
+    // Functions of database/functions/, called with named arguments
+    rpc: async (name, args = {}) => {
+        try {
+            const params = [];
+            const named = Object.entries(args).map(([key, value]) => `${key} => ${param(params, toRpcArgument(value))}`);
+            const { rows } = await query(`select ${quote(name)}(${named.join(', ')}) as result`, params);
+            return { data: rows[0].result, error: null };
+        } catch (error) {
+            if (!error.code) throw error;
+            return { data: null, error: { code: error.code, message: error.message, details: error.detail || null } };
+        }
+    }
+};
+
+// Replace config/supabase.js for every module required from now on
+require.cache[require.resolve(path.join(ROOT, 'config', 'supabase'))] = {
+    id: 'supabase',
+    filename: path.join(ROOT, 'config', 'supabase.js'),
+    loaded: true,
+    exports: supabase
+};
+
+
+//// SETUP
+
+
+// Create the schema of the test file, with the tables and the functions
+const setupDatabase = async () => {
+    await query(`drop schema if exists ${SCHEMA} cascade`);
+    await query(`create schema ${SCHEMA}`);
+    await query(fs.readFileSync(path.join(__dirname, '..', 'schema.sql'), 'utf8'));
+
+    const functionsDir = path.join(ROOT, 'database', 'functions');
+    for (const file of fs.readdirSync(functionsDir).filter(file => file.endsWith('.sql')).sort()) {
+        await query(fs.readFileSync(path.join(functionsDir, file), 'utf8'));
+    }
+};
+
+// Empty every table (between tests)
+const resetDatabase = async () => {
+    const { rows } = await query('select tablename from pg_tables where schemaname = $1', [SCHEMA]);
+    await query(`truncate ${rows.map(row => quote(row.tablename)).join(', ')} restart identity`);
+};
+
+const closeDatabase = async () => {
+    if (!pool) return;
+    await query(`drop schema if exists ${SCHEMA} cascade`);
+    await pool.end();
+    pool = null;
+};
+
+// Insert rows (fixtures) > inserted rows
+const seed = async (table, rows) => {
+    const { data, error } = await supabase.from(table).insert(rows).select('*');
+    if (error) throw new Error(`Failed to seed ${table}: ${error.message}`);
+    return data;
+};
+
+
+//// LOCAL FUNCTIONS
+
+
+function quote(identifier) {
+    return '"' + String(identifier).replace(/"/g, '""') + '"';
+};
+
+function columnList(columns) {
+    const list = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+    return list.length === 0 || list.includes('*') ? '*' : list.map(quote).join(', ');
+};
+
+function param(params, value) {
+    params.push(value);
+    return `$${params.length}`;
+};
+
+// Values of the 'in' operator inside or()/not(): '(a,b)' -> ['a', 'b']
+function parseValue(operator, value) {
+    if (operator === 'in') return value.replace(/^\(|\)$/g, '').split(',').filter(v => v !== '');
+    if (operator === 'is') return value === 'null' ? null : value === 'true';
+    return value;
+};
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function conditionSql({ negate, column, operator, value }, params) {
+    let sql;
+    if (operator === 'is') {
+        sql = `${quote(column)} is ${value === null ? 'null' : value ? 'true' : 'false'}`;
+    } else if (operator === 'in') {
+        const values = typeof value === 'string' ? parseValue('in', value) : value;
+        sql = `${quote(column)} = any(${param(params, values.map(String))})`;
+    } else if (OPERATORS[operator]) {
+        sql = `${quote(column)} ${OPERATORS[operator]} ${param(params, value)}`;
+    } else {
+        throw new Error(`Filter operator not supported by the test client: ${operator}`);
+    }
+    return negate ? `not (${sql})` : sql;
+};
+
+// Objects and arrays go to json columns as JSON, as PostgREST does
+function toDatabase(value, type) {
+    if (value === null || value === undefined) return null;
+    if ((type === 'jsonb' || type === 'json') && typeof value === 'object') return JSON.stringify(value);
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+// The arguments are sent as JSON: dates as ISO strings, objects (and arrays of objects) to jsonb
+function toRpcArgument(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.some(item => item !== null && typeof item === 'object') ? JSON.stringify(value) : value;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+async function getColumnTypes(table) {
+    if (!columnTypes[table]) {
+        const { rows } = await query(
+            'select column_name, data_type from information_schema.columns where table_schema = $1 and table_name = $2',
+            [SCHEMA, table]
+        );
+        columnTypes[table] = Object.fromEntries(rows.map(row => [row.column_name, row.data_type]));
+    }
+    return columnTypes[table];
+};
+
+async function getPrimaryKey(table) {
+    if (!primaryKeys[table]) {
+        const { rows } = await query(
+            `select a.attname from pg_index i
+             join pg_attribute a on a.attrelid = i.indrelid and a.attnum = any(i.indkey)
+             where i.indrelid = $1::regclass and i.indisprimary`,
+            [`${SCHEMA}.${table}`]
+        );
+        primaryKeys[table] = rows.map(row => row.attname);
+    }
+    return primaryKeys[table];
+};
+
+
+module.exports = {
+    hasDatabase,
+    supabase,
+    query,
+    setupDatabase,
+    resetDatabase,
+    closeDatabase,
+    seed
+};
@@ -0,0 +1,100 @@
+const { seed } = require('./database');
+
+/*
+    Rows shared by the tests, with fixed ids so the tests can refer to them:
+    - a network of 3 zones, with a station in each one (station <n> is in zone <n>)
+    - a passenger (USER) with an active card (SUPORT)
+    - titles and user_titles of the passenger, with the defaults of a 10 trips title
+
+    callHandler runs a controller with a request and returns the response it sent.
+*/
+
+const USER = 1;
+const SUPORT = 'CARD-0001';
+
+const seedNetwork = async () => {
+    const ids = [1, 2, 3];
+    await seed('zones', ids.map(id => ({ id: id, name: `Zona ${id}` })));
+    await seed('stations', ids.map(id => ({ id: id, name: `Estació ${id}`, name_short: `E${id}`, available: true })));
+    await seed('station_zones', ids.map(id => ({ station: id, zone: id })));
+};
+
+const seedPassenger = async ({ id = USER, uid = SUPORT, birthdate = '1990-01-01' } = {}) => {
+    await seed('users', [{ id: id, name: 'Test', surname: `User ${id}`, email: `user${id}@example.com`, birthdate: birthdate }]);
+    if (uid) {
+        await seed('suports', [{ uid: uid, user: id, activation: '2020-01-01T00:00:00' }]);
+    }
+};
+
+const seedTitle = async (overrides = {}) => {
+    const [title] = await seed('titles', [{
+        id: 1,
+        name: 'T-10',
+        uses: 10,
+        expiration: 365,
+        available: '2020-01-01T00:00:00',
+        unavailable: '2100-01-01T00:00:00',
+        price: 12.15,
+        num_zones: 1,
+        link: null,
+        re_entry: null,
+        ...overrides
+    }]);
+    return title;
+};
+
+// Active user_title of a title, initialized in zone 1 unless first_use is null
+const seedUserTitle = async (overrides = {}) => {
+    const [userTitle] = await seed('user_titles', [{
+        id: 1,
+        user: USER,
+        title: 1,
+        uses_left: 10,
+        first_use: '2025-01-01T08:00:00',
+        expiration: '2030-01-01T00:00:00',
+        zone_origin: 1,
+        active: true,
+        priority: 1,
+        link: null,
+        re_entry: null,
+        num_zones: 1,
+        ...overrides
+    }]);
+    if (userTitle.first_use) {
+        await seed('user_title_zones', [{ user_title: userTitle.id, zone: userTitle.zone_origin }]);
+    }
+    return userTitle;
+};
+
+const callHandler = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await handler({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+};
+
+
+module.exports = {
+    USER,
+    SUPORT,
+    seedNetwork,
+    seedPassenger,
+    seedTitle,
+    seedUserTitle,
+    callHandler
+};
@@ -0,0 +1,70 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { loginAttemptKeys, countLoginAttempt, releaseLoginAttempt, clearLoginFailures } = require('../services/loginAttempts');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+// Attempts of one account, device and IP (the memory store keeps them between tests)
+let login = 0;
+const nextKeys = () => {
+    login++;
+    return loginAttemptKeys('user', { account: `user${login}@example.com`, device: `device${login}`, ip: `10.0.0.${login}` });
+};
+
+const countAttempts = (keys, times) => Promise.all(Array.from({ length: times }, () => countLoginAttempt(keys, NOW)));
+
+const attemptTests = () => {
+    it('checks only the concurrent attempts under the limit of failures', async () => {
+        const attempts = await countAttempts(nextKeys(), 8);
+
+        assert.deepEqual(attempts.map(a => a.status).sort(), ['ALLOWED', 'ALLOWED', 'ALLOWED', 'ALLOWED', 'ALLOWED', 'LOCKED', 'LOCKED', 'LOCKED']);
+        // The attempt that reached the limit keeps the account locked if it fails
+        assert.deepEqual(attempts.filter(a => a.status === 'ALLOWED' && a.retry_after).map(a => a.retry_after), [15 * 60]);
+    });
+
+    it('takes back the attempts that get the password right', async () => {
+        const keys = nextKeys();
+        for (let i = 0; i < 4; i++) {
+            await countLoginAttempt(keys, NOW);
+            await clearLoginFailures(keys, NOW);
+        }
+
+        assert.deepEqual(await countLoginAttempt(keys, NOW), { status: 'ALLOWED', delay: 0, retry_after: null });
+    });
+
+    it('unlocks the keys locked by an attempt that got the password right', async () => {
+        const keys = nextKeys();
+        await countAttempts(keys, 4);
+
+        const last = await countLoginAttempt(keys, NOW);
+        assert.equal(last.retry_after, 15 * 60);
+        await releaseLoginAttempt(keys, NOW);
+
+        const next = await countLoginAttempt(keys, NOW);
+        assert.equal(next.status, 'ALLOWED');
+        assert.equal(next.delay, 2000);
+        assert.equal((await countLoginAttempt(keys, NOW)).status, 'LOCKED');
+    });
+};
+
+describe('login attempts', () => {
+    describe('memory store', () => {
+        attemptTests();
+    });
+
+    describe('supabase store', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+        before(async () => {
+            process.env.LOGIN_ATTEMPTS_STORE = 'supabase';
+            await setupDatabase();
+        });
+        after(async () => {
+            delete process.env.LOGIN_ATTEMPTS_STORE;
+            await closeDatabase();
+        });
+
+        beforeEach(resetDatabase);
+
+        attemptTests();
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, query, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const { USER, SUPORT, seedNetwork, seedPassenger, seedTitle, seedUserTitle, callHandler } = require('./helpers/fixtures');
+const { offlineReconcile } = require('../controllers/validation');
+
+const countValidations = async () => {
+    const { rows } = await query('select count(*)::int as count from validation');
+    return rows[0].count;
+};
+
+const getUsesLeft = async (userTitleId = 1) => {
+    const { rows } = await query('select uses_left from user_titles where id = $1', [userTitleId]);
+    return Number(rows[0].uses_left);
+};
+
+// Gates of station 1
+const reconcile = (gate, body) => callHandler(offlineReconcile, { auth: { station: 1, device: gate }, body: body });
+
+describe('offline reconcile', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedNetwork();
+        await seedPassenger();
+        await seedTitle();
+    });
+
+    it('reports the uses spent twice by the gates of a station', async () => {
+        await seedUserTitle({ uses_left: 1 });
+
+        const first = await reconcile('G2', {
+            validations: [{ suport: SUPORT, station: 1, timestamp: '2025-03-01T10:00:05.000Z' }]
+        });
+        const res = await reconcile('G1', {
+            // The gate is the authenticated one, not the one the log says
+            validations: [{ suport: SUPORT, station: 1, timestamp: '2025-03-01T10:00:00.000Z', gate: 'G2' }]
+        });
+
+        assert.equal(first.body.recorded.length, 1);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.recorded.length, 0);
+        assert.equal(res.body.conflicts.length, 1);
+        assert.equal(res.body.conflicts[0].gate, 'G1');
+        assert.equal(res.body.conflicts[0].conflict, 'USES_DOUBLE_SPENT');
+        assert.deepEqual(res.body.conflicts[0].other_gates, ['G2']);
+        assert.equal(await getUsesLeft(), 0);
+
+        const { rows } = await query('select gate from validation');
+        assert.deepEqual(rows, [{ gate: 'G2' }]);
+    });
+
+    it('reports the uses a gate spent itself as rejected by the rules', async () => {
+        await seedUserTitle({ uses_left: 1 });
+
+        const res = await reconcile('G1', {
+            validations: [
+                { suport: SUPORT, station: 1, timestamp: '2025-03-01T10:00:00.000Z' },
+                { suport: SUPORT, station: 1, timestamp: '2025-03-01T11:00:00.000Z' }
+            ]
+        });
+
+        assert.equal(res.body.recorded.length, 1);
+        assert.equal(res.body.conflicts[0].status, 'ERROR_NO_USES_LEFT');
+        assert.equal(res.body.conflicts[0].conflict, 'RULE_REJECTED');
+    });
+
+    it('replays each entry over the validations recorded until its timestamp', async () => {
+        await seedUserTitle({ re_entry: 10 });
+        // Entry recorded online after the gate went offline, at another station
+        await seed('validation', [{ user: USER, suport: SUPORT, timestamp: '2025-03-01T10:40:00', station: 2, enter: true, user_title: 1, gate: 'G9' }]);
+
+        const res = await reconcile('G1', {
+            validations: [
+                { suport: SUPORT, station: 1, timestamp: '2025-03-01T10:00:00.000Z' },
+                { suport: SUPORT, station: 1, timestamp: '2025-03-01T10:20:00.000Z', enter: false }
+            ]
+        });
+
+        assert.deepEqual(res.body.conflicts, []);
+        assert.equal(res.body.recorded.length, 2);
+        // The exit is paired with the replayed entry, not with the later one
+        assert.equal(res.body.recorded[1].zones_crossed, 1);
+    });
+
+    it('records the last use once when two gates reconcile at once', async () => {
+        await seedUserTitle({ uses_left: 1 });
+
+        const responses = await Promise.all(['G1', 'G2'].map((gate, i) => reconcile(gate, {
+            validations: [{ suport: SUPORT, station: 1, timestamp: `2025-03-01T10:00:0${i}.000Z` }]
+        })));
+
+        const recorded = responses.flatMap(res => res.body.recorded);
+        const conflicts = responses.flatMap(res => res.body.conflicts);
+        assert.equal(recorded.length, 1);
+        assert.equal(conflicts.length, 1);
+        assert.ok(['ERROR_NO_USES_LEFT', 'ERROR_VALIDATION_CONFLICT'].includes(conflicts[0].status), conflicts[0].status);
+        assert.equal(await getUsesLeft(), 0);
+        assert.equal(await countValidations(), 1);
+    });
+
+    it('refuses the validations of other stations', async () => {
+        await seedUserTitle();
+
+        const res = await reconcile('G1', {
+            validations: [{ suport: SUPORT, station: 2, timestamp: '2025-03-01T10:00:00.000Z' }]
+        });
+
+        assert.equal(res.body.recorded.length, 0);
+        assert.equal(res.body.conflicts[0].status, 'AUTH_FORBIDDEN');
+        assert.equal(res.body.conflicts[0].conflict, 'INVALID_ENTRY');
+        assert.equal(await countValidations(), 0);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, query, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { seedPassenger, callHandler } = require('./helpers/fixtures');
+
+process.env.NODE_ENV = 'test';
+const { getSentMails, clearSentMails } = require('../services/mailer');
+
+const forgot = async (email, ip = '10.0.0.1') => {
+    const { forgotPassword } = await import('../controllers/auth.js');
+    return callHandler(forgotPassword, { body: { email: email }, ip: ip, get: () => undefined });
+};
+
+describe('forgot password', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        clearSentMails();
+    });
+
+    it('emails the reset token before responding', async () => {
+        const res = await forgot('user1@example.com');
+
+        assert.equal(res.body.status, 'PASSWORD_RESET_REQUESTED');
+        assert.equal(getSentMails().length, 1);
+        assert.equal(getSentMails()[0].to, 'user1@example.com');
+        const { rows } = await query('select count(*)::int as count from password_resets');
+        assert.equal(rows[0].count, 1);
+
+        assert.equal((await forgot('nobody@example.com')).body.status, 'PASSWORD_RESET_REQUESTED');
+        assert.equal(getSentMails().length, 1);
+    });
+
+    it('limits the requests by email and by IP', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await forgot('limited@example.com', `10.0.1.${i}`)).statusCode, 200);
+        }
+
+        const limited = await forgot('LIMITED@example.com', '10.0.1.9');
+        assert.equal(limited.statusCode, 429);
+        assert.equal(limited.body.status, 'PASSWORD_RESET_TOO_MANY_REQUESTS');
+        assert.equal(limited.headers['Retry-After'], String(limited.body.retryAfter));
+
+        for (let i = 0; i < 10; i++) {
+            assert.equal((await forgot(`other${i}@example.com`, '10.0.2.1')).statusCode, 200);
+        }
+        assert.equal((await forgot('other10@example.com', '10.0.2.1')).statusCode, 429);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, supabase, query, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const { USER, seedPassenger } = require('./helpers/fixtures');
+
+process.env.QR_TOKEN_SECRET = 'test-secret';
+const { issueQrToken, redeemQrToken, getVirtualSuportUid } = require('../services/qrTokens');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+const DEVICE = 'phone';
+
+const seconds = (n) => new Date(NOW.getTime() + n * 1000);
+
+describe('QR tokens', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger({ uid: null });
+        await seed('sessions', [{
+            user: USER,
+            device: DEVICE,
+            token: 'session-token',
+            created: '2025-03-01T09:00:00',
+            last_use: '2025-03-01T09:00:00',
+            expiration: '2025-04-01T09:00:00'
+        }]);
+    });
+
+    it('redeems a token once, for the virtual suport of the user', async () => {
+        const issued = await issueQrToken(USER, DEVICE, NOW);
+        assert.equal(issued.status, 'ISSUED');
+        assert.equal(issued.suport, getVirtualSuportUid(USER));
+        assert.equal(issued.expiration, seconds(30).toISOString());
+
+        const { data: suport } = await supabase.from('suports').select('*').eq('uid', issued.suport).single();
+        assert.equal(suport.virtual, true);
+        assert.equal(suport.user, USER);
+
+        assert.deepEqual(await redeemQrToken(issued.token, seconds(5)), { status: 'VALID', suport: issued.suport, user: USER });
+        assert.equal((await redeemQrToken(issued.token, seconds(6))).status, 'REPLAYED');
+    });
+
+    it('redeems a token at only one of two gates at once', async () => {
+        const { token } = await issueQrToken(USER, DEVICE, NOW);
+
+        const results = await Promise.all([1, 2].map(() => redeemQrToken(token, seconds(5))));
+
+        assert.deepEqual(results.map(r => r.status).sort(), ['REPLAYED', 'VALID']);
+    });
+
+    it('reuses the virtual suport of the user', async () => {
+        await issueQrToken(USER, DEVICE, NOW);
+        await issueQrToken(USER, DEVICE, seconds(20));
+
+        const { rows } = await query('select count(*)::int as count from suports');
+        assert.equal(rows[0].count, 1);
+    });
+
+    it('refuses the tokens tampered with or expired', async () => {
+        const { token } = await issueQrToken(USER, DEVICE, NOW);
+        const [payload, signature] = token.split('.');
+
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), u: 2 })).toString('base64url');
+        assert.equal((await redeemQrToken(`${forged}.${signature}`, seconds(5))).status, 'INVALID');
+        assert.equal((await redeemQrToken(`${payload}.x${signature.slice(1)}`, seconds(5))).status, 'INVALID');
+        assert.equal((await redeemQrToken('not a token', seconds(5))).status, 'INVALID');
+
+        assert.equal((await redeemQrToken(token, seconds(30))).status, 'EXPIRED');
+    });
+
+    it('refuses the tokens of closed sessions', async () => {
+        const { token } = await issueQrToken(USER, DEVICE, NOW);
+
+        // Logged in again on the device: a new session
+        await query('update sessions set created = $1 where "user" = $2 and device = $3', ['2025-03-01T10:00:01', USER, DEVICE]);
+        assert.equal((await redeemQrToken(token, seconds(5))).status, 'NO_SESSION');
+
+        await query('delete from sessions');
+        assert.equal((await issueQrToken(USER, DEVICE, NOW)).status, 'NO_SESSION');
+    });
+});
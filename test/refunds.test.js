@@ -0,0 +1,106 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hasDatabase, supabase, query, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { USER, seedPassenger, seedTitle } = require('./helpers/fixtures');
+
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_PROVIDER = 'recording';
+const { registerPaymentProvider, PAYMENT_STATUSES } = require('../services/paymentProviders');
+const { createCheckout, confirmCheckout } = require('../services/checkout');
+const { refundUserTitle, retryPendingRefunds } = require('../services/refunds');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+// Provider that pays every checkout and keeps the refunds it was asked for (once per refundId, as a real one)
+const provider = {
+    failing: false,
+    refunds: new Map(),     // refundId -> { reference, amount }
+
+    createPayment: async () => ({ reference: 'pay_' + crypto.randomBytes(6).toString('hex') }),
+    confirmPayment: async () => ({ status: PAYMENT_STATUSES.SUCCEEDED }),
+    cancelPayment: async () => {},
+    refundPayment: async (reference, amount, refundId) => {
+        if (provider.failing) throw new Error('Provider unavailable');
+        if (!provider.refunds.has(refundId)) provider.refunds.set(refundId, { reference, amount });
+    }
+};
+registerPaymentProvider('recording', provider);
+
+const purchase = async () => {
+    const { checkout } = await createCheckout(USER, 1, NOW);
+    const { user_title: userTitle } = await confirmCheckout(USER, checkout.id, {}, NOW);
+    return { checkout, userTitle };
+};
+
+describe('refunds', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        await seedTitle({ refund_policy: 'unused' });
+        provider.failing = false;
+        provider.refunds.clear();
+    });
+
+    it('refunds an unused user_title at the payment provider', async () => {
+        const { checkout, userTitle } = await purchase();
+
+        const result = await refundUserTitle(USER, userTitle.id, NOW);
+
+        assert.equal(result.status, 'REFUNDED');
+        assert.equal(result.refund_receipt.amount, -12.15);
+        assert.equal(result.refund_receipt.refund_status, 'COMPLETED');
+        assert.equal(result.user_title.active, false);
+        assert.equal(result.user_title.retired_reason, 'REFUNDED');
+        assert.deepEqual([...provider.refunds.entries()], [[result.refund_receipt.id, { reference: checkout.provider_reference, amount: 12.15 }]]);
+
+        assert.equal((await refundUserTitle(USER, userTitle.id, NOW)).status, 'RETIRED');
+    });
+
+    it('retries the refunds the provider failed, once', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { userTitle } = await purchase();
+
+        provider.failing = true;
+        const result = await refundUserTitle(USER, userTitle.id, NOW);
+        assert.equal(result.status, 'REFUND_PENDING');
+        assert.equal(result.refund_receipt.refund_status, 'PENDING');
+        assert.deepEqual(await retryPendingRefunds(), { refunded: 0, failed: [result.refund_receipt.id] });
+
+        provider.failing = false;
+        assert.deepEqual(await retryPendingRefunds(), { refunded: 1, failed: [] });
+        assert.deepEqual(await retryPendingRefunds(), { refunded: 0, failed: [] });
+
+        assert.equal(provider.refunds.size, 1);
+        const { data } = await supabase.from('receipts').select('*').eq('id', result.refund_receipt.id).single();
+        assert.equal(data.refund_status, 'COMPLETED');
+    });
+
+    it('pays out only one of two refunds at once', async () => {
+        const { userTitle } = await purchase();
+
+        const results = await Promise.all([1, 2].map(() => refundUserTitle(USER, userTitle.id, NOW)));
+
+        const statuses = results.map(r => r.status);
+        assert.equal(statuses.filter(s => s === 'REFUNDED').length, 1);
+        assert.ok(['ALREADY_REFUNDED', 'CONFLICT', 'RETIRED'].includes(statuses.find(s => s !== 'REFUNDED')));
+        assert.equal(provider.refunds.size, 1);
+
+        const { rows } = await query('select count(*)::int as count from receipts where refund_of is not null');
+        assert.equal(rows[0].count, 1);
+    });
+
+    it('does not refund a used user_title', async () => {
+        const { userTitle } = await purchase();
+        await query('update user_titles set first_use = $1 where id = $2', ['2025-03-01T09:00:00', userTitle.id]);
+
+        const result = await refundUserTitle(USER, userTitle.id, NOW);
+
+        assert.equal(result.status, 'NOT_REFUNDABLE');
+        assert.equal(result.quote.amount, 0);
+        assert.equal(provider.refunds.size, 0);
+    });
+});
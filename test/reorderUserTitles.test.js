@@ -0,0 +1,46 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, query, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { USER, seedPassenger, seedTitle, seedUserTitle, callHandler } = require('./helpers/fixtures');
+const { reorderActiveUserTitles } = require('../controllers/titles');
+
+const reorder = (order) => callHandler(reorderActiveUserTitles, { params: { userId: String(USER) }, body: { order: order } });
+
+describe('reorder active user titles', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        await seedTitle();
+        for (const id of [1, 2, 3]) await seedUserTitle({ id: id });
+        await seedUserTitle({ id: 4, active: false });
+    });
+
+    it('sets the priorities in the given order', async () => {
+        const res = await reorder([3, 1, 2]);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.titles.map(ut => [ut.id, ut.priority]), [[3, 1], [1, 2], [2, 3]]);
+    });
+
+    it('refuses an order without every active user title exactly once, writing nothing', async () => {
+        for (const order of [[1, 2], [1, 2, 2, 3], [1, 2, 4], ['abc', 1, 2]]) {
+            const res = await reorder(order);
+            assert.equal(res.statusCode, 400, JSON.stringify(order));
+        }
+
+        const { rows } = await query('select array_agg(priority::int order by id) as priorities from user_titles');
+        assert.deepEqual(rows[0].priorities, [1, 1, 1, 1]);
+    });
+
+    it('refuses an order made before a user title was deactivated', async () => {
+        await query('update user_titles set active = false where id = 2');
+
+        const res = await reorder([3, 1, 2]);
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /: 1, 3\.$/);
+    });
+});
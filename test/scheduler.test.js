@@ -0,0 +1,48 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, query, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const { registerJob, runJob } = require('../services/scheduler');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+let runs = 0;
+registerJob('test_job', { interval: 0, description: 'Counts its runs', run: async () => ({ runs: ++runs }) });
+
+// Run of the job started by another process
+const seedRunning = (startedAt) => seed('job_runs', [{ job: 'test_job', trigger: 'schedule', started_at: startedAt, status: 'RUNNING' }]);
+
+describe('scheduler', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        runs = 0;
+    });
+
+    it('does not run a job already running in another process', async () => {
+        await seedRunning('2025-03-01T09:50:00');
+
+        assert.deepEqual(await runJob('test_job', 'manual', NOW), { status: 'ALREADY_RUNNING' });
+        assert.equal(runs, 0);
+    });
+
+    it('closes the runs abandoned by a process that stopped', async () => {
+        await seedRunning('2025-03-01T08:00:00');
+
+        const result = await runJob('test_job', 'manual', NOW);
+
+        assert.equal(result.status, 'SUCCEEDED');
+        assert.deepEqual(result.run.result, { runs: 1 });
+        const { rows } = await query('select status, error from job_runs order by id');
+        assert.deepEqual(rows.map(row => row.status), ['FAILED', 'SUCCEEDED']);
+        assert.match(rows[0].error, /abandoned/);
+    });
+
+    it('runs a job once when it is started twice at the same time', async () => {
+        const results = await Promise.all([runJob('test_job', 'manual', NOW), runJob('test_job', 'schedule', NOW)]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['ALREADY_RUNNING', 'SUCCEEDED']);
+        assert.equal(runs, 1);
+    });
+});
@@ -0,0 +1,355 @@
+/*
+    Schema of the database tests (see test/helpers/database.js)
+
+    The tables and columns used by the services under test, as documented at the top of the controllers
+    and services, with the keys they rely on (primary keys, unique constraints and defaults). Foreign
+    keys are left out, so each test only inserts the rows it needs.
+
+    It is created in a schema of its own for every test file, and the functions of database/functions/
+    are created over it.
+*/
+
+create table users (
+    id int8 generated by default as identity primary key,
+    name varchar,
+    surname varchar,
+    gov_id varchar,
+    email varchar unique,
+    phone varchar,
+    birthdate date,
+    password varchar
+);
+
+create table groups (
+    id int8 primary key,
+    name varchar unique,
+    description text,
+    expiration int8,
+    required_evidence text[] default '{}'
+);
+
+create table user_groups (
+    "user" int8,
+    "group" int8,
+    expiration date,
+    primary key ("user", "group")
+);
+
+create table zones (
+    id int8 primary key,
+    name varchar,
+    description varchar
+);
+
+create table zone_adjacency (
+    zone_a int8,
+    zone_b int8,
+    primary key (zone_a, zone_b)
+);
+
+create table stations (
+    id int8 primary key,
+    name varchar,
+    name_short varchar,
+    available boolean
+);
+
+create table station_zones (
+    station int8,
+    zone int8,
+    primary key (station, zone)
+);
+
+create table titles (
+    id int8 primary key,
+    name varchar,
+    description varchar,
+    uses int8,
+    expiration int8,
+    available timestamp,
+    unavailable timestamp,
+    price float4,
+    num_zones int8,
+    link int8,
+    re_entry int8,
+    fare_mode varchar,
+    fare_per_zone float4,
+    balance float4,
+    coverage varchar,
+    refund_policy varchar,
+    refund_fee float4,
+    transferable boolean,
+    passengers int8,
+    group_fare varchar
+);
+
+create table title_zones (
+    title int8,
+    zone int8,
+    primary key (title, zone)
+);
+
+create table title_groups (
+    title int8,
+    "group" int8,
+    primary key (title, "group")
+);
+
+create table title_groups_excluded (
+    title int8,
+    "group" int8,
+    primary key (title, "group")
+);
+
+create table pricing_rules (
+    id int8 generated by default as identity primary key,
+    name varchar,
+    "group" int8,
+    title int8,
+    type varchar,
+    value float4,
+    valid_from timestamp,
+    valid_until timestamp,
+    stackable boolean,
+    priority int8
+);
+
+create table suports (
+    uid varchar primary key,
+    "user" int8,
+    activation timestamp,
+    info text,
+    virtual boolean,
+    status varchar,
+    status_reason text,
+    status_changed timestamp,
+    replaced_by varchar
+);
+
+create table user_titles (
+    id int8 primary key,
+    "user" int8,
+    title int8,
+    uses_left int8,
+    first_use timestamp,
+    expiration timestamp,
+    re_entry int8,
+    zone_origin int8,
+    active boolean,
+    priority int8,
+    link int8,
+    num_zones int8,
+    fare_mode varchar,
+    fare_per_zone float4,
+    balance float4,
+    coverage varchar,
+    passengers int8,
+    group_fare varchar,
+    retired_at timestamp,
+    retired_reason varchar
+);
+
+create table user_title_zones (
+    user_title int8,
+    zone int8,
+    primary key (user_title, zone)
+);
+
+create table validation (
+    id int8 generated by default as identity primary key,
+    "user" int8,
+    suport varchar,
+    "timestamp" timestamp,
+    station int8,
+    enter boolean,
+    user_title int8,
+    flagged boolean,
+    passengers int8,
+    gate varchar,
+    constraint validation_record_key unique ("user", suport, "timestamp", station, enter, user_title)
+);
+
+create table checkouts (
+    id uuid primary key,
+    "user" int8,
+    title int8,
+    amount float4,
+    base_amount float4,
+    discounts jsonb,
+    currency varchar,
+    status varchar,
+    provider varchar,
+    provider_reference varchar,
+    created_at timestamp,
+    expires_at timestamp,
+    processing_at timestamp,
+    completed_at timestamp,
+    failure_reason text,
+    user_title int8,
+    receipt varchar
+);
+
+create table receipts (
+    id varchar primary key,
+    "timestamp" timestamp,
+    "user" int8,
+    amount float4,
+    user_title int8,
+    checkout uuid,
+    refund_of varchar,
+    refund_status varchar,
+    lines jsonb,
+    fiscal_year int4,
+    invoice_sequence int8,
+    invoice_number varchar unique
+);
+
+create table invoice_sequences (
+    fiscal_year int4 primary key,
+    last_number int8
+);
+
+create table title_transfers (
+    id int8 generated by default as identity primary key,
+    user_title int8,
+    title int8,
+    from_user int8,
+    to_user int8,
+    "timestamp" timestamp,
+    uses_left int8,
+    first_use timestamp
+);
+
+create table notifications (
+    id int8 generated by default as identity primary key,
+    "user" int8,
+    type varchar,
+    data jsonb,
+    created_at timestamp,
+    read boolean
+);
+
+create table sessions (
+    "user" int8,
+    device text,
+    token text,
+    token_hash text,
+    created timestamp,
+    last_use timestamp,
+    expiration timestamp,
+    primary key ("user", device)
+);
+
+create table gates (
+    id text primary key,
+    station int8,
+    token text,
+    created timestamp,
+    last_use timestamp
+);
+
+create table login_attempts (
+    key text primary key,
+    failures int4,
+    first_failure timestamp,
+    locked_until timestamp,
+    expiration timestamp
+);
+
+create table qr_token_uses (
+    nonce text primary key,
+    "user" int8,
+    used timestamp,
+    expiration timestamp
+);
+
+create table password_resets (
+    token text primary key,
+    "user" int8,
+    created timestamp,
+    expiration timestamp
+);
+
+create table requests (
+    id uuid primary key,
+    created_at timestamp,
+    "user" int8,
+    "group" int8,
+    evaluated boolean,
+    evaluated_at timestamp,
+    evaluated_by uuid,
+    approved boolean,
+    rejection_reason text
+);
+
+create table request_documents (
+    id int8 generated by default as identity primary key,
+    request uuid,
+    type varchar,
+    filename varchar,
+    content_type varchar,
+    size int8,
+    storage varchar,
+    storage_key varchar,
+    uploaded_at timestamp,
+    annotation text,
+    annotated_by uuid,
+    annotated_at timestamp
+);
+
+create table users_admin (
+    id uuid primary key default gen_random_uuid(),
+    name varchar,
+    password varchar,
+    role varchar default 'admin',
+    totp_enabled boolean default false,
+    totp_secret text,
+    totp_pending_secret text,
+    totp_last_step int8
+);
+
+create table admin_recovery_codes (
+    code text primary key,
+    admin uuid
+);
+
+create table admin_login_tickets (
+    token text primary key,
+    admin uuid,
+    device text,
+    purpose varchar,
+    expiration timestamp
+);
+
+create table admin_sessions (
+    admin uuid,
+    device text,
+    token text,
+    token_hash text,
+    created timestamp,
+    last_use timestamp,
+    expiration timestamp,
+    primary key (admin, device)
+);
+
+create table admin_actions (
+    id int8 generated by default as identity primary key,
+    admin uuid,
+    method varchar,
+    path varchar,
+    status int8,
+    "timestamp" timestamp
+);
+
+create table job_runs (
+    id int8 generated by default as identity primary key,
+    job varchar,
+    trigger varchar,
+    started_at timestamp,
+    finished_at timestamp,
+    status varchar,
+    result jsonb,
+    error text
+);
+
+create unique index job_runs_one_running on job_runs (job) where status = 'RUNNING';
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+/*
+    The schema of the database tests (test/schema.sql) and the functions of database/functions/ must
+    cover every table and function the code uses. Runs without a database.
+*/
+
+const ROOT = path.join(__dirname, '..');
+const SOURCES = ['config', 'controllers', 'middleware', 'routes', 'services', 'utils'];
+
+const listSources = () => [
+    path.join(ROOT, 'server.js'),
+    ...SOURCES.flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+        .filter(file => file.endsWith('.js'))
+        .map(file => path.join(ROOT, dir, file)))
+];
+
+const findAll = (pattern) => {
+    const names = new Set();
+    for (const file of listSources()) {
+        for (const match of fs.readFileSync(file, 'utf8').matchAll(pattern)) names.add(match[1]);
+    }
+    return [...names].sort();
+};
+
+describe('test schema', () => {
+    it('has every table the code queries', () => {
+        const schema = fs.readFileSync(path.join(__dirname, 'schema.sql'), 'utf8');
+        const tables = new Set([...schema.matchAll(/create table (\w+)/g)].map(match => match[1]));
+
+        const missing = findAll(/\.from\('(\w+)'\)/g).filter(table => !tables.has(table));
+
+        assert.deepEqual(missing, []);
+    });
+
+    it('has a file in database/functions for every function the code calls', () => {
+        const files = fs.readdirSync(path.join(ROOT, 'database', 'functions'));
+
+        const missing = findAll(/\.rpc\('(\w+)'/g).filter(name => !files.includes(`${name}.sql`));
+
+        assert.deepEqual(missing, []);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, supabase, setupDatabase, resetDatabase, closeDatabase, seed } = require('./helpers/database');
+const { USER, seedPassenger, seedTitle, seedUserTitle } = require('./helpers/fixtures');
+const { transferUserTitle } = require('../services/transfers');
+
+const RECIPIENT = 2;
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+describe('transfers', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedPassenger();
+        await seedPassenger({ id: RECIPIENT, uid: null });
+        await seedTitle();
+    });
+
+    it('transfers an unused user_title to another user, inactive', async () => {
+        await seedUserTitle({ first_use: null, zone_origin: null });
+
+        const result = await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW);
+
+        assert.equal(result.status, 'TRANSFERRED');
+        assert.equal(result.user_title.user, RECIPIENT);
+        assert.equal(result.user_title.active, false);
+        assert.equal(result.user_title.uses_left, 10);
+        assert.equal(result.transfer.from_user, USER);
+        assert.equal(result.transfer.to_user, RECIPIENT);
+
+        const { data: notifications } = await supabase.from('notifications').select('*').eq('user', RECIPIENT);
+        assert.equal(notifications.length, 1);
+        assert.equal(notifications[0].type, 'TITLE_TRANSFERRED');
+
+        assert.equal((await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW)).status, 'NOT_FOUND');
+    });
+
+    it('transfers a used user_title only if its title is transferable', async () => {
+        await seedUserTitle();
+
+        assert.equal((await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW)).status, 'ALREADY_USED');
+
+        await supabase.from('titles').update({ transferable: true }).eq('id', 1);
+        assert.equal((await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW)).status, 'TRANSFERRED');
+    });
+
+    it('refuses the recipients that can not get the title', async () => {
+        await seedUserTitle({ first_use: null, zone_origin: null });
+        await seed('groups', [{ id: 1, name: 'Excluded' }]);
+        await seed('title_groups_excluded', [{ title: 1, group: 1 }]);
+        await seed('user_groups', [{ user: RECIPIENT, group: 1, expiration: null }]);
+
+        assert.equal((await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW)).status, 'TITLE_NOT_ALLOWED');
+    });
+
+    it('finds the receiving user by id or email, refusing the same user and unknown users', async () => {
+        await seedUserTitle({ first_use: null, zone_origin: null });
+
+        assert.equal((await transferUserTitle(USER, 1, { id: USER }, NOW)).status, 'SAME_USER');
+        assert.equal((await transferUserTitle(USER, 1, { id: 99 }, NOW)).status, 'RECIPIENT_NOT_FOUND');
+        assert.equal((await transferUserTitle(USER, 1, { id: 'abc' }, NOW)).status, 'RECIPIENT_NOT_FOUND');
+        assert.equal((await transferUserTitle(USER, 1, { email: 'user99@example.com' }, NOW)).status, 'RECIPIENT_NOT_FOUND');
+        assert.equal((await transferUserTitle(USER, 1, { email: `user${RECIPIENT}@example.com` }, NOW)).status, 'TRANSFERRED');
+    });
+
+    it('refuses the user_titles used up or expired', async () => {
+        await seedUserTitle({ first_use: null, zone_origin: null, uses_left: 0 });
+        await seedUserTitle({ id: 2, first_use: null, zone_origin: null, expiration: '2025-01-01T00:00:00' });
+
+        assert.equal((await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW)).status, 'USED_UP');
+        assert.equal((await transferUserTitle(USER, 2, { id: RECIPIENT }, NOW)).status, 'EXPIRED');
+        // Without telling whether the receiving user exists
+        assert.equal((await transferUserTitle(USER, 1, { id: 99 }, NOW)).status, 'USED_UP');
+        assert.equal((await transferUserTitle(USER, 1, { email: 'user99@example.com' }, NOW)).status, 'USED_UP');
+    });
+
+    it('transfers a user_title until the end of its expiration day', async () => {
+        await seedUserTitle({ first_use: null, zone_origin: null, expiration: '2025-03-01T00:00:00' });
+
+        assert.equal((await transferUserTitle(USER, 1, { id: RECIPIENT }, NOW)).status, 'TRANSFERRED');
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasDatabase, supabase, query, setupDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { USER, SUPORT, seedNetwork, seedPassenger, seedTitle, seedUserTitle } = require('./helpers/fixtures');
+const { validate } = require('../services/validationRules');
+
+const GATES = 8;
+
+const countValidations = async () => {
+    const { rows } = await query('select count(*)::int as count from validation');
+    return rows[0].count;
+};
+
+const getUsesLeft = async (userTitleId = 1) => {
+    const { rows } = await query('select uses_left from user_titles where id = $1', [userTitleId]);
+    return Number(rows[0].uses_left);
+};
+
+describe('validations', { skip: !hasDatabase && 'TEST_DATABASE_URL not set' }, () => {
+    before(setupDatabase);
+    after(closeDatabase);
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await seedNetwork();
+        await seedPassenger();
+        await seedTitle();
+    });
+
+    describe('commit_validation', () => {
+        it('commits only one of the concurrent commits of the same decision', async () => {
+            await seedUserTitle({ uses_left: 5 });
+
+            const results = await Promise.all(Array.from({ length: GATES }, (_, i) => supabase.rpc('commit_validation', {
+                p_user_title: 1,
+                p_user: USER,
+                p_suport: SUPORT,
+                p_station: 1,
+                p_timestamp: `2025-03-01T10:00:0${i}`,
+                p_expected_uses_left: 5,
+                p_expected_initialized: true,
+                p_expected_last_validation: null,
+                p_expected_passengers: null,
+                p_consume: true,
+                p_join: false,
+                p_zone_origin: null,
+                p_zones: null,
+                p_first_use: null
+            })));
+
+            for (const { error } of results) assert.equal(error, null);
+            const statuses = results.map(({ data }) => data.status);
+            assert.equal(statuses.filter(s => s === 'COMMITTED').length, 1);
+            assert.equal(statuses.filter(s => s === 'CONFLICT').length, GATES - 1);
+
+            assert.equal(await getUsesLeft(), 4);
+            assert.equal(await countValidations(), 1);
+        });
+
+        it('initializes a pending user_title once', async () => {
+            await seedUserTitle({ uses_left: 5, first_use: null, zone_origin: null });
+
+            const results = await Promise.all([1, 2].map(i => supabase.rpc('commit_validation', {
+                p_user_title: 1,
+                p_user: USER,
+                p_suport: SUPORT,
+                p_station: i,
+                p_timestamp: `2025-03-01T10:00:0${i}`,
+                p_expected_uses_left: 5,
+                p_expected_initialized: false,
+                p_expected_last_validation: null,
+                p_expected_passengers: null,
+                p_consume: true,
+                p_join: false,
+                p_zone_origin: i,
+                p_zones: [i],
+                p_first_use: `2025-03-01T10:00:0${i}`
+            })));
+
+            const committed = results.filter(({ data }) => data.status === 'COMMITTED');
+            assert.equal(committed.length, 1);
+
+            const { rows: zones } = await query('select zone from user_title_zones where user_title = 1');
+            assert.deepEqual(zones.map(z => Number(z.zone)), [committed[0].data.validation.station]);
+        });
+    });
+
+    describe('validate', () => {
+        it('consumes exactly one use per accepted validation at concurrent gates', async () => {
+            const uses = 5;
+            await seedUserTitle({ uses_left: uses });
+            const start = new Date('2025-03-01T10:00:00Z');
+
+            // The gates of the station read the card at a different second each, all of them at once
+            const results = await Promise.all(Array.from({ length: GATES }, (_, i) => (
+                validate(SUPORT, 1, new Date(start.getTime() + i * 1000))
+            )));
+
+            for (const { decision } of results) {
+                assert.ok(['VALIDATION_SUCCESS', 'ERROR_VALIDATION_CONFLICT', 'ERROR_NO_USES_LEFT'].includes(decision.status), decision.status);
+            }
+            const accepted = results.filter(({ committed }) => committed).length;
+            assert.ok(accepted >= 1 && accepted <= uses);
+            assert.equal(await getUsesLeft(), uses - accepted);
+            assert.equal(await countValidations(), accepted);
+
+            // The remaining uses, one by one, and not one more
+            let total = accepted;
+            for (let i = GATES; ; i++) {
+                const { decision, committed } = await validate(SUPORT, 1, new Date(start.getTime() + i * 1000));
+                if (!committed) {
+                    assert.equal(decision.status, 'ERROR_NO_USES_LEFT');
+                    break;
+                }
+                total++;
+            }
+
+            assert.equal(total, uses);
+            assert.equal(await getUsesLeft(), 0);
+            assert.equal(await countValidations(), uses);
+        });
+
+        it('initializes a pending user_title in the zone of the first station', async () => {
+            await seedUserTitle({ first_use: null, zone_origin: null });
+
+            const { decision, committed } = await validate(SUPORT, 2, new Date('2025-03-01T10:00:00Z'));
+
+            assert.equal(decision.status, 'VALIDATION_SUCCESS');
+            assert.equal(committed.uses_left, 9);
+
+            const { data: userTitle } = await supabase.from('user_titles').select('*').eq('id', 1).single();
+            assert.equal(userTitle.zone_origin, 2);
+            assert.equal(userTitle.first_use, '2025-03-01T10:00:00');
+
+            const refused = await validate(SUPORT, 1, new Date('2025-03-01T11:00:00Z'));
+            assert.equal(refused.decision.status, 'ERROR_USER_TITLE_NOT_VALID_FOR_ZONE');
+        });
+    });
+});
@@ -0,0 +1,36 @@
+/*
+    Dates as they are stored in the database: local time, without time zone.
+
+    - getTimestamp: 'YYYY-MM-DDTHH:mm:ss' (timestamp columns)
+    - getDateString: 'YYYY-MM-DD' (date columns, e.g. expiration days)
+    - endOfDay: last moment of an expiration day (a user_title is valid until the end of it)
+*/
+
+const getTimestamp = (date) => {
+    return date.getFullYear() + '-' +
+                String(date.getMonth() + 1).padStart(2, '0') + '-' +
+                String(date.getDate()).padStart(2, '0') + 'T' +
+                String(date.getHours()).padStart(2, '0') + ':' +
+                String(date.getMinutes()).padStart(2, '0') + ':' +
+                String(date.getSeconds()).padStart(2, '0');
+};
+
+const getDateString = (date) => {
+    return date.getFullYear() + '-' +
+                String(date.getMonth() + 1).padStart(2, '0') + '-' +
+                String(date.getDate()).padStart(2, '0');
+};
+
+// Whatever its time, an expiration ends at the end of its day (as expireUserTitles, see services/expiryJobs.js)
+const endOfDay = (date) => {
+    const end = String(date).length <= 10 ? new Date(date + 'T00:00:00') : new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+};
+
+
+module.exports = {
+    getTimestamp,
+    getDateString,
+    endOfDay
+};